@@ -22,6 +22,38 @@ export * from './interfacemodules/exportfunctions.js?v=1.0.5';
 import * as uploadHandlers from './interfacemodules/uploadhandlers.js?v=1.0.5';
 export * from './interfacemodules/uploadhandlers.js?v=1.0.5';
 
+// Keyboard shortcuts
+import * as keyboardShortcuts from './interfacemodules/keyboardshortcuts.js?v=1.0.5';
+export * from './interfacemodules/keyboardshortcuts.js?v=1.0.5';
+
+// Route finder
+import * as routeFinder from './interfacemodules/routefinder.js?v=1.0.5';
+export * from './interfacemodules/routefinder.js?v=1.0.5';
+
+// Problems panel
+import * as problemsPanel from './interfacemodules/problemspanel.js?v=1.0.5';
+export * from './interfacemodules/problemspanel.js?v=1.0.5';
+
+// Viewer mode
+import * as viewerMode from './interfacemodules/viewermode.js?v=1.0.5';
+export * from './interfacemodules/viewermode.js?v=1.0.5';
+
+// Presentation mode
+import * as presentation from './interfacemodules/presentation.js?v=1.0.5';
+export * from './interfacemodules/presentation.js?v=1.0.5';
+
+// Spreadsheet import
+import * as spreadsheetImport from './interfacemodules/spreadsheetimport.js?v=1.0.5';
+export * from './interfacemodules/spreadsheetimport.js?v=1.0.5';
+
+// Timeline
+import * as timeline from './interfacemodules/timeline.js?v=1.0.5';
+export * from './interfacemodules/timeline.js?v=1.0.5';
+
+// Autosave
+import * as autosave from './interfacemodules/autosave.js?v=1.0.5';
+export * from './interfacemodules/autosave.js?v=1.0.5';
+
 
 // ####################################################
 // INTERFACE VARIABLES
@@ -118,6 +150,9 @@ function initInterface() {
               // Update the language content based on the newly selected language
               const newLangContent = i18next.getResourceBundle(lang, "translation");
               ui.updatePageContentWithi18n(newLangContent);
+
+              // Write the structured dates of the stations in the new language
+              metromapdesignapplication?.map?.updateStationDates();
             });
           });
         }
@@ -150,6 +185,7 @@ function initInterface() {
  * - Initializing the user interface components.
  * - Setting up the metroline tool with the default color.
  * - Handling the canvas size and any share code passed via URL parameters.
+ * - Starting the autosave and offering to restore a map with unsaved changes.
  *
  * @async
  * @function
@@ -172,6 +208,14 @@ export async function loadInterface() {
     window.ui = ui;
     window.stationEditor = stationEditor;
     window.uploadHandlers = uploadHandlers;
+    window.keyboardShortcuts = keyboardShortcuts;
+    window.routeFinder = routeFinder;
+    window.problemsPanel = problemsPanel;
+    window.viewerMode = viewerMode;
+    window.presentation = presentation;
+    window.timeline = timeline;
+    window.spreadsheetImport = spreadsheetImport;
+    window.autosave = autosave;
     
     // Load the default map from a predefined URL
     try {
@@ -184,6 +228,11 @@ export async function loadInterface() {
 
     // Attach hooks to respond to state changes
     stationEditor.addStationEditorHooks();
+    toolbar.addToolbarHooks(metromapdesignapplication);
+    keyboardShortcuts.addKeyboardShortcutHooks();
+    routeFinder.addRouteFinderHooks();
+    viewerMode.addViewerModeHooks();
+    timeline.addTimelineHooks();
 
     // Initialize interface components
     initInterface();
@@ -203,14 +252,19 @@ export async function loadInterface() {
     metromapdesignapplication.canvasChangeSize(config.applicationConfig.canvasSizes[0].width, config.applicationConfig.canvasSizes[0].height);
 
     // Parse the URL for shared map codes
-    loadSharedMapFromUrl();
+    await loadSharedMapFromUrl();
+
+    // Save the map from now on and offer to continue with a map that was not saved last time
+    autosave.startAutosave();
+    await autosave.offerAutosaveRestore();
 }
 
 /**
  * Loads a shared map from URL parameters if present.
  * 
  * Checks for 'mc' (SVG code) and 'json' (JSON code) URL parameters
- * and attempts to load the corresponding shared map.
+ * and attempts to load the corresponding shared map. Maps shared with an SVG code
+ * open in viewer mode, unless the URL asks for edit mode.
  * 
  * @private
  */
@@ -224,16 +278,21 @@ async function loadSharedMapFromUrl() {
     if (code) {
       try {
         await loadFunction(code);
+        return true;
       } catch (e) {
         console.warn(e);
         ui.showAlert(`Error retrieving ${mapType} metro map: ${e}`, "danger");
       }
     }
+    return false;
   };
 
   // Load SVG format first, if available
   if (svgCode) {
-    await loadMapCode(svgCode, metromapdesignapplication.loadMapWithSvgCode.bind(metromapdesignapplication), "SVG");
+    const loaded = await loadMapCode(svgCode, metromapdesignapplication.loadMapWithSvgCode.bind(metromapdesignapplication), "SVG");
+    if (loaded && config.viewerConfig.openSharedMaps && !urlParams.has(config.viewerConfig.editParameter)) {
+      viewerMode.setViewerMode(true);
+    }
   } else if (jsonCode) {
     // Only load JSON if SVG is not available
     await loadMapCode(jsonCode, metromapdesignapplication.loadMapWithJsonCode.bind(metromapdesignapplication), "JSON");
@@ -273,8 +332,8 @@ export function clearMetroMap() {
 /**
  * Undoes the last action performed on the metro map.
  * 
- * This function reverts the map to its previous state, clears toolbar buttons,
- * regenerates color buttons, and re-attaches event hooks.
+ * Only the elements touched by the last change are restored, the map object and
+ * its event hooks stay in place.
  * 
  * @example
  * // Undo the last action
@@ -282,9 +341,61 @@ export function clearMetroMap() {
  */
 export function undoAction() {
   metromapdesignapplication.undo();
-  toolbar.clearMetroButtons();
-  toolbar.generateColorButtons(metromapdesignapplication);
-  stationEditor.addStationEditorHooks();
+}
+
+/**
+ * Redoes the last action that was undone on the metro map.
+ * 
+ * @example
+ * // Redo the last undone action
+ * redoAction();
+ */
+export function redoAction() {
+  metromapdesignapplication.redo();
+}
+
+/**
+ * Deletes the stations, line segments and images selected with the select tool.
+ * 
+ * @example
+ * // Delete the current selection
+ * deleteSelection();
+ */
+export function deleteSelection() {
+  metromapdesignapplication.deleteSelection();
+}
+
+/**
+ * Copies the selected stations and segments to the clipboard.
+ * 
+ * @example
+ * // Copy the current selection
+ * copySelection();
+ */
+export function copySelection() {
+  metromapdesignapplication.copySelection();
+}
+
+/**
+ * Pastes stations and segments from the clipboard, also when copied from another map.
+ * 
+ * @example
+ * // Paste the clipboard
+ * pasteClipboard();
+ */
+export function pasteClipboard() {
+  metromapdesignapplication.pasteClipboard();
+}
+
+/**
+ * Duplicates the selected stations and segments.
+ * 
+ * @example
+ * // Duplicate the current selection
+ * duplicateSelection();
+ */
+export function duplicateSelection() {
+  metromapdesignapplication.duplicateSelection();
 }
 
 /**
@@ -340,4 +451,136 @@ export function changeCanvasSize(selectedSize) {
   }
 }
 
+/**
+ * Changes the rounded corners of the map or of the metroline in the current color.
+ *
+ * The corner radii are taken from the application configuration (`config.metrolineConfig.cornerRadii`).
+ *
+ * @param {string} target - "map" for the whole map, or "line" for the metroline in the current color.
+ * @param {string} selectedRadius - The radius identifier (e.g., "none", "small", "medium", "large"),
+ *                                  or "map" to let the metroline use the corner radius of the map.
+ *
+ * @example
+ * // Give all metrolines medium rounded corners
+ * changeCornerRadius("map", "medium");
+ *
+ * // Give the current metroline sharp corners
+ * changeCornerRadius("line", "none");
+ */
+export function changeCornerRadius(target, selectedRadius) {
+  const radii = config.metrolineConfig.cornerRadii;
+  const radius = target === "line" && selectedRadius === "map" ? null : radii[selectedRadius];
+  if (radius === undefined || (target !== "map" && target !== "line")) {
+    console.error(`Invalid corner radius: '${target}', '${selectedRadius}'.`);
+    ui.showAlert(`Invalid corner radius: '${selectedRadius}'.`, 'warning');
+    return;
+  }
+
+  try {
+    if (target === "map") {
+      metromapdesignapplication.setMapCornerRadius(radius);
+    } else {
+      metromapdesignapplication.changeMetrolineProperty(metromapdesignapplication.currentMetrolineColor, "cornerRadius", radius);
+    }
+  } catch (error) {
+    console.error('Failed to change corner radius:', error);
+    ui.showAlert(i18next.t('i18n_noMetrolineInColor'), 'warning');
+  }
+}
+
+/**
+ * Turns stations so their labels do not overlap metrolines, other labels or the legend.
+ * Only the selected stations are placed when stations are selected. Stations for which
+ * no placement without overlap exists are selected afterwards.
+ *
+ * @example
+ * // Place all station labels
+ * autoPlaceLabels();
+ */
+export function autoPlaceLabels() {
+  try {
+    const unplaced = metromapdesignapplication.autoPlaceLabels();
+    if (unplaced.length > 0) {
+      metromapdesignapplication.map.selection.select(unplaced.map(station => station.refSvg));
+      ui.showAlert(i18next.t('i18n_labelsUnplaced', { count: unplaced.length }), 'warning');
+    } else {
+      ui.showAlert(i18next.t('i18n_labelsPlaced'), 'success');
+    }
+  } catch (error) {
+    console.error('Failed to place labels:', error);
+    ui.showAlert('Failed to place labels: ' + error.message, 'danger');
+  }
+}
+
+/**
+ * Turns placing overlapping station labels after every change on or off.
+ *
+ * @param {boolean} enabled - True to place labels live.
+ *
+ * @example
+ * // Keep labels free while editing
+ * setLiveLabelPlacement(true);
+ */
+export function setLiveLabelPlacement(enabled) {
+  try {
+    metromapdesignapplication.setLiveLabelPlacement(enabled);
+  } catch (error) {
+    console.error('Failed to change live label placement:', error);
+    ui.showAlert('Failed to change live label placement: ' + error.message, 'danger');
+  }
+}
+
+/**
+ * Changes the stroke style of the metroline in the current color.
+ *
+ * @param {string} style - One of the styles in `config.metrolineConfig.lineStyles` (e.g., "solid", "dashed", "dotted", "double").
+ *
+ * @example
+ * // Draw the current metroline dashed
+ * changeLineStyle("dashed");
+ */
+export function changeLineStyle(style) {
+  if (!config.metrolineConfig.lineStyles.includes(style)) {
+    console.error(`Invalid line style: '${style}'.`);
+    ui.showAlert(`Invalid line style: '${style}'.`, 'warning');
+    return;
+  }
+
+  try {
+    metromapdesignapplication.changeMetrolineProperty(metromapdesignapplication.currentMetrolineColor, "lineStyle", style);
+  } catch (error) {
+    console.error('Failed to change line style:', error);
+    ui.showAlert(i18next.t('i18n_noMetrolineInColor'), 'warning');
+  }
+}
+
+/**
+ * Changes the thickness of the metroline in the current color.
+ *
+ * The thicknesses are taken from the application configuration (`config.metrolineConfig.thicknesses`).
+ *
+ * @param {string} selectedThickness - The thickness identifier (e.g., "thin", "normal", "thick").
+ *
+ * @example
+ * // Draw the current metroline thin
+ * changeLineThickness("thin");
+ */
+export function changeLineThickness(selectedThickness) {
+  const thickness = config.metrolineConfig.thicknesses[selectedThickness];
+  if (thickness === undefined) {
+    console.error(`Invalid line thickness: '${selectedThickness}'.`);
+    ui.showAlert(`Invalid line thickness: '${selectedThickness}'.`, 'warning');
+    return;
+  }
+
+  try {
+    // The normal thickness follows the configured default
+    const value = thickness === config.metrolineConfig.thickness ? null : thickness;
+    metromapdesignapplication.changeMetrolineProperty(metromapdesignapplication.currentMetrolineColor, "thickness", value);
+  } catch (error) {
+    console.error('Failed to change line thickness:', error);
+    ui.showAlert(i18next.t('i18n_noMetrolineInColor'), 'warning');
+  }
+}
+
 
@@ -0,0 +1,94 @@
+import * as ui from './uifunctions.js?v=1.0.5';
+import { generateColorButtons } from './toolbar.js?v=1.0.5';
+import { addStationEditorHooks } from './stationeditor.js?v=1.0.5';
+
+// Session with unsaved changes that is offered for restoring
+let unsavedSession = null;
+
+/**
+ * Helper function to get application instance with null check.
+ *
+ * @private
+ * @returns {Object|null} The metro map application instance or null if not initialized
+ */
+function getApp() {
+  const app = window.metromapApp;
+  if (!app) {
+    console.warn('Application not initialized yet');
+    return null;
+  }
+  return app;
+}
+
+// ####################################################
+// AUTOSAVE
+//
+
+/**
+ * Starts saving the map in the browser after every change, so it can be restored when the page was closed
+ * or crashed before the map was downloaded.
+ *
+ * @example
+ * // Save the map from now on
+ * startAutosave();
+ */
+export function startAutosave() {
+  getApp()?.autosave?.start();
+}
+
+/**
+ * Offers to restore the most recent map with unsaved changes of an earlier session, if there is one.
+ *
+ * @async
+ * @example
+ * // Ask to continue with an unsaved map after loading the interface
+ * await offerAutosaveRestore();
+ */
+export async function offerAutosaveRestore() {
+  const app = getApp();
+  const modalElement = document.getElementById("autosaveRestoreModal");
+  if (!app?.autosave || !modalElement) return;
+
+  unsavedSession = await app.autosave.getUnsavedSession();
+  if (!unsavedSession) return;
+
+  document.getElementById("autosaveRestoreMapTitle").textContent = unsavedSession.title;
+  document.getElementById("autosaveRestoreSavedAt").textContent = new Date(unsavedSession.savedAt).toLocaleString();
+  bootstrap.Modal.getOrCreateInstance(modalElement).show();
+}
+
+/**
+ * Restores the map offered by `offerAutosaveRestore` with its undo history and tools.
+ *
+ * @async
+ */
+export async function restoreAutosave() {
+  const app = getApp();
+  bootstrap.Modal.getOrCreateInstance(document.getElementById("autosaveRestoreModal")).hide();
+  if (!app?.autosave || !unsavedSession) return;
+
+  try {
+    const historyRestored = await app.autosave.restore(unsavedSession);
+    generateColorButtons(app);
+    addStationEditorHooks();
+    ui.showAlert(i18next.t(historyRestored ? "i18n_autosaveRestored" : "i18n_autosaveRestoredWithoutHistory"), historyRestored ? "success" : "warning");
+  } catch (error) {
+    console.error('Error restoring map:', error);
+    ui.showAlert(i18next.t("i18n_autosaveRestoreFailed", { error: error.message }), "danger");
+  }
+  unsavedSession = null;
+}
+
+/**
+ * Removes the map offered by `offerAutosaveRestore`, it can not be restored anymore.
+ *
+ * @async
+ */
+export async function discardAutosave() {
+  const app = getApp();
+  bootstrap.Modal.getOrCreateInstance(document.getElementById("autosaveRestoreModal")).hide();
+  if (!app?.autosave || !unsavedSession) return;
+
+  await app.autosave.discard(unsavedSession.id);
+  unsavedSession = null;
+}
@@ -1,6 +1,7 @@
 import * as helpers from '../metromapdesigner/common.js?v=1.0.5';
 import * as config from '../metromapdesigner/config.js?v=1.0.5';
 import * as ui from './uifunctions.js?v=1.0.5';
+import { checkBeforeExport } from './problemspanel.js?v=1.0.5';
 
 // Track resources that need cleanup
 const resourceCleanup = {
@@ -55,6 +56,9 @@ export async function metroMapShare(metromapdesignapplication) {
     if (!metromapdesignapplication) {
       throw new Error('Application not initialized yet. Please wait for the app to load.');
     }
+
+    // Refuse maps with errors when the user chose to
+    if (!checkBeforeExport(metromapdesignapplication)) return;
     
     // Show loading indicator while generating share link
     ui.showAlert("Generating share link...", "primary");
@@ -86,33 +90,117 @@ export async function metroMapShare(metromapdesignapplication) {
 }
 
 /**
- * Download the metromap as PNG with proper resource cleanup
+ * Show the PNG export with the size, background and cropping of the image to choose
+ */
+export function metroMapShowPngExport(metromapdesignapplication) {
+  if (!metromapdesignapplication?.map) {
+    ui.showAlert('Application not initialized yet. Please wait for the app to load.', 'warning');
+    return;
+  }
+
+  const modalElement = document.getElementById("pngExportModal");
+  if (!modalElement) return;
+
+  const fillSelector = (id, values, label, selected) => {
+    const selector = document.getElementById(id);
+    if (!selector || selector.options.length > 0) return;
+    values.forEach((value) => {
+      const option = document.createElement("option");
+      option.value = value;
+      option.textContent = label(value);
+      selector.appendChild(option);
+    });
+    selector.value = selected;
+  };
+  fillSelector("pngExportScale", config.pngConfig.scales, (scale) => `${scale}×`, config.pngConfig.defaultScale);
+  fillSelector("pngExportDpi", config.pngConfig.dpiOptions, (dpi) => `${dpi} DPI`, config.pngConfig.dpiOptions[1] ?? config.pngConfig.dpiOptions[0]);
+  fillSelector("pngExportPageSize", Object.keys(config.pdfConfig.pageSizes), (pageSize) => pageSize, config.pdfConfig.defaultPageSize);
+
+  const margin = document.getElementById("pngExportMargin");
+  if (margin && margin.value === "") margin.value = config.pngConfig.cropMargin;
+
+  updatePngExportSize(metromapdesignapplication);
+  bootstrap.Modal.getOrCreateInstance(modalElement).show();
+}
+
+/**
+ * Shows the options of the chosen kind of size in the PNG export and the size of the image in pixels
+ */
+export function updatePngExportSize(metromapdesignapplication) {
+  if (!metromapdesignapplication?.map) return;
+
+  const options = getPngExportOptions();
+  document.getElementById("pngExportScaleOptions")?.classList.toggle("d-none", Boolean(options.dpi));
+  document.getElementById("pngExportPrintOptions")?.classList.toggle("d-none", !options.dpi);
+  document.getElementById("pngExportMarginOptions")?.classList.toggle("d-none", !options.crop);
+
+  const size = document.getElementById("pngExportSize");
+  if (size) {
+    const { width, height } = metromapdesignapplication.importExport.getPngSize(metromapdesignapplication.map, options);
+    size.textContent = i18next.t("i18n_pngExportSize", { width, height });
+  }
+}
+
+/**
+ * Reads the options of the PNG export, the defaults are used for options that are not chosen.
+ * @private
+ */
+function getPngExportOptions() {
+  const value = (id) => document.getElementById(id)?.value;
+  const checked = (id) => Boolean(document.getElementById(id)?.checked);
+  const options = {
+    background: checked("pngExportTransparent") ? "transparent" : "white",
+    crop: checked("pngExportCrop"),
+  };
+
+  if (value("pngExportMode") === "print") {
+    options.dpi = Number(value("pngExportDpi")) || undefined;
+    options.pageSize = value("pngExportPageSize");
+    options.orientation = value("pngExportOrientation") || undefined;
+  } else {
+    options.scale = Number(value("pngExportScale")) || undefined;
+  }
+
+  const margin = parseFloat(value("pngExportMargin"));
+  if (Number.isFinite(margin) && margin >= 0) options.margin = margin;
+
+  return options;
+}
+
+/**
+ * Download the metromap as PNG with proper resource cleanup, using the options chosen in the PNG export
  */
 export async function metroMapDownloadPNG(metromapdesignapplication) {
   let downloadLink = null;
+  let url = null;
   try {
     // Check if application instance is available
     if (!metromapdesignapplication) {
       throw new Error('Application not initialized yet. Please wait for the app to load.');
     }
 
+    // Refuse maps with errors when the user chose to
+    if (!checkBeforeExport(metromapdesignapplication)) return;
+
     // Deselect all stations to prevent selection box from being exported
     if (metromapdesignapplication.map) {
       metromapdesignapplication.map.unselectAllStations();
     }
 
-    // Call the function to get the PNG data
-    const pngDataUrl = await metromapdesignapplication.getCanvasContentPng();
+    // Call the function to get the PNG data with the options of the PNG export
+    const png = await metromapdesignapplication.getCanvasContentPng(getPngExportOptions());
 
     // Create a download link and click it to trigger the download
+    url = URL.createObjectURL(png);
     downloadLink = document.createElement("a");
-    downloadLink.href = pngDataUrl;
+    downloadLink.href = url;
     downloadLink.download = metromapdesignapplication.getCanvasName() + ".png";
     downloadLink.style.display = 'none'; // Hide the link
     document.body.appendChild(downloadLink);
     
-    // Track link for cleanup
+    // Track resources for cleanup
     resourceCleanup.links.add(downloadLink);
+    resourceCleanup.urls.add(url);
     
     downloadLink.click();
     
@@ -122,12 +210,17 @@ export async function metroMapDownloadPNG(metromapdesignapplication) {
         document.body.removeChild(downloadLink);
         resourceCleanup.links.delete(downloadLink);
       }
+      URL.revokeObjectURL(url);
+      resourceCleanup.urls.delete(url);
       resourceCleanup.timeouts.delete(timeoutId);
-      // PNG data URLs are typically data: URLs, not blob URLs, so no need to revoke
     }, 100);
     
     resourceCleanup.timeouts.add(timeoutId);
   } catch (error) {
+    if (url) {
+      URL.revokeObjectURL(url);
+      resourceCleanup.urls.delete(url);
+    }
     // Clean up on error
     if (downloadLink && downloadLink.parentNode) {
       document.body.removeChild(downloadLink);
@@ -138,9 +231,171 @@ export async function metroMapDownloadPNG(metromapdesignapplication) {
 }
 
 /**
- * Download the metromap as SVG with proper resource cleanup timing
+ * Show the PDF export with the paper sizes to choose from
+ */
+export function metroMapShowPdfExport(metromapdesignapplication) {
+  if (!metromapdesignapplication?.map) {
+    ui.showAlert('Application not initialized yet. Please wait for the app to load.', 'warning');
+    return;
+  }
+
+  const pageSizeSelector = document.getElementById("pdfExportPageSize");
+  const orientationSelector = document.getElementById("pdfExportOrientation");
+  const modalElement = document.getElementById("pdfExportModal");
+  if (!pageSizeSelector || !orientationSelector || !modalElement) return;
+
+  if (pageSizeSelector.options.length === 0) {
+    Object.keys(config.pdfConfig.pageSizes).forEach((pageSize) => {
+      const option = document.createElement("option");
+      option.value = pageSize;
+      option.textContent = pageSize;
+      pageSizeSelector.appendChild(option);
+    });
+    pageSizeSelector.value = config.pdfConfig.defaultPageSize;
+    orientationSelector.value = config.pdfConfig.defaultOrientation;
+  }
+
+  bootstrap.Modal.getOrCreateInstance(modalElement).show();
+}
+
+/**
+ * Download the metromap as a vector PDF on the paper size and orientation chosen in the PDF export
+ */
+export async function metroMapDownloadPDF(metromapdesignapplication) {
+  try {
+    // Check if application instance is available
+    if (!metromapdesignapplication?.map) {
+      throw new Error('Application not initialized yet. Please wait for the app to load.');
+    }
+
+    // Refuse maps with errors when the user chose to
+    if (!checkBeforeExport(metromapdesignapplication)) return;
+
+    // Deselect all stations to prevent selection box from being exported
+    metromapdesignapplication.map.unselectAllStations();
+
+    // Get canvas name, limit to 200 characters
+    let canvasName = metromapdesignapplication.getCanvasName();
+    if (canvasName.length > 200) {
+      canvasName = canvasName.substring(0, 200);
+    }
+
+    const options = {
+      pageSize: document.getElementById("pdfExportPageSize")?.value,
+      orientation: document.getElementById("pdfExportOrientation")?.value,
+    };
+    await metromapdesignapplication.importExport.getPDF(metromapdesignapplication.map, options, canvasName);
+
+    const modalElement = document.getElementById("pdfExportModal");
+    if (modalElement) bootstrap.Modal.getOrCreateInstance(modalElement).hide();
+  } catch (error) {
+    console.error("Error exporting PDF:", error);
+    ui.showAlert("Error downloading PDF: " + error.message, "danger");
+  }
+}
+
+/**
+ * Show the poster export with the size of the poster and the paper sizes to print it on
+ */
+export function metroMapShowPosterExport(metromapdesignapplication) {
+  if (!metromapdesignapplication?.map) {
+    ui.showAlert('Application not initialized yet. Please wait for the app to load.', 'warning');
+    return;
+  }
+
+  const pageSizeSelector = document.getElementById("posterExportPageSize");
+  const modalElement = document.getElementById("posterExportModal");
+  if (!pageSizeSelector || !modalElement) return;
+
+  if (pageSizeSelector.options.length === 0) {
+    config.posterConfig.pageSizes.forEach((pageSize) => {
+      const option = document.createElement("option");
+      option.value = pageSize;
+      option.textContent = pageSize;
+      pageSizeSelector.appendChild(option);
+    });
+    pageSizeSelector.value = config.posterConfig.defaultPageSize;
+    document.getElementById("posterExportOrientation").value = config.posterConfig.defaultOrientation;
+    document.getElementById("posterExportWidth").value = config.posterConfig.defaultWidth;
+    document.getElementById("posterExportOverlap").value = config.posterConfig.overlap;
+  }
+
+  updatePosterExportInfo(metromapdesignapplication);
+  bootstrap.Modal.getOrCreateInstance(modalElement).show();
+}
+
+/**
+ * Shows the number of pages and the size of the poster chosen in the poster export
  */
-export function metroMapDownloadSVG(metromapdesignapplication) {
+export function updatePosterExportInfo(metromapdesignapplication) {
+  if (!metromapdesignapplication?.map) return;
+
+  const info = document.getElementById("posterExportInfo");
+  if (info) {
+    const { columns, rows, width, height } = metromapdesignapplication.importExport.getPosterLayout(metromapdesignapplication.map, getPosterExportOptions());
+    info.textContent = i18next.t("i18n_posterExportInfo", {
+      columns, rows, pages: columns * rows, width: width.toFixed(1), height: height.toFixed(1),
+    });
+    info.classList.toggle("text-danger", columns * rows > config.posterConfig.maximumPages);
+  }
+}
+
+/**
+ * Download the metromap as a poster PDF, printed at the chosen size on several pages
+ */
+export async function metroMapDownloadPoster(metromapdesignapplication) {
+  try {
+    // Check if application instance is available
+    if (!metromapdesignapplication?.map) {
+      throw new Error('Application not initialized yet. Please wait for the app to load.');
+    }
+
+    // Refuse maps with errors when the user chose to
+    if (!checkBeforeExport(metromapdesignapplication)) return;
+
+    // Deselect all stations to prevent selection box from being exported
+    metromapdesignapplication.map.unselectAllStations();
+
+    // Get canvas name, limit to 200 characters
+    let canvasName = metromapdesignapplication.getCanvasName();
+    if (canvasName.length > 200) {
+      canvasName = canvasName.substring(0, 200);
+    }
+
+    await metromapdesignapplication.importExport.getPDF(metromapdesignapplication.map, getPosterExportOptions(), canvasName + "-poster");
+
+    const modalElement = document.getElementById("posterExportModal");
+    if (modalElement) bootstrap.Modal.getOrCreateInstance(modalElement).hide();
+  } catch (error) {
+    console.error("Error exporting poster:", error);
+    ui.showAlert("Error downloading poster: " + error.message, "danger");
+  }
+}
+
+/**
+ * Reads the options of the poster export, with the width in centimeters and the overlap in millimeters.
+ * @private
+ */
+function getPosterExportOptions() {
+  const value = (id) => document.getElementById(id)?.value;
+  const width = parseFloat(value("posterExportWidth"));
+  const overlap = parseFloat(value("posterExportOverlap"));
+
+  return {
+    pageSize: value("posterExportPageSize") || config.posterConfig.defaultPageSize,
+    orientation: value("posterExportOrientation") || config.posterConfig.defaultOrientation,
+    poster: {
+      width: width > 0 ? width : config.posterConfig.defaultWidth,
+      overlap: (overlap >= 0 ? overlap : config.posterConfig.overlap) / 10,
+    },
+  };
+}
+
+/**
+ * Download the metromap as SVG with proper resource cleanup timing.
+ * The SVG for publishing has embedded fonts and no designer markup, but cannot be loaded in the designer again.
+ */
+export async function metroMapDownloadSVG(metromapdesignapplication, publish = false) {
   let blob = null;
   let url = null;
   let link = null;
@@ -150,9 +405,19 @@ export function metroMapDownloadSVG(metromapdesignapplication) {
     if (!metromapdesignapplication) {
       throw new Error('Application not initialized yet. Please wait for the app to load.');
     }
+
+    // Refuse maps with errors when the user chose to
+    if (!checkBeforeExport(metromapdesignapplication)) return;
     
     // Get content
-    const svgData = metromapdesignapplication.getMapContentSVG();
+    let svgData;
+    if (publish) {
+      const { svg, warnings } = await metromapdesignapplication.getMapContentPublishingSVG();
+      warnings.forEach((warning) => ui.showAlert(i18next.t(`i18n_publishWarning_${warning.rule}`, warning.params), "warning"));
+      svgData = svg;
+    } else {
+      svgData = metromapdesignapplication.getMapContentSVG();
+    }
     if (!svgData) {
       throw new Error("No SVG content available for download");
     }
@@ -177,6 +442,9 @@ export function metroMapDownloadSVG(metromapdesignapplication) {
     resourceCleanup.urls.add(url);
     
     link.click();
+
+    // The downloaded map can be loaded again, so the autosaved copy is not needed anymore
+    if (!publish) metromapdesignapplication.autosave?.markSaved();
     
     // Clean up with proper timing to ensure download starts
     const timeoutId = setTimeout(() => {
@@ -215,7 +483,136 @@ export function metroMapDownloadJSON(metromapdesignapplication) {
     ui.showAlert('Application not initialized yet. Please wait for the app to load.', 'warning');
     return;
   }
+
+  // Refuse maps with errors when the user chose to
+  if (!checkBeforeExport(metromapdesignapplication)) return;
   
   metromapdesignapplication.importExport.getJSON(metromapdesignapplication.map, metromapdesignapplication.getCanvasName());
+
+  // The downloaded map can be loaded again, so the autosaved copy is not needed anymore
+  metromapdesignapplication.autosave?.markSaved();
 }
 
+
+/**
+ * Show the calendar export with the metrolines of the map to choose from
+ */
+export function metroMapShowCalendarExport(metromapdesignapplication) {
+  if (!metromapdesignapplication?.map) {
+    ui.showAlert('Application not initialized yet. Please wait for the app to load.', 'warning');
+    return;
+  }
+
+  const selector = document.getElementById("calendarExportMetroline");
+  const modalElement = document.getElementById("calendarExportModal");
+  if (!selector || !modalElement) return;
+
+  const map = metromapdesignapplication.map;
+  const previous = selector.value;
+  selector.replaceChildren();
+
+  const allOption = document.createElement("option");
+  allOption.value = "";
+  allOption.textContent = i18next.t("i18n_calendarExportAllLines");
+  selector.appendChild(allOption);
+
+  map.lines
+    .filter((metroline) => metroline.getLines().length > 0)
+    .forEach((metroline) => {
+      const option = document.createElement("option");
+      option.value = metroline.getId();
+      option.textContent = map.legenda.toJSONLegendByMetroline(metroline)?.name || metroline.getId();
+      selector.appendChild(option);
+    });
+  if (map.getMetrolineWithId(previous)) selector.value = previous;
+
+  document.getElementById("calendarExportReport")?.replaceChildren();
+  bootstrap.Modal.getOrCreateInstance(modalElement).show();
+}
+
+/**
+ * Download the stations of the map or of the metroline chosen in the calendar export as an iCalendar (.ics) file.
+ * Stations without a readable date are listed in the calendar export.
+ */
+export function metroMapDownloadICS(metromapdesignapplication) {
+  try {
+    // Check if application instance is available
+    if (!metromapdesignapplication?.map) {
+      throw new Error('Application not initialized yet. Please wait for the app to load.');
+    }
+
+    // Refuse maps with errors when the user chose to
+    if (!checkBeforeExport(metromapdesignapplication)) return;
+
+    const map = metromapdesignapplication.map;
+    const metroline = map.getMetrolineWithId(document.getElementById("calendarExportMetroline")?.value) || null;
+
+    // Name the file after the map, and the metroline when only one is exported
+    let filename = metromapdesignapplication.getCanvasName();
+    if (metroline) {
+      filename += " - " + (map.legenda.toJSONLegendByMetroline(metroline)?.name || metroline.getId());
+    }
+    if (filename.length > 200) {
+      filename = filename.substring(0, 200);
+    }
+
+    const { events, unparsed } = metromapdesignapplication.importExport.getICS(map, metroline, filename);
+    showCalendarExportReport(unparsed);
+    ui.showAlert(i18next.t("i18n_calendarExportDone", { count: events }), unparsed.length > 0 ? "warning" : "success");
+  } catch (error) {
+    console.error("Error exporting calendar:", error);
+    ui.showAlert("Error exporting calendar: " + error.message, "danger");
+  }
+}
+
+/**
+ * Lists the stations that were left out of the calendar because no date could be read from them.
+ * @private
+ */
+function showCalendarExportReport(unparsed) {
+  const report = document.getElementById("calendarExportReport");
+  if (!report) return;
+
+  report.replaceChildren();
+  if (unparsed.length === 0) return;
+
+  const message = document.createElement("p");
+  message.className = "mb-1";
+  message.textContent = i18next.t("i18n_calendarExportUnparsed", { count: unparsed.length });
+  report.appendChild(message);
+
+  const list = document.createElement("ul");
+  list.className = "small mb-0";
+  unparsed.forEach((station) => {
+    const item = document.createElement("li");
+    item.textContent = station.getDate() ? `${station.getName()}: "${station.getDate()}"` : station.getName();
+    list.appendChild(item);
+  });
+  report.appendChild(list);
+}
+
+/**
+ * Download the stations of the metromap as CSV, to be edited in a spreadsheet program
+ */
+export function metroMapDownloadCSV(metromapdesignapplication) {
+  try {
+    // Check if application instance is available
+    if (!metromapdesignapplication?.map) {
+      throw new Error('Application not initialized yet. Please wait for the app to load.');
+    }
+
+    // Refuse maps with errors when the user chose to
+    if (!checkBeforeExport(metromapdesignapplication)) return;
+
+    // Get canvas name, limit to 200 characters
+    let canvasName = metromapdesignapplication.getCanvasName();
+    if (canvasName.length > 200) {
+      canvasName = canvasName.substring(0, 200);
+    }
+
+    metromapdesignapplication.importExport.getCSV(metromapdesignapplication.map, canvasName);
+  } catch (error) {
+    console.error("Error exporting CSV:", error);
+    ui.showAlert("Error downloading CSV: " + error.message, "danger");
+  }
+}
@@ -0,0 +1,195 @@
+import * as ui from './uifunctions.js?v=1.0.5';
+
+// Action waiting for a new key combination, null when not recording
+let recordingAction = null;
+
+/**
+ * Helper function to get application instance with null check.
+ *
+ * @private
+ * @returns {Object|null} The metro map application instance or null if not initialized
+ */
+function getApp() {
+  const app = window.metromapApp;
+  if (!app) {
+    console.warn('Application not initialized yet');
+    return null;
+  }
+  return app;
+}
+
+// ####################################################
+// KEYBOARD SHORTCUTS OVERLAY
+//
+
+/**
+ * Shows the overlay with all keyboard shortcuts.
+ *
+ * @example
+ * // Show the keyboard shortcuts
+ * showKeyboardShortcuts();
+ */
+export function showKeyboardShortcuts() {
+  const modalElement = document.getElementById("keyboardShortcutsModal");
+  if (!modalElement) return;
+
+  renderKeyboardShortcuts();
+  bootstrap.Modal.getOrCreateInstance(modalElement).show();
+}
+
+/**
+ * Fills the keyboard shortcuts overlay with a row per action, showing
+ * its key combinations and buttons to change or disable them.
+ *
+ * @private
+ */
+function renderKeyboardShortcuts() {
+  const app = getApp();
+  const table = document.getElementById("keyboardShortcutsTable");
+  if (!app || !table) return;
+
+  const keymap = app.keymap;
+  table.replaceChildren();
+
+  Object.entries(keymap.getBindings()).forEach(([action, combos]) => {
+    const row = document.createElement("tr");
+
+    // Action name, palette colors are numbered
+    const label = document.createElement("td");
+    const paletteMatch = /^metrolineColor(\d+)$/.exec(action);
+    label.textContent = paletteMatch
+      ? i18next.t("i18n_shortcut_metrolineColor", { number: paletteMatch[1] })
+      : i18next.t(`i18n_shortcut_${action}`);
+    row.appendChild(label);
+
+    // Current key combinations
+    const keys = document.createElement("td");
+    if (recordingAction === action) {
+      keys.textContent = i18next.t("i18n_shortcut_pressKey");
+    } else {
+      combos.forEach((combo) => {
+        const kbd = document.createElement("kbd");
+        kbd.textContent = keymap.formatCombo(combo);
+        keys.appendChild(kbd);
+        keys.appendChild(document.createTextNode(" "));
+      });
+    }
+    row.appendChild(keys);
+
+    // Change and disable buttons
+    const buttons = document.createElement("td");
+    buttons.className = "text-end";
+    const changeButton = document.createElement("button");
+    changeButton.className = "btn btn-sm btn-outline-secondary me-1";
+    changeButton.innerHTML = '<i class="fa-solid fa-keyboard"></i>';
+    changeButton.title = i18next.t("i18n_shortcut_change");
+    changeButton.addEventListener("click", () => recordKeyboardShortcut(action));
+    const clearButton = document.createElement("button");
+    clearButton.className = "btn btn-sm btn-outline-secondary";
+    clearButton.innerHTML = '<i class="fa-solid fa-xmark"></i>';
+    clearButton.title = i18next.t("i18n_shortcut_clear");
+    clearButton.addEventListener("click", () => clearKeyboardShortcut(action));
+    buttons.append(changeButton, clearButton);
+    row.appendChild(buttons);
+
+    table.appendChild(row);
+  });
+}
+
+// ####################################################
+// REMAPPING
+//
+
+/**
+ * Waits for the next key combination and binds it to the action.
+ * Escape stops waiting without changing the shortcut.
+ *
+ * @param {string} action - The action to bind a new key combination to
+ */
+export function recordKeyboardShortcut(action) {
+  recordingAction = action;
+  renderKeyboardShortcuts();
+}
+
+/**
+ * Handles key presses while the overlay waits for a new key combination.
+ *
+ * @private
+ * @param {KeyboardEvent} event - The keyboard event
+ */
+function recordKeyDown(event) {
+  if (!recordingAction) return;
+  const app = getApp();
+  if (!app) return;
+
+  const combo = app.keymap.eventToCombo(event);
+  if (!combo) return; // Wait for a key next to the modifiers
+
+  event.preventDefault();
+  event.stopPropagation();
+
+  const action = recordingAction;
+  recordingAction = null;
+  if (combo !== "escape") {
+    try {
+      app.keymap.setBinding(action, [combo]);
+    } catch (error) {
+      console.error('Error changing keyboard shortcut:', error);
+      ui.showAlert('Failed to change keyboard shortcut: ' + error.message, 'danger');
+    }
+  }
+  renderKeyboardShortcuts();
+}
+
+/**
+ * Removes all key combinations from an action.
+ *
+ * @param {string} action - The action to disable
+ */
+export function clearKeyboardShortcut(action) {
+  const app = getApp();
+  if (!app) return;
+
+  recordingAction = null;
+  app.keymap.setBinding(action, []);
+  renderKeyboardShortcuts();
+}
+
+/**
+ * Restores the default keyboard shortcuts.
+ *
+ * @example
+ * // Reset all shortcuts
+ * resetKeyboardShortcuts();
+ */
+export function resetKeyboardShortcuts() {
+  const app = getApp();
+  if (!app) return;
+
+  recordingAction = null;
+  app.keymap.resetBindings();
+  renderKeyboardShortcuts();
+}
+
+/**
+ * Attaches the hooks and listeners of the keyboard shortcuts overlay.
+ *
+ * @example
+ * // Setup keyboard shortcut hooks
+ * addKeyboardShortcutHooks();
+ */
+export function addKeyboardShortcutHooks() {
+  const app = getApp();
+  if (!app) return;
+
+  app.addHook('keyboardShortcutsRequested', showKeyboardShortcuts);
+
+  const modalElement = document.getElementById("keyboardShortcutsModal");
+  if (modalElement) {
+    // Capture key presses before the modal handles them, so Escape stops recording instead of closing the overlay
+    modalElement.addEventListener("keydown", recordKeyDown, true);
+    modalElement.addEventListener("hidden.bs.modal", () => {
+      recordingAction = null;
+    });
+  }
+}
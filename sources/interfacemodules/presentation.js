@@ -0,0 +1,215 @@
+import * as config from '../metromapdesigner/config.js?v=1.0.5';
+import * as ui from './uifunctions.js?v=1.0.5';
+
+// Running presentation: the presented stations, the current step and whether viewer mode was on before
+let presentation = null;
+
+// Keys moving through the presentation, clickers send page up and page down
+const presentationKeys = {
+  ArrowRight: "next",
+  ArrowDown: "next",
+  PageDown: "next",
+  " ": "next",
+  Enter: "next",
+  ArrowLeft: "previous",
+  ArrowUp: "previous",
+  PageUp: "previous",
+  Backspace: "previous",
+  Home: "first",
+  End: "last",
+  Escape: "stop",
+};
+
+/**
+ * Helper function to get application instance with null check.
+ *
+ * @private
+ * @returns {Object|null} The metro map application instance or null if not initialized
+ */
+function getApp() {
+  const app = window.metromapApp;
+  if (!app) {
+    console.warn('Application not initialized yet');
+    return null;
+  }
+  return app;
+}
+
+// ####################################################
+// PRESENTATION MODE
+//
+
+/**
+ * Shows the presentation panel with the metrolines of the map to choose from.
+ *
+ * @example
+ * // Open the presentation panel
+ * showPresentationPanel();
+ */
+export function showPresentationPanel() {
+  const app = getApp();
+  const panelElement = document.getElementById("presentationPanel");
+  const selector = document.getElementById("presentationMetroline");
+  if (!app?.map || !panelElement || !selector) return;
+
+  const previous = selector.value;
+  selector.replaceChildren();
+  app.map.lines
+    .filter((metroline) => metroline.getLines().length > 0)
+    .forEach((metroline) => {
+      const option = document.createElement("option");
+      option.value = metroline.getId();
+      option.textContent = app.map.legenda.toJSONLegendByMetroline(metroline)?.name || metroline.getId();
+      selector.appendChild(option);
+    });
+  if (app.map.getMetrolineWithId(previous)) selector.value = previous;
+
+  bootstrap.Offcanvas.getOrCreateInstance(panelElement).show();
+}
+
+/**
+ * Starts presenting the metroline chosen in the presentation panel, from its first station.
+ * The editing tools are hidden until the presentation is stopped.
+ *
+ * @example
+ * // Present the chosen metroline
+ * startPresentation();
+ */
+export function startPresentation() {
+  const app = getApp();
+  if (!app?.map) return;
+
+  const metroline = app.map.getMetrolineWithId(document.getElementById("presentationMetroline")?.value);
+  if (!metroline) return;
+
+  try {
+    const stations = app.map.startPresentation(metroline);
+    if (stations.length === 0) {
+      app.map.stopPresentation();
+      ui.showAlert(i18next.t('i18n_presentationNoStations'), 'warning');
+      return;
+    }
+
+    const panelElement = document.getElementById("presentationPanel");
+    if (panelElement) bootstrap.Offcanvas.getOrCreateInstance(panelElement).hide();
+
+    presentation = { stations, step: 0, wasViewerMode: app.viewerMode };
+    app.setViewerMode(true);
+    document.body.classList.add("presenting");
+    document.getElementById("presentationCaption")?.classList.remove("d-none");
+    document.addEventListener("keydown", presentationKeyDown, true);
+
+    showStep(0);
+  } catch (error) {
+    console.error('Error starting presentation:', error);
+    ui.showAlert('Failed to start presentation: ' + error.message, 'danger');
+  }
+}
+
+/**
+ * Moves the presentation to the next station.
+ *
+ * @example
+ * nextPresentationStation();
+ */
+export function nextPresentationStation() {
+  if (presentation) showStep(presentation.step + 1);
+}
+
+/**
+ * Moves the presentation back to the previous station.
+ *
+ * @example
+ * previousPresentationStation();
+ */
+export function previousPresentationStation() {
+  if (presentation) showStep(presentation.step - 1);
+}
+
+/**
+ * Stops the presentation, shows the complete map again and brings back the mode used before.
+ *
+ * @example
+ * stopPresentation();
+ */
+export function stopPresentation() {
+  if (!presentation) return;
+
+  const app = getApp();
+  const { wasViewerMode } = presentation;
+  presentation = null;
+
+  document.removeEventListener("keydown", presentationKeyDown, true);
+  document.getElementById("presentationCaption")?.classList.add("d-none");
+  document.body.classList.remove("presenting");
+  ui.resetZoom();
+
+  if (app?.map) {
+    app.map.stopPresentation();
+    app.setViewerMode(wasViewerMode);
+  }
+
+  // The presentation replaced a metroline filter of viewer mode
+  const filter = document.getElementById("viewerMetrolineFilter");
+  if (filter) filter.value = "";
+}
+
+/**
+ * Shows a step of the presentation: draws the metroline up to its station, zooms in on the station
+ * and shows the name, date and description of the station in the caption.
+ *
+ * @private
+ * @param {number} step - The index of the station to show.
+ */
+function showStep(step) {
+  const app = getApp();
+  if (!app?.map || !presentation) return;
+
+  presentation.step = Math.max(0, Math.min(step, presentation.stations.length - 1));
+  const station = app.map.showPresentationStep(presentation.step);
+  if (!station) return;
+
+  const caption = document.getElementById("presentationCaption");
+  document.getElementById("presentationStationName").textContent = station.getName();
+  document.getElementById("presentationStationDate").textContent = station.getDisplayDate();
+  document.getElementById("presentationStationDescription").textContent = station.getDescription();
+  document.getElementById("presentationProgress").textContent =
+    i18next.t("i18n_presentationProgress", { current: presentation.step + 1, total: presentation.stations.length });
+  document.getElementById("presentationPrevious").disabled = presentation.step === 0;
+  document.getElementById("presentationNext").disabled = presentation.step === presentation.stations.length - 1;
+
+  ui.zoomToElement(station.refSvg, config.presentationConfig.zoom, caption?.offsetHeight ?? 0);
+}
+
+/**
+ * Moves through the presentation with the arrow keys, page up and page down, and stops it with Escape.
+ * The keys are captured before the keyboard shortcuts of the editor.
+ *
+ * @private
+ * @param {KeyboardEvent} e - The keyboard event.
+ */
+function presentationKeyDown(e) {
+  const action = presentationKeys[e.key];
+  if (!action || !presentation || e.altKey || e.ctrlKey || e.metaKey) return;
+
+  e.preventDefault();
+  e.stopPropagation();
+
+  switch (action) {
+    case "next":
+      nextPresentationStation();
+      break;
+    case "previous":
+      previousPresentationStation();
+      break;
+    case "first":
+      showStep(0);
+      break;
+    case "last":
+      showStep(presentation.stations.length - 1);
+      break;
+    case "stop":
+      stopPresentation();
+      break;
+  }
+}
@@ -0,0 +1,132 @@
+import * as ui from './uifunctions.js?v=1.0.5';
+
+// Problems listed in the panel
+let listedProblems = [];
+
+/**
+ * Helper function to get application instance with null check.
+ *
+ * @private
+ * @returns {Object|null} The metro map application instance or null if not initialized
+ */
+function getApp() {
+  const app = window.metromapApp;
+  if (!app) {
+    console.warn('Application not initialized yet');
+    return null;
+  }
+  return app;
+}
+
+// ####################################################
+// PROBLEMS PANEL
+//
+
+/**
+ * Checks the map and shows the problems panel with the problems found.
+ *
+ * @example
+ * // Open the problems panel
+ * showProblems();
+ */
+export function showProblems() {
+  const panelElement = document.getElementById("problemsPanel");
+  if (!panelElement) return;
+
+  refreshProblems();
+  bootstrap.Offcanvas.getOrCreateInstance(panelElement).show();
+}
+
+/**
+ * Checks the map again and lists the problems found in the problems panel.
+ * Clicking a problem selects the elements it is about.
+ *
+ * @example
+ * // Check the map again after fixing a problem
+ * refreshProblems();
+ */
+export function refreshProblems() {
+  const app = getApp();
+  const list = document.getElementById("problemsList");
+  if (!app?.map || !list) return;
+
+  listedProblems = app.map.lint();
+  list.replaceChildren();
+
+  const blockExport = document.getElementById("problemsBlockExport");
+  if (blockExport) blockExport.checked = app.map.linter.blockExportOnErrors;
+
+  if (listedProblems.length === 0) {
+    const message = document.createElement("p");
+    message.textContent = i18next.t("i18n_problemsNone");
+    list.appendChild(message);
+    return;
+  }
+
+  listedProblems.forEach((problem) => {
+    const item = document.createElement("button");
+    item.type = "button";
+    item.className = "list-group-item list-group-item-action list-group-item-dark d-flex align-items-start";
+
+    const icon = document.createElement("i");
+    icon.className = problem.severity === "error"
+      ? "fa-solid fa-circle-xmark text-danger me-2 mt-1"
+      : "fa-solid fa-triangle-exclamation text-warning me-2 mt-1";
+    const message = document.createElement("span");
+    message.textContent = i18next.t(`i18n_lint_${problem.rule}`, problem.params);
+    item.append(icon, message);
+
+    item.addEventListener("click", () => selectProblem(problem));
+    list.appendChild(item);
+  });
+}
+
+/**
+ * Selects the elements on the canvas a problem is about.
+ *
+ * @private
+ * @param {Object} problem - A problem as returned by `metromap.lint`.
+ */
+function selectProblem(problem) {
+  const app = getApp();
+  if (!app?.map) return;
+
+  try {
+    app.map.selectProblem(problem);
+  } catch (error) {
+    console.error('Error selecting problem:', error);
+  }
+}
+
+/**
+ * Changes whether sharing and exporting is refused while the map has errors.
+ *
+ * @param {boolean} block - True to refuse exports of maps with errors.
+ *
+ * @example
+ * // Refuse to export maps with errors
+ * setBlockExportOnErrors(true);
+ */
+export function setBlockExportOnErrors(block) {
+  const app = getApp();
+  app?.map?.linter.setBlockExportOnErrors(block);
+}
+
+/**
+ * Checks if the map may be shared or exported. When exports of maps with errors are refused
+ * and the map has errors, the problems panel is shown instead.
+ *
+ * @param {Object} metromapdesignapplication - The metro map application.
+ * @returns {boolean} True if the export may continue.
+ *
+ * @example
+ * if (!checkBeforeExport(window.metromapApp)) return;
+ */
+export function checkBeforeExport(metromapdesignapplication) {
+  const linter = metromapdesignapplication?.map?.linter;
+  if (!linter || linter.allowsExport()) return true;
+
+  ui.showAlert(i18next.t('i18n_problemsExportBlocked'), 'danger');
+  showProblems();
+  return false;
+}
@@ -0,0 +1,216 @@
+import * as ui from './uifunctions.js?v=1.0.5';
+
+/**
+ * Helper function to get application instance with null check.
+ *
+ * @private
+ * @returns {Object|null} The metro map application instance or null if not initialized
+ */
+function getApp() {
+  const app = window.metromapApp;
+  if (!app) {
+    console.warn('Application not initialized yet');
+    return null;
+  }
+  return app;
+}
+
+// ####################################################
+// ROUTE FINDER PANEL
+//
+
+/**
+ * Shows the route finder panel with all stations of the map to choose from.
+ *
+ * @example
+ * // Open the route finder
+ * showRouteFinder();
+ */
+export function showRouteFinder() {
+  const panelElement = document.getElementById("routeFinderPanel");
+  if (!panelElement) return;
+
+  fillStationSelectors();
+  bootstrap.Offcanvas.getOrCreateInstance(panelElement).show();
+}
+
+/**
+ * Fills the start and destination selectors with the stations of the map, sorted by name.
+ * A station that was chosen before stays chosen when it is still on the map.
+ *
+ * @private
+ */
+function fillStationSelectors() {
+  const app = getApp();
+  if (!app?.map) return;
+
+  const stations = app.map.stations
+    .map((station, index) => ({ index, name: station.getName() || "" }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+  ["routeFinderFrom", "routeFinderTo"].forEach((id) => {
+    const selector = document.getElementById(id);
+    if (!selector) return;
+
+    const previous = app.map.stations[Number(selector.value)];
+    selector.replaceChildren();
+    stations.forEach(({ index, name }) => {
+      const option = document.createElement("option");
+      option.value = index;
+      option.textContent = name;
+      selector.appendChild(option);
+    });
+
+    const previousIndex = app.map.stations.indexOf(previous);
+    if (previousIndex !== -1) selector.value = previousIndex;
+  });
+}
+
+/**
+ * Finds the route between the stations chosen in the route finder panel,
+ * highlights it on the map and lists its steps.
+ *
+ * @example
+ * // Find the route for the current choice
+ * findRoute();
+ */
+export function findRoute() {
+  const app = getApp();
+  if (!app?.map) return;
+
+  const from = app.map.stations[Number(document.getElementById("routeFinderFrom").value)];
+  const to = app.map.stations[Number(document.getElementById("routeFinderTo").value)];
+  if (!from || !to) {
+    ui.showAlert(i18next.t('i18n_routeFinderNoStations'), 'warning');
+    return;
+  }
+
+  try {
+    const minimiseTransfers = document.getElementById("routeFinderMinimiseTransfers").checked;
+    const route = app.map.findRoute(from, to, { minimiseTransfers });
+
+    if (!route) {
+      app.map.clearRouteHighlight();
+      renderRoute(null);
+      return;
+    }
+
+    app.map.highlightRoute(route);
+    renderRoute(route);
+  } catch (error) {
+    console.error('Error finding route:', error);
+    ui.showAlert('Failed to find route: ' + error.message, 'danger');
+  }
+}
+
+/**
+ * Removes the highlighted route from the map and empties the list of steps.
+ *
+ * @example
+ * // Show the complete map again
+ * clearRoute();
+ */
+export function clearRoute() {
+  const app = getApp();
+  app?.map?.clearRouteHighlight();
+  document.getElementById("routeFinderResult")?.replaceChildren();
+}
+
+/**
+ * Lists the steps of a route: every leg with the metroline to take, and the stations passed with their dates and links.
+ *
+ * @private
+ * @param {Object|null} route - The route as returned by `metromap.findRoute`, or null when no route was found.
+ */
+function renderRoute(route) {
+  const app = getApp();
+  const result = document.getElementById("routeFinderResult");
+  if (!app || !result) return;
+
+  result.replaceChildren();
+
+  if (!route) {
+    const message = document.createElement("p");
+    message.textContent = i18next.t("i18n_routeFinderNoRoute");
+    result.appendChild(message);
+    return;
+  }
+
+  const summary = document.createElement("p");
+  summary.className = "small text-white-50";
+  summary.textContent = i18next.t("i18n_routeFinderSummary", { stops: route.stations.length - 1, transfers: route.transfers });
+  result.appendChild(summary);
+
+  route.legs.forEach((leg, index) => {
+    // Metroline to take, with its color and name from the legend
+    const heading = document.createElement("h6");
+    heading.className = "mt-3";
+    const swatch = document.createElement("i");
+    swatch.className = "fa-solid fa-circle me-2";
+    swatch.style.color = leg.metroline.getColor();
+    const name = app.map.legenda.toJSONLegendByMetroline(leg.metroline)?.name || leg.metroline.getId();
+    heading.append(swatch, i18next.t(index === 0 ? "i18n_routeFinderTake" : "i18n_routeFinderTransfer", { line: name }));
+    result.appendChild(heading);
+
+    // Stations passed on this metroline, the first one is where the previous leg ended
+    const list = document.createElement("ol");
+    list.className = "list-unstyled ms-4 small";
+    leg.stations.forEach((station, stationIndex) => {
+      if (index > 0 && stationIndex === 0) return;
+      list.appendChild(createStationStep(station));
+    });
+    result.appendChild(list);
+  });
+}
+
+/**
+ * Creates a list item for a station on a route, with its date and a link when the station has one.
+ *
+ * @private
+ * @param {Object} station - The station.
+ * @returns {HTMLLIElement} The list item.
+ */
+function createStationStep(station) {
+  const item = document.createElement("li");
+  item.className = "mb-1";
+
+  const name = document.createElement("div");
+  name.className = "fw-semibold";
+  name.textContent = station.getName();
+  item.appendChild(name);
+
+  if (station.getDisplayDate()) {
+    const date = document.createElement("div");
+    date.className = "text-white-50";
+    date.textContent = station.getDisplayDate();
+    item.appendChild(date);
+  }
+
+  const link = station.getLink();
+  if (link && /^https?:\/\//i.test(link)) {
+    const anchor = document.createElement("a");
+    anchor.href = link;
+    anchor.target = "_blank";
+    anchor.rel = "noopener noreferrer";
+    anchor.className = "link-light";
+    anchor.textContent = i18next.t("i18n_routeFinderOpenLink");
+    item.appendChild(anchor);
+  }
+
+  return item;
+}
+
+/**
+ * Attaches the listeners of the route finder panel.
+ *
+ * @example
+ * // Setup route finder hooks
+ * addRouteFinderHooks();
+ */
+export function addRouteFinderHooks() {
+  const panelElement = document.getElementById("routeFinderPanel");
+  if (panelElement) {
+    // Show the complete map again when the panel is closed
+    panelElement.addEventListener("hidden.bs.offcanvas", clearRoute);
+  }
+}
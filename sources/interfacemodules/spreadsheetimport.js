@@ -0,0 +1,161 @@
+import * as ui from './uifunctions.js?v=1.0.5';
+
+// Import plan shown in the preview, applied when the user confirms it
+let pendingPlan = null;
+
+// Badge colors of the planned actions
+const actionBadges = {
+  create: "text-bg-success",
+  update: "text-bg-primary",
+  unchanged: "text-bg-secondary",
+  error: "text-bg-danger",
+};
+
+/**
+ * Helper function to get application instance with null check.
+ *
+ * @private
+ * @returns {Object|null} The metro map application instance or null if not initialized
+ */
+function getApp() {
+  const app = window.metromapApp;
+  if (!app) {
+    console.warn('Application not initialized yet');
+    return null;
+  }
+  return app;
+}
+
+// ####################################################
+// SPREADSHEET IMPORT
+//
+
+/**
+ * Compares an imported table of stations with the map and shows the differences, before anything is changed.
+ * The import is carried out with `applySpreadsheetImport` when the user confirms it.
+ *
+ * @param {string} csvText - The content of the CSV file.
+ *
+ * @example
+ * // Preview the import of a CSV file read from an upload
+ * previewSpreadsheetImport(fileContent);
+ */
+export function previewSpreadsheetImport(csvText) {
+  const app = getApp();
+  const modalElement = document.getElementById("spreadsheetImportModal");
+  if (!app?.map || !modalElement) return;
+
+  try {
+    pendingPlan = app.map.spreadsheet.planImport(csvText);
+  } catch (error) {
+    pendingPlan = null;
+    console.error('Error reading spreadsheet:', error);
+    ui.showAlert('Failed to read spreadsheet: ' + error.message, 'danger');
+    return;
+  }
+
+  renderPlan(pendingPlan);
+  bootstrap.Modal.getOrCreateInstance(modalElement).show();
+}
+
+/**
+ * Carries out the previewed import: creates the new stations and updates the changed ones, in one undo step.
+ * Rows with errors are skipped.
+ *
+ * @example
+ * applySpreadsheetImport();
+ */
+export function applySpreadsheetImport() {
+  const app = getApp();
+  if (!app?.map || !pendingPlan) return;
+
+  try {
+    const { created, updated } = app.importSpreadsheet(pendingPlan);
+    ui.showAlert(i18next.t('i18n_spreadsheetImportDone', { created: created.length, updated: updated.length }), 'success');
+  } catch (error) {
+    console.error('Error importing spreadsheet:', error);
+    ui.showAlert('Failed to import spreadsheet: ' + error.message, 'danger');
+  } finally {
+    pendingPlan = null;
+    const modalElement = document.getElementById("spreadsheetImportModal");
+    if (modalElement) bootstrap.Modal.getOrCreateInstance(modalElement).hide();
+  }
+}
+
+/**
+ * Shows the summary and the rows of an import plan in the preview, with the changes per station.
+ *
+ * @private
+ * @param {Object} plan - The plan as returned by `metromapSpreadsheet.planImport`.
+ */
+function renderPlan(plan) {
+  const summary = document.getElementById("spreadsheetImportSummary");
+  const table = document.getElementById("spreadsheetImportRows");
+  const applyButton = document.getElementById("spreadsheetImportApply");
+  if (!summary || !table) return;
+
+  summary.textContent = i18next.t("i18n_spreadsheetImportSummary", plan.counts);
+  if (applyButton) applyButton.disabled = plan.counts.create + plan.counts.update === 0;
+
+  table.replaceChildren();
+  plan.entries
+    .filter((entry) => entry.action !== "unchanged")
+    .forEach((entry) => {
+      const row = document.createElement("tr");
+
+      const number = document.createElement("td");
+      number.className = "text-body-secondary";
+      number.textContent = entry.row;
+
+      const name = document.createElement("td");
+      name.textContent = entry.name;
+
+      const action = document.createElement("td");
+      const badge = document.createElement("span");
+      badge.className = `badge ${actionBadges[entry.action]}`;
+      badge.textContent = i18next.t(`i18n_spreadsheetAction_${entry.action}`);
+      action.appendChild(badge);
+
+      const details = document.createElement("td");
+      details.className = "small";
+      if (entry.error) {
+        details.textContent = i18next.t(`i18n_spreadsheetError_${entry.error.rule}`, entry.error.params);
+      } else {
+        entry.changes.forEach((change) => details.appendChild(createChange(change, entry.action === "create")));
+      }
+
+      row.append(number, name, action, details);
+      table.appendChild(row);
+    });
+}
+
+/**
+ * Creates the line describing the change of a field, with the old value struck through.
+ *
+ * @private
+ * @param {Object} change - The change as { field, from, to }.
+ * @param {boolean} isNew - True for the values of a new station, which have no old value.
+ * @returns {HTMLDivElement} The line.
+ */
+function createChange(change, isNew) {
+  const line = document.createElement("div");
+
+  const field = document.createElement("span");
+  field.className = "fw-semibold me-1";
+  field.textContent = `${change.field}:`;
+  line.appendChild(field);
+
+  if (!isNew && change.from !== "") {
+    const from = document.createElement("del");
+    from.className = "text-danger me-1";
+    from.textContent = change.from;
+    line.appendChild(from);
+  }
+
+  const to = document.createElement("ins");
+  to.className = "text-success text-decoration-none";
+  to.textContent = change.to === "" ? "∅" : change.to;
+  line.appendChild(to);
+
+  return line;
+}
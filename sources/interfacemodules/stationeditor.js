@@ -45,6 +45,7 @@ export function stationEditorShow(station = null) {
   if (station && app.getTool() !== "moveTool") {
     document.getElementById("stationEditorName").value = station.getName();
     document.getElementById("stationEditorDate").value = station.getDate();
+    fillStationDateRange(station);
     document.getElementById("editStationType").value = station.getType();
     document.getElementById("stationEditorLink").value = station.getLink();
     document.getElementById("stationEditorOrientation").value = station.getOrientation();
@@ -174,6 +175,85 @@ export function changeStationDate(newValue) {
   }
 }
 
+/**
+ * Changes the structured date of the selected station to the start and end in the station editor.
+ * The structured date is shown on the map instead of the free text date.
+ * Shows a warning and keeps the current date if the end is before the start.
+ *
+ * @example
+ * // Apply the dates chosen in the station editor
+ * changeStationDateRange();
+ */
+export function changeStationDateRange() {
+  const app = getApp();
+  if (!app) return;
+
+  const start = document.getElementById("stationEditorDateStart").value;
+  const end = document.getElementById("stationEditorDateEnd").value;
+
+  // The start is needed for an end, wait until it is chosen
+  if (!start && end) return;
+
+  if (!helpers.isValidStationDateRange(start, end)) {
+    ui.showAlert("The end of the station can not be before its start", "warning");
+    return;
+  }
+  app.changeSelectedStationProperty("dateRange", { start, end });
+}
+
+/**
+ * Switches the structured date of the selected station between whole days and dates with a time.
+ *
+ * @param {HTMLInputElement} checkbox - The checkbox that is checked for dates with a time
+ * @example
+ * // Add times to the dates of the station
+ * changeStationDateWithTime(document.getElementById('stationEditorDateWithTime'));
+ */
+export function changeStationDateWithTime(checkbox) {
+  ["stationEditorDateStart", "stationEditorDateEnd"].forEach((id) => {
+    const input = document.getElementById(id);
+    const day = input.value.slice(0, 10);
+    input.type = checkbox.checked ? "datetime-local" : "date";
+    input.value = day && checkbox.checked ? `${day}T00:00` : day;
+  });
+  changeStationDateRange();
+}
+
+/**
+ * Removes the structured date of the selected station, the free text date is shown again.
+ *
+ * @example
+ * clearStationDateRange();
+ */
+export function clearStationDateRange() {
+  const app = getApp();
+  if (!app) return;
+
+  document.getElementById("stationEditorDateStart").value = "";
+  document.getElementById("stationEditorDateEnd").value = "";
+  app.changeSelectedStationProperty("dateRange", { start: "", end: "" });
+}
+
+/**
+ * Shows the structured date of a station in the station editor, with inputs for a time when the date has one.
+ *
+ * @private
+ * @param {Object} station - The station
+ */
+function fillStationDateRange(station) {
+  const start = station.getDateStart();
+  const end = station.getDateEnd();
+  const withTime = start.includes("T") || end.includes("T");
+
+  document.getElementById("stationEditorDateWithTime").checked = withTime;
+  [["stationEditorDateStart", start], ["stationEditorDateEnd", end]].forEach(([id, value]) => {
+    const input = document.getElementById(id);
+    input.type = withTime ? "datetime-local" : "date";
+    // A date without a time gets midnight in a time input
+    input.value = withTime && value && !value.includes("T") ? `${value}T00:00` : value;
+  });
+}
+
 /**
  * Changes the description of the selected station with input validation.
  * 
@@ -292,7 +372,9 @@ export function changeStationShape(newValue) {
  * Attaches event hooks to the metro map for handling user interactions.
  * 
  * This function sets up event listeners for station selection, deselection,
- * and movement events to control the station editor visibility.
+ * movement and multi-selection events to control the station editor visibility.
+ * With a multi-selection the editor shows the first selected station and
+ * changes are applied to all selected stations.
  * 
  * @example
  * // Setup station editor hooks
@@ -305,5 +387,6 @@ export function addStationEditorHooks() {
     app.map.addHook('unSelectStation', stationEditorShow);
     app.map.addHook('movingStation', hideStationEditor);
     app.map.addHook('movedStation', showStationEditor);
+    app.map.addHook('selectionChanged', (selection) => stationEditorShow(selection.stations[0] ?? null));
   }
 }
\ No newline at end of file
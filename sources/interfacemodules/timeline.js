@@ -0,0 +1,150 @@
+import * as ui from './uifunctions.js?v=1.0.5';
+
+/**
+ * Helper function to get application instance with null check.
+ *
+ * @private
+ * @returns {Object|null} The metro map application instance or null if not initialized
+ */
+function getApp() {
+  const app = window.metromapApp;
+  if (!app) {
+    console.warn('Application not initialized yet');
+    return null;
+  }
+  return app;
+}
+
+// ####################################################
+// TIMELINE PANEL
+//
+
+/**
+ * Shows the timeline panel listing the stations of every metroline in chronological order.
+ *
+ * @example
+ * // Open the timeline
+ * showTimeline();
+ */
+export function showTimeline() {
+  const panelElement = document.getElementById("timelinePanel");
+  if (!panelElement) return;
+
+  refreshTimeline();
+  bootstrap.Offcanvas.getOrCreateInstance(panelElement).show();
+}
+
+/**
+ * Lists the stations of the map in the timeline panel, grouped by metroline and sorted by their structured date.
+ * Stations without a structured date are listed last with their free text date.
+ *
+ * @example
+ * // List the stations again after changing dates
+ * refreshTimeline();
+ */
+export function refreshTimeline() {
+  const app = getApp();
+  const result = document.getElementById("timelineList");
+  if (!app?.map || !result) return;
+
+  result.replaceChildren();
+
+  let timeline;
+  try {
+    timeline = app.map.getTimeline().filter(({ stations }) => stations.length > 0);
+  } catch (error) {
+    console.error('Error creating timeline:', error);
+    ui.showAlert('Failed to create timeline: ' + error.message, 'danger');
+    return;
+  }
+
+  if (timeline.length === 0) {
+    const message = document.createElement("p");
+    message.textContent = i18next.t("i18n_timelineNoStations");
+    result.appendChild(message);
+    return;
+  }
+
+  timeline.forEach(({ metroline, stations }) => {
+    // Metroline with its color and name from the legend
+    const heading = document.createElement("h6");
+    heading.className = "mt-3";
+    const swatch = document.createElement("i");
+    swatch.className = "fa-solid fa-circle me-2";
+    swatch.style.color = metroline.getColor();
+    heading.append(swatch, app.map.legenda.toJSONLegendByMetroline(metroline)?.name || metroline.getId());
+    result.appendChild(heading);
+
+    const list = document.createElement("ol");
+    list.className = "list-group mb-2";
+    stations.forEach((station) => list.appendChild(createTimelineItem(station)));
+    result.appendChild(list);
+  });
+}
+
+/**
+ * Creates a list item for a station on the timeline, with its date. Clicking it shows the station on the map.
+ *
+ * @private
+ * @param {Object} station - The station.
+ * @returns {HTMLLIElement} The list item.
+ */
+function createTimelineItem(station) {
+  const item = document.createElement("li");
+  item.className = "list-group-item list-group-item-action list-group-item-dark";
+  item.role = "button";
+
+  const name = document.createElement("div");
+  name.className = "fw-semibold";
+  name.textContent = station.getName();
+  item.appendChild(name);
+
+  const date = document.createElement("div");
+  date.className = "small";
+  if (station.getDateStart()) {
+    date.textContent = station.getDisplayDate();
+  } else {
+    date.classList.add("fst-italic");
+    date.textContent = station.getDate() || i18next.t("i18n_timelineNoDate");
+  }
+  item.appendChild(date);
+
+  item.addEventListener("click", () => showTimelineStation(station));
+  return item;
+}
+
+/**
+ * Scrolls a station of the timeline into view and selects it when the map is edited.
+ *
+ * @private
+ * @param {Object} station - The station.
+ */
+function showTimelineStation(station) {
+  const app = getApp();
+  if (!app?.map || !station.refSvg?.isConnected) return;
+
+  station.refSvg.scrollIntoView({ behavior: "smooth", block: "center", inline: "center" });
+  if (!app.viewerMode) {
+    app.map.unselectAllStations();
+    app.map.selectStation(station);
+  }
+}
+
+/**
+ * Attaches the hooks of the timeline panel, which lists the stations again when the map or the language changes.
+ *
+ * @example
+ * // Setup timeline hooks
+ * addTimelineHooks();
+ */
+export function addTimelineHooks() {
+  const app = getApp();
+  const panelElement = document.getElementById("timelinePanel");
+  if (!app || !panelElement) return;
+
+  const refreshShownTimeline = () => {
+    if (panelElement.classList.contains("show")) refreshTimeline();
+  };
+  app.addHook('mapLoaded', refreshShownTimeline);
+  i18next.on('languageChanged', refreshShownTimeline);
+}
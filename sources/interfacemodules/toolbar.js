@@ -52,6 +52,35 @@ export function useTool(id, metromapdesignapplication) {
   highLightTool(id);
 }
 
+/**
+ * Attaches hooks to keep the toolbar in line with the active tool and the polyline
+ * mode, also when they are changed with a keyboard shortcut.
+ * 
+ * @param {Object} metromapdesignapplication - The metro map application instance
+ */
+export function addToolbarHooks(metromapdesignapplication) {
+  metromapdesignapplication.addHook('toolChanged', ({ tool, color }) => {
+    if (tool === "metrolineTool") {
+      highLightMetrolineColor(color);
+    } else {
+      highLightTool(tool);
+    }
+  });
+
+  metromapdesignapplication.addHook('polylineModeChanged', (enabled) => {
+    document.getElementById("polylineModeButton")?.classList.toggle("toolSelected", enabled);
+  });
+}
+
+/**
+ * Switches drawing metrolines with bends on or off.
+ * 
+ * @param {Object} metromapdesignapplication - The metro map application instance
+ */
+export function togglePolylineMode(metromapdesignapplication) {
+  metromapdesignapplication.togglePolylineMode();
+}
+
 /**
  * Toggle grid display
  */
@@ -74,7 +103,15 @@ export function gridToggle(metromapdesignapplication) {
 export function useMetrolineTool(color, metromapdesignapplication) {
   metromapdesignapplication.setMetrolineColor(color);
   metromapdesignapplication.setTool("metrolineTool");
-  
+  highLightMetrolineColor(color);
+}
+
+/**
+ * Will make the color button of the selected metroline color active in the interface.
+ * 
+ * @param {string} color - The selected metroline color (RGB format)
+ */
+export function highLightMetrolineColor(color) {
   // More efficient selection update - remove from all first, then add to specific
   const container = getMetrolineButtons();
   if (!container) return;
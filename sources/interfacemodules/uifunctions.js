@@ -348,4 +348,26 @@ export function updateZoomDisplay() {
 export function resetZoom() {
   zoomScale = 1;
   applyZoom();
-}
\ No newline at end of file
+}
+
+/**
+ * Zooms the metro map to a scale and scrolls an element of the map to the centre of the window.
+ * 
+ * @param {Element} element - The element to centre, such as the group of a station.
+ * @param {number} scale - The zoom scale, limited to the zoom levels from 50% to 300%.
+ * @param {number} [bottomMargin=0] - Height in pixels covered at the bottom of the window, the element is centred above it.
+ * @example
+ * // Zoom in to 200% on a station
+ * zoomToElement(station.refSvg, 2);
+ */
+export function zoomToElement(element, scale, bottomMargin = 0) {
+  zoomScale = Math.min(ZOOM_MAX, Math.max(ZOOM_MIN, scale));
+  applyZoom();
+
+  const box = element.getBoundingClientRect();
+  window.scrollBy({
+    left: box.left + box.width / 2 - window.innerWidth / 2,
+    top: box.top + box.height / 2 - (window.innerHeight - bottomMargin) / 2,
+    behavior: "smooth"
+  });
+}
@@ -1,4 +1,5 @@
 import * as ui from './uifunctions.js?v=1.0.5';
+import { previewSpreadsheetImport } from './spreadsheetimport.js?v=1.0.5';
 
 /**
  * Generic file upload handler with validation
@@ -108,6 +109,23 @@ export function uploadJSON(e, metromapApplication, generateColorButtons, addStat
   });
 }
 
+/**
+ * Handles CSV file uploads with stations, shows the changes before they are imported
+ * @param {Event} e - File input change event
+ */
+export function uploadCSV(e) {
+  handleFileUpload(e, (result) => {
+    if (!result || result.trim().length === 0) {
+      throw new Error("File appears to be empty.");
+    }
+    previewSpreadsheetImport(result);
+  }, {
+    allowedTypes: ['text/csv', 'application/vnd.ms-excel', 'text/plain', 'text/tab-separated-values'],
+    allowedExtensions: ['csv', 'txt', 'tsv'],
+    maxSize: 2 * 1024 * 1024 // 2MB for CSV files
+  });
+}
+
 /**
  * Handles logo/image file uploads
  * @param {Event} e - File input change event
@@ -206,6 +224,19 @@ export function setupUploadListeners(metromapApplication, generateColorButtons,
     });
   }
 
+  // For upload CSV with stations
+  const uploadCSVField = document.getElementById("uploadCSV");
+  if (uploadCSVField) {
+    uploadCSVField.addEventListener("change", uploadCSV);
+  }
+
+  const csvUploadButton = document.getElementById("csvUploadButton");
+  if (csvUploadButton) {
+    csvUploadButton.addEventListener("click", () => {
+      uploadCSVField?.click();
+    });
+  }
+
   // For upload button logo
   const logoUploadElement = document.getElementById("logoUpload");
   if (logoUploadElement) {
@@ -225,4 +256,21 @@ export function setupUploadListeners(metromapApplication, generateColorButtons,
       logoUploadElement?.click();
     });
   }
-}
\ No newline at end of file
+
+  // Tell what changed when an uploaded map is upgraded from an older version
+  metromapApplication.addHook("mapMigrated", showMigrationReport);
+}
+
+/**
+ * Shows what was changed to upgrade a map saved by an older version of the designer
+ * @param {Object} report - The report of the migration, with the `fromVersion`, `toVersion` and `changes`
+ * @private
+ */
+function showMigrationReport(report) {
+  const changes = report.changes.map(({ migration, count }) => i18next.t(`i18n_migration_${migration}`, { count }));
+  ui.showAlert(i18next.t("i18n_migrationReport", {
+    fromVersion: report.fromVersion,
+    toVersion: report.toVersion,
+    changes: changes.join("; "),
+  }), "info");
+}
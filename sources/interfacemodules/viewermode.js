@@ -0,0 +1,202 @@
+import * as ui from './uifunctions.js?v=1.0.5';
+import { hideStationEditor } from './stationeditor.js?v=1.0.5';
+
+// Translation keys of the station types
+const stationTypeKeys = {
+  w: "i18n_stationseditor_stationsType_workshop",
+  x: "i18n_stationseditor_stationsType_experience",
+  e: "i18n_stationseditor_stationsType_elearning",
+  o: "i18n_stationseditor_stationsType_online",
+  b: "i18n_stationseditor_stationsType_self",
+  "*": "i18n_stationseditor_stationsType_anders",
+};
+
+// Popover with the details of the station that was clicked
+let stationPopover = null;
+
+/**
+ * Helper function to get application instance with null check.
+ *
+ * @private
+ * @returns {Object|null} The metro map application instance or null if not initialized
+ */
+function getApp() {
+  const app = window.metromapApp;
+  if (!app) {
+    console.warn('Application not initialized yet');
+    return null;
+  }
+  return app;
+}
+
+// ####################################################
+// VIEWER MODE
+//
+
+/**
+ * Switches between viewing and editing the map. In viewer mode all editing tools are hidden,
+ * the map can be panned and zoomed, filtered to one metroline and clicking a station shows its details.
+ *
+ * @param {boolean} enabled - True to only view the map, false to edit it.
+ *
+ * @example
+ * // Let students look at the map without changing it
+ * setViewerMode(true);
+ */
+export function setViewerMode(enabled) {
+  const app = getApp();
+  if (!app?.map) return;
+
+  try {
+    app.setViewerMode(enabled);
+  } catch (error) {
+    console.error('Error switching viewer mode:', error);
+    ui.showAlert('Failed to switch viewer mode: ' + error.message, 'danger');
+  }
+}
+
+/**
+ * Shows only one metroline on the map, or all metrolines again.
+ *
+ * @param {string} metrolineId - The ID of the metroline to show, or an empty string for all metrolines.
+ *
+ * @example
+ * // Show all metrolines again
+ * filterMetroline("");
+ */
+export function filterMetroline(metrolineId) {
+  const app = getApp();
+  if (!app?.map) return;
+
+  hideStationDetails();
+  app.map.clearRouteHighlight();
+
+  const metroline = metrolineId ? app.map.getMetrolineWithId(metrolineId) : null;
+  if (metroline) app.map.highlightMetroline(metroline);
+}
+
+/**
+ * Fills the metroline filter with the metrolines of the map, named as in the legend.
+ *
+ * @private
+ */
+function fillMetrolineFilter() {
+  const app = getApp();
+  const selector = document.getElementById("viewerMetrolineFilter");
+  if (!app?.map || !selector) return;
+
+  selector.replaceChildren();
+
+  const allOption = document.createElement("option");
+  allOption.value = "";
+  allOption.textContent = i18next.t("i18n_viewerAllLines");
+  selector.appendChild(allOption);
+
+  app.map.lines
+    .filter((metroline) => metroline.getLines().length > 0)
+    .forEach((metroline) => {
+      const option = document.createElement("option");
+      option.value = metroline.getId();
+      option.textContent = app.map.legenda.toJSONLegendByMetroline(metroline)?.name || metroline.getId();
+      selector.appendChild(option);
+    });
+}
+
+/**
+ * Shows the details of a station in a popover next to it: its name, date, type, description and link.
+ *
+ * @private
+ * @param {Object|null} inspected - The station and its SVG group as given by the `stationInspected` hook, or null to close the popover.
+ */
+function showStationDetails(inspected) {
+  hideStationDetails();
+  if (!inspected) return;
+
+  const { station, element } = inspected;
+  stationPopover = new bootstrap.Popover(element, {
+    title: station.getName(),
+    content: createStationDetails(station),
+    html: true,
+    trigger: "manual",
+    placement: "auto",
+    container: "body",
+    customClass: "stationDetailsPopover",
+  });
+  stationPopover.show();
+}
+
+/**
+ * Closes the popover with station details.
+ *
+ * @private
+ */
+function hideStationDetails() {
+  stationPopover?.dispose();
+  stationPopover = null;
+}
+
+/**
+ * Creates the content of the station details popover.
+ *
+ * @private
+ * @param {Object} station - The station.
+ * @returns {HTMLDivElement} The content of the popover.
+ */
+function createStationDetails(station) {
+  const details = document.createElement("div");
+
+  const addLine = (text, className) => {
+    if (!text) return;
+    const line = document.createElement("div");
+    line.className = className;
+    line.textContent = text;
+    details.appendChild(line);
+  };
+
+  addLine(station.getDisplayDate(), "fw-semibold");
+  addLine(stationTypeKeys[station.getType()] ? i18next.t(stationTypeKeys[station.getType()]) : station.getType(), "text-body-secondary");
+  addLine(station.getDescription(), "mt-2");
+
+  const link = station.getLink();
+  if (link && /^https?:\/\//i.test(link)) {
+    const anchor = document.createElement("a");
+    anchor.href = link;
+    anchor.target = "_blank";
+    anchor.rel = "noopener noreferrer";
+    anchor.className = "d-inline-block mt-2";
+    anchor.textContent = i18next.t("i18n_viewerOpenLink");
+    details.appendChild(anchor);
+  }
+
+  return details;
+}
+
+/**
+ * Shows the interface of the current mode: the editing tools, or the metroline filter and the switch to edit mode.
+ *
+ * @private
+ * @param {boolean} enabled - Whether viewer mode is on.
+ */
+function updateViewerInterface(enabled) {
+  hideStationDetails();
+  hideStationEditor();
+  document.body.classList.toggle("viewerMode", enabled);
+
+  if (enabled) fillMetrolineFilter();
+}
+
+/**
+ * Attaches the hooks of viewer mode.
+ *
+ * @example
+ * // Setup viewer mode hooks
+ * addViewerModeHooks();
+ */
+export function addViewerModeHooks() {
+  const app = getApp();
+  if (!app) return;
+
+  app.addHook('viewerModeChanged', updateViewerInterface);
+  app.addHook('stationInspected', showStationDetails);
+  app.addHook('mapLoaded', () => updateViewerInterface(app.viewerMode));
+}
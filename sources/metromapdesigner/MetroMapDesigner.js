@@ -1,6 +1,9 @@
 import metromap from './classes/metromap.js?v=1.0.5';
 import MetromapImportExport from './classes/importexport.js?v=1.0.5';
 import stateManager from './classes/stateManager.js?v=1.0.5';
+import metromapKeymap from './classes/keymap.js?v=1.0.5';
+import metromapMigrations from './classes/migrations.js?v=1.0.5';
+import metromapAutosave from './classes/autosave.js?v=1.0.5';
 import * as helpers from './common.js?v=1.0.5';
 import * as config from './config.js?v=1.0.5';
 import { enableInlineTextEditing as enableTextEditing } from './common.js?v=1.0.5';
@@ -33,9 +36,19 @@ import { enableInlineTextEditing as enableTextEditing } from './common.js?v=1.0.
  * @property {boolean} draggingElement - Indicates whether a canvas element is being dragged.
  * @property {boolean} draggingMetroline - Indicates whether a metroline is being dragged.
  * @property {boolean} drawingLine - Indicates whether a metroline is being drawn.
- * @property {Object} hooks - A collection of event hooks to notify state changes (`draggingStation`, `draggingLine`, `mapLoaded`).
+ * @property {boolean} selectingArea - Indicates whether a selection marquee is being drawn.
+ * @property {boolean} movingSelection - Indicates whether the multi-selection is being moved.
+ * @property {boolean} draggingVertex - Indicates whether a point of the selected segment is being dragged.
+ * @property {boolean} polylineMode - Indicates whether the metroline tool draws lines with bends, one click per bend.
+ * @property {boolean} drawingPolyline - Indicates whether a metroline with bends is being drawn.
+ * @property {boolean} viewerMode - Indicates whether the map is only viewed, with all editing tools disabled.
+ * @property {Object} hooks - A collection of event hooks to notify state changes (`draggingStation`, `draggingLine`, `mapLoaded`, `toolChanged`, `polylineModeChanged`, `keyboardShortcutsRequested`, `viewerModeChanged`, `stationInspected`, `mapMigrated`).
  * @property {metromapImportExport} importExport - Instance for importing and exporting metro maps.
+ * @property {metromapMigrations} migrations - Upgrades maps saved by older versions to the current schema version.
+ * @property {Object|null} migrationReport - The report of upgrading the loaded map.
  * @property {stateManager} stateManager - Instance for managing state changes (undo/redo functionality).
+ * @property {metromapKeymap} keymap - Keyboard shortcuts, mapping key combinations to editor actions.
+ * @property {metromapAutosave} autosave - Saves the map with its history in the browser once started, to restore unsaved maps.
  */
 export default class MetroMapDesigner {
 
@@ -45,6 +58,9 @@ export default class MetroMapDesigner {
     defaultMap; // Contains svg code of a default map for clearing of the map
     importExport; // Reference to importExport instance
     stateManager; // Refernece to the statemanager
+    migrations; // Reference to the migrations of saved maps
+    migrationReport = null; // Report of upgrading the loaded map
+    autosave; // Reference to the autosave of the map, started by the interface
     currentSvgElement; // Reference to current SVG element for event cleanup
 
     // Working data
@@ -57,12 +73,18 @@ export default class MetroMapDesigner {
     // Loading state management
     isLoadingMap              = false;
     loadingOperations         = new Set(); // Track concurrent operations
+    alertOnLoadError          = true; // Maps that cannot be loaded are reported with alert(), embedded maps turn this off to get an error thrown
 
     // Keep track of what item we are dragging or drawing around the canvas
     draggingStation = false;
     draggingElement = false;
     draggingMetroline = false;
     drawingLine = false;
+    selectingArea = false;
+    movingSelection = false;
+    draggingVertex = false;
+    polylineMode = false;
+    drawingPolyline = false;
     scalingImage = null;
     movingImage = null;
     currentSelectedImage = null;
@@ -72,6 +94,20 @@ export default class MetroMapDesigner {
     imageTransform = null;
     imageCenter = null;
 
+    // Clipboard
+    clipboardFragment = null; // Last copied fragment, used when the system clipboard is not available
+    lastPastedText = null; // Clipboard text of the last paste, to offset repeated pastes
+    pasteCount = 0; // Number of times the same clipboard content was pasted
+
+    // Labels
+    liveLabelPlacement = false; // Place overlapping station labels automatically after every change on the canvas
+
+    // Viewer mode
+    viewerMode = false; // All editing tools are disabled, clicking a station shows its details
+    panning = null; // Pointer and scroll position where panning the canvas started
+    scrollContainer = null; // Element scrolled when panning the canvas, the page is scrolled when not set
+    panned = false; // Whether the last press panned the canvas, so the click that follows is ignored
+
     // CONSTRUCTOR AND INITIALIZATION
 
     /**
@@ -86,6 +122,9 @@ export default class MetroMapDesigner {
           this.container = containerElement;
           this.importExport = new MetromapImportExport();
           this.stateManager = new stateManager(config.applicationConfig.maxStateStackSize, true);
+          this.keymap = new metromapKeymap();
+          this.migrations = new metromapMigrations();
+          this.autosave = new metromapAutosave(this);
           this.currentMetrolineColor = config.metrolineConfig.defaultColor;
           this.currentSvgElement = null;
     }
@@ -100,11 +139,19 @@ export default class MetroMapDesigner {
     destroy() {
         // Remove event listeners
         this.removeMapEventListeners();
+
+        // Stop saving the map
+        this.autosave?.stop();
+
+        // Stop recording changes
+        this.stateManager?.clearStates();
         
         // Clear references
         this.map = null;
         this.stateManager = null;
+        this.keymap = null;
         this.importExport = null;
+        this.autosave = null;
         this.container = null;
         this.defaultMap = null;
         
@@ -149,6 +196,10 @@ export default class MetroMapDesigner {
       svgelement.addEventListener("mouseleave", this.mouseUpCanvas);
       svgelement.addEventListener("touchcancel", this.mouseUpCanvas); // Fixed: lowercase 'c'
       svgelement.addEventListener("click", this.mouseClickCanvas);
+      svgelement.addEventListener("dblclick", this.doubleClickCanvas);
+
+      // Keyboard shortcuts work anywhere on the page
+      document.addEventListener("keydown", this.keyDownDocument);
     }
 
     /**
@@ -159,6 +210,8 @@ export default class MetroMapDesigner {
      * that event listeners attached to the old SVG element are properly cleaned up.
      */
     removeMapEventListeners() {
+      document.removeEventListener("keydown", this.keyDownDocument);
+
       if (!this.currentSvgElement) {
         return; // No SVG element to clean up
       }
@@ -173,6 +226,7 @@ export default class MetroMapDesigner {
       this.currentSvgElement.removeEventListener("mouseleave", this.mouseUpCanvas);
       this.currentSvgElement.removeEventListener("touchcancel", this.mouseUpCanvas);
       this.currentSvgElement.removeEventListener("click", this.mouseClickCanvas);
+      this.currentSvgElement.removeEventListener("dblclick", this.doubleClickCanvas);
 
       // Clear the reference
       this.currentSvgElement = null;
@@ -188,7 +242,13 @@ export default class MetroMapDesigner {
           draggingStation: [],
           draggingLine: [],
           mapLoaded: [],
-          loadingStateChanged: []
+          loadingStateChanged: [],
+          toolChanged: [],
+          polylineModeChanged: [],
+          keyboardShortcutsRequested: [],
+          viewerModeChanged: [],
+          stationInspected: [],
+          mapMigrated: []
     };
 
     /**
@@ -225,14 +285,55 @@ export default class MetroMapDesigner {
     /**
      * @function undo
      * @description
-     * Reverts the map to its previous state using the `stateManager`. If a previous state exists, it is loaded and replaces the current map state.
+     * Reverts the last change on the map using the `stateManager`. Only the elements touched by
+     * the change are restored, after which the map re-reads its lines and stations.
+     *
+     * @returns {boolean} Returns `true` if a change was undone, `false` otherwise.
      */
     undo() {
-      const prevState = this.stateManager.revertState(this.map);
-      if (prevState) {
-        // Undo state is trusted - no sanitization needed
-        this.loadMap(prevState, true);
+      if (!this.map) {
+        console.warn('undo: No map available');
+        return false;
+      }
+
+      const change = this.stateManager.revertState();
+      if (!change) return false;
+
+      this.syncMapAfterHistoryChange(change);
+      return true;
+    }
+
+    /**
+     * @function redo
+     * @description
+     * Reapplies the last change that was undone using the `stateManager`.
+     *
+     * @returns {boolean} Returns `true` if a change was redone, `false` otherwise.
+     */
+    redo() {
+      if (!this.map) {
+        console.warn('redo: No map available');
+        return false;
       }
+
+      const change = this.stateManager.redoState();
+      if (!change) return false;
+
+      this.syncMapAfterHistoryChange(change);
+      return true;
+    }
+
+    /**
+     * @function syncMapAfterHistoryChange
+     * @description
+     * Brings the map objects and editor state in line with the canvas after a change was undone or redone.
+     *
+     * @param {Object} change - The change that was applied by the `stateManager`.
+     */
+    syncMapAfterHistoryChange(change) {
+      // Selected or resized elements might not be on the canvas anymore
+      this.removeResizeHandles();
+      this.map.syncWithCanvas(change.elements);
     }
 
     // TOOL MANAGEMENT
@@ -309,6 +410,179 @@ export default class MetroMapDesigner {
       }
     }
 
+    /**
+     * @function setMapCornerRadius
+     * @description
+     * Sets the corner radius of the bends of all metrolines without a corner radius of their own.
+     *
+     * @param {number} radius - The corner radius, 0 for sharp corners.
+     * @throws {Error} Throws an error if the radius is invalid.
+     */
+    setMapCornerRadius(radius) {
+      if (!this.map) {
+        console.warn('setMapCornerRadius: No map available');
+        return;
+      }
+
+      this.stateManager?.saveState(this.map);
+      try {
+        this.map.setCornerRadius(radius);
+      } finally {
+        this.stateManager?.commitState();
+      }
+    }
+
+    /**
+     * @function changeMetrolineProperty
+     * @description
+     * Updates a property of the metroline with the given color in one undo step.
+     *
+     * @param {string} color - The color of the metroline in "rgb(0-255, 0-255, 0-255)" format.
+     * @param {string} property - The property to update ("cornerRadius", "lineStyle" or "thickness").
+     * @param {any} data - The new value for the property, null resets the corner radius or thickness to the default.
+     * @returns {boolean} Returns `true` if the property was updated successfully, `false` otherwise.
+     * @throws {Error} Throws an error if there is no metroline with this color or the value is invalid.
+     */
+    changeMetrolineProperty(color, property, data) {
+      if (!this.map) {
+        console.warn('changeMetrolineProperty: No map available');
+        return false;
+      }
+
+      const metroline = this.map.getMetrolineWithColor(color);
+      if (!metroline) {
+        throw new Error("changeMetrolineProperty: No metroline with this color on the map");
+      }
+
+      // Check the property before recording a change
+      const properties = ["cornerRadius", "lineStyle", "thickness"];
+      if (!properties.includes(property)) {
+        return false;
+      }
+
+      this.stateManager?.saveState(this.map);
+      try {
+        switch (property) {
+          case "cornerRadius":
+            metroline.setCornerRadius(data);
+            break;
+          case "lineStyle":
+            metroline.setLineStyle(data);
+            break;
+          case "thickness":
+            metroline.setThickness(data);
+            break;
+        }
+      } finally {
+        this.stateManager?.commitState();
+      }
+      return true;
+    }
+
+    /**
+     * @function autoPlaceLabels
+     * @description
+     * Turns stations so their labels do not overlap metrolines, other labels or the legend, in one undo step.
+     * When stations are selected only their labels are placed, otherwise the labels of all stations.
+     *
+     * @returns {Array<Object>} The stations for which no placement without overlap was found.
+     */
+    autoPlaceLabels() {
+      if (!this.map) {
+        console.warn('autoPlaceLabels: No map available');
+        return [];
+      }
+
+      const selected = this.map.getSelectedStations();
+      this.stateManager?.saveState(this.map);
+      try {
+        return this.map.autoPlaceLabels(selected.length > 0 ? selected : this.map.stations);
+      } finally {
+        this.stateManager?.commitState();
+      }
+    }
+
+    /**
+     * @function importSpreadsheet
+     * @description
+     * Carries out the import of a table of stations, as planned with `map.spreadsheet.planImport`, in one undo step.
+     *
+     * @param {Object} plan - The import plan.
+     * @returns {Object} The `created` and `updated` stations.
+     */
+    importSpreadsheet(plan) {
+      if (!this.map) {
+        console.warn('importSpreadsheet: No map available');
+        return { created: [], updated: [] };
+      }
+
+      this.map.unselectAllStations();
+      this.stateManager?.saveState(this.map);
+      try {
+        return this.map.spreadsheet.applyImport(plan);
+      } finally {
+        this.stateManager?.commitState();
+      }
+    }
+
+    /**
+     * @function setLiveLabelPlacement
+     * @description
+     * Turns the live label placement on or off. When on, the labels near a change on the canvas that overlap
+     * something are placed again, as part of the same undo step.
+     *
+     * @param {boolean} enabled - True to place labels live.
+     */
+    setLiveLabelPlacement(enabled) {
+      this.liveLabelPlacement = !!enabled;
+      if (this.liveLabelPlacement) this.autoPlaceLabels();
+    }
+
+    /**
+     * @function placeOverlappingLabels
+     * @description
+     * Places the labels that overlap something around the changed stations and segments, when live label placement is on.
+     * Called before a change is committed to the undo history.
+     *
+     * @param {Object} changed - The changed `stations` and `polylines`, as returned by `getChangedCanvasElements`.
+     */
+    placeOverlappingLabels(changed) {
+      if (!this.liveLabelPlacement || !this.map) return;
+
+      this.map.placeLabelsNear(changed.stations, changed.polylines);
+    }
+
+    /**
+     * @function getChangedCanvasElements
+     * @description
+     * Gets the stations and metroline segments changed by the current mouse operation, before it is finished.
+     *
+     * @returns {Object} The changed `stations` and `polylines`.
+     */
+    getChangedCanvasElements() {
+      const stations = [];
+      const polylines = [];
+      if (!this.map) return { stations, polylines };
+
+      if (this.draggingStation && this.map.stationEdited) {
+        stations.push(this.map.stationEdited);
+      }
+      if (this.draggingMetroline && this.map.metrolineEdited) {
+        polylines.push(...this.map.metrolineEdited.polylines);
+      }
+      if ((this.drawingLine || this.drawingPolyline) && this.map.metrolineEditedSegment) {
+        polylines.push(this.map.metrolineEditedSegment);
+      }
+      if (this.movingSelection) {
+        stations.push(...this.map.selection.stations);
+        polylines.push(...this.map.selection.segments);
+      }
+      if (this.draggingVertex && this.map.selection.vertexDrag) {
+        polylines.push(this.map.selection.vertexDrag.polyline);
+      }
+      return { stations, polylines };
+    }
+
     /**
      * Sets the current tool for the application.
      *
@@ -319,6 +593,9 @@ export default class MetroMapDesigner {
      * It retrieves the tool's settings (such as shape and cursor) from the application's configuration and applies them.
      */
     setTool(name) {
+      // Finish a metroline with bends that is still being drawn
+      if (this.drawingPolyline) this.finishPolyline();
+
       // Retrieve tool settings from configuration
       const { shape, cursor = "pen" } = config.applicationConfig.toolSettings[name] || {};
 
@@ -340,6 +617,9 @@ export default class MetroMapDesigner {
 
       // Change the cursor style with fallbacks for better browser compatibility
       this.setCursor(cursor);
+
+      // Let the interface show the active tool
+      this.runHooks('toolChanged', { tool: name, color: this.currentMetrolineColor });
     }
 
     /**
@@ -354,7 +634,9 @@ export default class MetroMapDesigner {
         pen: ['url("images/tools/pen.cur")', 'crosshair'],
         move: ['url("images/tools/move.cur")', 'move'],
         arrow: ['url("images/tools/arrow.cur")', 'pointer'],
-        text: ['url("images/tools/text.cur")', 'text']
+        text: ['url("images/tools/text.cur")', 'text'],
+        select: ['crosshair'],
+        grab: ['grab']
       };
 
       // Get cursor options with fallbacks
@@ -391,6 +673,132 @@ export default class MetroMapDesigner {
       return this.selectedTool;
     }
 
+    /**
+     * @function getToolState
+     * @description
+     * Gets the state of the tools, to continue with the same tools after the map is restored.
+     *
+     * @returns {Object} The `tool`, metroline `color`, station `shape` and `polylineMode`.
+     */
+    getToolState() {
+      return {
+        tool: this.selectedTool,
+        color: this.currentMetrolineColor,
+        shape: this.currentStationShape,
+        polylineMode: this.polylineMode,
+      };
+    }
+
+    /**
+     * @function setToolState
+     * @description
+     * Selects the tools from a state returned by `getToolState`.
+     *
+     * @param {Object} state - The state of the tools.
+     * @throws {Error} Throws an error if the color or station shape is invalid.
+     */
+    setToolState(state) {
+      if (!state) return;
+
+      if (state.color) this.setMetrolineColor(state.color);
+      if (typeof state.tool === "string") this.setTool(state.tool);
+      // The tool sets the station shape of its own, a station tool keeps the shape chosen for it
+      if (state.shape) this.setDefaultStationShape(state.shape);
+      this.setPolylineMode(state.polylineMode);
+    }
+
+    // VIEWER MODE
+
+    /**
+     * @function setViewerMode
+     * @description
+     * Switches viewer mode on or off. In viewer mode all editing tools are disabled: dragging pans the canvas
+     * and clicking a station shows its details. Switching back restores the tool that was selected.
+     *
+     * @param {boolean} enabled - True to only view the map, false to edit it.
+     */
+    setViewerMode(enabled) {
+      enabled = !!enabled;
+      if (enabled === this.viewerMode) return;
+
+      if (enabled) {
+        // Finish or cancel what was being done with the editing tools
+        if (this.drawingPolyline) this.finishPolyline();
+        this.cancelCurrentAction();
+        this.map?.unselectAllStations();
+        this.removeResizeHandles();
+      } else {
+        // Show the complete map again when a metroline was filtered
+        this.map?.clearRouteHighlight();
+      }
+
+      this.viewerMode = enabled;
+      this.panning = null;
+      this.panned = false;
+
+      if (enabled) {
+        this.setCursor("grab");
+      } else {
+        this.setTool(this.selectedTool);
+      }
+
+      this.runHooks('viewerModeChanged', enabled);
+    }
+
+    /**
+     * @function viewerMouseDown
+     * @description
+     * Starts panning the canvas in viewer mode. Touch devices pan the page or `scrollContainer` themselves.
+     *
+     * @param {MouseEvent | TouchEvent} e - The event object representing the mouse or touch interaction.
+     */
+    viewerMouseDown(e) {
+      this.panned = false;
+      if (e.type !== "mousedown" || e.button !== 0) return;
+
+      const scrollX = this.scrollContainer ? this.scrollContainer.scrollLeft : window.scrollX;
+      const scrollY = this.scrollContainer ? this.scrollContainer.scrollTop : window.scrollY;
+      this.panning = { x: e.clientX, y: e.clientY, scrollX, scrollY };
+    }
+
+    /**
+     * @function viewerMouseMove
+     * @description
+     * Pans the canvas in viewer mode by scrolling the page, or `scrollContainer`, along with the mouse.
+     *
+     * @param {MouseEvent | TouchEvent} e - The event object representing the mouse or touch interaction.
+     */
+    viewerMouseMove(e) {
+      if (!this.panning || e.type !== "mousemove") return;
+
+      const dx = e.clientX - this.panning.x;
+      const dy = e.clientY - this.panning.y;
+      if (!this.panned && Math.hypot(dx, dy) < config.viewerConfig.panThreshold) return;
+
+      this.panned = true;
+      (this.scrollContainer ?? window).scrollTo(this.panning.scrollX - dx, this.panning.scrollY - dy);
+    }
+
+    /**
+     * @function viewerClick
+     * @description
+     * Shows the details of the station that was clicked in viewer mode. Clicking elsewhere on the canvas
+     * runs the `stationInspected` hook with `null`, so the details can be closed.
+     *
+     * @param {MouseEvent | TouchEvent} e - The event object representing the mouse or touch interaction.
+     */
+    viewerClick(e) {
+      // The press was used to pan the canvas
+      if (this.panned) {
+        this.panned = false;
+        return;
+      }
+
+      const stationGroup = e.target instanceof Element ? e.target.closest(".stationGroup") : null;
+      const station = stationGroup ? this.map.stations.find(candidate => candidate.refSvg === stationGroup) : null;
+      this.runHooks('stationInspected', station ? { station, element: stationGroup } : null);
+    }
+
     // GRID AND MAP MANIPULATION
 
 
@@ -497,6 +905,7 @@ export default class MetroMapDesigner {
               
               // Add the new logo to the imageLayer
               imagesLayer.appendChild(newLogo);
+              this.stateManager.commitState();
 
           } catch (error) {
               console.error("Error updating the metro map logo:", error);
@@ -512,135 +921,6 @@ export default class MetroMapDesigner {
       img.src = data;
     }
 
-    /**
-     * Migrates old logo layer to new imageLayer structure.
-     * 
-     * This method checks for the old <g id="logo"> structure and converts it to the new
-     * <g id="imageLayer"> structure to maintain backward compatibility with old metro maps.
-     */
-    migrateLogoLayerToImages() {
-
-        if (!this.container) {
-            return;
-        }
-
-        const svg = this.container.querySelector("svg");
-        if (!svg) {
-            return;
-        }
-
-        const overlay = svg.querySelector("#overlay");
-        if (!overlay) {
-            return;
-        }
-
-        // Check if old logo layer exists
-        const oldLogoLayer = overlay.querySelector("#logo");
-        if (!oldLogoLayer) {
-            return; // No migration needed
-        }
-
-        // Rename the logo layer to imageLayer
-        oldLogoLayer.setAttribute("id", "imageLayer");
-        
-        // Convert any image children from x/y to transform
-        const imageChildren = oldLogoLayer.querySelectorAll('image');
-        imageChildren.forEach(child => {
-            const x = child.getAttribute('x');
-            const y = child.getAttribute('y');
-            
-            if (x !== null && y !== null) {
-                child.setAttribute('transform', `translate(${x}, ${y})`);
-                child.removeAttribute('x');
-                child.removeAttribute('y');
-            }
-        });
-
-        console.log("Migrated old logo layer to new imageLayer structure");
-    }
-
-    /**
-     * Migrates old metroline ID format to new format.
-     *
-     * Old format: metrolineid="rgb2401370" (without "metroline" prefix)
-     * New format: metrolineid="metrolinergb2401370" (with "metroline" prefix)
-     *
-     * This method also removes invalid polylines that have no points attribute,
-     * which can occur from interrupted drawing operations in older versions.
-     */
-    migrateOldMetrolineIds() {
-        if (!this.container) {
-            return;
-        }
-
-        const svg = this.container.querySelector("svg");
-        if (!svg) {
-            return;
-        }
-
-        let migrationCount = 0;
-        let removedCount = 0;
-
-        // Find all elements with metrolineid attribute
-        const elementsWithMetrolineId = svg.querySelectorAll("[metrolineid]");
-
-        elementsWithMetrolineId.forEach(element => {
-            const currentId = element.getAttribute("metrolineid");
-
-            // Check if it's old format (starts with "rgb" but not "metroline")
-            // Handle comma-separated IDs for connection stations
-            if (currentId && !currentId.startsWith("metroline")) {
-                const oldIds = currentId.split(",").map(id => id.trim());
-                const newIds = oldIds.map(id => {
-                    // Only convert if it starts with "rgb" and doesn't already have prefix
-                    if (id.startsWith("rgb") && !id.startsWith("metroline")) {
-                        return "metroline" + id;
-                    }
-                    return id;
-                });
-
-                const newId = newIds.join(",");
-                element.setAttribute("metrolineid", newId);
-
-                // Also update class attribute if it matches old format
-                const currentClass = element.getAttribute("class");
-                if (currentClass) {
-                    let newClass = currentClass;
-                    oldIds.forEach((oldId, index) => {
-                        if (oldId.startsWith("rgb") && !oldId.startsWith("metroline")) {
-                            // Replace class like "metrolinergb2401370" stays the same
-                            // But if class is just "rgb2401370", convert it
-                            newClass = newClass.replace(
-                                new RegExp(`\\b${oldId}\\b`, 'g'),
-                                newIds[index]
-                            );
-                        }
-                    });
-                    if (newClass !== currentClass) {
-                        element.setAttribute("class", newClass);
-                    }
-                }
-
-                migrationCount++;
-            }
-        });
-
-        // Remove polylines without points attribute (invalid/corrupted elements)
-        const polylines = svg.querySelectorAll("polyline");
-        polylines.forEach(polyline => {
-            const points = polyline.getAttribute("points");
-            if (!points || points.trim() === "") {
-                console.warn("Removing invalid polyline without points:", polyline);
-                polyline.remove();
-                removedCount++;
-            }
-        });
-
-        if (migrationCount > 0 || removedCount > 0) {
-            console.log(`Migration complete: ${migrationCount} metroline IDs updated, ${removedCount} invalid polylines removed`);
-        }
-    }
-
     /**
      * Moves all elements on the map (stations and lines) along the grid by a specified direction and amount.
      * 
@@ -687,6 +967,11 @@ export default class MetroMapDesigner {
 
       // Move stations and lines by the calculated offset
       this.map.moveStationsAndLinesByOffset(...offset);
+
+      // Moving everything is one undo step
+      if (this.stateManager) {
+        this.stateManager.commitState();
+      }
     }
 
   /**
@@ -741,9 +1026,21 @@ export default class MetroMapDesigner {
         console.warn('mouseDownCanvas: No map available');
         return;
       }
+
+      // Viewing the map only pans the canvas
+      if (this.viewerMode) {
+        this.viewerMouseDown(e);
+        return;
+      }
       
       this.mousePosition = helpers.getMousePos(e, this.map);
 
+      // Perform metroline drawing with bends, every click adds a bend
+      if(this.selectedTool === "metrolineTool" && this.polylineMode) {
+          this.polylineMouseDown();
+          return;
+      }
+
       // Perform metroline drawing
       if(this.selectedTool === "metrolineTool") {
           if (this.stateManager) {
@@ -754,6 +1051,12 @@ export default class MetroMapDesigner {
           return;
       }
 
+      // Select elements or move the selection
+      if(this.selectedTool === "selectTool") {
+          this.selectToolMouseDown(e.target, e.shiftKey);
+          return;
+      }
+
       // Check if clicked on a resize handle first
       const resizePosition = this.getResizeHandlePosition(e.target);
       if (resizePosition && this.selectedTool === "moveTool") {
@@ -898,40 +1201,526 @@ export default class MetroMapDesigner {
     };
 
     /**
-     * @function mouseClickCanvas
+     * @function selectToolMouseDown
      * @description
-     * Handles the `click` or `touchstart` event on the map canvas. 
-     * Depending on the selected tool, it performs actions such as enabling inline text editing 
-     * or adding new stations to the map.
+     * Handles a mouse down with the select tool. Clicking on a selected element starts moving the whole selection,
+     * clicking on another element selects it (shift adds it to the selection) and clicking on an empty spot
+     * starts a selection marquee. Clicking on a point handle of a selected segment starts dragging that point.
      *
-     * @param {MouseEvent | TouchEvent} e - The event object representing the mouse or touch interaction.
+     * @param {Element} target - The element that was clicked.
+     * @param {boolean} addToSelection - Whether the shift key is pressed.
      */
-    mouseClickCanvas = (e) => {
-      // Prevent link clicking
-      if (e.target.tagName === "a" || e.target.closest("a")) {
-            // Prevent the default link action
-            e.preventDefault();
+    selectToolMouseDown(target, addToSelection) {
+      const selection = this.map.selection;
+
+      // Reshape the selected segment
+      if (selection.isVertexHandle(target)) {
+        if (this.stateManager) {
+          this.stateManager.saveState(this.map);
+        }
+        this.draggingVertex = selection.startVertexDrag(target);
+        return;
       }
-    
-      // Update mouse position
-      this.mousePosition = helpers.getMousePos(e, this.map);
-      switch (this.selectedTool) {
-            case "textEditTool":
-              // If no element is selected, exit early
-              let selectedElement = helpers.determineEditableTextElement(e.target);
-              if (!selectedElement) return;
-          
-              // Inline text editing for non-station text and tspan elements
-              if (
-                  (selectedElement.tagName.toLowerCase() === "text" || selectedElement.tagName.toLowerCase() === "tspan") &&
-                  !helpers.elementIsPartOfGroup(selectedElement, "stationGroup")
-              ) {
-                  // Save state before changes
-                  this.stateManager.saveState(this.map);
-          
-                  // Enable inline text editing
-                  this.enableInlineTextEditing(selectedElement);
-              }
+
+      const element = helpers.determineEditableElement(target);
+
+      // Empty spot, start a marquee
+      if (!element) {
+        if (!addToSelection) selection.clear();
+        selection.startMarquee(this.mousePosition);
+        this.selectingArea = true;
+        return;
+      }
+
+      // Select the element under the mouse if it is not selected yet
+      if (!selection.contains(element)) {
+        selection.select([element], addToSelection);
+      }
+
+      // Move the whole selection as one undo step
+      if (this.stateManager) {
+        this.stateManager.saveState(this.map);
+      }
+      selection.prepareMove(this.mousePosition);
+      this.movingSelection = true;
+    }
+
+    /**
+     * @function polylineMouseDown
+     * @description
+     * Handles a mouse down with the metroline tool in polyline mode. The first click starts a metroline, or extends
+     * a segment of the same color when clicking on its end. Every next click adds a bend, clicking twice on the
+     * same spot finishes the metroline. The whole metroline is one undo step.
+     */
+    polylineMouseDown() {
+      if (!this.drawingPolyline) {
+        if (this.stateManager) {
+          this.stateManager.saveState(this.map);
+        }
+        this.map.startDrawPolyline(this.mousePosition, this.currentMetrolineColor);
+        this.drawingPolyline = true;
+        return;
+      }
+
+      if (!this.map.addPolylineBend(this.mousePosition)) {
+        this.finishPolyline();
+      }
+    }
+
+    /**
+     * @function finishPolyline
+     * @description
+     * Finishes the metroline with bends that is being drawn and records it as one undo step.
+     *
+     * @returns {boolean} Returns `true` if a metroline was being drawn, `false` otherwise.
+     */
+    finishPolyline() {
+      if (!this.drawingPolyline || !this.map) return false;
+
+      const changed = this.getChangedCanvasElements();
+      this.map.endDrawPolyline();
+      this.drawingPolyline = false;
+      this.placeOverlappingLabels(changed);
+
+      if (this.stateManager) {
+        this.stateManager.commitState();
+      }
+      return true;
+    }
+
+    /**
+     * @function setPolylineMode
+     * @description
+     * Switches drawing metrolines with bends on or off. A metroline with bends that is being drawn is finished first.
+     *
+     * @param {boolean} enabled - Whether the metroline tool draws lines with bends.
+     */
+    setPolylineMode(enabled) {
+      if (this.drawingPolyline) this.finishPolyline();
+      this.polylineMode = !!enabled;
+
+      // Let the interface show the mode
+      this.runHooks('polylineModeChanged', this.polylineMode);
+    }
+
+    /**
+     * @function togglePolylineMode
+     * @description
+     * Switches drawing metrolines with bends on or off.
+     *
+     * @returns {boolean} The new state of the polyline mode.
+     */
+    togglePolylineMode() {
+      this.setPolylineMode(!this.polylineMode);
+      return this.polylineMode;
+    }
+
+    /**
+     * @function doubleClickCanvas
+     * @description
+     * Handles a double click on the map canvas. With the select tool, double clicking a point handle
+     * of the selected segment removes that point.
+     *
+     * @param {MouseEvent} e - The event object representing the double click.
+     */
+    doubleClickCanvas = (e) => {
+      if (!this.map || this.viewerMode || this.selectedTool !== "selectTool") return;
+      if (!e.target?.classList?.contains("vertexHandle")) return;
+
+      if (this.stateManager) {
+        this.stateManager.saveState(this.map);
+      }
+
+      this.map.selection.removeVertex(e.target);
+
+      if (this.stateManager) {
+        this.stateManager.commitState();
+      }
+    };
+
+    /**
+     * @function deleteSelection
+     * @description
+     * Removes all selected stations, segments and images from the map in one undo step.
+     *
+     * @returns {boolean} Returns `true` if something was selected and removed, `false` otherwise.
+     */
+    deleteSelection() {
+      if (!this.map) {
+        console.warn('deleteSelection: No map available');
+        return false;
+      }
+
+      if (this.map.selection.isEmpty()) return false;
+
+      if (this.stateManager) {
+        this.stateManager.saveState(this.map);
+      }
+
+      this.map.selection.remove();
+
+      if (this.stateManager) {
+        this.stateManager.commitState();
+      }
+      return true;
+    }
+
+    /**
+     * @function copySelection
+     * @description
+     * Copies the selected stations and segments to the system clipboard as a JSON fragment of the map,
+     * so they can be pasted in this map or in a map in another browser tab.
+     *
+     * @returns {Promise<boolean>} Resolves to `true` if something was copied, `false` otherwise.
+     */
+    async copySelection() {
+      if (!this.map) {
+        console.warn('copySelection: No map available');
+        return false;
+      }
+
+      const fragment = this.map.selection.toJSON();
+      if (!fragment) return false;
+
+      // Keep a copy for browsers without clipboard access
+      this.clipboardFragment = fragment;
+      this.lastPastedText = null;
+
+      try {
+        await navigator.clipboard.writeText(JSON.stringify(fragment));
+      } catch (error) {
+        console.warn('copySelection: Could not write to the system clipboard, using the internal clipboard', error);
+      }
+      return true;
+    }
+
+    /**
+     * @function pasteClipboard
+     * @description
+     * Pastes a map fragment from the system clipboard, or from the internal clipboard when the system clipboard
+     * can not be read or holds no fragment. Repeated pastes of the same fragment are placed further apart.
+     * The pasted items become the new selection.
+     *
+     * @returns {Promise<boolean>} Resolves to `true` if a fragment was pasted, `false` otherwise.
+     */
+    async pasteClipboard() {
+      if (!this.map) {
+        console.warn('pasteClipboard: No map available');
+        return false;
+      }
+
+      // Read the system clipboard
+      let text = null;
+      try {
+        text = await navigator.clipboard.readText();
+      } catch (error) {
+        console.warn('pasteClipboard: Could not read the system clipboard, using the internal clipboard', error);
+      }
+
+      let fragment = this.parseClipboardFragment(text);
+      if (!fragment && this.clipboardFragment) {
+        fragment = this.clipboardFragment;
+        text = JSON.stringify(fragment);
+      }
+      if (!fragment) return false;
+
+      // Move every next paste of the same content a bit further
+      this.pasteCount = text === this.lastPastedText ? this.pasteCount + 1 : 1;
+      this.lastPastedText = text;
+
+      return this.pasteFragment(fragment, this.pasteCount);
+    }
+
+    /**
+     * @function duplicateSelection
+     * @description
+     * Duplicates the selected stations and segments next to the original, without using the clipboard.
+     * The duplicate becomes the new selection.
+     *
+     * @returns {boolean} Returns `true` if something was duplicated, `false` otherwise.
+     */
+    duplicateSelection() {
+      if (!this.map) {
+        console.warn('duplicateSelection: No map available');
+        return false;
+      }
+
+      const fragment = this.map.selection.toJSON();
+      if (!fragment) return false;
+      return this.pasteFragment(fragment, 1);
+    }
+
+    /**
+     * @function pasteFragment
+     * @description
+     * Adds a map fragment to the map in one undo step and selects the added items.
+     *
+     * @param {Object} fragment - The map fragment as created by `metromapSelection.toJSON()`.
+     * @param {number} steps - How many times the paste offset is applied.
+     * @returns {boolean} Returns `true` if the fragment was added, `false` if it was invalid.
+     */
+    pasteFragment(fragment, steps) {
+      const distance = config.applicationConfig.pasteOffset * config.gridConfig.size * steps;
+
+      if (this.stateManager) {
+        this.stateManager.saveState(this.map);
+      }
+
+      let pasted;
+      try {
+        this.map.unselectAllStations();
+        pasted = this.map.pasteFragment(fragment, { x: distance, y: distance });
+      } catch (error) {
+        console.error('pasteFragment: Could not paste fragment', error);
+
+        // Take back whatever was added before the error
+        if (this.stateManager?.commitState()) this.undo();
+        return false;
+      }
+
+      // Finish the undo step
+      if (this.stateManager) {
+        this.stateManager.commitState();
+      }
+
+      // Select the pasted items so they can be moved right away
+      this.map.selection.select([...pasted.stations.map(station => station.refSvg), ...pasted.segments]);
+      return true;
+    }
+
+    /**
+     * @function parseClipboardFragment
+     * @description
+     * Parses clipboard text into a map fragment.
+     *
+     * @param {string|null} text - The clipboard text.
+     * @returns {Object|null} The fragment, or `null` if the text is not a map fragment.
+     */
+    parseClipboardFragment(text) {
+      if (!text) return null;
+      try {
+        const fragment = JSON.parse(text);
+        return fragment?.type === config.applicationConfig.CLIPBOARD_FRAGMENT_TYPE ? fragment : null;
+      } catch (error) {
+        return null;
+      }
+    }
+
+    // KEYBOARD SHORTCUTS
+
+    /**
+     * @function keyDownDocument
+     * @description
+     * Handles a key press anywhere on the page and runs the action bound to it in the keymap.
+     * Key presses in form fields, inline text editors and open dialogs are left alone.
+     *
+     * @param {KeyboardEvent} e - The keyboard event.
+     */
+    keyDownDocument = (e) => {
+      if (!this.map || !this.keymap || this.viewerMode || e.defaultPrevented || e.isComposing) return;
+
+      // Do not interfere with typing or dialogs
+      if (e.target instanceof Element && e.target.closest('input, textarea, select, [contenteditable], foreignObject')) return;
+      if (document.querySelector('.modal.show')) return;
+
+      const action = this.keymap.getAction(e);
+      if (!action) return;
+
+      // Only block the browser default when the shortcut did something
+      if (this.runKeyboardAction(action)) {
+        e.preventDefault();
+      }
+    };
+
+    /**
+     * @function runKeyboardAction
+     * @description
+     * Runs an action of the keymap.
+     *
+     * @param {string} action - The action name, as used in `config.keymapConfig.bindings`.
+     * @returns {boolean} Returns `true` if the action was handled, `false` otherwise.
+     */
+    runKeyboardAction(action) {
+      switch (action) {
+        case "undo":
+          return this.undo();
+        case "redo":
+          return this.redo();
+        case "copySelection":
+          if (this.map.selection.isEmpty()) return false;
+          this.copySelection();
+          return true;
+        case "pasteClipboard":
+          this.pasteClipboard();
+          return true;
+        case "duplicateSelection":
+          return this.duplicateSelection();
+        case "deleteSelection":
+          this.selectEditedStation();
+          return this.deleteSelection();
+        case "cancel":
+          return this.cancelCurrentAction();
+        case "finishDrawing":
+          return this.finishPolyline();
+        case "togglePolylineMode":
+          this.togglePolylineMode();
+          return true;
+        case "nudgeLeft":
+          return this.nudgeSelection(-1, 0);
+        case "nudgeRight":
+          return this.nudgeSelection(1, 0);
+        case "nudgeUp":
+          return this.nudgeSelection(0, -1);
+        case "nudgeDown":
+          return this.nudgeSelection(0, 1);
+        case "showKeyboardShortcuts":
+          this.runHooks('keyboardShortcutsRequested', this.keymap);
+          return true;
+      }
+
+      // Metroline tool with a color of the palette, numbered from 1
+      const paletteMatch = /^metrolineColor(\d+)$/.exec(action);
+      if (paletteMatch) {
+        const color = this.getAllMetrolineColors()[Number(paletteMatch[1]) - 1];
+        if (!color) return false;
+        this.setMetrolineColor(helpers.convertToRgb(color));
+        this.setTool("metrolineTool");
+        return true;
+      }
+
+      // Other tools
+      if (config.applicationConfig.toolSettings[action]) {
+        this.setTool(action);
+        return true;
+      }
+
+      console.warn(`runKeyboardAction: Unknown action ${action}`);
+      return false;
+    }
+
+    /**
+     * @function selectEditedStation
+     * @description
+     * Adds the station selected with a station tool to the multi-selection when nothing else is selected,
+     * so keyboard actions on the selection also work on a single selected station.
+     */
+    selectEditedStation() {
+      const station = this.map.getSelectedStation();
+      if (station && this.map.selection.isEmpty()) {
+        this.map.selection.select([station.refSvg]);
+      }
+    }
+
+    /**
+     * @function nudgeSelection
+     * @description
+     * Moves the selection by whole grid cells in one undo step.
+     *
+     * @param {number} columns - Grid cells to move horizontally, negative to move left.
+     * @param {number} rows - Grid cells to move vertically, negative to move up.
+     * @returns {boolean} Returns `true` if something was moved, `false` if nothing is selected.
+     */
+    nudgeSelection(columns, rows) {
+      if (!this.map) {
+        console.warn('nudgeSelection: No map available');
+        return false;
+      }
+
+      this.selectEditedStation();
+      if (this.map.selection.isEmpty()) return false;
+
+      if (this.stateManager) {
+        this.stateManager.saveState(this.map);
+      }
+
+      this.map.selection.nudge(columns, rows);
+
+      if (this.stateManager) {
+        this.stateManager.commitState();
+      }
+      return true;
+    }
+
+    /**
+     * @function cancelCurrentAction
+     * @description
+     * Cancels the mouse action in progress. A metroline being drawn or a selection or point being moved is taken back,
+     * a selection marquee is removed. Without an action in progress the selection is cleared.
+     *
+     * @returns {boolean} Returns `true` if something was cancelled, `false` otherwise.
+     */
+    cancelCurrentAction() {
+      if (!this.map) return false;
+
+      if (this.drawingLine || this.drawingPolyline || this.movingSelection || this.draggingVertex) {
+        const wasDrawing = this.drawingLine || this.drawingPolyline;
+        this.drawingLine = false;
+        this.drawingPolyline = false;
+        this.movingSelection = false;
+        this.draggingVertex = false;
+        this.map.selection.cancelMove();
+
+        // Restore the canvas from the recorded change, or remove the new segment when history is disabled
+        const change = this.stateManager?.discardState();
+        if (change) {
+          this.syncMapAfterHistoryChange(change);
+        } else if (wasDrawing) {
+          this.map.cancelDrawMetroline();
+        }
+        return true;
+      }
+
+      if (this.selectingArea) {
+        this.map.selection.cancelMarquee();
+        this.selectingArea = false;
+        return true;
+      }
+
+      if (!this.map.selection.isEmpty() || this.map.getSelectedStation()) {
+        this.map.unselectAllStations();
+        return true;
+      }
+      return false;
+    }
+
+    /**
+     * @function mouseClickCanvas
+     * @description
+     * Handles the `click` or `touchstart` event on the map canvas. 
+     * Depending on the selected tool, it performs actions such as enabling inline text editing 
+     * or adding new stations to the map.
+     *
+     * @param {MouseEvent | TouchEvent} e - The event object representing the mouse or touch interaction.
+     */
+    mouseClickCanvas = (e) => {
+      // Prevent link clicking
+      if (e.target.tagName === "a" || e.target.closest("a")) {
+            // Prevent the default link action
+            e.preventDefault();
+      }
+
+      // Viewing the map only shows station details
+      if (this.viewerMode) {
+        if (this.map) this.viewerClick(e);
+        return;
+      }
+    
+      // Update mouse position
+      this.mousePosition = helpers.getMousePos(e, this.map);
+      switch (this.selectedTool) {
+            case "textEditTool":
+              // If no element is selected, exit early
+              let selectedElement = helpers.determineEditableTextElement(e.target);
+              if (!selectedElement) return;
+          
+              // Inline text editing for non-station text and tspan elements
+              if (
+                  (selectedElement.tagName.toLowerCase() === "text" || selectedElement.tagName.toLowerCase() === "tspan") &&
+                  !helpers.elementIsPartOfGroup(selectedElement, "stationGroup")
+              ) {
+                  // Enable inline text editing, the editor records the change when saving
+                  this.enableInlineTextEditing(selectedElement);
+              }
               break;
             case "stationTool":
             case "transferStationTool":
@@ -959,13 +1748,21 @@ export default class MetroMapDesigner {
         return; // Silently return if no map available during movement
       }
 
+      if (this.viewerMode) {
+        this.viewerMouseMove(e);
+        return;
+      }
+
       this.mousePosition = helpers.getMousePos(e, this.map);
 
       // What to do?
       if (this.draggingElement) this.map.moveCanvasElement(this.mousePosition);
       if (this.draggingStation) this.map.moveStation(this.mousePosition);
       if (this.draggingMetroline) this.map.moveMetroline(this.mousePosition);
-      if (this.drawingLine) this.map.drawMetroline(this.mousePosition);
+      if (this.drawingLine || this.drawingPolyline) this.map.drawMetroline(this.mousePosition);
+      if (this.draggingVertex) this.map.selection.dragVertex(this.mousePosition);
+      if (this.selectingArea) this.map.selection.updateMarquee(this.mousePosition);
+      if (this.movingSelection) this.map.selection.move(this.mousePosition);
       if (this.scalingImage && this.currentResizeHandle) this.resizeImageWithHandle(this.mousePosition);
       if (this.movingImage) this.moveImage(this.mousePosition);
     }, 16); // Throttle to ~60fps for smooth performance
@@ -1252,10 +2049,20 @@ export default class MetroMapDesigner {
      * @param {MouseEvent | TouchEvent} e - The event object representing the mouse or touch interaction.
      */
     mouseUpCanvas = (e) => {
+      // Stop panning, nothing on the canvas changed
+      if (this.viewerMode) {
+        this.panning = null;
+        return;
+      }
+
       // Update mouse position
       if (this.map) {
         this.mousePosition = helpers.getMousePos(e, this.map);
       }
+
+      // Changes on the canvas that may leave labels overlapping
+      const canvasChanged = this.draggingStation || this.draggingMetroline || this.drawingLine || this.movingSelection || this.draggingVertex;
+      const changed = canvasChanged ? this.getChangedCanvasElements() : null;
       
       if (this.draggingElement && this.map) {
         this.map.endMoveCanvasElement();
@@ -1287,6 +2094,27 @@ export default class MetroMapDesigner {
         this.map.endDrawMetroline(this.mousePosition);
         this.drawingLine = false;
       }
+      if (this.selectingArea && this.map) {
+        this.map.selection.endMarquee(this.mousePosition, e.shiftKey);
+        this.selectingArea = false;
+      }
+      if (this.movingSelection && this.map) {
+        this.map.selection.endMove();
+        this.movingSelection = false;
+      }
+      if (this.draggingVertex && this.map) {
+        this.map.selection.endVertexDrag();
+        this.draggingVertex = false;
+      }
+
+      // Everything that happened since the mouse went down is one undo step,
+      // a metroline with bends is one undo step when it is finished
+      if (canvasChanged && !this.drawingPolyline) {
+        this.placeOverlappingLabels(changed);
+      }
+      if (this.stateManager && !this.drawingPolyline) {
+        this.stateManager.commitState();
+      }
     }
 
     // STATION AND METROLINE MANAGEMENT
@@ -1323,18 +2151,30 @@ export default class MetroMapDesigner {
         }
 
         // Pass to map try to add station
-        this.map.addNewStation(stationConfig);
+        const station = this.map.addNewStation(stationConfig);
+
+        // Turn the new station when its label overlaps something
+        if (this.liveLabelPlacement) {
+          this.map.autoPlaceLabels([station]);
+        }
+
+        // Finish the undo step
+        if (this.stateManager) {
+          this.stateManager.commitState();
+        }
 
     }
 
     /**
      * @function changeSelectedStationProperty
      * @description
-     * Updates a property of the currently selected station.
+     * Updates a property of the currently selected station. When several stations are selected
+     * with the select tool, the property is changed on all of them in one undo step.
      *
      * @param {string} property - The property to update (e.g., "name", "shape", "type").
-     * @param {any} data - The new value for the property.
+     * @param {any} data - The new value for the property. For "dateRange" an object with a `start` and `end`.
      * @returns {boolean} Returns `true` if the property was updated successfully, `false` otherwise.
+     * @throws {Error} If no station is selected or the date range is not valid.
      */
     changeSelectedStationProperty(property, data) {
       if(!property) {
@@ -1346,47 +2186,64 @@ export default class MetroMapDesigner {
         return false;
       }
 
-      const station = this.map.getSelectedStation();
-      if(!station) {
+      const stations = this.map.getSelectedStations();
+      if(stations.length === 0) {
         throw new Error('changeStationProperty called without a station selected');
       }
 
+      // Check the property before recording a change
+      const properties = ["name", "shape", "rotation", "date", "dateRange", "type", "width", "description", "link"];
+      if (!properties.includes(property)) {
+        // Nothing changed
+        return false;
+      }
+      if (property === "dateRange" && !helpers.isValidStationDateRange(data?.start, data?.end)) {
+        throw new Error(`changeStationProperty called with an invalid date range "${data?.start}" - "${data?.end}"`);
+      }
+
       if (this.stateManager) {
         this.stateManager.saveState(this.map);
       }
 
       // What are we changing?
-      switch(property) {
-          case "name":
-            station.setName(data);
-            break;
-          case "shape":
-            station.setShape(data);
-            this.map.updateStationMetrolineIds(station);
-            break;
-          case "rotation":
-            station.setOrientation(data);
-            if(station.getShape() === "connection") this.map.updateStationMetrolineIds(station);
-            break;
-          case "date":
-            station.setDate(data);
-            break;
-          case "type":
-            station.setType(data);
-            break;
-          case "width":
-            station.setWidth(data);
-            this.map.updateStationMetrolineIds(station);
-            break;
-          case "description":
-            station.setDescription(data);
-            break;
-          case "link":
-            station.setLink(data);
-            break;
-          default:
-            // Nothing changed
-            return false;
+      stations.forEach((station) => {
+        switch(property) {
+            case "name":
+              station.setName(data);
+              break;
+            case "shape":
+              station.setShape(data);
+              this.map.updateStationMetrolineIds(station);
+              break;
+            case "rotation":
+              station.setOrientation(data);
+              if(station.getShape() === "connection") this.map.updateStationMetrolineIds(station, false, false);
+              break;
+            case "date":
+              station.setDate(data);
+              break;
+            case "dateRange":
+              station.setDateRange(data.start, data.end);
+              break;
+            case "type":
+              station.setType(data);
+              break;
+            case "width":
+              station.setWidth(data);
+              this.map.updateStationMetrolineIds(station, false, false);
+              break;
+            case "description":
+              station.setDescription(data);
+              break;
+            case "link":
+              station.setLink(data);
+              break;
+        }
+      });
+
+      // Finish the undo step
+      if (this.stateManager) {
+        this.stateManager.commitState();
       }
 
       // Done
@@ -1400,15 +2257,19 @@ export default class MetroMapDesigner {
      * @description
      * Loads the provided SVG content into the map container. If no content is provided, the default map is loaded.
      * Content from untrusted sources is automatically sanitized to prevent XSS attacks.
+     * Content that cannot be loaded is reported with an alert, or thrown when `alertOnLoadError` is off,
+     * and leaves the current map in place.
      *
      * @param {string} [svgcontent=null] - The SVG content to load.
      * @param {boolean} [trusted=false] - Whether the content is from a trusted source (skips sanitization).
-     * @throws {Error} Throws an error if the provided content is not valid SVG.
+     * @returns {boolean} True if the map was loaded, false if it was refused and reported with an alert.
+     * @throws {Error} Throws an error if the map cannot be loaded and `alertOnLoadError` is off.
      */
     loadMap(svgcontent = null, trusted = false) {
         if(!svgcontent) svgcontent = this.defaultMap;
 
         // Validate SVG content using DOM parsing (more robust than string check)
+        let svgElement;
         try {
             const parser = new DOMParser();
             const doc = parser.parseFromString(svgcontent, 'image/svg+xml');
@@ -1420,19 +2281,31 @@ export default class MetroMapDesigner {
             }
 
             // Verify root element is SVG
-            const svgElement = doc.documentElement;
+            svgElement = doc.documentElement;
             if (!svgElement || svgElement.nodeName.toLowerCase() !== 'svg') {
                 throw new Error('Root element is not SVG');
             }
         } catch (error) {
             console.error('SVG validation failed:', error);
-            alert('Invalid content. Only valid SVG images are accepted.');
-            return;
+            return this.refuseMap('Invalid content. Only valid SVG images are accepted.');
+        }
+
+        // Refuse maps saved by a newer version before the current map is replaced
+        try {
+            this.migrations.assertSupported(this.migrations.getSVGVersion(svgElement));
+        } catch (error) {
+            console.error('Unsupported map version:', error);
+            return this.refuseMap(error.message);
         }
 
         // Clean up existing event listeners before replacing content
         this.removeMapEventListeners();
 
+        // The undo history refers to elements of the current canvas, start a new history for the new map
+        if (this.stateManager) {
+          this.stateManager.clearStates();
+        }
+
         // Sanitize untrusted content to prevent XSS attacks
         let finalSvgContent = svgcontent;
         if (!trusted) {
@@ -1440,22 +2313,15 @@ export default class MetroMapDesigner {
                 finalSvgContent = helpers.sanitizeMapContent(svgcontent);
             } catch (error) {
                 console.error('Failed to sanitize SVG content:', error);
-                alert('Invalid or unsafe SVG content. Cannot load map.');
-                return;
+                return this.refuseMap('Invalid or unsafe SVG content. Cannot load map.');
             }
         }
         
         // Load svgcontent in SVG container
         this.container.innerHTML = finalSvgContent;
         
-        // Migrate old logo layer to new imageLayer if present
-        this.migrateLogoLayerToImages();
-
-        // Migrate old metroline IDs (rgb*) to new format (metrolinergb*)
-        // Only for untrusted content (uploaded files, shared maps) - not for undo/redo
-        if (!trusted) {
-            this.migrateOldMetrolineIds();
-        }
+        // Upgrade maps saved by older versions to the current schema version
+        const migrationReport = this.migrations.migrateSVG(this.container.querySelector("svg"));
 
         // Clean up any cursor styles from the loaded SVG that might interfere
         this.cleanSvgCursorStyles();
@@ -1464,7 +2330,9 @@ export default class MetroMapDesigner {
         this.setMapEventListeners();
 
         // Restore cursor for current tool (loadMap replaces container content, losing cursor style)
-        if (this.selectedTool) {
+        if (this.viewerMode) {
+            this.setCursor("grab");
+        } else if (this.selectedTool) {
             const { cursor = "pen" } = config.applicationConfig.toolSettings[this.selectedTool] || {};
             this.setCursor(cursor);
         }
@@ -1474,6 +2342,24 @@ export default class MetroMapDesigner {
 
         // Run hooks for the 'save' event
         this.runHooks('mapLoaded', this.map);
+        this.reportMigration(migrationReport);
+        return true;
+    }
+
+    /**
+     * @function refuseMap
+     * @description
+     * Reports a map that cannot be loaded: with an alert, or by throwing an error when `alertOnLoadError` is off,
+     * so pages embedding the map are not interrupted by a dialog.
+     *
+     * @param {string} message - Why the map cannot be loaded.
+     * @returns {boolean} False, after the alert was shown.
+     * @throws {Error} Throws the message when `alertOnLoadError` is off.
+     */
+    refuseMap(message) {
+      if (!this.alertOnLoadError) throw new Error(message);
+      alert(message);
+      return false;
     }
 
     /**
@@ -1484,11 +2370,14 @@ export default class MetroMapDesigner {
      */
     loadJSON(jsonString) {
       try {
+          // Refuse maps saved by a newer version before the current map is cleared
+          this.migrations.assertSupported(this.migrations.getJSONVersion(JSON.parse(jsonString)));
+
           // Clear the current map by resetting it to the default state
           this.clearMap();
 
           // Load the new map from the provided JSON string using the importExport class
-          this.importExport.importJSON(this.map, jsonString);
+          this.reportMigration(this.importExport.importJSON(this.map, jsonString));
 
       } catch (error) {
           console.error("Error loading map from JSON:", error);
@@ -1496,6 +2385,20 @@ export default class MetroMapDesigner {
       }
     }
 
+    /**
+     * @function reportMigration
+     * @description
+     * Keeps the report of upgrading the loaded map and runs the 'mapMigrated' hooks when the upgrade changed the map.
+     *
+     * @param {Object} report - The report of the migration, as returned by `metromapMigrations.migrateSVG` or `migrateJSON`.
+     */
+    reportMigration(report) {
+      this.migrationReport = report;
+      if (report?.changes.length > 0) {
+          this.runHooks('mapMigrated', report);
+      }
+    }
+
     /**
      * @function loadMapFromUrl
      * @description
@@ -1592,17 +2495,17 @@ export default class MetroMapDesigner {
     }
 
     /**
-     * @function loadMapWithShareCode
+     * @function loadMapWithJsonCode
      * @description
-     * Loads a map from a shared code.
+     * Loads a map shared as JSON. Like `loadJSON`, maps saved by a newer version are refused before the current map is cleared.
      *
      * @param {string} code - The share code for the map.
-     * @throws {Error} Throws an error if the share code is invalid or expired.
+     * @returns {Promise<void>} Resolves when the map is loaded.
+     * @throws {Error} Throws an error if the share code is invalid or expired, or the map cannot be loaded.
      */
-    loadMapWithJsonCode(code) {
-      // Clear map first
-      this.clearMap();
-      this.importExport.retrieveAndImportJSON(this.map, code);
+    async loadMapWithJsonCode(code) {
+      const jsonData = await this.importExport.retrieveContent(code, 'json');
+      this.loadJSON(JSON.stringify(jsonData));
     }
 
     /**
@@ -1630,15 +2533,27 @@ export default class MetroMapDesigner {
       return this.importExport.getSVG(this.map);
     }
 
+    /**
+     * @function getMapContentPublishingSVG
+     * @description
+     * Exports the current map content as an SVG for publishing, with embedded fonts and without the markup of the designer.
+     *
+     * @returns {Promise<Object>} The `svg` for publishing and the `warnings` of fonts that could not be embedded.
+     */
+    getMapContentPublishingSVG() {
+      return this.importExport.getPublishingSVG(this.map);
+    }
+
     /**
      * @function getCanvasContentPng
      * @description
      * Exports the current map content as a PNG image.
      *
-     * @returns {Blob} A PNG image of the map.
+     * @param {Object} [options={}] - The scale, resolution, background, cropping and title of the image, see `MetromapImportExport.getPng`.
+     * @returns {Promise<Blob>} A PNG image of the map.
      */
-    getCanvasContentPng() {
-      return this.importExport.getPng(this.map);
+    getCanvasContentPng(options = {}) {
+      return this.importExport.getPng(this.map, options);
     }
 
 }
\ No newline at end of file
@@ -0,0 +1,358 @@
+import * as config from '../config.js?v=1.0.5';
+
+/**
+ * Class saving the map being designed in IndexedDB, so it can be restored when the browser crashed or the page was
+ * closed before the map was downloaded. Once started, the map is saved shortly after every change in the history of the
+ * `stateManager` and periodically while changes are not saved yet, together with its undo and redo history and the
+ * state of the tools.
+ *
+ * Every page saves its map as a session under its own ID. Downloading the map removes the session, so the sessions
+ * left are maps with unsaved changes. Sessions that were not saved for `autosaveConfig.retentionDays` are removed.
+ * A page holds a Web Lock named after its session while the autosave is started, so sessions of pages that are
+ * still open are not offered for restoring.
+ */
+export default class metromapAutosave {
+    designer; // Reference to the designer of which the map is saved
+    sessionId; // ID under which this page saves its map
+    database = null; // Promise of the IndexedDB database
+    dirty = false; // Whether there are changes that are not saved yet
+    saveTimer = null; // Timer of the save after the last change
+    intervalTimer = null; // Timer of the periodic save, set while the autosave is started
+    hooksAdded = false; // Whether the hooks on the history of the designer are added
+    releaseLock = null; // Releases the lock marking the session of this page as open
+
+    /**
+     * Constructor for metromapAutosave. The autosave does nothing until it is started.
+     * @param {MetroMapDesigner} designer - The designer of which the map is saved.
+     */
+    constructor(designer) {
+        this.designer = designer;
+        this.sessionId = createSessionId();
+    }
+
+    // SAVING
+
+    /**
+     * Starts saving the map after every change, periodically and when the page is hidden.
+     */
+    start() {
+        if (this.intervalTimer) return;
+
+        // The stateManager does not remove hooks, they are only added once and do nothing while stopped
+        if (!this.hooksAdded) {
+            ["save", "revert", "redo"].forEach(event => {
+                this.designer.stateManager.addHook(event, () => {
+                    if (this.intervalTimer) this.scheduleSave();
+                });
+            });
+            this.hooksAdded = true;
+        }
+
+        this.intervalTimer = setInterval(() => {
+            if (this.dirty) this.save();
+        }, config.autosaveConfig.interval);
+        document.addEventListener("visibilitychange", this.saveWhenHidden);
+        this.acquireLock(this.sessionId);
+    }
+
+    /**
+     * Stops saving the map. Changes that are not saved yet are not saved anymore.
+     */
+    stop() {
+        clearInterval(this.intervalTimer);
+        clearTimeout(this.saveTimer);
+        this.intervalTimer = null;
+        this.saveTimer = null;
+        document.removeEventListener("visibilitychange", this.saveWhenHidden);
+        this.releaseLock?.();
+        this.releaseLock = null;
+    }
+
+    /**
+     * Saves the map a moment after a change, so a series of changes is saved once.
+     */
+    scheduleSave() {
+        this.dirty = true;
+        clearTimeout(this.saveTimer);
+        this.saveTimer = setTimeout(() => this.save(), config.autosaveConfig.delay);
+    }
+
+    /**
+     * Saves the changes right away when the page is hidden, as it might be closed.
+     */
+    saveWhenHidden = () => {
+        if (document.visibilityState === "hidden" && this.dirty) this.save();
+    };
+
+    /**
+     * Saves the map with its history and the state of the tools as the session of this page.
+     * Errors are only logged, saving in the background must not interrupt designing the map.
+     *
+     * @returns {Promise<Object|null>} The saved session, or null if the map could not be saved.
+     */
+    async save() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+
+        const map = this.designer.map;
+        if (!map) return null;
+        this.dirty = false;
+
+        try {
+            const canvas = map.getCanvas();
+
+            // The map is still worth saving when its history cannot be
+            let history = null;
+            try {
+                history = this.designer.stateManager.serializeStates(canvas, config.autosaveConfig.historySize);
+            } catch (error) {
+                console.warn("Autosave: the undo history could not be saved", error);
+            }
+
+            const session = {
+                id: this.sessionId,
+                savedAt: Date.now(),
+                title: this.designer.getCanvasName(),
+                svg: getCanvasSnapshot(map),
+                history,
+                tool: this.designer.getToolState(),
+            };
+            await this.request(store => store.put(session), "readwrite");
+            return session;
+        } catch (error) {
+            console.warn("Autosave: the map could not be saved", error);
+            this.dirty = true;
+            return null;
+        }
+    }
+
+    /**
+     * Removes the session of this page after the map was downloaded, it has no unsaved changes anymore.
+     *
+     * @returns {Promise<void>}
+     */
+    markSaved() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+        this.dirty = false;
+        return this.discard();
+    }
+
+    // RESTORING
+
+    /**
+     * Gets the most recent session with unsaved changes of a page that is not open anymore, such as a page that crashed
+     * or was closed. Sessions older than the retention window are removed first.
+     * Without Web Locks, sessions saved within the last two save intervals might belong to an open page and are left out.
+     *
+     * @returns {Promise<Object|null>} The session, or null if there is none or IndexedDB is not available.
+     */
+    async getUnsavedSession() {
+        try {
+            const sessions = await this.request(store => store.getAll());
+            const expiry = Date.now() - config.autosaveConfig.retentionDays * 24 * 60 * 60 * 1000;
+
+            await Promise.all(sessions.filter(session => !(session.savedAt >= expiry)).map(session => this.discard(session.id)));
+
+            const openSessions = await getOpenSessionIds();
+            const recent = Date.now() - 2 * config.autosaveConfig.interval;
+            const isOpen = session => openSessions ? openSessions.has(session.id) : session.savedAt > recent;
+
+            return sessions
+                .filter(session => session.savedAt >= expiry && session.id !== this.sessionId && !isOpen(session))
+                .sort((a, b) => b.savedAt - a.savedAt)[0] ?? null;
+        } catch (error) {
+            console.warn("Autosave: saved maps could not be read", error);
+            return null;
+        }
+    }
+
+    /**
+     * Loads the map of a session with its history and tools. This page continues saving under the ID of the session,
+     * the session of this page is removed.
+     *
+     * @param {Object} session - The session, as returned by `getUnsavedSession`.
+     * @returns {Promise<boolean>} True if the undo history was restored too, false if only the map was restored.
+     * @throws {Error} If the session is open in another page or its map could not be loaded.
+     */
+    async restore(session) {
+        // Take over the lock of the session, so another page cannot restore it at the same time
+        const otherSession = session.id !== this.sessionId;
+        const releasePreviousLock = this.releaseLock;
+        if (otherSession && !(await this.acquireLock(session.id))) {
+            throw new Error("Autosave: the map is open in another window");
+        }
+
+        let loaded = false;
+        try {
+            loaded = this.designer.loadMap(session.svg, true);
+        } finally {
+            // Keep the lock of this page when the map was not loaded
+            if (otherSession && !loaded) {
+                this.releaseLock?.();
+                this.releaseLock = releasePreviousLock;
+            }
+        }
+        if (!loaded) throw new Error("Autosave: the saved map could not be loaded");
+        if (otherSession) releasePreviousLock?.();
+
+        let historyRestored = !!session.history;
+        if (session.history) {
+            try {
+                this.designer.stateManager.restoreStates(this.designer.map.getCanvas(), session.history);
+            } catch (error) {
+                console.warn("Autosave: the undo history could not be restored", error);
+                historyRestored = false;
+            }
+        }
+
+        try {
+            this.designer.setToolState(session.tool);
+        } catch (error) {
+            console.warn("Autosave: the tools could not be restored", error);
+        }
+
+        if (otherSession) {
+            await this.discard();
+            this.sessionId = session.id;
+        }
+        this.dirty = false;
+        return historyRestored;
+    }
+
+    /**
+     * Removes a session.
+     *
+     * @param {string} [id=this.sessionId] - The ID of the session, by default the session of this page.
+     * @returns {Promise<void>}
+     */
+    async discard(id = this.sessionId) {
+        try {
+            await this.request(store => store.delete(id), "readwrite");
+        } catch (error) {
+            console.warn("Autosave: the saved map could not be removed", error);
+        }
+    }
+
+    /**
+     * Acquires the Web Lock marking a session as open, held until `releaseLock` is called.
+     * Without Web Locks nothing is locked.
+     *
+     * @param {string} id - The ID of the session.
+     * @returns {Promise<boolean>} True if the lock is held, false if another page holds it.
+     */
+    acquireLock(id) {
+        if (!globalThis.navigator?.locks) return Promise.resolve(true);
+
+        return new Promise(resolve => {
+            navigator.locks.request(getLockName(id), { ifAvailable: true }, lock => {
+                if (!lock) {
+                    resolve(false);
+                    return null;
+                }
+                resolve(true);
+                return new Promise(release => { this.releaseLock = release; });
+            });
+        });
+    }
+
+    // DATABASE
+
+    /**
+     * Opens the IndexedDB database, creating its object store the first time.
+     *
+     * @returns {Promise<IDBDatabase>} The database.
+     */
+    openDatabase() {
+        if (!this.database) {
+            this.database = new Promise((resolve, reject) => {
+                if (typeof indexedDB === "undefined") {
+                    reject(new Error("IndexedDB is not available"));
+                    return;
+                }
+                const request = indexedDB.open(config.autosaveConfig.databaseName, 1);
+                request.onupgradeneeded = () => request.result.createObjectStore(config.autosaveConfig.storeName, { keyPath: "id" });
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.database;
+    }
+
+    /**
+     * Runs a request on the object store of the sessions in a transaction of its own.
+     *
+     * @param {Function} operation - Function receiving the object store and returning the request.
+     * @param {string} [mode="readonly"] - The mode of the transaction, "readonly" or "readwrite".
+     * @returns {Promise<any>} The result of the request, once the transaction is complete.
+     */
+    async request(operation, mode = "readonly") {
+        const database = await this.openDatabase();
+        return new Promise((resolve, reject) => {
+            const transaction = database.transaction(config.autosaveConfig.storeName, mode);
+            const request = operation(transaction.objectStore(config.autosaveConfig.storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+}
+
+// ####################################################
+// HELPERS
+//
+
+/**
+ * Creates a unique ID for the session of a page.
+ *
+ * @private
+ * @returns {string} The ID.
+ */
+function createSessionId() {
+    return globalThis.crypto?.randomUUID?.() ?? `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+}
+
+/**
+ * Gets the name of the Web Lock marking a session as open.
+ *
+ * @private
+ * @param {string} id - The ID of the session.
+ * @returns {string} The name of the lock.
+ */
+function getLockName(id) {
+    return `${config.autosaveConfig.databaseName}.session.${id}`;
+}
+
+/**
+ * Gets the IDs of the sessions of open pages, from the Web Locks they hold.
+ *
+ * @private
+ * @returns {Promise<Set<string>|null>} The IDs, or null if Web Locks are not available.
+ */
+async function getOpenSessionIds() {
+    if (!globalThis.navigator?.locks) return null;
+
+    const prefix = getLockName("");
+    const { held = [] } = await navigator.locks.query();
+    return new Set(held
+        .map(lock => lock.name)
+        .filter(name => name?.startsWith(prefix))
+        .map(name => name.slice(prefix.length)));
+}
+
+/**
+ * Gets the SVG of the canvas without editor-only elements, such as the grid and the selection, without zoom and without
+ * the dimming of a highlighted route, metroline or presentation. Unlike `getCanvasContent` of the map, the canvas
+ * itself is not changed, as the history might be recording it.
+ *
+ * @private
+ * @param {Object} map - The map object.
+ * @returns {string} The SVG of the map.
+ */
+function getCanvasSnapshot(map) {
+    const snapshot = map.getCanvas().cloneNode(true);
+    map.clearHighlightInCopy(snapshot);
+    snapshot.querySelectorAll(config.applicationConfig.HISTORY_IGNORED_SELECTOR).forEach(element => element.remove());
+    snapshot.removeAttribute("transform");
+    return snapshot.outerHTML;
+}
@@ -1,5 +1,8 @@
 import * as config from '../config.js?v=1.0.5';
-import { sanitizeMapContent } from '../common.js?v=1.0.5';
+import { sanitizeMapContent, isValidStationDateRange, parseStationDate } from '../common.js?v=1.0.5';
+import metromapPdfWriter from './pdfwriter.js?v=1.0.5';
+import metromapSvgPublisher from './svgpublisher.js?v=1.0.5';
+import metromapMigrations from './migrations.js?v=1.0.5';
 
 /**
  * Class for handling the import and export functionalities of a metromap design.
@@ -161,13 +164,71 @@ export default class MetromapImportExport {
     return sanitizeMapContent(metrokaartContent);
   }
 
+  /**
+   * Creates an SVG of the map for publishing: the used characters of its fonts are embedded, the markup of the designer
+   * is removed and path data is minified. The SVG renders the same without the fonts installed, but cannot be
+   * loaded in the designer again, which is what `getSVG` is for.
+   *
+   * @param {Object} map - The map object containing the canvas content.
+   * @returns {Promise<Object>} - A promise resolving to the `svg` for publishing and the `warnings` of fonts that could not be embedded.
+   */
+  async getPublishingSVG(map) {
+    const publisher = new metromapSvgPublisher();
+    const svg = await publisher.publish(this.getSVG(map));
+    return { svg, warnings: publisher.warnings };
+  }
+
+  /**
+   * Calculates the size of the PNG image of the map, before cropping.
+   * The size follows `options.scale`, or the map fitted on paper of `options.pageSize` at `options.dpi`,
+   * limited to `pngConfig.maximumDimension` and `pngConfig.maximumPixels`.
+   *
+   * @param {Object} map - The map object containing the canvas content.
+   * @param {Object} [options={}] - The PNG options, see `getPng`.
+   * @returns {Object} - The `width` and `height` of the image in pixels and the `scale` used.
+   */
+  getPngSize(map, options = {}) {
+    const canvas = map.getCanvas();
+    const width = parseFloat(canvas.getAttribute("width")) || canvas.width?.baseVal?.value || 1;
+    const height = parseFloat(canvas.getAttribute("height")) || canvas.height?.baseVal?.value || 1;
+
+    let scale = Number(options.scale) > 0 ? Number(options.scale) : config.pngConfig.defaultScale;
+    const paper = config.pdfConfig.pageSizes[options.pageSize];
+    if (Number(options.dpi) > 0 && paper) {
+      // Paper sizes are in points, 72 to an inch
+      const landscape = (options.orientation ?? (width > height ? "landscape" : "portrait")) === "landscape";
+      const paperWidth = (landscape ? Math.max(paper.width, paper.height) : Math.min(paper.width, paper.height)) / 72 * options.dpi;
+      const paperHeight = (landscape ? Math.min(paper.width, paper.height) : Math.max(paper.width, paper.height)) / 72 * options.dpi;
+      scale = Math.min(paperWidth / width, paperHeight / height);
+    }
+
+    // Browsers cannot draw canvases beyond a maximum size
+    scale = Math.min(
+      scale,
+      config.pngConfig.maximumDimension / width,
+      config.pngConfig.maximumDimension / height,
+      Math.sqrt(config.pngConfig.maximumPixels / (width * height))
+    );
+
+    return { width: Math.round(width * scale), height: Math.round(height * scale), scale };
+  }
+
   /**
    * Converts the map content to a PNG image.
    * 
    * @param {Object} map - The map object containing the canvas content.
-   * @returns {Promise<string>} - A promise resolving to the PNG data URL.
+   * @param {Object} [options={}] - The PNG options.
+   * @param {number} [options.scale] - The number of pixels per unit of the map, `pngConfig.defaultScale` when not given.
+   * @param {number} [options.dpi] - The resolution to print at, used instead of the scale together with `options.pageSize`.
+   * @param {string} [options.pageSize] - The paper size to fit the map on at `options.dpi`, one of the keys of `pdfConfig.pageSizes`.
+   * @param {string} [options.orientation] - "portrait" or "landscape" paper, following the map when not given.
+   * @param {string} [options.background] - The background color, or "transparent". White when not given.
+   * @param {boolean} [options.crop=false] - Crops the image to the drawn content.
+   * @param {number} [options.margin] - The margin around the cropped content in units of the map, `pngConfig.cropMargin` when not given.
+   * @param {string} [options.title] - The title stored in the image metadata, the title of the map when not given.
+   * @returns {Promise<Blob>} - A promise resolving to the PNG file.
    */
-  getPng(map) {
+  getPng(map, options = {}) {
     return new Promise(async (resolve, reject) => {
       let canvas = null;
       let img = null;
@@ -191,6 +252,9 @@ export default class MetromapImportExport {
           throw new Error("No SVG data available for PNG conversion");
         }
 
+        const { width, height, scale } = this.getPngSize(map, options);
+        const title = options.title ?? map.getTitle();
+
         img = new Image();
 
         // Use data URL instead of blob URL for better font embedding support
@@ -216,20 +280,50 @@ export default class MetromapImportExport {
             context.imageSmoothingQuality = "high";
             context.textRendering = "geometricPrecision";
 
-            canvas.width = img.width * 2;
-            canvas.height = img.height * 2;
-
-            context.fillStyle = "white";
-            context.fillRect(0, 0, canvas.width, canvas.height);
+            canvas.width = width;
+            canvas.height = height;
             context.drawImage(img, 0, 0, canvas.width, canvas.height);
 
-            const pngDataUrl = canvas.toDataURL("image/png");
+            // Crop to the drawn content, found on the still transparent canvas
+            if (options.crop) {
+              const margin = (options.margin ?? config.pngConfig.cropMargin) * scale;
+              const bounds = getContentBounds(context, canvas.width, canvas.height);
+              if (bounds) {
+                const x = Math.max(0, Math.floor(bounds.x - margin));
+                const y = Math.max(0, Math.floor(bounds.y - margin));
+                const cropWidth = Math.min(canvas.width, Math.ceil(bounds.x + bounds.width + margin)) - x;
+                const cropHeight = Math.min(canvas.height, Math.ceil(bounds.y + bounds.height + margin)) - y;
+                const cropped = document.createElement("canvas");
+                cropped.width = cropWidth;
+                cropped.height = cropHeight;
+                cropped.getContext("2d").drawImage(canvas, x, y, cropWidth, cropHeight, 0, 0, cropWidth, cropHeight);
+                canvas = cropped;
+              }
+            }
 
-            // Clean up resources
-            canvas = null;
-            img = null;
+            // Draw the background behind the map
+            const background = options.background ?? "white";
+            if (background !== "transparent") {
+              const backgroundContext = canvas.getContext("2d");
+              backgroundContext.globalCompositeOperation = "destination-over";
+              backgroundContext.fillStyle = background;
+              backgroundContext.fillRect(0, 0, canvas.width, canvas.height);
+            }
 
-            resolve(pngDataUrl);
+            canvas.toBlob((png) => {
+              // Clean up resources
+              canvas = null;
+              img = null;
+
+              if (!png) {
+                reject(new Error("The canvas could not be encoded as PNG"));
+                return;
+              }
+              resolve(addPngMetadata(png, {
+                Title: title,
+                Software: config.pdfConfig.producer,
+              }));
+            }, "image/png");
           } catch (error) {
             reject(error);
           }
@@ -307,12 +401,256 @@ export default class MetromapImportExport {
     }
   }
 
+  /**
+   * Downloads the stations of the map as a CSV file, to be edited in a spreadsheet program.
+   *
+   * @param {Object} map - The metromap object.
+   * @param {string} [filename="metromap"] - The desired filename for the downloaded file, without extension.
+   * @throws {Error} If the file can not be created.
+   */
+  getCSV(map, filename = "metromap") {
+    let url = null;
+    let link = null;
+
+    try {
+      // Start with a byte order mark, so spreadsheet programs read the file as UTF-8
+      const csv = "\uFEFF" + map.spreadsheet.toCSV();
+      url = URL.createObjectURL(new Blob([csv], { type: "text/csv;charset=utf-8" }));
+
+      link = document.createElement("a");
+      link.href = url;
+      link.download = filename + ".csv";
+      link.style.display = 'none'; // Hide the link
+      document.body.appendChild(link);
+      link.click();
+
+      // Clean up with proper timing to ensure download starts
+      setTimeout(() => {
+        if (link && link.parentNode) {
+          document.body.removeChild(link);
+        }
+        URL.revokeObjectURL(url);
+      }, 100);
+    } catch (error) {
+      // Clean up resources on error
+      if (link && link.parentNode) {
+        document.body.removeChild(link);
+      }
+      if (url) {
+        URL.revokeObjectURL(url);
+      }
+      console.error("Error downloading the CSV file:", error);
+      throw new Error("Could not generate the CSV file for download: " + error.message);
+    }
+  }
+
+  /**
+   * Creates a PDF document of the map, keeping lines, shapes and text as vectors.
+   * The links of stations are clickable in the document.
+   *
+   * With the `poster` option the map is printed at a physical size as a poster of several pages, see `getPosterLayout`.
+   *
+   * @param {Object} map - The metromap object.
+   * @param {Object} [options={}] - The `pageSize` (A4 to A0 or letter) and `orientation` ("portrait" or "landscape") of the page.
+   * @param {Object} [options.poster] - The `width` of the poster and the `overlap` of its pages, in centimeters.
+   * @returns {Promise<Blob>} - A promise resolving to the PDF document.
+   */
+  async createPDF(map, options = {}) {
+    const writer = new metromapPdfWriter(options);
+    if (options.poster) {
+      return writer.writePoster(this.getSVG(map), getPosterPoints(options.poster), { title: map.getTitle() });
+    }
+    return writer.write(this.getSVG(map), { title: map.getTitle() });
+  }
+
+  /**
+   * Gets the pages needed to print the map as a poster, without creating the document.
+   *
+   * @param {Object} map - The metromap object.
+   * @param {Object} [options={}] - The `pageSize` and `orientation` of the pages and the `poster` size, see `createPDF`.
+   * @returns {Object} - The `columns` and `rows` of pages and the `width` and `height` of the poster in centimeters.
+   */
+  getPosterLayout(map, options = {}) {
+    const canvas = map.getCanvas();
+    const width = parseFloat(canvas.getAttribute("width")) || canvas.width?.baseVal?.value || 1;
+    const height = parseFloat(canvas.getAttribute("height")) || canvas.height?.baseVal?.value || 1;
+
+    const layout = new metromapPdfWriter(options).getPosterLayout(width, height, getPosterPoints(options.poster ?? {}));
+    return { columns: layout.columns, rows: layout.rows, width: layout.width * 2.54 / 72, height: layout.height * 2.54 / 72 };
+  }
+
+  /**
+   * Downloads the map as a PDF document.
+   *
+   * @param {Object} map - The metromap object.
+   * @param {Object} [options={}] - The `pageSize` and `orientation` of the page, see `createPDF`.
+   * @param {string} [filename="metromap"] - The desired filename for the downloaded file, without extension.
+   * @throws {Error} If the document can not be created.
+   */
+  async getPDF(map, options = {}, filename = "metromap") {
+    let url = null;
+    let link = null;
+
+    try {
+      const pdf = await this.createPDF(map, options);
+      url = URL.createObjectURL(pdf);
+
+      link = document.createElement("a");
+      link.href = url;
+      link.download = filename + ".pdf";
+      link.style.display = 'none'; // Hide the link
+      document.body.appendChild(link);
+      link.click();
+
+      // Clean up with proper timing to ensure download starts
+      setTimeout(() => {
+        if (link && link.parentNode) {
+          document.body.removeChild(link);
+        }
+        URL.revokeObjectURL(url);
+      }, 100);
+    } catch (error) {
+      // Clean up resources on error
+      if (link && link.parentNode) {
+        document.body.removeChild(link);
+      }
+      if (url) {
+        URL.revokeObjectURL(url);
+      }
+      console.error("Error downloading the PDF file:", error);
+      throw new Error("Could not generate the PDF file for download: " + error.message);
+    }
+  }
+
+  /**
+   * Creates an iCalendar file (RFC 5545) with an event for every dated station of the map or of one metroline.
+   * The date of a station is its structured date, or else the date read from its free text date.
+   * Events have the name, description and link of the station and the names of its metrolines in the legend.
+   * Their UID is derived from the external unique ID of the station, so importing a newer export updates the events.
+   *
+   * @param {Object} map - The metromap object.
+   * @param {Object|null} [metroline=null] - The metroline to export the stations of, or null for all stations.
+   * @returns {Object} - The `content` of the calendar, the number of `events` and the `unparsed` stations without a readable date.
+   */
+  createICS(map, metroline = null) {
+    const stations = metroline
+      ? map.stations.filter(station => station.getMetrolines().includes(metroline))
+      : map.stations;
+    const stamp = formatICSDateTime(new Date(), true);
+    const unparsed = [];
+    const events = [];
+
+    stations.forEach(station => {
+      const range = station.getDateRange();
+      const start = parseStationDate(range?.start);
+      if (!start) {
+        unparsed.push(station);
+        return;
+      }
+      const end = parseStationDate(range.end);
+
+      const lineNames = station.getMetrolines()
+        .map(line => map.legenda?.toJSONLegendByMetroline(line)?.name || line.getId())
+        .filter((name, index, names) => names.indexOf(name) === index);
+      const description = [lineNames.join(", "), station.getDescription()].filter(Boolean).join("\n\n");
+
+      const lines = [
+        "BEGIN:VEVENT",
+        `UID:${getICSUid(station, map.stations.indexOf(station))}`,
+        `DTSTAMP:${stamp}`,
+      ];
+
+      // Whole days end the day after the last day, a start time without an end gets the default duration
+      if (!start.hasTime || (end && !end.hasTime)) {
+        const last = new Date(end?.date ?? start.date);
+        last.setDate(last.getDate() + 1);
+        lines.push(`DTSTART;VALUE=DATE:${formatICSDate(start.date)}`, `DTEND;VALUE=DATE:${formatICSDate(last)}`);
+      } else {
+        lines.push(`DTSTART:${formatICSDateTime(start.date)}`);
+        lines.push(end ? `DTEND:${formatICSDateTime(end.date)}` : `DURATION:${config.calendarConfig.defaultDuration}`);
+      }
+
+      lines.push(`SUMMARY:${escapeICSText(station.getName())}`);
+      if (description) lines.push(`DESCRIPTION:${escapeICSText(description)}`);
+      if (lineNames.length > 0) lines.push(`CATEGORIES:${lineNames.map(escapeICSText).join(",")}`);
+      if (/^https?:\/\//i.test(station.getLink() || "")) lines.push(`URL:${station.getLink()}`);
+      lines.push("END:VEVENT");
+
+      events.push(...lines);
+    });
+
+    const calendarName = [map.getTitle(), metroline && map.legenda?.toJSONLegendByMetroline(metroline)?.name]
+      .filter(Boolean)
+      .join(" - ");
+    const content = [
+      "BEGIN:VCALENDAR",
+      "VERSION:2.0",
+      `PRODID:${config.calendarConfig.productId}`,
+      "CALSCALE:GREGORIAN",
+      "METHOD:PUBLISH",
+      `X-WR-CALNAME:${escapeICSText(calendarName)}`,
+      ...events,
+      "END:VCALENDAR",
+    ].map(foldICSLine).join("\r\n") + "\r\n";
+
+    return { content, events: stations.length - unparsed.length, unparsed };
+  }
+
+  /**
+   * Downloads the stations of the map or of one metroline as an iCalendar (.ics) file.
+   *
+   * @param {Object} map - The metromap object.
+   * @param {Object|null} [metroline=null] - The metroline to export the stations of, or null for all stations.
+   * @param {string} [filename="metromap"] - The desired filename for the downloaded file, without extension.
+   * @returns {Object} - The number of exported `events` and the `unparsed` stations without a readable date.
+   * @throws {Error} If the map has no dated stations or the file can not be created.
+   */
+  getICS(map, metroline = null, filename = "metromap") {
+    const { content, events, unparsed } = this.createICS(map, metroline);
+    if (events === 0) {
+      throw new Error("No stations with a readable date to export");
+    }
+
+    let url = null;
+    let link = null;
+    try {
+      url = URL.createObjectURL(new Blob([content], { type: "text/calendar;charset=utf-8" }));
+
+      link = document.createElement("a");
+      link.href = url;
+      link.download = filename + ".ics";
+      link.style.display = 'none'; // Hide the link
+      document.body.appendChild(link);
+      link.click();
+
+      // Clean up with proper timing to ensure download starts
+      setTimeout(() => {
+        if (link && link.parentNode) {
+          document.body.removeChild(link);
+        }
+        URL.revokeObjectURL(url);
+      }, 100);
+    } catch (error) {
+      // Clean up resources on error
+      if (link && link.parentNode) {
+        document.body.removeChild(link);
+      }
+      if (url) {
+        URL.revokeObjectURL(url);
+      }
+      console.error("Error downloading the calendar file:", error);
+      throw new Error("Could not generate the calendar file for download: " + error.message);
+    }
+
+    return { events, unparsed };
+  }
+
   /**
    * Retrieves JSON data using a unique code and imports it to the provided map.
    *
    * @param {Object} map - The metromap object to be updated.
    * @param {string} code - The unique code for the JSON data.
-   * @returns {Promise<boolean>} - A promise resolving to true if the import succeeds.
+   * @returns {Promise<Object>} - A promise resolving to the report of upgrading the map, see `importJSON`.
    * @throws Will throw an error if the retrieval or import fails.
    */
    async retrieveAndImportJSON(map, code) {
@@ -324,7 +662,7 @@ export default class MetromapImportExport {
         // Import the JSON string into the map
         return this.importJSON(map, jsonString);
       } catch (error) {
-        throw new Error("Error retrieving and importing JSON data");
+        throw new Error(`Error retrieving and importing JSON data: ${error.message}`, { cause: error });
       }
   }
 
@@ -350,17 +688,21 @@ export default class MetromapImportExport {
 
   /**
    * Imports a JSON string, validates it, and updates the provided map object.
+   * JSON saved by older versions is upgraded to the current schema version first.
    * 
    * @param {Object} map - The metromap object to be updated.
    * @param {string} jsonString - The JSON string representing the metro map.
-   * @returns {boolean} - True if the import succeeds.
-   * @throws Will throw an error if the JSON string is invalid, the validation fails, or the map cannot be updated.
+   * @returns {Object} - The report of upgrading the map, see `metromapMigrations.migrateJSON`.
+   * @throws Will throw an error if the JSON string is invalid, newer than the designer, the validation fails, or the map cannot be updated.
    */
   importJSON(map, jsonString) {
     try {
       // Parse the JSON string into an object
       const jsonData = JSON.parse(jsonString);
 
+      // Upgrade JSON saved by older versions
+      const report = new metromapMigrations().migrateJSON(jsonData);
+
       // Validate the parsed JSON data
       this.validateJSON(jsonData);
 
@@ -370,7 +712,7 @@ export default class MetromapImportExport {
       }
 
       map.fromJSON(jsonData); // Update the map with the imported data
-      return true; // Indicate success
+      return report;
     } catch (error) {
       console.error("Error importing JSON:", error);
       throw new Error(`Failed to import JSON. Validation or parsing error: ${error.message}`);
@@ -396,6 +738,19 @@ export default class MetromapImportExport {
       errors.push("The map must have valid 'dimensions' with 'width' and 'height'.");
     }
 
+    // Validate the images of the overlay
+    if (map.overlay !== undefined && (typeof map.overlay !== "object" || map.overlay === null)) {
+      errors.push("The 'overlay' of the map must be an object.");
+    } else if (map.overlay?.images !== undefined) {
+      if (!Array.isArray(map.overlay.images)) {
+        errors.push("The 'images' of the overlay must be a list.");
+      } else {
+        map.overlay.images.forEach((image, index) => {
+          if (typeof image?.href !== "string") errors.push(`Image at index ${index} must have an 'href'.`);
+        });
+      }
+    }
+
     // If the map has no stations and no metrolines, it's considered an empty map and valid
     const hasStations = Array.isArray(map.stations) && map.stations.length > 0;
     const hasMetrolines = Array.isArray(map.metroLines) && map.metroLines.length > 0;
@@ -443,6 +798,9 @@ export default class MetromapImportExport {
           errors.push(`Station at index ${index} must have a valid 'orientation' (one of ${validOrientations.join(", ")}).`);
         }
         if (!station.shape) errors.push(`Station at index ${index} must have a 'shape'.`);
+        if ((station.dateStart || station.dateEnd) && !isValidStationDateRange(station.dateStart ?? "", station.dateEnd ?? "")) {
+          errors.push(`Station at index ${index} must have a valid 'dateStart' and 'dateEnd' (YYYY-MM-DD or YYYY-MM-DDTHH:mm, the end not before the start).`);
+        }
         if (station.shape === "connection" && (typeof station.width !== "number" || station.width <= 0)) {
           errors.push(`Station at index ${index} with 'connection' shape must have a valid 'width'.`);
         }
@@ -466,4 +824,207 @@ export default class MetromapImportExport {
   }
 
 
-}
\ No newline at end of file
+}
+
+// ####################################################
+// PNG
+//
+
+/**
+ * Finds the bounding box of the pixels drawn on a transparent canvas.
+ * The pixels are read in bands of rows, so large images do not need all their pixel data at once.
+ *
+ * @private
+ * @param {CanvasRenderingContext2D} context - The context of the canvas.
+ * @param {number} width - The width of the canvas.
+ * @param {number} height - The height of the canvas.
+ * @returns {Object|null} The box as { x, y, width, height }, or null if nothing is drawn.
+ */
+function getContentBounds(context, width, height) {
+  const bandHeight = Math.max(1, Math.floor(4194304 / width)); // About 16 MB of pixel data
+  let minX = width;
+  let minY = height;
+  let maxX = -1;
+  let maxY = -1;
+
+  for (let top = 0; top < height; top += bandHeight) {
+    const rows = Math.min(bandHeight, height - top);
+    const { data } = context.getImageData(0, top, width, rows);
+    for (let row = 0; row < rows; row++) {
+      for (let x = 0; x < width; x++) {
+        if (data[(row * width + x) * 4 + 3] === 0) continue;
+        const y = top + row;
+        if (x < minX) minX = x;
+        if (x > maxX) maxX = x;
+        if (y < minY) minY = y;
+        if (y > maxY) maxY = y;
+      }
+    }
+  }
+
+  return maxX < 0 ? null : { x: minX, y: minY, width: maxX - minX + 1, height: maxY - minY + 1 };
+}
+
+/**
+ * Adds text metadata to a PNG image as international text (iTXt) chunks after the header chunk.
+ * The image data itself is not copied, the new file is put together from slices of the original.
+ *
+ * @private
+ * @param {Blob} png - The PNG image.
+ * @param {Object} metadata - The texts by keyword, such as Title. Empty texts are left out.
+ * @returns {Blob} The PNG image with the metadata.
+ */
+function addPngMetadata(png, metadata) {
+  const encoder = new TextEncoder();
+
+  const chunks = Object.entries(metadata)
+    .filter(([, text]) => text)
+    .map(([keyword, text]) => {
+      // Keyword, null separator, no compression, empty language tag and translated keyword, UTF-8 text
+      const data = new Uint8Array([...encoder.encode(keyword), 0, 0, 0, 0, 0, ...encoder.encode(text)]);
+      const chunk = new Uint8Array(12 + data.length);
+      const view = new DataView(chunk.buffer);
+      view.setUint32(0, data.length);
+      chunk.set(encoder.encode("iTXt"), 4);
+      chunk.set(data, 8);
+      view.setUint32(8 + data.length, crc32(chunk.subarray(4, 8 + data.length)));
+      return chunk;
+    });
+
+  // The signature (8 bytes) and the header chunk (25 bytes) come first
+  const headerEnd = 33;
+  return new Blob([png.slice(0, headerEnd), ...chunks, png.slice(headerEnd)], { type: "image/png" });
+}
+
+/**
+ * Calculates the CRC-32 checksum of PNG chunks.
+ *
+ * @private
+ * @param {Uint8Array} bytes - The chunk type and data.
+ * @returns {number} The checksum.
+ */
+function crc32(bytes) {
+  let crc = 0xFFFFFFFF;
+  for (const byte of bytes) {
+    crc ^= byte;
+    for (let bit = 0; bit < 8; bit++) {
+      crc = (crc >>> 1) ^ (0xEDB88320 & -(crc & 1));
+    }
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+// ####################################################
+// ICALENDAR
+//
+
+/**
+ * Escapes text for a property value of an iCalendar file.
+ *
+ * @private
+ * @param {string} text - The text.
+ * @returns {string} The escaped text.
+ */
+function escapeICSText(text) {
+  return String(text ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+/**
+ * Folds a line of an iCalendar file into lines of at most 75 octets, continued lines start with a space.
+ *
+ * @private
+ * @param {string} line - The unfolded line.
+ * @returns {string} The folded line.
+ */
+function foldICSLine(line) {
+  const encoder = new TextEncoder();
+  const parts = [];
+  let part = "";
+  let octets = 0;
+
+  for (const character of line) {
+    const size = encoder.encode(character).length;
+    if (octets + size > (parts.length === 0 ? 75 : 74)) {
+      parts.push(part);
+      part = "";
+      octets = 0;
+    }
+    part += character;
+    octets += size;
+  }
+  parts.push(part);
+
+  return parts.join("\r\n ");
+}
+
+/**
+ * Writes a day as an iCalendar date.
+ *
+ * @private
+ * @param {Date} date - The day.
+ * @returns {string} The date as YYYYMMDD.
+ */
+function formatICSDate(date) {
+  return String(date.getFullYear()).padStart(4, "0")
+    + String(date.getMonth() + 1).padStart(2, "0")
+    + String(date.getDate()).padStart(2, "0");
+}
+
+/**
+ * Writes a moment as an iCalendar date with time. Station times are local times, written without a time zone.
+ *
+ * @private
+ * @param {Date} date - The moment.
+ * @param {boolean} [utc=false] - Write the time in UTC, as needed for time stamps.
+ * @returns {string} The date with time as YYYYMMDDTHHMMSS, followed by Z in UTC.
+ */
+function formatICSDateTime(date, utc = false) {
+  if (utc) {
+    return date.toISOString().replace(/[-:]/g, "").replace(/\.\d+/, "");
+  }
+  return `${formatICSDate(date)}T${String(date.getHours()).padStart(2, "0")}${String(date.getMinutes()).padStart(2, "0")}00`;
+}
+
+/**
+ * Gets the UID of the calendar event of a station. Stations without an external unique ID get a UID derived from
+ * their index on the map, name and free text date, so stations with the same name and date get their own event.
+ * It stays the same as long as these do not change.
+ *
+ * @private
+ * @param {Object} station - The station.
+ * @param {number} index - The index of the station in the stations of the map.
+ * @returns {string} The UID.
+ */
+function getICSUid(station, index) {
+  let id = station.externalUniqueID;
+  if (!id) {
+    // FNV-1a hash of the index, name and date
+    let hash = 0x811c9dc5;
+    for (const character of `${index}|${station.getName()}|${station.getDate()}`) {
+      hash ^= character.codePointAt(0);
+      hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    id = `station-${hash.toString(16).padStart(8, "0")}`;
+  }
+  return `${escapeICSText(id)}@${config.calendarConfig.uidDomain}`;
+}
+
+// ####################################################
+// POSTER
+//
+
+/**
+ * Converts the size of a poster in centimeters to points, the unit of PDF documents.
+ *
+ * @private
+ * @param {Object} poster - The `width` and `overlap` of the poster in centimeters.
+ * @returns {Object} The `width` and `overlap` in points, undefined when not given.
+ */
+function getPosterPoints(poster) {
+  const toPoints = (value) => (value === undefined || value === null || value === "" ? undefined : Number(value) * 72 / 2.54);
+  return { width: toPoints(poster.width), overlap: toPoints(poster.overlap) };
+}
@@ -0,0 +1,164 @@
+import * as config from '../config.js?v=1.0.5';
+
+/**
+ * Class representing the keyboard shortcuts of the editor.
+ * Maps key combinations to action names. The default bindings come from the configuration,
+ * bindings changed by the user are stored in the local storage of the browser.
+ *
+ * Key combinations are written as lowercase strings with the modifiers first, separated by `+`,
+ * for example `mod+shift+z`, `delete` or `arrowleft`. `mod` is Ctrl, or Cmd on a Mac.
+ */
+export default class metromapKeymap {
+    defaultBindings; // Default key combinations per action
+    bindings = {}; // Key combinations per action
+    storageKey; // Local storage key for the bindings changed by the user
+
+    /**
+     * Constructor for metromapKeymap.
+     * @param {Object} [defaultBindings] - Key combinations per action, defaults to the configured bindings.
+     * @param {string} [storageKey] - Local storage key, defaults to the configured key.
+     */
+    constructor(defaultBindings = config.keymapConfig.bindings, storageKey = config.keymapConfig.storageKey) {
+        this.defaultBindings = defaultBindings;
+        this.storageKey = storageKey;
+        this.resetBindings(false);
+        this.loadBindings();
+    }
+
+    // MATCHING
+
+    /**
+     * Converts a keyboard event to a key combination.
+     * Shift is left out for characters that are already changed by shift, such as `?`.
+     *
+     * @param {KeyboardEvent} event - The keyboard event.
+     * @returns {string|null} The key combination, or null for a modifier key on its own.
+     */
+    eventToCombo(event) {
+        const key = event.key?.toLowerCase();
+        if (!key || ["control", "meta", "shift", "alt"].includes(key)) return null;
+
+        const parts = [];
+        if (event.ctrlKey || event.metaKey) parts.push("mod");
+        if (event.altKey) parts.push("alt");
+        if (event.shiftKey && (key.length > 1 || /[a-z0-9]/.test(key))) parts.push("shift");
+        parts.push(key === " " ? "space" : key);
+        return parts.join("+");
+    }
+
+    /**
+     * Finds the action bound to the key combination of a keyboard event.
+     * @param {KeyboardEvent} event - The keyboard event.
+     * @returns {string|null} The action name, or null if the combination is not bound.
+     */
+    getAction(event) {
+        const combo = this.eventToCombo(event);
+        if (!combo) return null;
+        return Object.keys(this.bindings).find(action => this.bindings[action].includes(combo)) || null;
+    }
+
+    // BINDINGS
+
+    /**
+     * Gets a copy of all bindings.
+     * @returns {Object} Key combinations per action.
+     */
+    getBindings() {
+        return Object.fromEntries(Object.entries(this.bindings).map(([action, combos]) => [action, [...combos]]));
+    }
+
+    /**
+     * Binds key combinations to an action. The combinations are removed from any other action.
+     *
+     * @param {string} action - The action name.
+     * @param {Array<string>} combos - The key combinations, an empty array disables the action.
+     * @throws {Error} Throws an error if the action is unknown.
+     */
+    setBinding(action, combos) {
+        if (!this.defaultBindings[action]) throw new Error(`setBinding: Unknown action ${action}`);
+
+        const normalized = combos.map(combo => combo.toLowerCase());
+
+        // A combination can only trigger one action
+        Object.keys(this.bindings).forEach(otherAction => {
+            this.bindings[otherAction] = this.bindings[otherAction].filter(combo => !normalized.includes(combo));
+        });
+        this.bindings[action] = normalized;
+
+        this.saveBindings();
+    }
+
+    /**
+     * Restores the default bindings.
+     * @param {boolean} [save=true] - Remove the bindings changed by the user from the local storage.
+     */
+    resetBindings(save = true) {
+        this.bindings = Object.fromEntries(
+            Object.entries(this.defaultBindings).map(([action, combos]) => [action, [...combos]])
+        );
+        if (save) this.saveBindings();
+    }
+
+    /**
+     * Loads the bindings changed by the user from the local storage. Unknown actions are ignored.
+     */
+    loadBindings() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.storageKey) || "{}");
+            Object.entries(stored).forEach(([action, combos]) => {
+                if (this.bindings[action] && Array.isArray(combos)) this.bindings[action] = combos;
+            });
+        } catch (error) {
+            console.warn('loadBindings: Could not load keyboard shortcuts', error);
+        }
+    }
+
+    /**
+     * Stores the bindings that differ from the defaults in the local storage.
+     */
+    saveBindings() {
+        const changed = Object.fromEntries(
+            Object.entries(this.bindings).filter(([action, combos]) =>
+                combos.join(" ") !== this.defaultBindings[action].join(" "))
+        );
+
+        try {
+            if (Object.keys(changed).length === 0) {
+                localStorage.removeItem(this.storageKey);
+            } else {
+                localStorage.setItem(this.storageKey, JSON.stringify(changed));
+            }
+        } catch (error) {
+            console.warn('saveBindings: Could not save keyboard shortcuts', error);
+        }
+    }
+
+    // DISPLAY
+
+    /**
+     * Formats a key combination for display, for example `Ctrl+Shift+Z` or `⌘+Shift+Z` on a Mac.
+     * @param {string} combo - The key combination.
+     * @returns {string} The readable key combination.
+     */
+    formatCombo(combo) {
+        const isMac = /Mac|iPhone|iPad/.test(navigator.platform);
+        const names = {
+            mod: isMac ? "⌘" : "Ctrl",
+            alt: isMac ? "⌥" : "Alt",
+            shift: "Shift",
+            arrowleft: "←",
+            arrowright: "→",
+            arrowup: "↑",
+            arrowdown: "↓",
+            escape: "Esc",
+            delete: "Del",
+            backspace: "Backspace",
+            space: "Space",
+        };
+
+        return combo
+            .split("+")
+            .map(part => names[part] || (part.length === 1 ? part.toUpperCase() : part.charAt(0).toUpperCase() + part.slice(1)))
+            .join("+");
+    }
+}
@@ -197,9 +197,77 @@ export default class metromapLegenda {
         legendaGroup.appendChild(lineTitle);
         legendaGroup.appendChild(targetGroup);
 
+        // Draw the swatch in the stroke style of the metroline
+        const metroline = this.metromap.lines?.find(line => line.getId() === metrolineID);
+        if (metroline) this.applyLineStyle(legendaGroup, metroline);
+
         return legendaGroup;
     }
 
+    /**
+     * Updates the swatch of a metroline in the legend after its stroke style changed.
+     * @param {Object} metroline - The metroline.
+     * @returns {boolean} True if the metroline has a legend item, false otherwise.
+     */
+    updateLineStyle(metroline) {
+        const item = Array.from(this.legenda.querySelectorAll(".legendaGroup")).find(
+            legendaItem => legendaItem.getAttribute("metrolineid") === metroline.getId()
+        );
+        if (!item) return false;
+
+        this.applyLineStyle(item, metroline);
+        return true;
+    }
+
+    /**
+     * Draws the swatch of a legend item with the thickness, dash pattern and core of a metroline.
+     * The swatch is never thicker than the legend box. When the swatch no longer covers the whole name,
+     * the name gets an outline in the line color so it stays readable.
+     *
+     * @param {Element} item - The legend group element.
+     * @param {Object} metroline - The metroline.
+     */
+    applyLineStyle(item, metroline) {
+        const polyline = item.querySelector(".legendaPolyline");
+        const name = item.querySelector(".metroLineName");
+        if (!polyline) return;
+
+        const thickness = Math.min(metroline.getThickness(), config.legendaConfig.boxHeight);
+        polyline.setAttribute("stroke-width", thickness);
+        const dashArray = metroline.getDashArray(thickness);
+        if (dashArray) {
+            polyline.setAttribute("stroke-dasharray", dashArray);
+        } else {
+            polyline.removeAttribute("stroke-dasharray");
+        }
+
+        // Core of double lines
+        item.querySelector(".legendaPolylineCore")?.remove();
+        const core = metroline.getCoreStroke(thickness);
+        if (core) {
+            const corePolyline = helpers.createSvgElement("polyline", {
+                "stroke-linecap": "round",
+                fill: "none",
+                ...core,
+                class: "legendaPolylineCore",
+                points: polyline.getAttribute("points"),
+            });
+            polyline.after(corePolyline);
+        }
+
+        // Outline the name
+        if (name) {
+            if (metroline.getLineStyle() !== "solid" || thickness < config.metrolineConfig.thickness) {
+                name.setAttribute("stroke", metroline.getColor());
+                name.setAttribute("stroke-width", 4);
+                name.setAttribute("stroke-linejoin", "round");
+                name.setAttribute("paint-order", "stroke");
+            } else {
+                ["stroke", "stroke-width", "stroke-linejoin", "paint-order"].forEach(attribute => name.removeAttribute(attribute));
+            }
+        }
+    }
+
     /**
      * Creates a text element for the legend.
      * @param {string} elementClass - The CSS class for the text element.
@@ -277,6 +345,7 @@ export default class metromapLegenda {
                 lastPoint[0] = maxLengthLine; // Update the x-coordinate to the maximum line length
                 points[points.length - 1] = lastPoint.join(","); // Recombine the updated point
                 polyline.setAttribute("points", points.join(" ")); // Set the updated points on the polyline
+                item.querySelector(".legendaPolylineCore")?.setAttribute("points", points.join(" ")); // Core of double lines
             }
 
             // Update the position of the target group text
@@ -401,6 +470,7 @@ export default class metromapLegenda {
                             })
                             .join(" ");
                         polyline.setAttribute("points", modifiedPoints);
+                        item.querySelector(".legendaPolylineCore")?.setAttribute("points", modifiedPoints); // Core of double lines
                     }
                 }
 
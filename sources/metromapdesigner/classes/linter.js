@@ -0,0 +1,261 @@
+import * as helpers from '../common.js?v=1.0.5';
+import * as config from '../config.js?v=1.0.5';
+
+/**
+ * Class representing the linter of a metro map. The linter runs a list of rules over the map
+ * and reports the structural problems it finds, such as stations that are not on a metroline
+ * or polylines without length.
+ *
+ * Every rule has a severity from the configuration: "error", "warning" or "off".
+ * A problem holds the `rule` that found it, its `severity`, the `elements` on the canvas it is about
+ * and `params` describing it. The message of a problem is the translation of `i18n_lint_<rule>` with these params.
+ */
+export default class metromapLinter {
+    metromap; // Reference to the map object
+    rules; // Rule functions by rule name, each returning the problems found as { elements, params }
+    blockExportOnErrors = false; // Refuse to share or export the map while it has errors
+    storageKey; // Local storage key for blocking exports
+
+    /**
+     * Constructor for metromapLinter.
+     * @param {Object} map - Reference to the metro map object.
+     */
+    constructor(map) {
+        this.metromap = map;
+        this.storageKey = config.lintConfig.storageKey;
+        this.rules = {
+            stationOffLine: () => this.findStationsOffLine(),
+            emptyPolyline: () => this.findEmptyPolylines(),
+            orphanedPolyline: () => this.findOrphanedPolylines(),
+            orphanedLegendItem: () => this.findOrphanedLegendItems(),
+            duplicateStationName: () => this.findDuplicateStationNames(),
+            lineWithoutTerminus: () => this.findLinesWithoutTerminus(),
+            overlappingStations: () => this.findOverlappingStations(),
+            labelCollision: () => this.findLabelCollisions(),
+        };
+        this.loadBlockExportOnErrors();
+    }
+
+    // RUNNING
+
+    /**
+     * Runs all rules that are not switched off.
+     * @returns {Array<Object>} The problems found, errors first.
+     */
+    run() {
+        const problems = [];
+
+        Object.entries(this.rules).forEach(([rule, check]) => {
+            const severity = this.getSeverity(rule);
+            if (severity === "off") return;
+
+            try {
+                check().forEach(({ elements, params = {} }) => {
+                    problems.push({ rule, severity, elements, params });
+                });
+            } catch (error) {
+                console.warn(`Lint rule "${rule}" failed:`, error);
+            }
+        });
+
+        return problems.sort((a, b) => (a.severity === "error" ? 0 : 1) - (b.severity === "error" ? 0 : 1));
+    }
+
+    /**
+     * Gets the severity of a rule.
+     * @param {string} rule - The rule name.
+     * @returns {string} "error", "warning" or "off".
+     */
+    getSeverity(rule) {
+        return config.lintConfig.rules[rule] || "warning";
+    }
+
+    /**
+     * Checks if the map has problems with the severity "error".
+     * @returns {boolean} True if at least one error is found.
+     */
+    hasErrors() {
+        return this.run().some(problem => problem.severity === "error");
+    }
+
+    /**
+     * Checks if sharing or exporting the map is allowed.
+     * @returns {boolean} False if exports are blocked and the map has errors.
+     */
+    allowsExport() {
+        return !this.blockExportOnErrors || !this.hasErrors();
+    }
+
+    // SETTINGS
+
+    /**
+     * Sets whether sharing and exporting is refused while the map has errors, and stores the choice.
+     * @param {boolean} block - True to refuse exports of maps with errors.
+     */
+    setBlockExportOnErrors(block) {
+        this.blockExportOnErrors = !!block;
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.blockExportOnErrors));
+        } catch (error) {
+            console.warn('setBlockExportOnErrors: Could not save the setting', error);
+        }
+    }
+
+    /**
+     * Loads whether exports are blocked from the local storage, or from the configuration when it was never changed.
+     */
+    loadBlockExportOnErrors() {
+        this.blockExportOnErrors = config.lintConfig.blockExportOnErrors;
+        try {
+            const stored = localStorage.getItem(this.storageKey);
+            if (stored !== null) this.blockExportOnErrors = JSON.parse(stored) === true;
+        } catch (error) {
+            console.warn('loadBlockExportOnErrors: Could not load the setting', error);
+        }
+    }
+
+    // RULES
+
+    /**
+     * Finds stations that are not on any metroline. These stations are assigned to the first metroline of the map.
+     * @returns {Array<Object>} The problems found.
+     */
+    findStationsOffLine() {
+        const topology = this.metromap.getTopology();
+        const runs = this.metromap.lines.flatMap(metroline => topology.chainPolylines(metroline));
+
+        return this.metromap.stations
+            .filter(station => {
+                const position = station.getPosition();
+                const reach = topology.getReach(station);
+                return !runs.some(run => helpers.projectPointOnPolyline(position, run)?.distance <= reach);
+            })
+            .map(station => ({ elements: [station.refSvg], params: { name: station.getName() } }));
+    }
+
+    /**
+     * Finds polylines without points or without length.
+     * @returns {Array<Object>} The problems found.
+     */
+    findEmptyPolylines() {
+        return Array.from(this.metromap.metroLineLayer.querySelectorAll("polyline"))
+            .filter(polyline => {
+                const points = (polyline.getAttribute("points") || "").trim().split(/[\s,]+/).filter(Boolean).map(Number);
+                if (points.length < 4 || points.some(value => !Number.isFinite(value))) return true;
+                return points.every((value, index) => value === points[index % 2]);
+            })
+            .map(polyline => ({ elements: [polyline], params: {} }));
+    }
+
+    /**
+     * Finds polylines in the metroline layer that are not part of a metroline.
+     * @returns {Array<Object>} The problems found.
+     */
+    findOrphanedPolylines() {
+        const groups = new Set(this.metromap.lines.map(metroline => metroline.getGroupElement()));
+
+        return Array.from(this.metromap.metroLineLayer.querySelectorAll("polyline"))
+            .filter(polyline => !groups.has(polyline.parentNode))
+            .map(polyline => ({ elements: [polyline], params: {} }));
+    }
+
+    /**
+     * Finds legend entries of metrolines that are not drawn on the map.
+     * @returns {Array<Object>} The problems found.
+     */
+    findOrphanedLegendItems() {
+        const drawn = new Set(this.metromap.lines
+            .filter(metroline => metroline.getLines().length > 0)
+            .map(metroline => metroline.getId()));
+
+        return Array.from(this.metromap.legenda?.legendaItems || [])
+            .filter(item => !drawn.has(item.getAttribute("metrolineid")))
+            .map(item => ({ elements: [item], params: { name: item.querySelector(".metroLineName")?.textContent || "" } }));
+    }
+
+    /**
+     * Finds stations sharing the same name. Names are compared without case and surrounding spaces.
+     * @returns {Array<Object>} The problems found, one for every name.
+     */
+    findDuplicateStationNames() {
+        const stationsByName = new Map();
+        this.metromap.stations.forEach(station => {
+            const name = (station.getName() || "").trim().toLowerCase();
+            if (!name) return;
+            if (!stationsByName.has(name)) stationsByName.set(name, []);
+            stationsByName.get(name).push(station);
+        });
+
+        return [...stationsByName.values()]
+            .filter(stations => stations.length > 1)
+            .map(stations => ({
+                elements: stations.map(station => station.refSvg),
+                params: { name: stations[0].getName(), count: stations.length }
+            }));
+    }
+
+    /**
+     * Finds drawn metrolines missing a start station, an end station or both.
+     * The missing terminus is given as `missing` ("start", "end" or "both") and as translation context.
+     * @returns {Array<Object>} The problems found.
+     */
+    findLinesWithoutTerminus() {
+        const problems = [];
+
+        this.metromap.lines
+            .filter(metroline => metroline.getLines().length > 0)
+            .forEach(metroline => {
+                const shapes = new Set(this.metromap.stations
+                    .filter(station => station.getMetrolines().includes(metroline))
+                    .map(station => station.getShape()));
+                const missing = ["start", "end"].filter(shape => !shapes.has(shape));
+                if (missing.length === 0) return;
+
+                const terminus = missing.length === 2 ? "both" : missing[0];
+                problems.push({
+                    elements: metroline.getLines(),
+                    params: {
+                        name: this.metromap.legenda?.toJSONLegendByMetroline(metroline)?.name || metroline.getId(),
+                        missing: terminus,
+                        context: terminus,
+                    }
+                });
+            });
+
+        return problems;
+    }
+
+    /**
+     * Finds stations placed on top of each other.
+     * @returns {Array<Object>} The problems found, one for every pair of stations.
+     */
+    findOverlappingStations() {
+        const minimumDistance = config.lintConfig.minimumStationDistance;
+        const stations = this.metromap.stations;
+        const problems = [];
+
+        for (let i = 0; i < stations.length; i++) {
+            for (let j = i + 1; j < stations.length; j++) {
+                const a = stations[i].getPosition();
+                const b = stations[j].getPosition();
+                if (Math.hypot(a.x - b.x, a.y - b.y) < minimumDistance) {
+                    problems.push({
+                        elements: [stations[i].refSvg, stations[j].refSvg],
+                        params: { first: stations[i].getName(), second: stations[j].getName() }
+                    });
+                }
+            }
+        }
+
+        return problems;
+    }
+
+    /**
+     * Finds stations whose label overlaps a metroline, another label or the legend.
+     * @returns {Array<Object>} The problems found.
+     */
+    findLabelCollisions() {
+        return this.metromap.getStationsWithLabelCollisions()
+            .map(station => ({ elements: [station.refSvg], params: { name: station.getName() } }));
+    }
+}
@@ -134,13 +134,15 @@ export default class metromapMetroline {
         // Create and add metroline element to the metroline group
         const newLineElement = helpers.createSvgElement("polyline", {
             "stroke-linecap": "round",
-            "stroke-width": config.metrolineConfig.thickness,
+            "stroke-width": this.getThickness(),
             metrolineid: this.metrolineID,
             fill: "none",
             stroke: this.metrolineColor,
             class: `metroline${this.metrolineID}`,
             points
         });
+        const dashArray = this.getDashArray();
+        if (dashArray) newLineElement.setAttribute("stroke-dasharray", dashArray);
 
         this.metrolineGroup.insertBefore(newLineElement, this.metrolineGroup.firstChild);
         this.polylines.push(newLineElement);
@@ -148,18 +150,14 @@ export default class metromapMetroline {
     }
     
     /**
-     * Updates the end position of a metroline with snapping to horizontal/vertical/diagonal directions.
-     * @param {SVGElement} lineElement - The polyline element to update.
-     * @param {number} endX - New ending X coordinate.
-     * @param {number} endY - New ending Y coordinate.
+     * Snaps a position to the nearest horizontal, vertical or diagonal direction seen from a start position.
+     * @param {number} startX - X coordinate to snap from.
+     * @param {number} startY - Y coordinate to snap from.
+     * @param {number} endX - X coordinate to snap.
+     * @param {number} endY - Y coordinate to snap.
+     * @returns {Object} The snapped position with x and y.
      */
-    drawNewEndPosition(lineElement, endX, endY) {
-        if(!lineElement) throw new Error('Metroline updateEndPosition: invalid polyline element');
-
-        // Get the current points attribute and extract the start coordinates
-        const currentPoints = lineElement.getAttribute("points").trim();
-        const [startX, startY] = currentPoints.split(" ")[0].split(",").map(Number);
-
+    getOctilinearPosition(startX, startY, endX, endY) {
         // Calculate difference start and end position of the line
         let dx = Math.abs(endX - startX);
         let dy = Math.abs(endY - startY);
@@ -180,9 +178,151 @@ export default class metromapMetroline {
         } else if (dy > dx - directionMargin) {
             endX = startX + Math.sign(endX - startX) * Math.abs(dy);
         }
-    
+
+        return { x: endX, y: endY };
+    }
+
+    /**
+     * Updates the end position of a metroline with snapping to horizontal/vertical/diagonal directions.
+     * The end is snapped relative to the previous point, earlier bends of the polyline are kept.
+     * @param {SVGElement} lineElement - The polyline element to update.
+     * @param {number} endX - New ending X coordinate.
+     * @param {number} endY - New ending Y coordinate.
+     */
+    drawNewEndPosition(lineElement, endX, endY) {
+        if(!lineElement) throw new Error('Metroline updateEndPosition: invalid polyline element');
+
+        // Snap the last point from the point before it
+        const points = this.getPoints(lineElement);
+        const previous = points.length > 1 ? points[points.length - 2] : points[0];
+        points[Math.max(points.length - 1, 1)] = this.getOctilinearPosition(previous.x, previous.y, endX, endY);
+
         // update the points
-        lineElement.setAttribute("points", `${startX},${startY} ${endX},${endY}`);
+        this.setPoints(lineElement, points);
+    }
+
+    // VERTICES
+
+    /**
+     * Gets the points of a polyline.
+     * @param {SVGElement} lineElement - The polyline element.
+     * @returns {Array<Object>} The points with x and y.
+     */
+    getPoints(lineElement) {
+        return lineElement.getAttribute("points")
+            .trim()
+            .split(/\s+/)
+            .map(point => {
+                const [x, y] = point.split(",").map(Number);
+                return { x, y };
+            });
+    }
+
+    /**
+     * Sets the points of a polyline.
+     * @param {SVGElement} lineElement - The polyline element.
+     * @param {Array<Object>} points - The points with x and y.
+     */
+    setPoints(lineElement, points) {
+        lineElement.setAttribute("points", points.map(point => `${point.x},${point.y}`).join(" "));
+    }
+
+    /**
+     * Fixes the end of a polyline as a bend and starts a new segment from it.
+     * @param {SVGElement} lineElement - The polyline element.
+     * @returns {boolean} False if the last segment has no length, in which case no bend is added.
+     */
+    addBend(lineElement) {
+        const points = this.getPoints(lineElement);
+        const last = points[points.length - 1];
+        const previous = points[points.length - 2];
+        if (previous && previous.x === last.x && previous.y === last.y) return false;
+
+        points.push({ ...last });
+        this.setPoints(lineElement, points);
+        return true;
+    }
+
+    /**
+     * Moves a point of a polyline.
+     * @param {SVGElement} lineElement - The polyline element.
+     * @param {number} index - Index of the point.
+     * @param {number} x - New X coordinate.
+     * @param {number} y - New Y coordinate.
+     */
+    moveVertex(lineElement, index, x, y) {
+        const points = this.getPoints(lineElement);
+        if (!points[index]) throw new Error(`Metroline moveVertex: no point with index ${index}`);
+
+        points[index] = { x, y };
+        this.setPoints(lineElement, points);
+    }
+
+    /**
+     * Inserts a point in a polyline.
+     * @param {SVGElement} lineElement - The polyline element.
+     * @param {number} index - Index the new point gets, between 1 and the number of points - 1.
+     * @param {number} x - X coordinate.
+     * @param {number} y - Y coordinate.
+     */
+    insertVertex(lineElement, index, x, y) {
+        const points = this.getPoints(lineElement);
+        if (index < 1 || index > points.length - 1) throw new Error(`Metroline insertVertex: invalid index ${index}`);
+
+        points.splice(index, 0, { x, y });
+        this.setPoints(lineElement, points);
+    }
+
+    /**
+     * Removes a point from a polyline. A polyline always keeps at least two points.
+     * @param {SVGElement} lineElement - The polyline element.
+     * @param {number} index - Index of the point.
+     * @returns {boolean} True if the point was removed.
+     */
+    removeVertex(lineElement, index) {
+        const points = this.getPoints(lineElement);
+        if (points.length <= 2 || !points[index]) return false;
+
+        points.splice(index, 1);
+        this.setPoints(lineElement, points);
+        return true;
+    }
+
+    /**
+     * Removes points that are on the same position as the point before them.
+     * @param {SVGElement} lineElement - The polyline element.
+     * @returns {number} The number of points left.
+     */
+    removeDuplicateVertices(lineElement) {
+        const points = this.getPoints(lineElement).filter((point, index, all) =>
+            index === 0 || point.x !== all[index - 1].x || point.y !== all[index - 1].y);
+        this.setPoints(lineElement, points);
+        return points.length;
+    }
+
+    /**
+     * Finds a polyline of this metroline that starts or ends at a position.
+     * @param {number} x - X coordinate.
+     * @param {number} y - Y coordinate.
+     * @returns {Object|null} The `polyline` and whether the position is its start (`atStart`), or null.
+     */
+    findEndpoint(x, y) {
+        for (const polyline of this.polylines) {
+            const points = this.getPoints(polyline);
+            const first = points[0];
+            const last = points[points.length - 1];
+            if (last.x === x && last.y === y) return { polyline, atStart: false };
+            if (first.x === x && first.y === y) return { polyline, atStart: true };
+        }
+        return null;
+    }
+
+    /**
+     * Reverses the direction of a polyline, so its start becomes its end.
+     * @param {SVGElement} lineElement - The polyline element.
+     */
+    reverse(lineElement) {
+        this.setPoints(lineElement, this.getPoints(lineElement).reverse());
     }
 
     /**
@@ -420,38 +560,237 @@ export default class metromapMetroline {
         this.metrolineColor = newColor;
     }
 
+    // STROKE STYLE
+
+    /**
+     * Gets the stroke style of the metroline.
+     * @returns {string} One of the styles in `metrolineConfig.lineStyles`, "solid" by default.
+     */
+    getLineStyle() {
+        const style = this.metrolineGroup.getAttribute("linestyle");
+        return config.metrolineConfig.lineStyles.includes(style) ? style : "solid";
+    }
+
+    /**
+     * Sets the stroke style of the metroline.
+     * @param {string} style - One of the styles in `metrolineConfig.lineStyles`.
+     * @throws {Error} Throws an error if the style is unknown.
+     */
+    setLineStyle(style) {
+        if (!config.metrolineConfig.lineStyles.includes(style)) {
+            throw new Error(`setLineStyle: Unknown line style ${style}`);
+        }
+
+        if (style === "solid") {
+            this.metrolineGroup.removeAttribute("linestyle");
+        } else {
+            this.metrolineGroup.setAttribute("linestyle", style);
+        }
+        this.applyStrokeStyle();
+    }
+
+    /**
+     * Gets the thickness of the metroline.
+     * @returns {number} The stroke width, `metrolineConfig.thickness` by default.
+     */
+    getThickness() {
+        const thickness = parseFloat(this.metrolineGroup.getAttribute("linethickness"));
+        return thickness > 0 ? thickness : config.metrolineConfig.thickness;
+    }
+
+    /**
+     * Sets the thickness of the metroline.
+     * @param {number|null} thickness - The stroke width, or null for the default thickness.
+     * @throws {Error} Throws an error if the thickness is not a number above 0 or null.
+     */
+    setThickness(thickness) {
+        if (thickness === null) {
+            this.metrolineGroup.removeAttribute("linethickness");
+        } else if (typeof thickness === "number" && thickness > 0) {
+            this.metrolineGroup.setAttribute("linethickness", thickness);
+        } else {
+            throw new Error("setThickness: Thickness must be a number above 0 or null");
+        }
+        this.applyStrokeStyle();
+    }
+
+    /**
+     * Gets the dash pattern of the stroke style. Dashes and dots are measured from the round line caps,
+     * so they keep their shape at every thickness.
+     * @param {number} [thickness] - The stroke width to scale the pattern to, defaults to the thickness of the metroline.
+     * @returns {string|null} The value for `stroke-dasharray`, or null for a continuous stroke.
+     */
+    getDashArray(thickness = this.getThickness()) {
+        switch (this.getLineStyle()) {
+            case "dashed":
+                return `${thickness} ${thickness * 2}`;
+            case "dotted":
+                return `0 ${thickness * 1.5}`;
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Gets the stroke drawn on top of the metroline for double lines.
+     * @param {number} [thickness] - The stroke width of the metroline, defaults to the thickness of the metroline.
+     * @returns {Object|null} The `stroke` and `stroke-width` of the core, or null if the style has no core.
+     */
+    getCoreStroke(thickness = this.getThickness()) {
+        if (this.getLineStyle() !== "double") return null;
+
+        const { color, ratio } = config.metrolineConfig.doubleLineCore;
+        return { stroke: color, "stroke-width": thickness * ratio };
+    }
+
+    /**
+     * Applies the thickness and dash pattern of the stroke style to all polylines and the legend item.
+     * Double lines are drawn by `renderPaths`.
+     */
+    applyStrokeStyle() {
+        this.updatePolylinesArray();
+
+        const thickness = this.getThickness();
+        const dashArray = this.getDashArray(thickness);
+        this.polylines.forEach(polyline => {
+            polyline.setAttribute("stroke-width", thickness);
+            if (dashArray) {
+                polyline.setAttribute("stroke-dasharray", dashArray);
+            } else {
+                polyline.removeAttribute("stroke-dasharray");
+            }
+        });
+
+        this.metromap.legenda?.updateLineStyle(this);
+        this.metromap.renderMetrolinePaths();
+    }
+
+    // CORNERS
+
+    /**
+     * Gets the corner radius set on this metroline.
+     * @returns {number|null} The corner radius, or null if the metroline uses the corner radius of the map.
+     */
+    getCornerRadius() {
+        const radius = parseFloat(this.metrolineGroup.getAttribute("cornerradius"));
+        return Number.isFinite(radius) ? radius : null;
+    }
+
+    /**
+     * Sets the corner radius of the bends of this metroline.
+     * @param {number|null} radius - The corner radius, 0 for sharp corners or null to use the corner radius of the map.
+     * @throws {Error} Throws an error if the radius is not a positive number or null.
+     */
+    setCornerRadius(radius) {
+        if (radius === null) {
+            this.metrolineGroup.removeAttribute("cornerradius");
+        } else if (typeof radius === "number" && radius >= 0) {
+            this.metrolineGroup.setAttribute("cornerradius", radius);
+        } else {
+            throw new Error("setCornerRadius: Corner radius must be a positive number or null");
+        }
+        this.metromap.renderMetrolinePaths();
+    }
+
+    /**
+     * Gets the corner radius used to draw this metroline, falling back to the corner radius of the map.
+     * @returns {number} The corner radius.
+     */
+    getEffectiveCornerRadius() {
+        return this.getCornerRadius() ?? this.metromap.getCornerRadius();
+    }
+
+    /**
+     * Draws the polylines of this metroline with rounded corners, moved sideways where they share a corridor
+     * and with a white core for double lines.
+     * Every polyline that is drawn differently gets a path right below it. The polyline itself stays
+     * in place as the model of the segment and as the element that receives the mouse events,
+     * but is marked with `data-curved`, which the style of the map makes invisible.
+     * Polylines that are drawn as they are lose their path and their mark.
+     *
+     * @param {Map<SVGPolylineElement, Object[]>} [offsets] - Moved edges per polyline, as determined by `metromap.getParallelOffsets()`.
+     */
+    renderPaths(offsets = new Map()) {
+        this.metrolineGroup.querySelectorAll(".metrolineCurve").forEach(curve => curve.remove());
+        this.updatePolylinesArray();
+
+        const radius = this.getEffectiveCornerRadius();
+        this.polylines.forEach(polyline => {
+            const edges = offsets.get(polyline);
+            const points = edges
+                ? helpers.offsetPolylinePoints(edges)
+                : Array.from(polyline.points || []).map(point => ({ x: point.x, y: point.y }));
+            const core = this.getCoreStroke(Number(polyline.getAttribute("stroke-width")) || this.getThickness());
+            if (!edges && !core && (radius <= 0 || points.length < 3)) {
+                polyline.removeAttribute("data-curved");
+                return;
+            }
+
+            const d = helpers.roundedPolylinePath(points, radius);
+            const curve = helpers.createSvgElement("path", {
+                class: "metrolineCurve",
+                d,
+                fill: "none",
+                "pointer-events": "none"
+            });
+            ["stroke", "stroke-width", "stroke-linecap", "stroke-opacity", "stroke-dasharray"].forEach(attribute => {
+                if (polyline.hasAttribute(attribute)) curve.setAttribute(attribute, polyline.getAttribute(attribute));
+            });
+            this.metrolineGroup.insertBefore(curve, polyline);
+
+            // The core of a double line follows the same path
+            if (core) {
+                const coreCurve = curve.cloneNode(false);
+                coreCurve.removeAttribute("stroke-dasharray");
+                coreCurve.setAttribute("stroke", core.stroke);
+                coreCurve.setAttribute("stroke-width", core["stroke-width"]);
+                this.metrolineGroup.insertBefore(coreCurve, polyline);
+            }
+
+            polyline.setAttribute("data-curved", "");
+        });
+    }
+
+    /**
+     * Generates a JSON object with the start, end and intermediate points of a single line segment.
+     * @param {SVGPolylineElement} polyline - The polyline element of the segment.
+     * @returns {Object|null} A JSON object with the segment points, or null if the polyline has less than two points.
+     */
+    segmentToJSON(polyline) {
+        const pointsArray = Array.from(polyline.points).filter(
+            point => point && typeof point.x === 'number' && typeof point.y === 'number'
+        );
+
+        if (pointsArray.length < 2) return null;
+
+        const startPoint = pointsArray[0];
+        const endPoint = pointsArray[pointsArray.length - 1];
+        const intermediatePoints = pointsArray.slice(1, pointsArray.length - 1).map(point => ({
+            x: point.x,
+            y: point.y
+        }));
+
+        return {
+            start: {
+                x: startPoint.x,
+                y: startPoint.y
+            },
+            end: {
+                x: endPoint.x,
+                y: endPoint.y
+            },
+            Segments: intermediatePoints
+        };
+    }
+
     /**
      * Generates a JSON object with minimal information required to regenerate the metroline.
+     * @param {Array<SVGPolylineElement>} [polylines] - Only include these segments of the metroline. Defaults to all segments.
      * @returns {Object} A JSON object containing the metroline ID, color, and lines with their respective start, end, and intermediate points.
      */
-    toJSON() {
-        const lines = this.polylines
-            .map(polyline => {
-                const pointsArray = Array.from(polyline.points).filter(
-                    point => point && typeof point.x === 'number' && typeof point.y === 'number'
-                );
-
-                if (pointsArray.length < 2) return null;
-
-                const startPoint = pointsArray[0];
-                const endPoint = pointsArray[pointsArray.length - 1];
-                const intermediatePoints = pointsArray.slice(1, pointsArray.length - 1).map(point => ({
-                    x: point.x,
-                    y: point.y
-                }));
-
-                return {
-                    start: {
-                        x: startPoint.x,
-                        y: startPoint.y
-                    },
-                    end: {
-                        x: endPoint.x,
-                        y: endPoint.y
-                    },
-                    Segments: intermediatePoints
-                };
-            })
+    toJSON(polylines = this.polylines) {
+        const lines = polylines
+            .map(polyline => this.segmentToJSON(polyline))
             .filter(line => line !== null);
 
         const color = helpers.parseRGBString(this.metrolineColor);
@@ -460,6 +799,9 @@ export default class metromapMetroline {
             metroLineId: this.metrolineID,
             externalUniqueId: this.externalUniqueID || null,
             color: color,
+            cornerRadius: this.getCornerRadius(),
+            lineStyle: this.getLineStyle(),
+            thickness: this.getThickness(),
             segments: lines
         };
     }
@@ -476,7 +818,7 @@ export default class metromapMetroline {
         }
 
         // Validate required properties
-        const { metroLineId, color, segments, externalUniqueId } = jsonData;
+        const { metroLineId, color, segments, externalUniqueId, cornerRadius, lineStyle, thickness } = jsonData;
         if (!metroLineId || !color || !Array.isArray(segments)) {
             throw new Error("Invalid metroline JSON structure. Missing required properties.");
         }
@@ -486,17 +828,26 @@ export default class metromapMetroline {
         this.metrolineColor = `rgb(${color.r}, ${color.g}, ${color.b})`;
         this.externalUniqueID = externalUniqueId || "";
         this.metrolineGroup.setAttribute("externalUniqueID", this.externalUniqueID);
+        if (typeof cornerRadius === "number" && cornerRadius >= 0) this.setCornerRadius(cornerRadius);
+        if (config.metrolineConfig.lineStyles.includes(lineStyle)) this.setLineStyle(lineStyle);
+        if (typeof thickness === "number" && thickness > 0) this.setThickness(thickness);
 
         // Recreate polylines from the segments
         segments.forEach(segment => {
-            const { start, end, segments } = segment;
+            const { start, end } = segment;
             if (!start || !end || typeof start.x !== "number" || typeof start.y !== "number" ||
                 typeof end.x !== "number" || typeof end.y !== "number") {
                 throw new Error("Invalid segment data in JSON.");
             }
 
+            // Bends are exported as `Segments` with lowercase coordinates
+            const bends = (segment.Segments || segment.segments || []).map(point => ({
+                X: point.x ?? point.X,
+                Y: point.y ?? point.Y
+            }));
+
             // Use the draw method to create the polyline
-            this.draw(start.x, start.y, end.x, end.y, segments);
+            this.draw(start.x, start.y, end.x, end.y, bends);
         });
     }
 }
@@ -3,6 +3,10 @@ import * as config from '../config.js?v=1.0.5';
 import metromapLegenda from './legenda.js?v=1.0.5';
 import metromapMetroline from './metroline.js?v=1.0.5';
 import metromapStation from './station.js?v=1.0.5';
+import metromapSelection from './selection.js?v=1.0.5';
+import metromapTopology from './topology.js?v=1.0.5';
+import metromapLinter from './linter.js?v=1.0.5';
+import metromapSpreadsheet from './spreadsheet.js?v=1.0.5';
 import { SpatialGrid } from '../common.js?v=1.0.5';
 
 /**
@@ -89,6 +93,24 @@ export default class metromap {
      */
     legenda;
 
+    /**
+     * @property {metromapSelection} selection
+     * @description Multi-selection of stations, segments, images and text on the map.
+     */
+    selection;
+
+    /**
+     * @property {metromapLinter} linter
+     * @description Linter reporting structural problems of the map.
+     */
+    linter;
+
+    /**
+     * @property {metromapSpreadsheet} spreadsheet
+     * @description Table of the stations, exported and imported as CSV.
+     */
+    spreadsheet;
+
     /**
      * @property {SpatialGrid} spatialIndex
      * @description Spatial index for optimized metroline detection and intersection queries.
@@ -151,6 +173,31 @@ export default class metromap {
      */
     externalUniqueID;
 
+    /**
+     * @property {MutationObserver|null} pathObserver
+     * @description Observer drawing the metrolines again when their polylines change.
+     */
+    pathObserver = null;
+
+    /**
+     * @property {number|null} pathRenderFrame
+     * @description Animation frame in which the observer draws the metrolines again, or `null` when none is requested.
+     */
+    pathRenderFrame = null;
+
+    /**
+     * @property {Object|null} highlightedRoute
+     * @description Route shown on the map with everything else dimmed, or `null` when no route is shown.
+     */
+    highlightedRoute = null;
+
+    /**
+     * @property {Object|null} presentation
+     * @description Metroline presented station by station, with its ordered `stations`, the current `step` and the `layer`
+     * drawing the metroline up to the current station, or `null` when no presentation is running.
+     */
+    presentation = null;
+
     /**
      * @property {Object} hooks
      * @description Collection of event hooks for different state changes on the map.
@@ -165,6 +212,7 @@ export default class metromap {
      * @property {Function[]} hooks.selectStation - Hooks for when a station is selected.
      * @property {Function[]} hooks.unSelectStation - Hooks for when a station is deselected.
      * @property {Function[]} hooks.selectLine - Hooks for when a line is selected.
+     * @property {Function[]} hooks.selectionChanged - Hooks for when the multi-selection changed.
      */
     hooks = {
         newStation: [],
@@ -177,7 +225,8 @@ export default class metromap {
         removeLine: [],
         selectStation: [],
         unSelectStation: [],
-        selectLine: []
+        selectLine: [],
+        selectionChanged: []
     };
 
     // INITIALIZATION AND HOOKS
@@ -226,6 +275,15 @@ export default class metromap {
          // Create legenda object
          this.legenda = new metromapLegenda(this, this.legendaLayer);
 
+         // Create (empty) multi-selection
+         this.selection = new metromapSelection(this);
+
+         // Create linter for structural problems
+         this.linter = new metromapLinter(this);
+
+         // Create table view of the stations
+         this.spreadsheet = new metromapSpreadsheet(this);
+
          // Initialize spatial index for performance optimization
          const cellSize = config.gridConfig.size * 2; // Use 2x grid size for optimal performance
          this.spatialIndex = new SpatialGrid(cellSize, this.getWidth(), this.getHeight());
@@ -233,6 +291,10 @@ export default class metromap {
 
          // Remove legend items that have no corresponding lines on the map
          this.removeOrphanedLegendaItems();
+
+         // Draw the metrolines with rounded corners and shared corridors and keep them up to date
+         this.renderMetrolinePaths();
+         this.observeMetrolinePaths();
     }
 
     /**
@@ -308,6 +370,42 @@ export default class metromap {
         return { "height" : this.svgMap.clientHeight, "width" : this.svgMap.clientWidth }
     }
 
+    /**
+     * @method syncWithCanvas
+     * @description Re-reads lines, stations and legend items after the canvas was changed directly,
+     * for example when a change is undone or redone.
+     * @param {Set<Node>} [changedElements] - Elements touched by the change; changed stations are rendered again.
+     */
+    syncWithCanvas(changedElements = new Set()) {
+        // Drop references to elements that might have left the canvas
+        this.metrolineEdited = null;
+        this.metrolineEditedSegment = null;
+
+        // Re-read lines (this also rebuilds the spatial index) and their colors
+        this.updateLines();
+        this.metroMapRecreateColorTable();
+        this.renderMetrolinePaths();
+
+        // Re-read stations and legend
+        this.updateStations();
+        this.unselectAllStations();
+        this.legenda.updateLegenda();
+
+        // Station layout is calculated after rendering, so render the changed stations again
+        const changedStationGroups = new Set();
+        changedElements.forEach(node => {
+            const element = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+            const stationGroup = element?.closest(".stationGroup");
+            if (stationGroup) changedStationGroups.add(stationGroup);
+        });
+        this.stations
+            .filter(station => changedStationGroups.has(station.refSvg))
+            .forEach(station => station.render());
+
+        // Stations may be on other lines now
+        this.updateAllStationMetrolineIds();
+    }
+
     /**
      * Retrieves the title or academy name from the map.
      *
@@ -807,13 +905,21 @@ export default class metromap {
         // Add it to the map
         this.stations.push(station);
 
+        // Span the metrolines of the corridor right away, so it is part of the undo step of adding the station
+        if (station.getShape() === "connection") {
+            const corridor = this.getCorridorAt(configuration.x, configuration.y);
+            if (corridor && corridor.lines.length > 1) {
+                this.fitConnectionStationToCorridor(station, corridor);
+            }
+        }
+
         // Use requestAnimationFrame for smoother UI updates
         requestAnimationFrame(() => {
             // Allow DOM to update, then process station
             requestAnimationFrame(() => {
                 // update connection metroline ids
                 if(station.getShape() === "connection") {
-                     this.updateStationMetrolineIds(station, true);
+                     this.updateStationMetrolineIds(station, true, false);
                 }
                 // Run hooks for the 'newStation' event
                 this.runHooks('newStation', station);
@@ -824,6 +930,32 @@ export default class metromap {
         return station;
     }
 
+    /**
+     * @method addStationOnMetroline
+     * @description Adds a new station to a given metroline. Unlike `addNewStation` the metroline is not
+     * looked up at the position of the station, so the station can be placed where metrolines cross.
+     *
+     * @param {Object} metroline - The metroline of the station.
+     * @param {Object} configuration - The configuration of the station, with at least its `x` and `y` position.
+     * @returns {Object} The created station object.
+     * @throws {Error} If the metroline is not on the map or the position is missing.
+     */
+    addStationOnMetroline(metroline, configuration) {
+        if (!this.lines.includes(metroline)) {
+            throw new Error("addStationOnMetroline: The metroline is not on the map.");
+        }
+        if (!configuration || typeof configuration.x !== 'number' || typeof configuration.y !== 'number') {
+            throw new Error("Invalid station configuration, should at least contain X and Y position.");
+        }
+
+        const station = new metromapStation(this, this.getStationLineLayer(metroline), null, {
+            ...configuration,
+            metrolineid: metroline.getId(),
+        });
+        this.stations.push(station);
+        return station;
+    }
+
     /**
      * @method selectStation
      * @description Selects a specific station and triggers related hooks.
@@ -849,6 +981,19 @@ export default class metromap {
         return this.stationEdited;
     }
 
+    /**
+     * @method getSelectedStations
+     * @description Retrieves the stations in the multi-selection, or the single selected station when there is no multi-selection.
+     * 
+     * @returns {Array<Object>} The selected station objects, empty if no station is selected.
+     */
+    getSelectedStations() {
+        if (this.selection && this.selection.stations.length > 0) {
+            return [...this.selection.stations];
+        }
+        return this.stationEdited ? [this.stationEdited] : [];
+    }
+
     /**
      * @method unSelectStation
      * @description Deselects the currently selected station and triggers related hooks.
@@ -871,6 +1016,9 @@ export default class metromap {
     unselectAllStations() {
         this.stationEdited = null;
         this.isDraggingStation = false;
+
+        // Empty the multi-selection
+        this.selection?.clear();
     
         // Unselect all stations
         this.stations.forEach(station => {
@@ -902,8 +1050,11 @@ export default class metromap {
      * If no metroline is found, it assigns the first metroline in the `lines` array as a fallback.
      * 
      * @param {Object} station - The station whose `metrolineIds` need to be updated.
+     * @param {boolean} [visualFeedback=false] - Whether the detected metrolines are highlighted.
+     * @param {boolean} [fitToCorridor=true] - Whether a connection station is sized and turned to span the metrolines
+     * in its corridor. Turned off where the station is not placed or moved, so a width or orientation set by the user is kept.
      */
-    updateStationMetrolineIds(station, visualFeedback = false) {
+    updateStationMetrolineIds(station, visualFeedback = false, fitToCorridor = true) {
         if (!station) {
             throw new Error("updateStationMetrolineIds: Station object is required.");
         }
@@ -912,7 +1063,7 @@ export default class metromap {
         if (station.getShape() !== "connection") {
             this.updateNormalStationMetrolineIds(station, visualFeedback);
         } else {
-            this.updateConnectionStationMetrolineIds(station, visualFeedback);
+            this.updateConnectionStationMetrolineIds(station, visualFeedback, fitToCorridor);
         }
     }
 
@@ -937,8 +1088,10 @@ export default class metromap {
      * @description Handles metroline detection for connection stations, considering bounding box and rotation.
      * 
      * @param {Object} station - The connection station to update.
+     * @param {boolean} [visualFeedback=false] - Whether the detected metrolines are highlighted.
+     * @param {boolean} [fitToCorridor=true] - Whether the station is sized and turned to span the metrolines in its corridor.
      */
-    updateConnectionStationMetrolineIds(station, visualFeedback = false) {
+    updateConnectionStationMetrolineIds(station, visualFeedback = false, fitToCorridor = true) {
         const adjustedBBox = this.getAdjustedBoundingBox(station);
         const rotation = this.getRotationForStation(station);
         const lines = this.detectMetrolinesOnBBox(adjustedBBox, rotation, 20, visualFeedback, false);
@@ -956,6 +1109,40 @@ export default class metromap {
                 station.addMetroline(metroline);
             }
         });
+
+        // Span all metrolines drawn next to each other in the corridor of the station
+        if (fitToCorridor) {
+            const { x, y } = station.getPosition();
+            const corridor = this.getCorridorAt(x, y);
+            if (corridor && corridor.lines.length > 1) {
+                this.fitConnectionStationToCorridor(station, corridor);
+            }
+        }
+    }
+
+    /**
+     * @method fitConnectionStationToCorridor
+     * @description Sizes and turns a connection station so it spans all metrolines sharing its corridor.
+     * The shape of a connection station starts at its position and grows in the direction the metrolines are moved to.
+     *
+     * @param {Object} station - The connection station.
+     * @param {Object} corridor - The corridor as returned by `getCorridorAt`.
+     */
+    fitConnectionStationToCorridor(station, corridor) {
+        const { lines, normal } = corridor;
+
+        if (station.getWidth() !== lines.length) {
+            station.setWidth(lines.length);
+        }
+
+        // Turn the station across the corridor when its shape runs along the metrolines.
+        // Orientations pointing the other way draw the shape in the same direction, with the text on the other side.
+        const orientation = station.getOrientation();
+        const shapeAngle = (orientation >= 90 && orientation <= 225 ? orientation + 180 : orientation) * Math.PI / 180;
+        const across = Math.abs(Math.cos(shapeAngle) * normal.x + Math.sin(shapeAngle) * normal.y);
+        if (across < 0.5) {
+            station.setOrientation((Math.round(Math.atan2(normal.y, normal.x) * 180 / Math.PI) + 360) % 360);
+        }
     }
 
     /**
@@ -1051,6 +1238,7 @@ export default class metromap {
     /**
      * @method updateAllStationMetrolineIds
      * @description Iterates through all stations and updates their `metrolineIds` by detecting which metrolines pass through their positions.
+     * Connection stations keep their width and orientation.
      */
     updateAllStationMetrolineIds() {
         if (!this.stations || this.stations.length === 0) {
@@ -1064,7 +1252,7 @@ export default class metromap {
             for (let i = 0; i < this.stations.length; i += chunkSize) {
                 const chunk = this.stations.slice(i, i + chunkSize);
                 chunk.forEach((station) => {
-                    this.updateStationMetrolineIds(station);
+                    this.updateStationMetrolineIds(station, false, false);
                 });
             }
         }, 'low');
@@ -1505,6 +1693,102 @@ export default class metromap {
         this.updateAllStationMetrolineIds(); // Update all metroline ids of stations
     }
 
+    /**
+     * @method startDrawPolyline
+     * @description Starts drawing a metroline with bends. When the position is the end of an existing segment
+     * with the same color, that segment is extended, otherwise a new segment is started.
+     * Every following call to `addPolylineBend` fixes the current end as a bend.
+     *
+     * @param {Object} mousePosition - The starting position with x and y.
+     * @param {string} color - The color of the metroline.
+     *
+     * @throws {Error} Throws an error if the mouse position or color is invalid.
+     */
+    startDrawPolyline(mousePosition, color) {
+        // Validate inputs
+        if (!mousePosition || typeof mousePosition.x !== 'number' || typeof mousePosition.y !== 'number') {
+            throw new Error("Invalid mousePosition: must contain valid x and y properties.");
+        }
+
+        if (!color || typeof color !== 'string') {
+            throw new Error("Invalid color: must be a non-empty string.");
+        }
+
+        const alignedPosition = this.getGridAlignedPosition(mousePosition.x, mousePosition.y);
+
+        // Extend an existing segment of this color when starting on one of its ends
+        const metrolineId = "metroline" + color.replace(/[^a-zA-Z0-9]/g, "");
+        const existingMetroline = this.getMetrolineWithId(metrolineId);
+        const endpoint = existingMetroline?.findEndpoint(alignedPosition.x, alignedPosition.y);
+        if (endpoint) {
+            // Always draw at the end of the polyline
+            if (endpoint.atStart) existingMetroline.reverse(endpoint.polyline);
+            existingMetroline.addBend(endpoint.polyline);
+
+            this.selectMetroline(existingMetroline);
+            this.metrolineEditedSegment = endpoint.polyline;
+            return;
+        }
+
+        // Start a new segment
+        this.startDrawMetroline(mousePosition, color);
+    }
+
+    /**
+     * @method addPolylineBend
+     * @description Fixes the end of the metroline being drawn as a bend, at the given position.
+     *
+     * @param {Object} mousePosition - The position of the bend with x and y.
+     * @returns {boolean} False if the last segment has no length (clicked twice on the same spot), true otherwise.
+     */
+    addPolylineBend(mousePosition) {
+        if (!this.metrolineEdited || !this.metrolineEditedSegment) return false;
+
+        this.drawMetroline(mousePosition);
+        return this.metrolineEdited.addBend(this.metrolineEditedSegment);
+    }
+
+    /**
+     * @method endDrawPolyline
+     * @description Completes drawing a metroline with bends. Unfinished bends are removed,
+     * and a segment without length is removed completely.
+     */
+    endDrawPolyline() {
+        if (!this.metrolineEdited || !this.metrolineEditedSegment) return;
+
+        // Remove the point following the mouse and other double points
+        const pointsLeft = this.metrolineEdited.removeDuplicateVertices(this.metrolineEditedSegment);
+        if (pointsLeft < 2) {
+            this.cancelDrawMetroline();
+            return;
+        }
+
+        // Run hooks for the 'newLine' event
+        this.runHooks('newLine', this.metrolineEdited);
+
+        // Update spatial index with the modified metroline
+        this.updateSpatialIndex('rebuild');
+
+        // Reset working variables
+        this.metrolineEdited = null;
+        this.metrolineEditedSegment = null;
+        this.updateAllStationMetrolineIds(); // Update all metroline ids of stations
+    }
+
+    /**
+     * @method cancelDrawMetroline
+     * @description Cancels drawing a metroline by removing the segment that is being drawn.
+     */
+    cancelDrawMetroline() {
+        if (this.metrolineEditedSegment?.isConnected) {
+            this.removeLineSegment(this.metrolineEditedSegment);
+        }
+
+        // Reset working variables
+        this.metrolineEdited = null;
+        this.metrolineEditedSegment = null;
+    }
+
     /**
      * @method selectMetroline
      * @description Selects a specific metroline for editing and triggers related hooks.
@@ -1739,6 +2023,685 @@ export default class metromap {
         return this.lines[0];
     }
 
+    // METROLINE RENDERING
+
+    /**
+     * @method getCornerRadius
+     * @description Gets the corner radius of the bends of metrolines that have no corner radius of their own.
+     * @returns {number} The corner radius, 0 for sharp corners.
+     */
+    getCornerRadius() {
+        const radius = parseFloat(this.svgMap.getAttribute("cornerradius"));
+        return Number.isFinite(radius) ? radius : config.metrolineConfig.cornerRadius;
+    }
+
+    /**
+     * @method setCornerRadius
+     * @description Sets the corner radius of the bends of metrolines that have no corner radius of their own.
+     * @param {number} radius - The corner radius, 0 for sharp corners.
+     * @throws {Error} Throws an error if the radius is not a positive number.
+     */
+    setCornerRadius(radius) {
+        if (typeof radius !== "number" || !(radius >= 0)) {
+            throw new Error("setCornerRadius: Corner radius must be a positive number");
+        }
+        this.svgMap.setAttribute("cornerradius", radius);
+        this.renderMetrolinePaths();
+    }
+
+    /**
+     * @method renderMetrolinePaths
+     * @description Draws all metrolines with rounded corners and with metrolines that share a corridor next to each other.
+     * The spatial index is rebuilt first, so the corridors are found on the current positions of the polylines.
+     */
+    renderMetrolinePaths() {
+        cancelAnimationFrame(this.pathRenderFrame);
+        this.pathRenderFrame = null;
+
+        // Polylines drawn as paths are hidden by a rule saved with the map, so they stay hidden outside the designer
+        if (!this.svgMap.querySelector("#metrolineCurveStyle")) {
+            const style = helpers.createSvgElement("style", { id: "metrolineCurveStyle" });
+            style.textContent = "polyline[data-curved] { opacity: 0; }";
+            this.svgMap.prepend(style);
+        }
+
+        this.lines.forEach(line => line.updatePolylinesArray());
+        this.buildSpatialIndex();
+
+        const offsets = this.getParallelOffsets();
+        this.lines.forEach(line => line.renderPaths(offsets));
+    }
+
+    /**
+     * @method observeMetrolinePaths
+     * @description Draws the metrolines again whenever polylines or corner radii change,
+     * so drawing, moving, undo and redo do not have to take care of the rendering themselves.
+     * The changes of a frame are drawn together in the next animation frame.
+     */
+    observeMetrolinePaths() {
+        this.pathObserver?.disconnect();
+
+        this.pathObserver = new MutationObserver((records) => {
+            // Skip the changes made by drawing the paths themselves
+            const isPath = (node) => !!node.classList?.contains("metrolineCurve");
+            const changed = records.some(record => record.type === "childList"
+                ? [...record.addedNodes, ...record.removedNodes].some(node => !isPath(node))
+                : !isPath(record.target));
+
+            // Draw at most once a frame, the points change on every mouse move while dragging
+            if (changed && !this.pathRenderFrame) {
+                this.pathRenderFrame = requestAnimationFrame(() => this.renderMetrolinePaths());
+            }
+        });
+
+        this.pathObserver.observe(this.metroLineLayer, {
+            subtree: true,
+            childList: true,
+            attributes: true,
+            attributeFilter: ["points", "cornerradius", "stroke", "stroke-width", "stroke-linecap", "stroke-opacity", "stroke-dasharray"]
+        });
+        this.pathObserver.observe(this.svgMap, {
+            attributes: true,
+            attributeFilter: ["cornerradius"]
+        });
+    }
+
+    /**
+     * @method getCorridorOverlaps
+     * @description Finds the parts of an edge that other metrolines share with it, using the spatial index.
+     *
+     * @param {Object} start - Start point of the edge.
+     * @param {Object} end - End point of the edge.
+     * @param {Object} metroline - The metroline of the edge, its own polylines are ignored.
+     * @returns {Object[]} The shared parts, with `from` and `to` as fractions of the edge and the other `metroline`.
+     */
+    getCorridorOverlaps(start, end, metroline) {
+        const dx = end.x - start.x;
+        const dy = end.y - start.y;
+        const length = Math.hypot(dx, dy);
+        if (length === 0 || !this.spatialIndex) return [];
+
+        const tolerance = 0.5;
+        const overlaps = [];
+        const candidates = this.spatialIndex.query({
+            x: Math.min(start.x, end.x) - tolerance,
+            y: Math.min(start.y, end.y) - tolerance,
+            width: Math.abs(dx) + tolerance * 2,
+            height: Math.abs(dy) + tolerance * 2
+        });
+
+        candidates.forEach(({ segment, metroline: other }) => {
+            if (other.getId() === metroline.getId()) return;
+
+            // Both ends of the other edge must lie on the same straight line
+            const distance = (point) => Math.abs(dx * (point.y - start.y) - dy * (point.x - start.x)) / length;
+            if (distance(segment.start) > tolerance || distance(segment.end) > tolerance) return;
+
+            // Project the other edge on this edge
+            const project = (point) => ((point.x - start.x) * dx + (point.y - start.y) * dy) / (length * length);
+            const from = Math.max(0, Math.min(project(segment.start), project(segment.end)));
+            const to = Math.min(1, Math.max(project(segment.start), project(segment.end)));
+            if ((to - from) * length > tolerance) overlaps.push({ from, to, metroline: other });
+        });
+
+        return overlaps;
+    }
+
+    /**
+     * @method getParallelOffsets
+     * @description Determines how far the edges of polylines are moved sideways so metrolines sharing a corridor are drawn next to each other.
+     * Each edge is split where other metrolines join or leave it. The metrolines on a part are ordered like the metroline layers,
+     * the first keeps its position and every next one moves `metrolineConfig.bundleSpacing` further to the side given by `helpers.getCorridorNormal`.
+     *
+     * @returns {Map<SVGPolylineElement, Object[]>} The edges with their `start`, `end` and `offset` for every polyline that is moved somewhere.
+     */
+    getParallelOffsets() {
+        const spacing = config.metrolineConfig.bundleSpacing;
+        const order = new Map(this.lines.map((line, index) => [line.getId(), index]));
+        const offsets = new Map();
+
+        this.lines.forEach(line => {
+            line.polylines.forEach(polyline => {
+                const points = Array.from(polyline.points || []).map(point => ({ x: point.x, y: point.y }));
+                const edges = [];
+                let moved = false;
+
+                for (let i = 0; i < points.length - 1; i++) {
+                    const start = points[i];
+                    const end = points[i + 1];
+                    const normal = helpers.getCorridorNormal(start, end);
+                    if (!normal) continue;
+
+                    // Split the edge where other metrolines join or leave
+                    const overlaps = this.getCorridorOverlaps(start, end, line);
+                    const breaks = [...new Set([0, 1, ...overlaps.flatMap(({ from, to }) => [from, to])])].sort((a, b) => a - b);
+
+                    for (let j = 0; j < breaks.length - 1; j++) {
+                        const middle = (breaks[j] + breaks[j + 1]) / 2;
+                        const sharing = new Set([line.getId()]);
+                        overlaps
+                            .filter(({ from, to }) => from <= middle && middle <= to)
+                            .forEach(({ metroline }) => sharing.add(metroline.getId()));
+
+                        const position = [...sharing].sort((a, b) => order.get(a) - order.get(b)).indexOf(line.getId());
+                        const offset = { x: normal.x * position * spacing, y: normal.y * position * spacing };
+                        const pointAt = (fraction) => ({ x: start.x + (end.x - start.x) * fraction, y: start.y + (end.y - start.y) * fraction });
+
+                        // Continue the previous part when the offset did not change
+                        const previous = edges[edges.length - 1];
+                        if (j > 0 && previous.offset.x === offset.x && previous.offset.y === offset.y) {
+                            previous.end = pointAt(breaks[j + 1]);
+                        } else {
+                            edges.push({ start: pointAt(breaks[j]), end: pointAt(breaks[j + 1]), offset });
+                        }
+                        if (position > 0) moved = true;
+                    }
+                }
+
+                if (moved) offsets.set(polyline, edges);
+            });
+        });
+
+        return offsets;
+    }
+
+    /**
+     * @method getCorridorAt
+     * @description Finds the metrolines that share the corridor at a position.
+     *
+     * @param {number} x - The x-coordinate of the position.
+     * @param {number} y - The y-coordinate of the position.
+     * @returns {Object|null} The metrolines in drawing order as `lines` and the side they are moved to as `normal`,
+     * or null if there is no metroline at the position.
+     */
+    getCorridorAt(x, y) {
+        if (!this.spatialIndex) return null;
+
+        const tolerance = config.applicationConfig.toleranceMetrolineDetection || 10;
+        const segments = this.spatialIndex
+            .query({ x: x - tolerance, y: y - tolerance, width: tolerance * 2, height: tolerance * 2 })
+            .filter(({ segment }) => helpers.isPointOnLineSegment(segment.start.x, segment.start.y, segment.end.x, segment.end.y, x, y, tolerance));
+        if (segments.length === 0) return null;
+
+        // Metrolines on the same straight line as the first one found
+        const { start, end } = segments[0].segment;
+        const normal = helpers.getCorridorNormal(start, end);
+        if (!normal) return null;
+        const onCorridor = (point) => Math.abs((point.x - start.x) * normal.x + (point.y - start.y) * normal.y) < 0.5;
+        const lines = this.lines.filter(line => segments.some(({ segment, metroline }) =>
+            metroline.getId() === line.getId() && onCorridor(segment.start) && onCorridor(segment.end)));
+
+        return { lines, normal };
+    }
+
+    // TOPOLOGY
+
+    /**
+     * @method getTopology
+     * @description Works out the order of the stations along every metroline and the graph of connected stations
+     * from the current polylines and stations on the map.
+     *
+     * @returns {metromapTopology} The topology of the map.
+     */
+    getTopology() {
+        return new metromapTopology(this);
+    }
+
+    /**
+     * @method getStationSequence
+     * @description Gets the stations of a metroline in the order they are passed along the line.
+     *
+     * @param {Object|string} metroline - The metroline, or its ID.
+     * @returns {Array<Object>} The ordered stations, listed branch after branch for a branching metroline.
+     * @throws {Error} If the metroline does not exist.
+     */
+    getStationSequence(metroline) {
+        const line = typeof metroline === "string" ? this.getMetrolineWithId(metroline) : metroline;
+        if (!line || !this.lines.includes(line)) {
+            throw new Error(`getStationSequence: Metroline "${metroline?.getId?.() ?? metroline}" not found.`);
+        }
+        return this.getTopology().getSequence(line);
+    }
+
+    /**
+     * @method getStationNeighbours
+     * @description Gets the stations directly connected to a station by the metrolines passing it.
+     *
+     * @param {Object} station - The station.
+     * @param {Object|string|null} [metroline=null] - Only follow this metroline (or metroline ID), or all metrolines when null.
+     * @returns {Array<Object>} The neighbouring stations.
+     */
+    getStationNeighbours(station, metroline = null) {
+        const line = typeof metroline === "string" ? this.getMetrolineWithId(metroline) : metroline;
+        return this.getTopology().getNeighbours(station, line);
+    }
+
+    /**
+     * @method findRoute
+     * @description Finds the route between two stations along the metrolines.
+     *
+     * @param {Object} from - The station to start from.
+     * @param {Object} to - The station to travel to.
+     * @param {Object} [options] - Route options.
+     * @param {boolean} [options.minimiseTransfers=false] - Prefer routes with fewer transfers over routes with fewer stops.
+     * @returns {Object|null} The route as returned by `metromapTopology.findRoute`, or `null` if the stations are not connected.
+     * @throws {Error} If one of the stations is not on the map.
+     */
+    findRoute(from, to, options = {}) {
+        if (!this.stations.includes(from) || !this.stations.includes(to)) {
+            throw new Error("findRoute: Both stations must be on the map.");
+        }
+        return this.getTopology().findRoute(from, to, options);
+    }
+
+    /**
+     * @method highlightRoute
+     * @description Shows a route on the map by dimming all metrolines and the stations that are not part of it.
+     * Every leg is drawn again in the route layer between its first and last station, so only the part of a metroline
+     * that is travelled stands out.
+     *
+     * @param {Object} route - The route as returned by `findRoute`.
+     * @param {Array<Object>} [route.lines] - Metrolines shown along their whole length instead of between the stations of a leg.
+     */
+    highlightRoute(route) {
+        if (!route) return;
+        this.clearRouteHighlight();
+
+        const wholeLines = route.lines ?? [];
+        const dimOpacity = config.routeConfig.dimOpacity;
+
+        this.lines.forEach(line => line.setMetrolineOpacity(wholeLines.includes(line) ? "1" : dimOpacity));
+        this.stations.forEach(station => {
+            if (!route.stations.includes(station)) {
+                station.refSvg.setAttribute("opacity", dimOpacity);
+            }
+        });
+
+        // Draw the travelled parts of the legs above the dimmed metrolines
+        const topology = this.getTopology();
+        const layer = helpers.createSvgElement("g", { id: "routeLayer" });
+        route.legs
+            .filter(leg => !wholeLines.includes(leg.metroline))
+            .forEach(leg => layer.append(...this.createRunPaths(leg.metroline, topology.getRunsBetween(leg.metroline, leg.stations))));
+        this.stationLayer.parentNode.insertBefore(layer, this.stationLayer);
+
+        this.highlightedRoute = route;
+    }
+
+    /**
+     * @method highlightMetroline
+     * @description Shows a single metroline on the map by dimming all other metrolines and the stations not on it.
+     * The highlight is cleared with `clearRouteHighlight`, like a highlighted route.
+     *
+     * @param {Object} metroline - The metroline to show.
+     */
+    highlightMetroline(metroline) {
+        if (!metroline) return;
+
+        const stations = this.stations.filter(station => station.getMetrolines().includes(metroline));
+        this.highlightRoute({ stations, legs: [{ metroline, stations }], lines: [metroline], transfers: 0 });
+    }
+
+    /**
+     * @method clearRouteHighlight
+     * @description Shows all metrolines and stations again after a route was highlighted.
+     */
+    clearRouteHighlight() {
+        if (!this.highlightedRoute) return;
+
+        this.svgMap.querySelector("#routeLayer")?.remove();
+        this.lines.forEach(line => line.setMetrolineOpacity("1"));
+        this.stations.forEach(station => station.refSvg.removeAttribute("opacity"));
+        this.highlightedRoute = null;
+    }
+
+    /**
+     * @method clearHighlightInCopy
+     * @description Shows all metrolines and stations in a copy of the canvas, as `clearRouteHighlight` and `stopPresentation`
+     * do on the canvas itself. A copy made while a route, a metroline or a presentation is shown is kept without dimming.
+     *
+     * @param {SVGSVGElement} copy - A copy of the canvas, changed in place.
+     */
+    clearHighlightInCopy(copy) {
+        if (!this.highlightedRoute && !this.presentation) return;
+
+        copy.querySelectorAll("#routeLayer, #presentationLayer").forEach(layer => layer.remove());
+        copy.querySelectorAll("#metrolines polyline").forEach(polyline => polyline.setAttribute("stroke-opacity", "1"));
+        copy.querySelectorAll("#stations .stationGroup").forEach(group => group.removeAttribute("opacity"));
+    }
+
+    /**
+     * @method createRunPaths
+     * @description Creates paths drawing parts of a metroline in its own stroke style, with the corners of the metroline.
+     *
+     * @param {Object} metroline - The metroline.
+     * @param {Array<Array<Object>>} runs - The parts to draw, each an array of points with x and y.
+     * @returns {Array<SVGPathElement>} The paths, not added to the map yet.
+     */
+    createRunPaths(metroline, runs) {
+        const radius = metroline.getEffectiveCornerRadius();
+        const dashArray = metroline.getDashArray();
+
+        return runs.map(points => {
+            const path = helpers.createSvgElement("path", {
+                d: helpers.roundedPolylinePath(points, radius),
+                fill: "none",
+                stroke: metroline.getColor(),
+                "stroke-width": metroline.getThickness(),
+                "stroke-linecap": "round",
+                "stroke-linejoin": "round"
+            });
+            if (dashArray) path.setAttribute("stroke-dasharray", dashArray);
+            return path;
+        });
+    }
+
+    // TIMELINE
+
+    /**
+     * @method getTimeline
+     * @description Lists the stations of every drawn metroline in chronological order of their structured date.
+     * Stations on more than one metroline are listed with each of them. Stations without a structured date
+     * follow the dated stations of their metroline, in the order of the map.
+     *
+     * @returns {Array<Object>} For every drawn metroline the `metroline` and its ordered `stations`.
+     */
+    getTimeline() {
+        const startOf = station => helpers.parseStationDate(station.getDateStart())?.date.getTime() ?? null;
+        const endOf = station => helpers.parseStationDate(station.getDateEnd())?.date.getTime() ?? startOf(station);
+
+        return this.lines
+            .filter(metroline => metroline.getLines().length > 0)
+            .map(metroline => {
+                const stations = this.stations.filter(station => station.getMetrolines().includes(metroline));
+                const dated = stations
+                    .filter(station => startOf(station) !== null)
+                    .sort((a, b) => startOf(a) - startOf(b) || endOf(a) - endOf(b));
+                const undated = stations.filter(station => startOf(station) === null);
+                return { metroline, stations: [...dated, ...undated] };
+            });
+    }
+
+    /**
+     * @method updateStationDates
+     * @description Writes the structured dates of all stations again, for example in a newly chosen language.
+     * The labels are placed again, as their length may have changed.
+     */
+    updateStationDates() {
+        this.stations
+            .filter(station => station.getDateStart())
+            .forEach(station => {
+                station.updateSVG();
+                station.render();
+            });
+    }
+
+    // PRESENTATION
+
+    /**
+     * @method startPresentation
+     * @description Starts presenting a metroline station by station. Everything on the map is dimmed,
+     * the metroline is drawn again up to the current station with `showPresentationStep`.
+     *
+     * @param {Object} metroline - The metroline to present.
+     * @returns {Array<Object>} The stations of the metroline in the order they are presented.
+     * @throws {Error} If the metroline is not on the map.
+     */
+    startPresentation(metroline) {
+        if (!this.lines.includes(metroline)) {
+            throw new Error(`startPresentation: Metroline "${metroline?.getId?.() ?? metroline}" not found.`);
+        }
+        this.stopPresentation();
+        this.clearRouteHighlight();
+
+        const topology = this.getTopology();
+        const layer = helpers.createSvgElement("g", { id: "presentationLayer" });
+        this.stationLayer.parentNode.insertBefore(layer, this.stationLayer);
+
+        this.presentation = { metroline, topology, stations: topology.getSequence(metroline), step: -1, layer };
+        this.showPresentationStep(-1);
+        return this.presentation.stations;
+    }
+
+    /**
+     * @method showPresentationStep
+     * @description Shows the stations of the presentation up to a step and draws the metroline up to the station of that step.
+     *
+     * @param {number} step - The index of the current station, -1 shows none of the stations.
+     * @returns {Object|null} The station of the step, or `null` when no station is shown.
+     */
+    showPresentationStep(step) {
+        const presentation = this.presentation;
+        if (!presentation) return null;
+
+        presentation.step = Math.max(-1, Math.min(step, presentation.stations.length - 1));
+        const shown = presentation.stations.slice(0, presentation.step + 1);
+        const dimOpacity = config.routeConfig.dimOpacity;
+        const { metroline } = presentation;
+
+        this.lines.forEach(line => line.setMetrolineOpacity(dimOpacity));
+        this.stations.forEach(station => {
+            if (shown.includes(station)) {
+                station.refSvg.removeAttribute("opacity");
+            } else {
+                station.refSvg.setAttribute("opacity", dimOpacity);
+            }
+        });
+
+        // Draw the metroline up to the current station, in its own stroke style
+        presentation.layer.replaceChildren(...this.createRunPaths(metroline, presentation.topology.getRunsUpTo(metroline, shown)));
+
+        return shown[shown.length - 1] ?? null;
+    }
+
+    /**
+     * @method stopPresentation
+     * @description Stops the presentation and shows all metrolines and stations again.
+     */
+    stopPresentation() {
+        if (!this.presentation) return;
+
+        this.presentation.layer.remove();
+        this.lines.forEach(line => line.setMetrolineOpacity("1"));
+        this.stations.forEach(station => station.refSvg.removeAttribute("opacity"));
+        this.presentation = null;
+    }
+
+    // LINTING
+
+    /**
+     * @method lint
+     * @description Checks the map for structural problems, such as stations that are not on a metroline,
+     * polylines without length, duplicate station names and overlapping stations.
+     *
+     * @returns {Array<Object>} The problems found as returned by `metromapLinter.run`, errors first.
+     */
+    lint() {
+        return this.linter.run();
+    }
+
+    /**
+     * @method selectProblem
+     * @description Selects the elements on the canvas a lint problem is about.
+     *
+     * @param {Object} problem - A problem as returned by `lint`.
+     */
+    selectProblem(problem) {
+        const elements = problem.elements.filter(element => element?.isConnected);
+        this.unselectAllStations();
+        this.selection.select(elements);
+    }
+
+    // LABEL PLACEMENT
+
+    /**
+     * @method getLegendOutline
+     * @description Gets the outline of the legend on the map, which labels should not cover.
+     *
+     * @returns {Array<Object>|null} The four corners of the legend, or `null` if the legend can not be measured.
+     */
+    getLegendOutline() {
+        if (typeof this.legendaLayer.getBBox !== "function") return null;
+
+        const bbox = this.legendaLayer.getBBox();
+        if (bbox.width === 0 || bbox.height === 0) return null;
+
+        const [translateX, translateY] = helpers.getTranslate(this.legendaLayer);
+        return helpers.getRotatedRectangleVertices(bbox.x + translateX, bbox.y + translateY, bbox.width, bbox.height, 0, { x: 0, y: 0 });
+    }
+
+    /**
+     * @method createLabelContext
+     * @description Prepares finding label collisions. The station positions are put in a spatial index, so a label is
+     * only compared with the labels of stations nearby, and those labels are measured once when they are first needed.
+     *
+     * @returns {Object} The `stationIndex`, the measured label `outlines` by station and the `legendOutline`.
+     */
+    createLabelContext() {
+        const stationIndex = new SpatialGrid(config.labelPlacementConfig.searchDistance, this.getWidth(), this.getHeight());
+        this.stations.forEach(station => stationIndex.addPoint(station.getPosition(), station));
+        return { stationIndex, outlines: new Map(), legendOutline: this.getLegendOutline() };
+    }
+
+    /**
+     * @method getStationsNear
+     * @description Finds the stations whose label can reach into an area, within `labelPlacementConfig.searchDistance`.
+     *
+     * @param {Object} context - The label context as returned by `createLabelContext`.
+     * @param {Object} bounds - The area {x, y, width, height}.
+     * @returns {Array<Object>} The stations near the area.
+     */
+    getStationsNear(context, bounds) {
+        const distance = config.labelPlacementConfig.searchDistance;
+        return context.stationIndex.query({
+            x: bounds.x - distance,
+            y: bounds.y - distance,
+            width: bounds.width + distance * 2,
+            height: bounds.height + distance * 2
+        }).map(({ segment }) => segment.item);
+    }
+
+    /**
+     * @method getCurrentLabelOutline
+     * @description Gets the label outline of a station in its current orientation, measured once per label context.
+     *
+     * @param {Object} context - The label context as returned by `createLabelContext`.
+     * @param {Object} station - The station.
+     * @returns {Array<Object>|null} The outline, or `null` if the label can not be measured.
+     */
+    getCurrentLabelOutline(context, station) {
+        if (!context.outlines.has(station)) context.outlines.set(station, station.getLabelOutline());
+        return context.outlines.get(station);
+    }
+
+    /**
+     * @method countLabelCollisions
+     * @description Counts the metroline segments, labels of other stations and legend a label outline overlaps.
+     *
+     * @param {Object} station - The station of the label.
+     * @param {Array<Object>} outline - The outline of the label as returned by `metromapStation.getLabelOutline`.
+     * @param {Object} context - The label context as returned by `createLabelContext`.
+     * @returns {number} The number of collisions.
+     */
+    countLabelCollisions(station, outline, context) {
+        let collisions = 0;
+        const bounds = getPointsBounds(outline);
+
+        // Metroline segments, found with the spatial index
+        this.spatialIndex?.query(bounds).forEach(({ segment }) => {
+            if (this.segmentIntersectsPolygon(segment, outline)) collisions++;
+        });
+
+        // Labels of stations nearby
+        this.getStationsNear(context, bounds).forEach(otherStation => {
+            if (otherStation === station) return;
+            const otherOutline = this.getCurrentLabelOutline(context, otherStation);
+            if (otherOutline && helpers.polygonsIntersect(outline, otherOutline)) collisions++;
+        });
+
+        // Legend
+        if (context.legendOutline && helpers.polygonsIntersect(outline, context.legendOutline)) collisions++;
+
+        return collisions;
+    }
+
+    /**
+     * @method getStationsWithLabelCollisions
+     * @description Finds the stations whose label overlaps a metroline, another label or the legend.
+     *
+     * @param {Array<Object>} [stations] - The stations to check, defaults to all stations.
+     * @param {Object} [context] - The label context as returned by `createLabelContext`.
+     * @returns {Array<Object>} The stations with overlapping labels.
+     */
+    getStationsWithLabelCollisions(stations = this.stations, context = this.createLabelContext()) {
+        return stations.filter(station => {
+            const outline = this.getCurrentLabelOutline(context, station);
+            return outline && this.countLabelCollisions(station, outline, context) > 0;
+        });
+    }
+
+    /**
+     * @method placeLabelsNear
+     * @description Places the labels that overlap something after a change on the canvas. Only the changed stations
+     * and the stations near them or near the changed segments are checked, the rest of the map is left alone.
+     *
+     * @param {Array<Object>} stations - The stations that changed.
+     * @param {Array<SVGPolylineElement>} [polylines] - The metroline segments that changed.
+     * @returns {Array<Object>} The stations for which no orientation without collisions was found.
+     */
+    placeLabelsNear(stations, polylines = []) {
+        const context = this.createLabelContext();
+        const candidates = new Set(stations.filter(station => this.stations.includes(station)));
+
+        const areas = polylines.filter(polyline => polyline.isConnected).map(polyline => getPointsBounds(Array.from(polyline.points)));
+        candidates.forEach(station => {
+            const outline = this.getCurrentLabelOutline(context, station);
+            areas.push(outline ? getPointsBounds(outline) : { ...station.getPosition(), width: 0, height: 0 });
+        });
+        areas.filter(Boolean).forEach(bounds => {
+            this.getStationsNear(context, bounds).forEach(station => candidates.add(station));
+        });
+
+        const overlapping = this.getStationsWithLabelCollisions([...candidates], context);
+        return overlapping.length > 0 ? this.autoPlaceLabels(overlapping, context) : [];
+    }
+
+    /**
+     * @method autoPlaceLabels
+     * @description Turns stations so their labels do not overlap metrolines, other labels or the legend.
+     * The orientations from the configuration are tried in order, the current orientation first. A station keeps the
+     * first orientation without collisions. When every orientation collides, the one with the fewest collisions is kept.
+     *
+     * @param {Array<Object>} [stations] - The stations to place the labels of, defaults to all stations.
+     * @param {Object} [context] - The label context as returned by `createLabelContext`.
+     * @returns {Array<Object>} The stations for which no orientation without collisions was found.
+     */
+    autoPlaceLabels(stations = this.stations, context = this.createLabelContext()) {
+        const unplaced = [];
+
+        stations.forEach(station => {
+            const boxes = station.measureLabel();
+            if (!boxes) return;
+
+            const current = station.getOrientation();
+            const orientations = [current, ...config.labelPlacementConfig.orientations.filter(angle => angle !== current)];
+
+            let best = null;
+            for (const angle of orientations) {
+                const outline = station.getLabelOutline(angle, boxes);
+                const collisions = this.countLabelCollisions(station, outline, context);
+                if (!best || collisions < best.collisions) best = { angle, outline, collisions };
+                if (collisions === 0) break;
+            }
+
+            if (best.angle !== current) station.setOrientation(best.angle);
+            context.outlines.set(station, best.outline);
+            if (best.collisions > 0) unplaced.push(station);
+        });
+
+        return unplaced;
+    }
+
     // SEARCH AND DETECTION FUNCTIONS
 
     /**
@@ -2078,15 +3041,26 @@ export default class metromap {
         // Deselect all stations
         //this.unselectAllStations();
 
-        // Temporarily remove the grid layer
+        // Temporarily remove the grid layer, selection outlines, route highlight and presentation
+        const route = this.highlightedRoute;
+        const presentation = this.presentation;
+        this.clearRouteHighlight();
+        this.stopPresentation();
         this.gridRemove();
+        this.selection?.removeOverlay();
 
         // Remove transform attribute and capture SVG content
         this.svgMap.removeAttribute("transform");
         const svgData = this.svgMap.outerHTML;
 
-        // Re-draw the grid layer
+        // Re-draw the grid layer, selection outlines, route highlight and presentation
         this.gridDraw();
+        this.selection?.drawOverlay();
+        this.highlightRoute(route);
+        if (presentation) {
+            this.startPresentation(presentation.metroline);
+            this.showPresentationStep(presentation.step);
+        }
 
         // Return the SVG content
         return svgData;
@@ -2114,18 +3088,116 @@ export default class metromap {
         });
 
         return {
+            $schema: config.schemaConfig.schemaUrl,
+            schemaVersion: config.schemaConfig.version,
             title: this.getTitle(),
             subTitle: this.getSubTitle(),
             dimensions: {
-                width: this.getWidth(),
-                height: this.getHeight(),
+                width: Number(this.svgMap.getAttribute("width")) || this.getWidth(),
+                height: Number(this.svgMap.getAttribute("height")) || this.getHeight(),
             },
             externalUniqueId: this.externalUniqueID || null,
+            cornerRadius: this.getCornerRadius(),
             metroLines: metrolinesWithLegend,
             stations: this.stations.map(station => station.toJSON()),
+            overlay: this.overlayToJSON(),
+            topology: this.getTopology().toJSON(this.stations),
+        };
+    }
+
+    /**
+     * Generates a JSON representation of the overlay of the map: the images, the title and subtitle, the legend of the
+     * metrolines and the legend of the station types, with the position and styling of every element.
+     * Images keep their `href`, which embeds the image as a data URL or refers to it by URL.
+     * @returns {Object} A JSON object representing the overlay.
+     */
+    overlayToJSON() {
+        const imageLayer = this.overlayLayer.querySelector("#imageLayer");
+
+        return {
+            images: [...(imageLayer?.querySelectorAll("image") ?? [])].map(image => ({
+                id: image.id || null,
+                href: image.getAttribute("href") ?? image.getAttributeNS("http://www.w3.org/1999/xlink", "href") ?? "",
+                attributes: getOverlayAttributes(image),
+            })),
+            title: {
+                attributes: getOverlayAttributes(this.titleText),
+                lines: [...this.titleText.querySelectorAll("tspan")].map(overlayTextToJSON),
+            },
+            subTitle: overlayTextToJSON(this.subTitle),
+            legend: {
+                attributes: getOverlayAttributes(this.legendaLayer),
+                heading: overlayTextToJSON(this.legendaLayer.querySelector(".legendaLineText")),
+            },
+            stationLegend: {
+                attributes: getOverlayAttributes(this.legendaStationsLayer),
+                heading: overlayTextToJSON(this.legendaStationsLayer.querySelector(".legendaText")),
+                items: [...this.legendaStationsLayer.querySelectorAll(".legendaStationItem")].map(item => ({
+                    symbol: overlayTextToJSON(item.querySelector(".legendaStationItemSymbol")),
+                    name: overlayTextToJSON(item.querySelector(".legendaStationItemName")),
+                })),
+            },
         };
     }
 
+    /**
+     * Restores the overlay of the map from its JSON representation, as created by `overlayToJSON()`.
+     * Parts missing in the JSON keep the overlay of the current map. Images with a `javascript:` or other
+     * non-image address are left out. Addresses and attributes are cleaned as those of an SVG map being loaded.
+     *
+     * @param {Object} overlay - The JSON object representing the overlay.
+     */
+    overlayFromJSON(overlay) {
+        const imageLayer = this.overlayLayer.querySelector("#imageLayer");
+        if (Array.isArray(overlay.images) && imageLayer) {
+            imageLayer.querySelectorAll("image").forEach(image => image.remove());
+            overlay.images.forEach(imageData => {
+                const href = typeof imageData?.href === "string" && /^(data:image\/|https?:|[^:]*$)/i.test(imageData.href.trim())
+                    ? sanitizeOverlayAttributes("image", { href: imageData.href.trim() }).href
+                    : null;
+                if (!href) {
+                    console.warn("Image with an unsupported address left out of the map.");
+                    return;
+                }
+                const image = document.createElementNS("http://www.w3.org/2000/svg", "image");
+                if (imageData.id) image.setAttribute("id", imageData.id);
+                image.setAttribute("href", href);
+                setOverlayAttributes(image, imageData.attributes);
+                imageLayer.appendChild(image);
+            });
+        }
+
+        if (overlay.title) {
+            setOverlayAttributes(this.titleText, overlay.title.attributes);
+            if (Array.isArray(overlay.title.lines) && overlay.title.lines.length > 0) {
+                this.titleText.replaceChildren();
+                overlay.title.lines.forEach((line, index) => {
+                    const tspan = document.createElementNS("http://www.w3.org/2000/svg", "tspan");
+                    tspan.setAttribute("id", `titleText${index + 1}`);
+                    overlayTextFromJSON(tspan, line);
+                    this.titleText.appendChild(tspan);
+                });
+            }
+        }
+
+        overlayTextFromJSON(this.subTitle, overlay.subTitle);
+
+        if (overlay.legend) {
+            setOverlayAttributes(this.legendaLayer, overlay.legend.attributes);
+            overlayTextFromJSON(this.legendaLayer.querySelector(".legendaLineText"), overlay.legend.heading);
+        }
+
+        if (overlay.stationLegend) {
+            setOverlayAttributes(this.legendaStationsLayer, overlay.stationLegend.attributes);
+            overlayTextFromJSON(this.legendaStationsLayer.querySelector(".legendaText"), overlay.stationLegend.heading);
+            const items = this.legendaStationsLayer.querySelectorAll(".legendaStationItem");
+            (overlay.stationLegend.items ?? []).forEach((itemData, index) => {
+                overlayTextFromJSON(items[index]?.querySelector(".legendaStationItemSymbol"), itemData?.symbol);
+                overlayTextFromJSON(items[index]?.querySelector(".legendaStationItemName"), itemData?.name);
+            });
+        }
+    }
+
     /**
      * Populates the metro map with data from a JSON object.
      *
@@ -2141,7 +3213,7 @@ export default class metromap {
 
             // Set the map title
             if (jsonData.title) this.setTitle(jsonData.title);
-            this.externalUniqueID = jsonData.externalUniqueID || ""; 
+            this.externalUniqueID = jsonData.externalUniqueId || jsonData.externalUniqueID || ""; 
             this.svgMap.setAttribute("externalUniqueId", this.externalUniqueID);
 
             // Set the map academy
@@ -2152,6 +3224,11 @@ export default class metromap {
                 this.setDimensions(jsonData.dimensions.width, jsonData.dimensions.height);
             }
 
+            // Set the corner radius of the metrolines
+            if (typeof jsonData.cornerRadius === "number" && jsonData.cornerRadius >= 0) {
+                this.setCornerRadius(jsonData.cornerRadius);
+            }
+
             // Import metrolines
             if (Array.isArray(jsonData.metroLines)) {
                 jsonData.metroLines.forEach(metrolineData => {
@@ -2187,6 +3264,11 @@ export default class metromap {
                 });
             }
 
+            // Restore images, texts and legends where they were, after resizing moved the legends
+            if (jsonData.overlay && typeof jsonData.overlay === "object") {
+                this.overlayFromJSON(jsonData.overlay);
+            }
+
             // Recreate color table
             this.metroMapRecreateColorTable();
 
@@ -2202,4 +3284,226 @@ export default class metromap {
             throw new Error(`Failed to import JSON data: ${error.message}`);
         }
     }
+
+    /**
+     * @method pasteFragment
+     * @description Adds the stations and segments of a map fragment, as created by `metromapSelection.toJSON()`, to the map.
+     * Metroline IDs of the fragment are remapped to the metrolines of this map with the same color, creating new metrolines
+     * and legend items when the color is not used yet. All positions are moved by the given offset.
+     *
+     * @param {Object} fragment - The fragment with `metroLines` and `stations` in the `toJSON()` format.
+     * @param {Object} [offset={x: 0, y: 0}] - Offset added to all positions.
+     * @returns {Object} An object with the created `stations` and `segments` (polyline elements).
+     *
+     * @throws {Error} Throws an error if the fragment is invalid.
+     */
+    pasteFragment(fragment, offset = { x: 0, y: 0 }) {
+        if (!fragment || typeof fragment !== "object" || !Array.isArray(fragment.metroLines) || !Array.isArray(fragment.stations)) {
+            throw new Error("pasteFragment: Invalid map fragment.");
+        }
+
+        const move = (point) => ({ x: point.x + offset.x, y: point.y + offset.y });
+        const metrolineIds = new Map();
+        const segments = [];
+        const stations = [];
+
+        // Metrolines are matched on color, the IDs of the source map are not used
+        fragment.metroLines.forEach(metrolineData => {
+            const { color } = metrolineData;
+            if (!color || !metrolineData.metroLineId) throw new Error("pasteFragment: Metroline without ID or color.");
+            const lineColor = `rgb(${color.r}, ${color.g}, ${color.b})`;
+            if (!helpers.isRgb(lineColor)) throw new Error(`pasteFragment: Invalid metroline color ${lineColor}`);
+
+            const existingMetroline = this.getMetrolineWithColor(lineColor);
+            const metroline = existingMetroline || this.addLineLayer(lineColor);
+            metrolineIds.set(metrolineData.metroLineId, metroline);
+
+            // A new metroline takes over the corner radius and stroke style, an existing metroline keeps its own
+            if (!existingMetroline) {
+                if (typeof metrolineData.cornerRadius === "number") metroline.setCornerRadius(metrolineData.cornerRadius);
+                if (config.metrolineConfig.lineStyles.includes(metrolineData.lineStyle)) metroline.setLineStyle(metrolineData.lineStyle);
+                if (typeof metrolineData.thickness === "number" && metrolineData.thickness > 0) metroline.setThickness(metrolineData.thickness);
+            }
+
+            // Add the metroline to the legend, keeping an existing legend item as it is
+            this.legenda.add(
+                lineColor,
+                metrolineData.name || "Metrolijn",
+                metrolineData.targetGroup || "Doelgroep"
+            );
+
+            // Draw the segments at their new position
+            (metrolineData.segments || []).forEach(segment => {
+                const { start, end } = segment;
+                if (!start || !end || typeof start.x !== "number" || typeof start.y !== "number" ||
+                    typeof end.x !== "number" || typeof end.y !== "number") {
+                    throw new Error("pasteFragment: Invalid segment data.");
+                }
+                const intermediatePoints = (segment.Segments || []).map(point => {
+                    const { x, y } = move(point);
+                    return { X: x, Y: y };
+                });
+                const newStart = move(start);
+                const newEnd = move(end);
+                segments.push(metroline.draw(newStart.x, newStart.y, newEnd.x, newEnd.y, intermediatePoints));
+            });
+        });
+
+        // New segments must be found by station and metroline detection
+        this.updateSpatialIndex('rebuild');
+
+        // Create the stations on their remapped metroline
+        fragment.stations.forEach(stationData => {
+            const metroline = (stationData.metroLines || []).map(id => metrolineIds.get(id)).find(line => line);
+            if (!metroline || !stationData.position) {
+                console.warn(`pasteFragment: Station "${stationData.name || 'unknown'}" skipped, no metroline or position.`);
+                return;
+            }
+
+            const { x, y } = move(stationData.position);
+            const newStation = new metromapStation(this, this.getStationLineLayer(metroline), null, {
+                ...stationData,
+                x,
+                y,
+                metrolineid: metroline.getId(),
+                externalUniqueId: null,
+            });
+            this.stations.push(newStation);
+            stations.push(newStation);
+        });
+
+        // Recreate color table
+        this.metroMapRecreateColorTable();
+
+        // Connection stations can only detect their metrolines once rendered
+        requestAnimationFrame(() => {
+            requestAnimationFrame(() => {
+                stations.forEach(station => {
+                    if (station.refSvg?.isConnected && station.getShape() === "connection") {
+                        this.updateStationMetrolineIds(station, false, false);
+                    }
+                });
+            });
+        });
+
+        return { stations, segments };
+    }
+}
+
+// ####################################################
+// LABEL PLACEMENT
+//
+
+/**
+ * Gets the bounding box of a list of points, such as a label outline or the points of a segment.
+ *
+ * @private
+ * @param {Array<Object>} points - The points with `x` and `y`.
+ * @returns {Object|null} The box {x, y, width, height}, or `null` without points.
+ */
+function getPointsBounds(points) {
+    if (points.length === 0) return null;
+
+    const xs = points.map(point => point.x);
+    const ys = points.map(point => point.y);
+    const x = Math.min(...xs);
+    const y = Math.min(...ys);
+    return { x, y, width: Math.max(...xs) - x, height: Math.max(...ys) - y };
+}
+
+// ####################################################
+// OVERLAY
+//
+
+/**
+ * Gets the attributes of an overlay element that set its position and styling, as listed in `jsonConfig.overlayAttributes`.
+ *
+ * @private
+ * @param {SVGElement} element - The overlay element.
+ * @returns {Object} The attribute values by name, attributes not set are left out.
+ */
+function getOverlayAttributes(element) {
+    const attributes = {};
+    config.jsonConfig.overlayAttributes.forEach(name => {
+        const value = element.getAttribute(name);
+        if (value !== null) attributes[name] = value;
+    });
+    return attributes;
+}
+
+/**
+ * Sets the position and styling of an overlay element. Listed attributes that are not in `attributes`, or that
+ * do not pass `sanitizeOverlayAttributes`, are removed, so the element looks exactly as saved.
+ *
+ * @private
+ * @param {SVGElement} element - The overlay element.
+ * @param {Object} [attributes] - The attribute values by name, nothing is changed without attributes.
+ */
+function setOverlayAttributes(element, attributes) {
+    if (!element || !attributes || typeof attributes !== "object") return;
+
+    const values = {};
+    config.jsonConfig.overlayAttributes.forEach(name => {
+        if (typeof attributes[name] === "string" || typeof attributes[name] === "number") {
+            values[name] = String(attributes[name]);
+        }
+    });
+
+    const safeValues = sanitizeOverlayAttributes(element.localName, values);
+    config.jsonConfig.overlayAttributes.forEach(name => {
+        if (name in safeValues) {
+            element.setAttribute(name, safeValues[name]);
+        } else {
+            element.removeAttribute(name);
+        }
+    });
+}
+
+/**
+ * Cleans attributes of an overlay element read from JSON with `helpers.sanitizeMapContent`, which keeps the tags
+ * and attributes an SVG map may have when it is loaded and removes unsafe addresses.
+ *
+ * @private
+ * @param {string} tagName - The name of the overlay element, such as "image" or "text".
+ * @param {Object} attributes - The attribute values by name.
+ * @returns {Object} The attribute values that passed, by name.
+ * @throws {Error} If DOMPurify is not available.
+ */
+function sanitizeOverlayAttributes(tagName, attributes) {
+    const element = document.createElementNS("http://www.w3.org/2000/svg", tagName);
+    Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+
+    const container = document.createElement("div");
+    container.innerHTML = helpers.sanitizeMapContent(
+        `<svg xmlns="http://www.w3.org/2000/svg">${new XMLSerializer().serializeToString(element)}</svg>`);
+    const cleaned = container.querySelector("svg")?.firstElementChild;
+
+    return Object.fromEntries([...(cleaned?.attributes ?? [])]
+        .filter(attribute => attribute.name in attributes)
+        .map(attribute => [attribute.name, attribute.value]));
+}
+
+/**
+ * Generates a JSON representation of an overlay text with its position and styling.
+ *
+ * @private
+ * @param {SVGElement|null} element - The text or tspan element.
+ * @returns {Object|null} The `text` and `attributes` of the element, or null without an element.
+ */
+function overlayTextToJSON(element) {
+    if (!element) return null;
+    return { text: element.textContent, attributes: getOverlayAttributes(element) };
+}
+
+/**
+ * Restores an overlay text from its JSON representation, as created by `overlayTextToJSON`.
+ *
+ * @private
+ * @param {SVGElement|null} element - The text or tspan element.
+ * @param {Object|null} data - The `text` and `attributes` of the element.
+ */
+function overlayTextFromJSON(element, data) {
+    if (!element || !data || typeof data !== "object") return;
+    if (typeof data.text === "string") element.textContent = data.text;
+    setOverlayAttributes(element, data.attributes);
 }
@@ -0,0 +1,247 @@
+import * as config from '../config.js?v=1.0.5';
+
+/**
+ * Class upgrading metro maps saved by older versions of the designer, as SVG or as JSON.
+ * The SVG of a map stores its schema version in the `schemaversion` attribute, JSON in the `schemaVersion` field.
+ * Maps without a schema version are version 0.
+ *
+ * Every migration upgrades a map to its `version` and runs, in order, on maps with a lower schema version.
+ * A migration returns how many elements it changed. The message of a change in a report is the translation
+ * of `i18n_migration_<name>` with this count.
+ * Maps with a schema version above `schemaConfig.version` are refused, as this version of the designer cannot read them.
+ */
+export default class metromapMigrations {
+    migrations; // Ordered migrations as { version, name, svg, json }, each upgrading one format and returning the number of changes
+
+    /**
+     * Constructor for metromapMigrations. The last migration upgrades to `schemaConfig.version`.
+     */
+    constructor() {
+        this.migrations = [
+            { version: 1, name: "logoLayer", svg: (svg) => migrateLogoLayer(svg) },
+            { version: 2, name: "metrolineIds", svg: (svg) => migrateSvgMetrolineIds(svg), json: (data) => migrateJsonMetrolineIds(data) },
+            { version: 3, name: "emptyPolylines", svg: (svg) => removeEmptyPolylines(svg) },
+            // Version 4 adds the images, texts and legend layout (overlay) to JSON. Nothing is upgraded: SVG always held them
+            // and JSON without overlay keeps those of the default map. The version is raised so designers before it refuse
+            // JSON with overlay, instead of loading it and losing the overlay when the map is saved again.
+            { version: 4, name: "overlay" },
+        ];
+    }
+
+    // VERSIONS
+
+    /**
+     * Gets the schema version of the SVG of a map.
+     * @param {SVGSVGElement} svg - The SVG element of the map.
+     * @returns {number} The schema version, 0 for maps saved before schema versions.
+     * @throws {Error} If the schema version is not a whole number.
+     */
+    getSVGVersion(svg) {
+        const value = svg.getAttribute("schemaversion");
+        return value === null ? 0 : parseVersion(value);
+    }
+
+    /**
+     * Gets the schema version of a map as JSON.
+     * @param {Object} data - The map as JSON.
+     * @returns {number} The schema version, 0 for maps saved before schema versions.
+     * @throws {Error} If the schema version is not a whole number.
+     */
+    getJSONVersion(data) {
+        return data?.schemaVersion === undefined || data?.schemaVersion === null ? 0 : parseVersion(data.schemaVersion);
+    }
+
+    /**
+     * Checks that this version of the designer can read a schema version.
+     * @param {number} version - The schema version of a map.
+     * @throws {Error} If the map is newer than the designer.
+     */
+    assertSupported(version) {
+        if (version > config.schemaConfig.version) {
+            throw new Error(`This map was saved by a newer version of the MetroMap designer (schema version ${version}). ` +
+                `This version reads maps up to schema version ${config.schemaConfig.version}, please update the designer to open the map.`);
+        }
+    }
+
+    // MIGRATING
+
+    /**
+     * Upgrades the SVG of a map to the current schema version and marks it with this version.
+     * @param {SVGSVGElement} svg - The SVG element of the map, changed in place.
+     * @returns {Object} The report of the migration: the `fromVersion`, the `toVersion` and the `changes` made,
+     * as { migration, version, count }.
+     * @throws {Error} If the map is newer than the designer.
+     */
+    migrateSVG(svg) {
+        const fromVersion = this.getSVGVersion(svg);
+        const changes = this.run(fromVersion, "svg", svg);
+        svg.setAttribute("schemaversion", config.schemaConfig.version);
+        return { fromVersion, toVersion: config.schemaConfig.version, changes };
+    }
+
+    /**
+     * Upgrades a map as JSON to the current schema version and sets its `schemaVersion`.
+     * @param {Object} data - The map as JSON, changed in place.
+     * @returns {Object} The report of the migration, see `migrateSVG`.
+     * @throws {Error} If the map is newer than the designer.
+     */
+    migrateJSON(data) {
+        const fromVersion = this.getJSONVersion(data);
+        const changes = this.run(fromVersion, "json", data);
+        data.schemaVersion = config.schemaConfig.version;
+        return { fromVersion, toVersion: config.schemaConfig.version, changes };
+    }
+
+    /**
+     * Runs the migrations of a format above a schema version, in order.
+     * @param {number} fromVersion - The schema version of the map.
+     * @param {string} format - "svg" or "json".
+     * @param {SVGSVGElement|Object} content - The map in this format.
+     * @returns {Array<Object>} The changes made, as { migration, version, count }.
+     * @throws {Error} If the map is newer than the designer.
+     */
+    run(fromVersion, format, content) {
+        this.assertSupported(fromVersion);
+
+        const changes = [];
+        this.migrations
+            .filter(migration => migration.version > fromVersion && migration[format])
+            .forEach(migration => {
+                const count = migration[format](content);
+                if (count > 0) changes.push({ migration: migration.name, version: migration.version, count });
+            });
+        return changes;
+    }
+}
+
+// ####################################################
+// MIGRATIONS
+//
+
+/**
+ * Reads a schema version.
+ *
+ * @private
+ * @param {string|number} value - The schema version as saved.
+ * @returns {number} The schema version.
+ * @throws {Error} If the schema version is not a whole number of 0 or more.
+ */
+function parseVersion(value) {
+    const version = Number(value);
+    if (String(value).trim() === "" || !Number.isInteger(version) || version < 0) {
+        throw new Error(`The schema version '${value}' of the map is not valid.`);
+    }
+    return version;
+}
+
+/**
+ * Version 1: the old logo layer `<g id="logo">` becomes the image layer `<g id="imageLayer">`,
+ * with its images placed by a transform instead of x and y.
+ *
+ * @private
+ * @param {SVGSVGElement} svg - The SVG element of the map.
+ * @returns {number} The number of layers migrated.
+ */
+function migrateLogoLayer(svg) {
+    const oldLogoLayer = svg.querySelector("#overlay #logo");
+    if (!oldLogoLayer) return 0;
+
+    oldLogoLayer.setAttribute("id", "imageLayer");
+    oldLogoLayer.querySelectorAll("image").forEach(child => {
+        const x = child.getAttribute("x");
+        const y = child.getAttribute("y");
+        if (x !== null && y !== null) {
+            child.setAttribute("transform", `translate(${x}, ${y})`);
+            child.removeAttribute("x");
+            child.removeAttribute("y");
+        }
+    });
+    return 1;
+}
+
+/**
+ * Version 2: metroline IDs get the "metroline" prefix, "rgb2401370" becomes "metrolinergb2401370".
+ * Connection stations list several IDs separated by commas.
+ *
+ * @private
+ * @param {SVGSVGElement} svg - The SVG element of the map.
+ * @returns {number} The number of elements migrated.
+ */
+function migrateSvgMetrolineIds(svg) {
+    let count = 0;
+
+    svg.querySelectorAll("[metrolineid]").forEach(element => {
+        const currentId = element.getAttribute("metrolineid");
+        if (!currentId || currentId.startsWith("metroline")) return;
+
+        const oldIds = currentId.split(",").map(id => id.trim());
+        const newIds = oldIds.map(prefixMetrolineId);
+        element.setAttribute("metrolineid", newIds.join(","));
+
+        // Classes named after the old ID are renamed too
+        const currentClass = element.getAttribute("class");
+        if (currentClass) {
+            let newClass = currentClass;
+            oldIds.forEach((oldId, index) => {
+                if (oldId !== newIds[index]) {
+                    newClass = newClass.replace(new RegExp(`\\b${oldId}\\b`, "g"), newIds[index]);
+                }
+            });
+            if (newClass !== currentClass) element.setAttribute("class", newClass);
+        }
+
+        count++;
+    });
+
+    return count;
+}
+
+/**
+ * Version 2 for JSON: the "metroline" prefix for the IDs of metrolines, of the metrolines of stations and in the topology.
+ *
+ * @private
+ * @param {Object} data - The map as JSON.
+ * @returns {number} The number of IDs migrated.
+ */
+function migrateJsonMetrolineIds(data) {
+    let count = 0;
+    const migrateId = (id) => {
+        const newId = typeof id === "string" ? prefixMetrolineId(id) : id;
+        if (newId !== id) count++;
+        return newId;
+    };
+
+    const withIds = [...(data.metroLines ?? []), ...(data.topology?.metroLines ?? [])];
+    withIds.forEach(item => {
+        if (item) item.metroLineId = migrateId(item.metroLineId);
+    });
+    [...(data.stations ?? []), ...(data.topology?.edges ?? [])].forEach(item => {
+        if (Array.isArray(item?.metroLines)) item.metroLines = item.metroLines.map(migrateId);
+    });
+
+    return count;
+}
+
+/**
+ * Version 3: polylines without points, left behind by interrupted drawing in older versions, are removed.
+ *
+ * @private
+ * @param {SVGSVGElement} svg - The SVG element of the map.
+ * @returns {number} The number of polylines removed.
+ */
+function removeEmptyPolylines(svg) {
+    const polylines = [...svg.querySelectorAll("polyline")].filter(polyline => !polyline.getAttribute("points")?.trim());
+    polylines.forEach(polyline => polyline.remove());
+    return polylines.length;
+}
+
+/**
+ * Adds the "metroline" prefix to an old metroline ID.
+ *
+ * @private
+ * @param {string} id - The metroline ID.
+ * @returns {string} The ID with prefix, other IDs are returned unchanged.
+ */
+function prefixMetrolineId(id) {
+    return id.startsWith("rgb") ? "metroline" + id : id;
+}
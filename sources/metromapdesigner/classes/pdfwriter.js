@@ -0,0 +1,1420 @@
+import * as config from '../config.js?v=1.0.5';
+
+// Properties inherited from the parent element
+const inheritedProperties = [
+    "fill", "fill-opacity", "fill-rule", "stroke", "stroke-width", "stroke-opacity", "stroke-linecap",
+    "stroke-linejoin", "stroke-miterlimit", "stroke-dasharray", "font-family", "font-size", "font-weight",
+    "text-anchor", "visibility", "paint-order",
+];
+
+// Properties that only apply to the element itself
+const ownProperties = ["opacity", "display", "dominant-baseline"];
+
+// Elements that are not drawn
+const skippedElements = new Set([
+    "defs", "title", "desc", "metadata", "style", "script", "foreignObject", "clipPath", "mask",
+    "marker", "symbol", "pattern", "linearGradient", "radialGradient", "use",
+]);
+
+// Named colors used in maps
+const namedColors = {
+    black: [0, 0, 0], white: [255, 255, 255], red: [255, 0, 0], green: [0, 128, 0], blue: [0, 0, 255],
+    yellow: [255, 255, 0], orange: [255, 165, 0], purple: [128, 0, 128], gray: [128, 128, 128],
+    grey: [128, 128, 128], silver: [192, 192, 192], navy: [0, 0, 128], teal: [0, 128, 128],
+};
+
+// Widths of the characters 32 to 126 in the standard Helvetica fonts, in 1/1000 of the font size
+const helveticaWidths = [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278, 556, 556, 556, 556,
+    556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556, 1015, 667, 667, 722, 722, 667, 611, 778,
+    722, 278, 500, 667, 556, 833, 722, 778, 667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278,
+    278, 278, 469, 556, 333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584,
+];
+const helveticaBoldWidths = [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278, 556, 556, 556, 556,
+    556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611, 975, 722, 722, 722, 722, 667, 611, 778,
+    722, 278, 556, 722, 611, 833, 722, 778, 667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333,
+    278, 333, 584, 556, 333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+    611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584,
+];
+
+// Characters of the WinAnsi encoding of the standard fonts outside Latin-1, with their code and width
+const winAnsiExtras = {
+    "€": [0x80, 556], "‚": [0x82, 222], "ƒ": [0x83, 556], "„": [0x84, 333], "…": [0x85, 1000], "†": [0x86, 556],
+    "‡": [0x87, 556], "ˆ": [0x88, 333], "‰": [0x89, 1000], "Š": [0x8A, 667], "‹": [0x8B, 333], "Œ": [0x8C, 1000],
+    "Ž": [0x8E, 611], "‘": [0x91, 222], "’": [0x92, 222], "“": [0x93, 333], "”": [0x94, 333], "•": [0x95, 350],
+    "–": [0x96, 556], "—": [0x97, 1000], "˜": [0x98, 333], "™": [0x99, 1000], "š": [0x9A, 500], "›": [0x9B, 333],
+    "œ": [0x9C, 944], "ž": [0x9E, 500], "Ÿ": [0x9F, 667],
+};
+
+// Bezier approximation of a quarter circle
+const kappa = 0.5522847498;
+
+/**
+ * Class writing a metro map as a PDF document, in the browser and without a server.
+ * The SVG of the map is converted to PDF drawing operators, so lines, shapes and text stay sharp at any size.
+ * Text is written with the standard Helvetica fonts of PDF, so no fonts need to be embedded. Images are
+ * rasterized at `pdfConfig.imageResolution`. Links of stations become clickable link annotations.
+ *
+ * The map is drawn once, as a form that the pages place: `write` scales the map to fit a single page within
+ * `pdfConfig.margin`, `writePoster` prints the map at a physical size as tiles on several pages.
+ */
+export default class metromapPdfWriter {
+    pageSize; // Name of the paper size in pdfConfig.pageSizes
+    orientation; // "portrait" or "landscape"
+
+    // State while writing a document
+    operators = []; // Drawing operators of the map
+    links = []; // Link annotations as { url, bounds } in the coordinates of the map
+    images = []; // Image XObjects as { width, height, rgb, alpha }
+    graphicStates = new Map(); // Opacity graphic states by "fill,stroke" opacity
+    fonts = new Set(); // Resource names of the used fonts
+    outputScale = 1; // Points on paper per unit of the map, for the resolution of images
+
+    /**
+     * Constructor for metromapPdfWriter.
+     * @param {Object} [options={}] - The options of the pages.
+     * @param {string} [options.pageSize] - The paper size, one of the keys of `pdfConfig.pageSizes`.
+     * @param {string} [options.orientation] - "portrait" or "landscape".
+     */
+    constructor(options = {}) {
+        this.pageSize = config.pdfConfig.pageSizes[options.pageSize] ? options.pageSize : config.pdfConfig.defaultPageSize;
+        this.orientation = ["portrait", "landscape"].includes(options.orientation) ? options.orientation : config.pdfConfig.defaultOrientation;
+    }
+
+    /**
+     * Gets the width and height of the page in points, following the orientation.
+     * @returns {Object} The `width` and `height` of the page.
+     */
+    getPageDimensions() {
+        const { width, height } = config.pdfConfig.pageSizes[this.pageSize];
+        const landscape = this.orientation === "landscape";
+        return { width: landscape ? Math.max(width, height) : Math.min(width, height), height: landscape ? Math.min(width, height) : Math.max(width, height) };
+    }
+
+    /**
+     * Divides a poster over pages: the columns and rows of pages needed to print a map at a physical width.
+     * Neighbouring pages repeat an overlap of the poster, so the pages can be cut and taped together.
+     * @param {number} mapWidth - The width of the map in units of the map.
+     * @param {number} mapHeight - The height of the map in units of the map.
+     * @param {Object} [options={}] - The size of the poster.
+     * @param {number} [options.width] - The width of the poster in points, `posterConfig.defaultWidth` centimeters when not given.
+     * @param {number} [options.overlap] - The overlap of neighbouring pages in points, `posterConfig.overlap` millimeters when not given.
+     * @returns {Object} The `columns` and `rows` of pages, the `scale` in points per unit of the map, the `width` and
+     * `height` of the poster and the `overlap`, `step` (poster shown per page) and `printable` area of pages, in points.
+     */
+    getPosterLayout(mapWidth, mapHeight, options = {}) {
+        const page = this.getPageDimensions();
+        const margin = config.pdfConfig.margin;
+        const printable = { width: page.width - 2 * margin, height: page.height - 2 * margin };
+        const width = Number(options.width) > 0 ? Number(options.width) : config.posterConfig.defaultWidth * 72 / 2.54;
+        const overlap = Math.min(Math.max(0, Number(options.overlap ?? config.posterConfig.overlap * 72 / 25.4) || 0), printable.width / 2, printable.height / 2);
+        const scale = width / mapWidth;
+        const height = mapHeight * scale;
+        const step = { width: printable.width - overlap, height: printable.height - overlap };
+
+        return {
+            columns: Math.max(1, Math.ceil((width - overlap) / step.width - 1e-9)),
+            rows: Math.max(1, Math.ceil((height - overlap) / step.height - 1e-9)),
+            scale, width, height, overlap, step, printable,
+        };
+    }
+
+    // WRITING
+
+    /**
+     * Writes an SVG document as a PDF document of a single page, with the map scaled to fit the page.
+     * @param {string} svgContent - The SVG document, as exported by `getCanvasContent`.
+     * @param {Object} [info={}] - The document information.
+     * @param {string} [info.title] - The title of the document.
+     * @returns {Promise<Blob>} The PDF document.
+     * @throws {Error} If the SVG cannot be read.
+     */
+    async write(svgContent, info = {}) {
+        const map = this.readMap(svgContent);
+
+        // Scale the map to fit the page within the margins and center it
+        const page = this.getPageDimensions();
+        const margin = config.pdfConfig.margin;
+        const scale = Math.min((page.width - 2 * margin) / map.width, (page.height - 2 * margin) / map.height);
+        await this.drawMap(map, scale);
+
+        const placement = [scale, 0, 0, scale, (page.width - map.width * scale) / 2, (page.height - map.height * scale) / 2];
+        return this.createDocument(map, [{ ...page, placement, clip: null, operators: [] }], info);
+    }
+
+    /**
+     * Writes an SVG document as a poster: a PDF document printing the map at a physical size on several pages.
+     * Every page has crop marks at the corners of its printed area, marks where the overlap with the next pages starts,
+     * its coordinate (column letter and row number, such as "B2") and the coordinates of its neighbours at its sides.
+     * @param {string} svgContent - The SVG document, as exported by `getCanvasContent`.
+     * @param {Object} [options={}] - The `width` and `overlap` of the poster in points, see `getPosterLayout`.
+     * @param {Object} [info={}] - The document information.
+     * @param {string} [info.title] - The title of the document, also printed on the pages.
+     * @returns {Promise<Blob>} The PDF document.
+     * @throws {Error} If the SVG cannot be read or the poster needs more than `posterConfig.maximumPages` pages.
+     */
+    async writePoster(svgContent, options = {}, info = {}) {
+        const map = this.readMap(svgContent);
+        const layout = this.getPosterLayout(map.width, map.height, options);
+        if (layout.columns * layout.rows > config.posterConfig.maximumPages) {
+            throw new Error(`The poster needs ${layout.columns * layout.rows} pages, at most ${config.posterConfig.maximumPages} are allowed.`);
+        }
+        await this.drawMap(map, layout.scale);
+
+        const page = this.getPageDimensions();
+        const margin = config.pdfConfig.margin;
+        const pages = [];
+        for (let row = 0; row < layout.rows; row++) {
+            for (let column = 0; column < layout.columns; column++) {
+                // Place the part of the poster shown on this page in the printed area
+                const x = column * layout.step.width;
+                const y = row * layout.step.height;
+                const placement = [layout.scale, 0, 0, layout.scale, margin - x, page.height - margin + y - layout.height];
+                const clip = {
+                    minX: margin,
+                    minY: Math.max(margin, page.height - margin - (layout.height - y)),
+                    maxX: Math.min(page.width - margin, margin + layout.width - x),
+                    maxY: page.height - margin,
+                };
+                pages.push({ ...page, placement, clip, operators: this.getPosterMarks(page, layout, column, row, clip, info.title) });
+            }
+        }
+
+        return this.createDocument(map, pages, info);
+    }
+
+    /**
+     * Reads the SVG of a map and resets the state of the writer.
+     * @param {string} svgContent - The SVG document.
+     * @returns {Object} The `svg` element, its `width` and `height` and the `matrix` from the SVG to the coordinates
+     * of the map in the document, which run upwards from the bottom left corner.
+     * @throws {Error} If the SVG cannot be read.
+     */
+    readMap(svgContent) {
+        const svg = new DOMParser().parseFromString(svgContent, "image/svg+xml").documentElement;
+        if (!svg || svg.nodeName !== "svg") {
+            throw new Error("The map could not be read as SVG.");
+        }
+
+        this.operators = [];
+        this.links = [];
+        this.images = [];
+        this.graphicStates = new Map();
+        this.fonts = new Set(["F1"]);
+
+        const viewBox = (svg.getAttribute("viewBox") || "").trim().split(/[\s,]+/).map(Number);
+        const hasViewBox = viewBox.length === 4 && viewBox.every(Number.isFinite) && viewBox[2] > 0 && viewBox[3] > 0;
+        const width = parseLength(svg.getAttribute("width")) || (hasViewBox ? viewBox[2] : 1000);
+        const height = parseLength(svg.getAttribute("height")) || (hasViewBox ? viewBox[3] : 1000);
+
+        // Turn the y-axis upwards
+        let matrix = [1, 0, 0, -1, 0, height];
+        if (hasViewBox) {
+            const viewScale = Math.min(width / viewBox[2], height / viewBox[3]);
+            matrix = multiply(matrix, [viewScale, 0, 0, viewScale, -viewBox[0] * viewScale, -viewBox[1] * viewScale]);
+        }
+
+        return { svg, width, height, matrix };
+    }
+
+    /**
+     * Draws a map read by `readMap`.
+     * @param {Object} map - The map as returned by `readMap`.
+     * @param {number} outputScale - The points on paper per unit of the map, for the resolution of images.
+     */
+    async drawMap(map, outputScale) {
+        this.outputScale = outputScale;
+        const style = this.resolveStyle(map.svg, { fill: "black", "font-size": "16", "stroke-width": "1", opacity: 1 });
+        await this.drawChildren(map.svg, style, map.matrix, null);
+    }
+
+    /**
+     * Creates the drawing operators of the marks of a poster page: crop marks, overlap marks and coordinates.
+     * @param {Object} page - The `width` and `height` of the page.
+     * @param {Object} layout - The layout of the poster, as returned by `getPosterLayout`.
+     * @param {number} column - The column of the page, from 0.
+     * @param {number} row - The row of the page, from 0.
+     * @param {Object} clip - The printed area of the page.
+     * @param {string} [title=""] - The title of the map.
+     * @returns {Array<string>} The drawing operators.
+     */
+    getPosterMarks(page, layout, column, row, clip, title = "") {
+        const length = config.posterConfig.cropMarkLength;
+        const gap = 3;
+        const size = config.posterConfig.labelFontSize;
+        const ops = ["q", "0 0 0 RG", "0.5 w", "0 J"];
+        const line = (x1, y1, x2, y2) => ops.push(`${formatNumber(x1)} ${formatNumber(y1)} m ${formatNumber(x2)} ${formatNumber(y2)} l S`);
+
+        // Crop marks at the corners of the printed area, outside it
+        [[clip.minX, clip.minY, -1, -1], [clip.maxX, clip.minY, 1, -1], [clip.minX, clip.maxY, -1, 1], [clip.maxX, clip.maxY, 1, 1]]
+            .forEach(([x, y, dx, dy]) => {
+                line(x + dx * gap, y, x + dx * (gap + length), y);
+                line(x, y + dy * gap, x, y + dy * (gap + length));
+            });
+
+        // Dashed marks where the next page to the right and below starts
+        ops.push("[2 2] 0 d");
+        if (column < layout.columns - 1) {
+            const x = clip.maxX - layout.overlap;
+            line(x, clip.maxY + gap, x, clip.maxY + gap + length);
+            line(x, clip.minY - gap, x, clip.minY - gap - length);
+        }
+        if (row < layout.rows - 1) {
+            const y = clip.minY + layout.overlap;
+            line(clip.minX - gap, y, clip.minX - gap - length, y);
+            line(clip.maxX + gap, y, clip.maxX + gap + length, y);
+        }
+        ops.push("[] 0 d");
+
+        // Coordinates of the page and of its neighbours
+        const text = (value, x, y, font = "F1", fontSize = size) => ops.push("BT", `/${font} ${formatNumber(fontSize)} Tf`,
+            `${formatNumber(x)} ${formatNumber(y)} Td`, `(${encodeText(value)}) Tj`, "ET");
+        const centered = (value, x, y) => text(value, x - textWidth(value, { "font-size": size }) / 2, y);
+        const margin = config.pdfConfig.margin;
+        const textY = (margin - size) / 2;
+
+        // The coordinate and title start after the crop mark and end before the coordinate of the page below
+        const coordinate = getPosterCoordinate(column, row);
+        const start = clip.minX + gap + length;
+        const titleStart = start + textWidth(coordinate, { "font-size": size * 1.5, "font-weight": "bold" }) + size;
+        const titleEnd = (clip.minX + clip.maxX) / 2 - 2 * size;
+        const pageNumber = `${column + 1 + row * layout.columns} / ${layout.columns * layout.rows}`;
+        let caption = title ? `${title} - ${pageNumber}` : pageNumber;
+        for (let shortened = title; shortened && titleStart + textWidth(caption, { "font-size": size }) > titleEnd;) {
+            shortened = shortened.slice(0, -1);
+            caption = shortened ? `${shortened}\u2026 - ${pageNumber}` : pageNumber;
+        }
+
+        ops.push("0 0 0 rg");
+        text(coordinate, start, textY, "F2", size * 1.5);
+        text(caption, titleStart, textY);
+
+        ops.push("0.4 0.4 0.4 rg");
+        if (row > 0) centered(getPosterCoordinate(column, row - 1), (clip.minX + clip.maxX) / 2, page.height - margin + textY);
+        if (row < layout.rows - 1) centered(getPosterCoordinate(column, row + 1), (clip.minX + clip.maxX) / 2, textY);
+        if (column > 0) centered(getPosterCoordinate(column - 1, row), margin / 2, (clip.minY + clip.maxY) / 2);
+        if (column < layout.columns - 1) centered(getPosterCoordinate(column + 1, row), page.width - margin / 2, (clip.minY + clip.maxY) / 2);
+
+        ops.push("Q");
+        return ops;
+    }
+
+    /**
+     * Draws the children of an element.
+     * @param {Element} element - The element.
+     * @param {Object} style - The resolved style of the element.
+     * @param {Array<number>} matrix - The transformation from the element to the map.
+     * @param {Object|null} link - The link the children are part of, collecting their bounds.
+     */
+    async drawChildren(element, style, matrix, link) {
+        for (const child of element.children) {
+            await this.drawElement(child, style, matrix, link);
+        }
+    }
+
+    /**
+     * Draws an element and its children.
+     * @param {Element} element - The element.
+     * @param {Object} parentStyle - The resolved style of the parent element.
+     * @param {Array<number>} parentMatrix - The transformation from the parent to the map.
+     * @param {Object|null} link - The link the element is part of, collecting its bounds.
+     */
+    async drawElement(element, parentStyle, parentMatrix, link) {
+        const name = element.localName;
+        if (skippedElements.has(name)) return;
+        // Polylines drawn as paths only hold the points of their metroline
+        if (name === "polyline" && element.hasAttribute("data-curved")) return;
+
+        const style = this.resolveStyle(element, parentStyle);
+        if (style.display === "none") return;
+
+        const matrix = multiply(parentMatrix, parseTransform(element.getAttribute("transform")));
+
+        switch (name) {
+            case "svg":
+            case "g":
+                await this.drawChildren(element, style, matrix, link);
+                break;
+            case "a": {
+                const url = getHref(element);
+                const elementLink = /^https?:\/\//i.test(url) ? { url, bounds: null } : null;
+                await this.drawChildren(element, style, matrix, elementLink ?? link);
+                if (elementLink?.bounds) this.links.push(elementLink);
+                break;
+            }
+            case "text":
+                this.drawText(element, style, matrix, link);
+                break;
+            case "image":
+                await this.drawImage(element, style, matrix, link);
+                break;
+            default: {
+                const segments = getShapeSegments(element);
+                if (segments) this.drawPath(segments, style, matrix, link, name !== "line");
+            }
+        }
+    }
+
+    /**
+     * Draws a path with the fill and stroke of its style.
+     * @param {Array<Object>} segments - The segments of the path, as returned by `parsePathData`.
+     * @param {Object} style - The resolved style of the element.
+     * @param {Array<number>} matrix - The transformation from the element to the map.
+     * @param {Object|null} link - The link the element is part of, collecting its bounds.
+     * @param {boolean} [fillable=true] - False for lines, which are never filled.
+     */
+    drawPath(segments, style, matrix, link, fillable = true) {
+        if (segments.length === 0) return;
+        extendLink(link, segments.flatMap(segment => segmentPoints(segment)), matrix);
+
+        const fill = fillable ? parseColor(style.fill) : null;
+        const stroke = parseColor(style.stroke);
+        const strokeWidth = parseLength(style["stroke-width"]) ?? 1;
+        const fillOpacity = style.opacity * (fill?.alpha ?? 1) * parseOpacity(style["fill-opacity"]);
+        const strokeOpacity = style.opacity * (stroke?.alpha ?? 1) * parseOpacity(style["stroke-opacity"]);
+        const paintFill = fill && fillOpacity > 0;
+        const paintStroke = stroke && strokeOpacity > 0 && strokeWidth > 0;
+        if (style.visibility === "hidden" || (!paintFill && !paintStroke)) return;
+
+        const ops = ["q", `${formatMatrix(matrix)} cm`];
+        ops.push(`/${this.getGraphicState(paintFill ? fillOpacity : 1, paintStroke ? strokeOpacity : 1)} gs`);
+        if (paintFill) ops.push(`${formatColor(fill)} rg`);
+        if (paintStroke) {
+            ops.push(`${formatColor(stroke)} RG`, `${formatNumber(strokeWidth)} w`);
+            ops.push(`${{ butt: 0, round: 1, square: 2 }[style["stroke-linecap"]] ?? 0} J`);
+            ops.push(`${{ miter: 0, round: 1, bevel: 2 }[style["stroke-linejoin"]] ?? 0} j`);
+            const miterLimit = parseLength(style["stroke-miterlimit"]);
+            if (miterLimit >= 1) ops.push(`${formatNumber(miterLimit)} M`);
+            const dashes = (style["stroke-dasharray"] || "none").split(/[\s,]+/).map(parseLength).filter(value => value !== null);
+            if (dashes.length > 0 && dashes.some(value => value > 0)) {
+                const pattern = dashes.length % 2 === 1 ? [...dashes, ...dashes] : dashes;
+                ops.push(`[${pattern.map(formatNumber).join(" ")}] 0 d`);
+            }
+        }
+
+        segments.forEach(segment => {
+            switch (segment.op) {
+                case "M": ops.push(`${formatNumber(segment.x)} ${formatNumber(segment.y)} m`); break;
+                case "L": ops.push(`${formatNumber(segment.x)} ${formatNumber(segment.y)} l`); break;
+                case "C": ops.push(`${[segment.x1, segment.y1, segment.x2, segment.y2, segment.x, segment.y].map(formatNumber).join(" ")} c`); break;
+                case "Z": ops.push("h"); break;
+            }
+        });
+
+        const evenOdd = style["fill-rule"] === "evenodd" ? "*" : "";
+        ops.push(paintFill && paintStroke ? `B${evenOdd}` : paintFill ? `f${evenOdd}` : "S", "Q");
+        this.operators.push(...ops);
+    }
+
+    /**
+     * Draws a text element with its tspans. The text is laid out in chunks starting at each absolute x position,
+     * which are aligned following their `text-anchor`.
+     * @param {Element} element - The text element.
+     * @param {Object} style - The resolved style of the element.
+     * @param {Array<number>} matrix - The transformation from the element to the map.
+     * @param {Object|null} link - The link the element is part of, collecting its bounds.
+     */
+    drawText(element, style, matrix, link) {
+        const position = { x: firstLength(element, "x") ?? 0, y: firstLength(element, "y") ?? 0 };
+        position.x += firstLength(element, "dx") ?? 0;
+        position.y += firstLength(element, "dy") ?? 0;
+
+        const chunks = [{ anchor: style["text-anchor"], runs: [] }];
+        const addRuns = (node, nodeStyle) => {
+            for (const child of node.childNodes) {
+                if (child.nodeType === 3) {
+                    const chunk = chunks[chunks.length - 1];
+                    const previous = chunk.runs[chunk.runs.length - 1];
+                    let text = child.data.replace(/[\r\n\t]/g, " ").replace(/ +/g, " ");
+                    if (!previous || previous.text.endsWith(" ")) text = text.replace(/^ /, "");
+                    if (!text) continue;
+
+                    const run = { text, x: position.x, y: position.y, style: nodeStyle };
+                    chunk.runs.push(run);
+                    position.x += textWidth(text, nodeStyle);
+                } else if (child.nodeType === 1 && (child.localName === "tspan" || child.localName === "a")) {
+                    const childStyle = this.resolveStyle(child, nodeStyle);
+                    if (childStyle.display === "none") continue;
+
+                    const x = firstLength(child, "x");
+                    const y = firstLength(child, "y");
+                    if (x !== null) {
+                        position.x = x;
+                        chunks.push({ anchor: childStyle["text-anchor"], runs: [] });
+                    }
+                    if (y !== null) position.y = y;
+                    position.x += firstLength(child, "dx") ?? 0;
+                    position.y += firstLength(child, "dy") ?? 0;
+                    addRuns(child, childStyle);
+                }
+            }
+        };
+        addRuns(element, style);
+
+        chunks.forEach(chunk => {
+            const last = chunk.runs[chunk.runs.length - 1];
+            if (last) last.text = last.text.replace(/ $/, "");
+            const runs = chunk.runs.filter(run => run.text);
+            if (runs.length === 0) return;
+
+            const start = runs[0].x;
+            const end = runs[runs.length - 1].x + textWidth(runs[runs.length - 1].text, runs[runs.length - 1].style);
+            const shift = chunk.anchor === "middle" ? -(end - start) / 2 : chunk.anchor === "end" ? -(end - start) : 0;
+            runs.forEach(run => this.drawTextRun(run, run.x + shift, run.y, matrix, link));
+        });
+    }
+
+    /**
+     * Draws a run of text with a single style.
+     * @param {Object} run - The run with its `text` and resolved `style`.
+     * @param {number} x - The x position of the start of the text.
+     * @param {number} y - The y position of the baseline of the text.
+     * @param {Array<number>} matrix - The transformation from the text element to the map.
+     * @param {Object|null} link - The link the text is part of, collecting its bounds.
+     */
+    drawTextRun(run, x, y, matrix, link) {
+        const { style } = run;
+        const size = parseLength(style["font-size"]) ?? 16;
+        const baseline = { middle: 0.35, central: 0.35, hanging: 0.75, "text-before-edge": 0.75, "text-top": 0.75 }[style["dominant-baseline"]] ?? 0;
+        y += baseline * size;
+
+        const width = textWidth(run.text, style);
+        extendLink(link, [{ x, y: y - 0.75 * size }, { x: x + width, y: y + 0.25 * size }], matrix);
+
+        const fill = parseColor(style.fill);
+        const stroke = parseColor(style.stroke);
+        const strokeWidth = parseLength(style["stroke-width"]) ?? 1;
+        const fillOpacity = style.opacity * (fill?.alpha ?? 1) * parseOpacity(style["fill-opacity"]);
+        const strokeOpacity = style.opacity * (stroke?.alpha ?? 1) * parseOpacity(style["stroke-opacity"]);
+        const paintFill = fill && fillOpacity > 0;
+        const paintStroke = stroke && strokeOpacity > 0 && strokeWidth > 0;
+        if (style.visibility === "hidden" || (!paintFill && !paintStroke)) return;
+
+        const font = isBold(style) ? "F2" : "F1";
+        this.fonts.add(font);
+
+        const ops = ["q", `${formatMatrix(matrix)} cm`];
+        ops.push(`/${this.getGraphicState(paintFill ? fillOpacity : 1, paintStroke ? strokeOpacity : 1)} gs`);
+        if (paintFill) ops.push(`${formatColor(fill)} rg`);
+        if (paintStroke) ops.push(`${formatColor(stroke)} RG`, `${formatNumber(strokeWidth)} w`, "1 j");
+
+        // The text matrix turns the glyphs upright again in the flipped coordinates of the map
+        const showText = (mode) => ops.push("BT", `/${font} ${formatNumber(size)} Tf`, `${mode} Tr`,
+            `1 0 0 -1 ${formatNumber(x)} ${formatNumber(y)} Tm`, `(${encodeText(run.text)}) Tj`, "ET");
+        if (paintFill && paintStroke && (style["paint-order"] || "").trim().startsWith("stroke")) {
+            showText(1);
+            showText(0);
+        } else {
+            showText(paintFill && paintStroke ? 2 : paintFill ? 0 : 1);
+        }
+
+        ops.push("Q");
+        this.operators.push(...ops);
+    }
+
+    /**
+     * Draws an image, rasterized at the resolution of the configuration. Images that cannot be loaded are left out,
+     * as are images of other sites that do not allow reading their pixels.
+     * @param {Element} element - The image element.
+     * @param {Object} style - The resolved style of the element.
+     * @param {Array<number>} matrix - The transformation from the element to the map.
+     * @param {Object|null} link - The link the image is part of, collecting its bounds.
+     */
+    async drawImage(element, style, matrix, link) {
+        const href = getHref(element);
+        if (!href || style.visibility === "hidden" || style.opacity <= 0) return;
+
+        let image;
+        try {
+            image = new Image();
+            // Ask other sites for permission to read the pixels, without it the canvas cannot be read
+            image.crossOrigin = "anonymous";
+            image.src = href;
+            await image.decode();
+        } catch (error) {
+            console.warn("PDF export: image could not be loaded and is left out:", error);
+            return;
+        }
+
+        // Fit the image in its box keeping its aspect ratio, or derive the missing size from the aspect ratio
+        const naturalWidth = image.naturalWidth || image.width;
+        const naturalHeight = image.naturalHeight || image.height;
+        let width = parseLength(element.getAttribute("width"));
+        let height = parseLength(element.getAttribute("height"));
+        let x = parseLength(element.getAttribute("x")) ?? 0;
+        let y = parseLength(element.getAttribute("y")) ?? 0;
+        if (naturalWidth > 0 && naturalHeight > 0) {
+            const ratio = naturalWidth / naturalHeight;
+            if (width === null && height === null) {
+                width = naturalWidth;
+                height = naturalHeight;
+            } else if (width === null) {
+                width = height * ratio;
+            } else if (height === null) {
+                height = width / ratio;
+            } else if (element.getAttribute("preserveAspectRatio") !== "none") {
+                const fitted = Math.min(width / naturalWidth, height / naturalHeight);
+                x += (width - naturalWidth * fitted) / 2;
+                y += (height - naturalHeight * fitted) / 2;
+                width = naturalWidth * fitted;
+                height = naturalHeight * fitted;
+            }
+        }
+        if (!(width > 0) || !(height > 0)) return;
+
+        // Rasterize at the size of the image on the page
+        const pageScale = Math.hypot(matrix[0], matrix[1]) * this.outputScale;
+        const pixelsPerPoint = config.pdfConfig.imageResolution / 72;
+        const limit = config.pdfConfig.maximumImageSize;
+        const pixelScale = Math.min(pageScale * pixelsPerPoint, limit / width, limit / height);
+        const canvas = document.createElement("canvas");
+        canvas.width = Math.max(1, Math.round(width * pixelScale));
+        canvas.height = Math.max(1, Math.round(height * pixelScale));
+        const context = canvas.getContext("2d");
+        if (!context) return;
+        context.drawImage(image, 0, 0, canvas.width, canvas.height);
+
+        let data;
+        try {
+            ({ data } = context.getImageData(0, 0, canvas.width, canvas.height));
+        } catch (error) {
+            console.warn("PDF export: image of another site cannot be read and is left out:", error);
+            return;
+        }
+        const pixels = canvas.width * canvas.height;
+        const rgb = new Uint8Array(pixels * 3);
+        const alpha = new Uint8Array(pixels);
+        let transparent = false;
+        for (let i = 0; i < pixels; i++) {
+            rgb[i * 3] = data[i * 4];
+            rgb[i * 3 + 1] = data[i * 4 + 1];
+            rgb[i * 3 + 2] = data[i * 4 + 2];
+            alpha[i] = data[i * 4 + 3];
+            if (alpha[i] < 255) transparent = true;
+        }
+
+        extendLink(link, [{ x, y }, { x: x + width, y: y + height }], matrix);
+
+        const name = `Im${this.images.length}`;
+        this.images.push({ name, width: canvas.width, height: canvas.height, rgb, alpha: transparent ? alpha : null });
+        this.operators.push("q", `${formatMatrix(matrix)} cm`, `/${this.getGraphicState(style.opacity, 1)} gs`,
+            `${formatMatrix([width, 0, 0, -height, x, y + height])} cm`, `/${name} Do`, "Q");
+    }
+
+    // STYLE
+
+    /**
+     * Resolves the style of an element from its presentation attributes and its `style` attribute,
+     * inheriting the properties of its parent. The opacity is multiplied with that of the parent.
+     * @param {Element} element - The element.
+     * @param {Object} parentStyle - The resolved style of the parent element.
+     * @returns {Object} The resolved style by property name, with `opacity` as a number.
+     */
+    resolveStyle(element, parentStyle) {
+        const declared = {};
+        [...inheritedProperties, ...ownProperties].forEach(property => {
+            const value = element.getAttribute(property);
+            if (value !== null && value.trim() !== "") declared[property] = value.trim();
+        });
+        (element.getAttribute("style") || "").split(";").forEach(declaration => {
+            const [property, ...value] = declaration.split(":");
+            const name = property?.trim().toLowerCase();
+            if (name && value.length > 0) declared[name] = value.join(":").replace(/!important/i, "").trim();
+        });
+
+        const style = {};
+        inheritedProperties.forEach(property => {
+            const value = declared[property];
+            style[property] = value !== undefined && value !== "inherit" ? value : parentStyle[property];
+        });
+        style.display = declared.display;
+        style["dominant-baseline"] = declared["dominant-baseline"] ?? parentStyle["dominant-baseline"];
+        style.opacity = (parentStyle.opacity ?? 1) * parseOpacity(declared.opacity);
+        return style;
+    }
+
+    /**
+     * Gets the name of the graphic state with an opacity for fills and strokes, adding it when needed.
+     * @param {number} fillOpacity - The opacity of fills.
+     * @param {number} strokeOpacity - The opacity of strokes.
+     * @returns {string} The resource name of the graphic state.
+     */
+    getGraphicState(fillOpacity, strokeOpacity) {
+        const key = `${formatNumber(Math.min(1, fillOpacity))},${formatNumber(Math.min(1, strokeOpacity))}`;
+        if (!this.graphicStates.has(key)) this.graphicStates.set(key, `GS${this.graphicStates.size}`);
+        return this.graphicStates.get(key);
+    }
+
+    // DOCUMENT
+
+    /**
+     * Creates the PDF file of the map drawn, placed on one or more pages.
+     * @param {Object} map - The map as returned by `readMap`.
+     * @param {Array<Object>} pages - The pages, with their `width` and `height`, the `placement` matrix of the map on
+     * the page, the `clip` bounds of the map on the page or `null` and additional drawing `operators`.
+     * @param {Object} info - The document information.
+     * @returns {Promise<Blob>} The PDF document.
+     */
+    async createDocument(map, pages, info) {
+        const objects = [];
+        const addObject = (content) => {
+            objects.push(content);
+            return objects.length;
+        };
+        const reserveObject = () => addObject(null);
+
+        const catalogId = reserveObject();
+        const pagesId = reserveObject();
+        const pageIds = pages.map(() => reserveObject());
+        const resourcesId = reserveObject();
+
+        const fontIds = {
+            F1: addObject("<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>"),
+            F2: addObject("<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>"),
+        };
+
+        const xObjectIds = {};
+        for (const image of this.images) {
+            let smask = "";
+            if (image.alpha) {
+                const alphaId = addObject(await createStream(`/Type /XObject /Subtype /Image /Width ${image.width} /Height ${image.height} /ColorSpace /DeviceGray /BitsPerComponent 8`, image.alpha));
+                smask = ` /SMask ${alphaId} 0 R`;
+            }
+            xObjectIds[image.name] = addObject(await createStream(`/Type /XObject /Subtype /Image /Width ${image.width} /Height ${image.height} /ColorSpace /DeviceRGB /BitsPerComponent 8${smask}`, image.rgb));
+        }
+
+        // The map is drawn once as a form, which every page places
+        xObjectIds.Map = addObject(await createStream(`/Type /XObject /Subtype /Form /BBox [0 0 ${formatNumber(map.width)} ${formatNumber(map.height)}] ` +
+            `/Resources ${resourcesId} 0 R`, toBytes(this.operators.join("\n"))));
+
+        const graphicStates = [...this.graphicStates].map(([key, name]) => {
+            const [fill, stroke] = key.split(",");
+            return `/${name} << /Type /ExtGState /ca ${fill} /CA ${stroke} >>`;
+        }).join(" ");
+        const fonts = Object.entries(fontIds).map(([name, id]) => `/${name} ${id} 0 R`).join(" ");
+        const xObjects = Object.entries(xObjectIds).map(([name, id]) => `/${name} ${id} 0 R`).join(" ");
+        objects[resourcesId - 1] = `<< /Font << ${fonts} >> /ExtGState << ${graphicStates} >> /XObject << ${xObjects} >> >>`;
+
+        for (const [index, page] of pages.entries()) {
+            const clip = page.clip ? [`${[page.clip.minX, page.clip.minY, page.clip.maxX - page.clip.minX, page.clip.maxY - page.clip.minY].map(formatNumber).join(" ")} re W n`] : [];
+            const contentId = addObject(await createStream("", toBytes(["q", ...clip, `${formatMatrix(page.placement)} cm`, "/Map Do", "Q", ...page.operators].join("\n"))));
+
+            // Place the links of the map on the page, within the area the map is shown
+            const annotationIds = this.links.flatMap(({ url, bounds }) => {
+                const placed = {};
+                extendLink(placed, [{ x: bounds.minX, y: bounds.minY }, { x: bounds.maxX, y: bounds.maxY }], page.placement);
+                const rect = page.clip ? {
+                    minX: Math.max(placed.bounds.minX, page.clip.minX), minY: Math.max(placed.bounds.minY, page.clip.minY),
+                    maxX: Math.min(placed.bounds.maxX, page.clip.maxX), maxY: Math.min(placed.bounds.maxY, page.clip.maxY),
+                } : placed.bounds;
+                if (rect.minX >= rect.maxX || rect.minY >= rect.maxY) return [];
+                return [addObject(`<< /Type /Annot /Subtype /Link /Rect [${[rect.minX, rect.minY, rect.maxX, rect.maxY].map(formatNumber).join(" ")}] ` +
+                    `/Border [0 0 0] /A << /S /URI /URI (${escapeString(encodeURI(safeDecodeURI(url)))}) >> >>`)];
+            });
+
+            objects[pageIds[index] - 1] = `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${formatNumber(page.width)} ${formatNumber(page.height)}] ` +
+                `/Resources ${resourcesId} 0 R /Contents ${contentId} 0 R` + (annotationIds.length > 0 ? ` /Annots [${annotationIds.map(id => `${id} 0 R`).join(" ")}]` : "") + " >>";
+        }
+
+        objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+        objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(" ")}] /Count ${pages.length} >>`;
+
+        const infoId = addObject(`<< /Title ${encodeTextString(info.title || "")} /Producer ${encodeTextString(config.pdfConfig.producer)} ` +
+            `/CreationDate (D:${new Date().toISOString().replace(/[-:T]/g, "").slice(0, 14)}Z) >>`);
+
+        // Write the objects with the cross-reference table of their byte offsets
+        const parts = [toBytes("%PDF-1.4\n%\xE2\xE3\xCF\xD3\n")];
+        let length = parts[0].length;
+        const offsets = [];
+        objects.forEach((content, index) => {
+            offsets.push(length);
+            const bytes = content instanceof Uint8Array ? content : toBytes(content);
+            [toBytes(`${index + 1} 0 obj\n`), bytes, toBytes("\nendobj\n")].forEach(part => {
+                parts.push(part);
+                length += part.length;
+            });
+        });
+
+        const xref = [`xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`, ...offsets.map(offset => `${String(offset).padStart(10, "0")} 00000 n \n`)];
+        parts.push(toBytes(xref.join("") + `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>\nstartxref\n${length}\n%%EOF\n`));
+
+        return new Blob(parts, { type: "application/pdf" });
+    }
+}
+
+// ####################################################
+// GEOMETRY
+//
+
+/**
+ * Multiplies two transformation matrices [a, b, c, d, e, f], applying `second` before `first`.
+ *
+ * @private
+ * @param {Array<number>} first - The outer transformation.
+ * @param {Array<number>} second - The inner transformation.
+ * @returns {Array<number>} The combined transformation.
+ */
+function multiply(first, second) {
+    const [a1, b1, c1, d1, e1, f1] = first;
+    const [a2, b2, c2, d2, e2, f2] = second;
+    return [
+        a1 * a2 + c1 * b2, b1 * a2 + d1 * b2,
+        a1 * c2 + c1 * d2, b1 * c2 + d1 * d2,
+        a1 * e2 + c1 * f2 + e1, b1 * e2 + d1 * f2 + f1,
+    ];
+}
+
+/**
+ * Reads an SVG transform attribute as a transformation matrix.
+ *
+ * @private
+ * @param {string|null} transform - The transform attribute.
+ * @returns {Array<number>} The transformation, the identity when there is none.
+ */
+function parseTransform(transform) {
+    let matrix = [1, 0, 0, 1, 0, 0];
+    const pattern = /(matrix|translate|scale|rotate|skewX|skewY)\s*\(([^)]*)\)/g;
+    let match;
+    while ((match = pattern.exec(transform || "")) !== null) {
+        const values = match[2].trim().split(/[\s,]+/).map(Number).filter(Number.isFinite);
+        const [first = 0, second, third] = values;
+        let step;
+        switch (match[1]) {
+            case "matrix":
+                step = values.length === 6 ? values : [1, 0, 0, 1, 0, 0];
+                break;
+            case "translate":
+                step = [1, 0, 0, 1, first, second ?? 0];
+                break;
+            case "scale":
+                step = [first, 0, 0, second ?? first, 0, 0];
+                break;
+            case "rotate": {
+                const angle = first * Math.PI / 180;
+                const cos = Math.cos(angle);
+                const sin = Math.sin(angle);
+                step = [cos, sin, -sin, cos, 0, 0];
+                if (second !== undefined) {
+                    step = multiply(multiply([1, 0, 0, 1, second, third ?? 0], step), [1, 0, 0, 1, -second, -(third ?? 0)]);
+                }
+                break;
+            }
+            case "skewX":
+                step = [1, 0, Math.tan(first * Math.PI / 180), 1, 0, 0];
+                break;
+            case "skewY":
+                step = [1, Math.tan(first * Math.PI / 180), 0, 1, 0, 0];
+                break;
+        }
+        matrix = multiply(matrix, step);
+    }
+    return matrix;
+}
+
+/**
+ * Adds the bounds of points on the map to a link.
+ *
+ * @private
+ * @param {Object|null} link - The link collecting bounds, nothing is done without a link.
+ * @param {Array<Object>} points - The points with `x` and `y` in the coordinates of the element.
+ * @param {Array<number>} matrix - The transformation from the element to the map.
+ */
+function extendLink(link, points, matrix) {
+    if (!link) return;
+    points.forEach(({ x, y }) => {
+        const pageX = matrix[0] * x + matrix[2] * y + matrix[4];
+        const pageY = matrix[1] * x + matrix[3] * y + matrix[5];
+        link.bounds ??= { minX: pageX, minY: pageY, maxX: pageX, maxY: pageY };
+        link.bounds.minX = Math.min(link.bounds.minX, pageX);
+        link.bounds.minY = Math.min(link.bounds.minY, pageY);
+        link.bounds.maxX = Math.max(link.bounds.maxX, pageX);
+        link.bounds.maxY = Math.max(link.bounds.maxY, pageY);
+    });
+}
+
+/**
+ * Gets the end and control points of a path segment.
+ *
+ * @private
+ * @param {Object} segment - The segment.
+ * @returns {Array<Object>} The points.
+ */
+function segmentPoints(segment) {
+    if (segment.op === "Z") return [];
+    if (segment.op === "C") return [{ x: segment.x1, y: segment.y1 }, { x: segment.x2, y: segment.y2 }, { x: segment.x, y: segment.y }];
+    return [{ x: segment.x, y: segment.y }];
+}
+
+/**
+ * Gets the outline of a basic shape or path as path segments (M, L, C and Z with absolute coordinates).
+ *
+ * @private
+ * @param {Element} element - The shape element.
+ * @returns {Array<Object>|null} The segments, or null if the element is not a shape.
+ */
+function getShapeSegments(element) {
+    const number = (name) => parseLength(element.getAttribute(name)) ?? 0;
+
+    switch (element.localName) {
+        case "path":
+            return parsePathData(element.getAttribute("d") || "");
+        case "line":
+            return [{ op: "M", x: number("x1"), y: number("y1") }, { op: "L", x: number("x2"), y: number("y2") }];
+        case "polyline":
+        case "polygon": {
+            const values = (element.getAttribute("points") || "").trim().split(/[\s,]+/).map(Number).filter(Number.isFinite);
+            const segments = [];
+            for (let i = 0; i + 1 < values.length; i += 2) {
+                segments.push({ op: i === 0 ? "M" : "L", x: values[i], y: values[i + 1] });
+            }
+            if (element.localName === "polygon" && segments.length > 0) segments.push({ op: "Z" });
+            return segments;
+        }
+        case "rect": {
+            const x = number("x");
+            const y = number("y");
+            const width = number("width");
+            const height = number("height");
+            if (width <= 0 || height <= 0) return [];
+
+            let rx = parseLength(element.getAttribute("rx"));
+            let ry = parseLength(element.getAttribute("ry"));
+            rx = Math.min(Math.max(rx ?? ry ?? 0, 0), width / 2);
+            ry = Math.min(Math.max(ry ?? rx, 0), height / 2);
+            if (rx === 0 || ry === 0) {
+                return [{ op: "M", x, y }, { op: "L", x: x + width, y }, { op: "L", x: x + width, y: y + height }, { op: "L", x, y: y + height }, { op: "Z" }];
+            }
+
+            const kx = rx * kappa;
+            const ky = ry * kappa;
+            const right = x + width;
+            const bottom = y + height;
+            return [
+                { op: "M", x: x + rx, y },
+                { op: "L", x: right - rx, y },
+                { op: "C", x1: right - rx + kx, y1: y, x2: right, y2: y + ry - ky, x: right, y: y + ry },
+                { op: "L", x: right, y: bottom - ry },
+                { op: "C", x1: right, y1: bottom - ry + ky, x2: right - rx + kx, y2: bottom, x: right - rx, y: bottom },
+                { op: "L", x: x + rx, y: bottom },
+                { op: "C", x1: x + rx - kx, y1: bottom, x2: x, y2: bottom - ry + ky, x, y: bottom - ry },
+                { op: "L", x, y: y + ry },
+                { op: "C", x1: x, y1: y + ry - ky, x2: x + rx - kx, y2: y, x: x + rx, y },
+                { op: "Z" },
+            ];
+        }
+        case "circle":
+        case "ellipse": {
+            const cx = number("cx");
+            const cy = number("cy");
+            const rx = element.localName === "circle" ? number("r") : number("rx");
+            const ry = element.localName === "circle" ? number("r") : number("ry");
+            if (rx <= 0 || ry <= 0) return [];
+
+            const kx = rx * kappa;
+            const ky = ry * kappa;
+            return [
+                { op: "M", x: cx + rx, y: cy },
+                { op: "C", x1: cx + rx, y1: cy + ky, x2: cx + kx, y2: cy + ry, x: cx, y: cy + ry },
+                { op: "C", x1: cx - kx, y1: cy + ry, x2: cx - rx, y2: cy + ky, x: cx - rx, y: cy },
+                { op: "C", x1: cx - rx, y1: cy - ky, x2: cx - kx, y2: cy - ry, x: cx, y: cy - ry },
+                { op: "C", x1: cx + kx, y1: cy - ry, x2: cx + rx, y2: cy - ky, x: cx + rx, y: cy },
+                { op: "Z" },
+            ];
+        }
+        default:
+            return null;
+    }
+}
+
+/**
+ * Reads the `d` attribute of a path as segments with absolute coordinates: M, L, C (curves, arcs and
+ * quadratic curves are converted to cubic curves) and Z. Reading stops at the first error, as in browsers.
+ *
+ * @private
+ * @param {string} data - The path data.
+ * @returns {Array<Object>} The segments.
+ */
+function parsePathData(data) {
+    const segments = [];
+    const numberPattern = /[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/y;
+    let index = 0;
+    let command = null;
+    let current = { x: 0, y: 0 };
+    let start = { x: 0, y: 0 };
+    let lastControl = null; // Last control point and command, for smooth curves
+
+    const skipSeparators = () => {
+        while (index < data.length && /[\s,]/.test(data[index])) index++;
+    };
+    const readNumber = () => {
+        skipSeparators();
+        numberPattern.lastIndex = index;
+        const match = numberPattern.exec(data);
+        if (!match) throw new Error("number expected");
+        index = numberPattern.lastIndex;
+        return Number(match[0]);
+    };
+    const readFlag = () => {
+        skipSeparators();
+        const flag = data[index];
+        if (flag !== "0" && flag !== "1") throw new Error("flag expected");
+        index++;
+        return flag === "1";
+    };
+    const curveTo = (x1, y1, x2, y2, x, y, type) => {
+        segments.push({ op: "C", x1, y1, x2, y2, x, y });
+        lastControl = { x: type === "Q" ? lastControl.x : x2, y: type === "Q" ? lastControl.y : y2, type };
+        current = { x, y };
+    };
+    const quadraticTo = (qx, qy, x, y) => {
+        lastControl = { x: qx, y: qy };
+        curveTo(current.x + 2 / 3 * (qx - current.x), current.y + 2 / 3 * (qy - current.y), x + 2 / 3 * (qx - x), y + 2 / 3 * (qy - y), x, y, "Q");
+    };
+
+    try {
+        while (true) {
+            skipSeparators();
+            if (index >= data.length) break;
+            if (/[a-zA-Z]/.test(data[index])) {
+                command = data[index++];
+            } else if (!command) {
+                break;
+            }
+
+            const relative = command === command.toLowerCase() && command !== "z";
+            const base = relative ? current : { x: 0, y: 0 };
+            const previousControl = lastControl;
+            if (!"CcSsQqTt".includes(command)) lastControl = null;
+
+            switch (command.toUpperCase()) {
+                case "M": {
+                    const x = base.x + readNumber();
+                    const y = base.y + readNumber();
+                    segments.push({ op: "M", x, y });
+                    current = { x, y };
+                    start = { x, y };
+                    command = relative ? "l" : "L"; // Following pairs are lines
+                    break;
+                }
+                case "L": {
+                    const x = base.x + readNumber();
+                    const y = base.y + readNumber();
+                    segments.push({ op: "L", x, y });
+                    current = { x, y };
+                    break;
+                }
+                case "H": {
+                    const x = base.x + readNumber();
+                    segments.push({ op: "L", x, y: current.y });
+                    current = { x, y: current.y };
+                    break;
+                }
+                case "V": {
+                    const y = (relative ? current.y : 0) + readNumber();
+                    segments.push({ op: "L", x: current.x, y });
+                    current = { x: current.x, y };
+                    break;
+                }
+                case "C": {
+                    const values = [readNumber(), readNumber(), readNumber(), readNumber(), readNumber(), readNumber()];
+                    curveTo(base.x + values[0], base.y + values[1], base.x + values[2], base.y + values[3], base.x + values[4], base.y + values[5], "C");
+                    break;
+                }
+                case "S": {
+                    const values = [readNumber(), readNumber(), readNumber(), readNumber()];
+                    const reflected = previousControl?.type === "C"
+                        ? { x: 2 * current.x - previousControl.x, y: 2 * current.y - previousControl.y }
+                        : current;
+                    curveTo(reflected.x, reflected.y, base.x + values[0], base.y + values[1], base.x + values[2], base.y + values[3], "C");
+                    break;
+                }
+                case "Q": {
+                    const values = [readNumber(), readNumber(), readNumber(), readNumber()];
+                    quadraticTo(base.x + values[0], base.y + values[1], base.x + values[2], base.y + values[3]);
+                    break;
+                }
+                case "T": {
+                    const x = base.x + readNumber();
+                    const y = base.y + readNumber();
+                    const control = previousControl?.type === "Q"
+                        ? { x: 2 * current.x - previousControl.x, y: 2 * current.y - previousControl.y }
+                        : current;
+                    quadraticTo(control.x, control.y, x, y);
+                    break;
+                }
+                case "A": {
+                    const rx = Math.abs(readNumber());
+                    const ry = Math.abs(readNumber());
+                    const rotation = readNumber();
+                    const largeArc = readFlag();
+                    const sweep = readFlag();
+                    const x = base.x + readNumber();
+                    const y = base.y + readNumber();
+                    arcToCurves(current, { x, y }, rx, ry, rotation, largeArc, sweep)
+                        .forEach(curve => segments.push({ op: "C", ...curve }));
+                    if (rx === 0 || ry === 0) segments.push({ op: "L", x, y });
+                    current = { x, y };
+                    break;
+                }
+                case "Z":
+                    segments.push({ op: "Z" });
+                    current = { ...start };
+                    break;
+                default:
+                    return segments;
+            }
+        }
+    } catch {
+        // Keep the segments read before the error
+    }
+    return segments;
+}
+
+/**
+ * Converts an elliptical arc of a path to cubic curves, of at most a quarter turn each.
+ *
+ * @private
+ * @param {Object} from - The start point.
+ * @param {Object} to - The end point.
+ * @param {number} rx - The x radius.
+ * @param {number} ry - The y radius.
+ * @param {number} rotation - The rotation of the ellipse in degrees.
+ * @param {boolean} largeArc - True for the arc of more than 180 degrees.
+ * @param {boolean} sweep - True for the arc drawn in the positive angle direction.
+ * @returns {Array<Object>} The curves with control points `x1`, `y1`, `x2`, `y2` and end point `x`, `y`.
+ */
+function arcToCurves(from, to, rx, ry, rotation, largeArc, sweep) {
+    if (rx === 0 || ry === 0 || (from.x === to.x && from.y === to.y)) return [];
+
+    // Center of the ellipse, following the implementation notes of the SVG specification
+    const phi = rotation * Math.PI / 180;
+    const cos = Math.cos(phi);
+    const sin = Math.sin(phi);
+    const dx = (from.x - to.x) / 2;
+    const dy = (from.y - to.y) / 2;
+    const x1 = cos * dx + sin * dy;
+    const y1 = -sin * dx + cos * dy;
+
+    const lambda = (x1 * x1) / (rx * rx) + (y1 * y1) / (ry * ry);
+    if (lambda > 1) {
+        rx *= Math.sqrt(lambda);
+        ry *= Math.sqrt(lambda);
+    }
+
+    const numerator = rx * rx * ry * ry - rx * rx * y1 * y1 - ry * ry * x1 * x1;
+    const denominator = rx * rx * y1 * y1 + ry * ry * x1 * x1;
+    const factor = (largeArc === sweep ? -1 : 1) * Math.sqrt(Math.max(0, numerator / denominator));
+    const cx1 = factor * rx * y1 / ry;
+    const cy1 = -factor * ry * x1 / rx;
+    const cx = cos * cx1 - sin * cy1 + (from.x + to.x) / 2;
+    const cy = sin * cx1 + cos * cy1 + (from.y + to.y) / 2;
+
+    const angle = (ux, uy, vx, vy) => Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy);
+    const startAngle = angle(1, 0, (x1 - cx1) / rx, (y1 - cy1) / ry);
+    let sweepAngle = angle((x1 - cx1) / rx, (y1 - cy1) / ry, (-x1 - cx1) / rx, (-y1 - cy1) / ry);
+    if (!sweep && sweepAngle > 0) sweepAngle -= 2 * Math.PI;
+    if (sweep && sweepAngle < 0) sweepAngle += 2 * Math.PI;
+
+    // Points on the ellipse and the curves between them
+    const count = Math.max(1, Math.ceil(Math.abs(sweepAngle) / (Math.PI / 2) - 1e-9));
+    const step = sweepAngle / count;
+    const k = 4 / 3 * Math.tan(step / 4);
+    const point = (theta) => ({
+        x: cx + rx * Math.cos(theta) * cos - ry * Math.sin(theta) * sin,
+        y: cy + rx * Math.cos(theta) * sin + ry * Math.sin(theta) * cos,
+    });
+    const derivative = (theta) => ({
+        x: -rx * Math.sin(theta) * cos - ry * Math.cos(theta) * sin,
+        y: -rx * Math.sin(theta) * sin + ry * Math.cos(theta) * cos,
+    });
+
+    const curves = [];
+    for (let i = 0; i < count; i++) {
+        const theta1 = startAngle + i * step;
+        const theta2 = theta1 + step;
+        const p1 = point(theta1);
+        const p2 = i === count - 1 ? to : point(theta2);
+        const d1 = derivative(theta1);
+        const d2 = derivative(theta2);
+        curves.push({ x1: p1.x + k * d1.x, y1: p1.y + k * d1.y, x2: p2.x - k * d2.x, y2: p2.y - k * d2.y, x: p2.x, y: p2.y });
+    }
+    return curves;
+}
+
+// ####################################################
+// VALUES
+//
+
+/**
+ * Reads a length such as "12", "12px" or "1.5e2" as a number, ignoring the unit.
+ *
+ * @private
+ * @param {string|null|undefined} value - The length.
+ * @returns {number|null} The number, or null if the value is not a length.
+ */
+function parseLength(value) {
+    const number = parseFloat(value);
+    return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Reads the first value of a list attribute such as `x` or `dy` of a text element.
+ *
+ * @private
+ * @param {Element} element - The element.
+ * @param {string} name - The name of the attribute.
+ * @returns {number|null} The first value, or null if the attribute has no value.
+ */
+function firstLength(element, name) {
+    const value = element.getAttribute(name);
+    return value ? parseLength(value.trim().split(/[\s,]+/)[0]) : null;
+}
+
+/**
+ * Reads an opacity, which is 1 when not given, as a number between 0 and 1.
+ *
+ * @private
+ * @param {string|undefined} value - The opacity, as a number or a percentage.
+ * @returns {number} The opacity.
+ */
+function parseOpacity(value) {
+    const number = parseFloat(value);
+    if (!Number.isFinite(number)) return 1;
+    return Math.min(1, Math.max(0, String(value).trim().endsWith("%") ? number / 100 : number));
+}
+
+/**
+ * Reads a color as red, green and blue from 0 to 255, with its alpha.
+ *
+ * @private
+ * @param {string|undefined} value - The color: a hex color, rgb(), rgba() or a name.
+ * @returns {Object|null} The color as { r, g, b, alpha }, or null for none, transparent and colors that cannot be read.
+ */
+function parseColor(value) {
+    const color = (value || "").trim().toLowerCase();
+    if (!color || color === "none" || color === "transparent") return null;
+
+    if (namedColors[color]) {
+        const [r, g, b] = namedColors[color];
+        return { r, g, b, alpha: 1 };
+    }
+
+    const hex = color.match(/^#([0-9a-f]{3,8})$/);
+    if (hex) {
+        let digits = hex[1];
+        if (digits.length === 3 || digits.length === 4) digits = digits.split("").map(digit => digit + digit).join("");
+        if (digits.length !== 6 && digits.length !== 8) return null;
+        const value = (offset) => parseInt(digits.slice(offset, offset + 2), 16);
+        return { r: value(0), g: value(2), b: value(4), alpha: digits.length === 8 ? value(6) / 255 : 1 };
+    }
+
+    const rgb = color.match(/^rgba?\(([^)]*)\)$/);
+    if (rgb) {
+        const parts = rgb[1].split(/[\s,/]+/).filter(Boolean);
+        if (parts.length < 3) return null;
+        const [r, g, b] = parts.slice(0, 3).map(part => part.endsWith("%") ? parseFloat(part) * 2.55 : parseFloat(part));
+        if (![r, g, b].every(Number.isFinite)) return null;
+        return { r, g, b, alpha: parts[3] !== undefined ? parseOpacity(parts[3]) : 1 };
+    }
+
+    return null;
+}
+
+/**
+ * Gets the link of an `a` or `image` element from its `href` or `xlink:href` attribute.
+ *
+ * @private
+ * @param {Element} element - The element.
+ * @returns {string} The link, or an empty string.
+ */
+function getHref(element) {
+    return (element.getAttribute("href") || element.getAttributeNS("http://www.w3.org/1999/xlink", "href") || element.getAttribute("xlink:href") || "").trim();
+}
+
+/**
+ * Checks whether text is drawn with the bold font.
+ *
+ * @private
+ * @param {Object} style - The resolved style of the text.
+ * @returns {boolean} True for bold text.
+ */
+function isBold(style) {
+    const weight = String(style["font-weight"] || "").trim().toLowerCase();
+    return weight === "bold" || weight === "bolder" || parseInt(weight, 10) >= 600;
+}
+
+/**
+ * Measures the width of text in the Helvetica font of its style. Accented letters take the width of their base letter.
+ *
+ * @private
+ * @param {string} text - The text.
+ * @param {Object} style - The resolved style of the text.
+ * @returns {number} The width in the units of the font size.
+ */
+function textWidth(text, style) {
+    const widths = isBold(style) ? helveticaBoldWidths : helveticaWidths;
+    const size = parseLength(style["font-size"]) ?? 16;
+    let width = 0;
+    for (const character of text) {
+        const base = character.normalize("NFD")[0];
+        width += widths[base.charCodeAt(0) - 32] ?? winAnsiExtras[character]?.[1] ?? 556;
+    }
+    return width * size / 1000;
+}
+
+// ####################################################
+// PDF SYNTAX
+//
+
+/**
+ * Formats a number for PDF, with at most three decimals.
+ *
+ * @private
+ * @param {number} value - The number.
+ * @returns {string} The formatted number.
+ */
+function formatNumber(value) {
+    const rounded = Math.round(value * 1000) / 1000;
+    return Object.is(rounded, -0) ? "0" : String(rounded);
+}
+
+/**
+ * Formats a transformation matrix as the operands of the `cm` operator.
+ *
+ * @private
+ * @param {Array<number>} matrix - The transformation.
+ * @returns {string} The operands.
+ */
+function formatMatrix(matrix) {
+    return matrix.map(formatNumber).join(" ");
+}
+
+/**
+ * Formats a color as the operands of the `rg` and `RG` operators.
+ *
+ * @private
+ * @param {Object} color - The color as { r, g, b }.
+ * @returns {string} The operands.
+ */
+function formatColor(color) {
+    return [color.r, color.g, color.b].map(value => formatNumber(Math.min(255, Math.max(0, value)) / 255)).join(" ");
+}
+
+/**
+ * Encodes text for a string of the standard fonts, in the WinAnsi encoding. Characters outside the encoding become "?".
+ *
+ * @private
+ * @param {string} text - The text.
+ * @returns {string} The escaped content of a PDF string.
+ */
+function encodeText(text) {
+    let encoded = "";
+    for (const character of text) {
+        const code = character.charCodeAt(0);
+        const byte = (code >= 32 && code <= 126) || (code >= 160 && code <= 255) ? code : winAnsiExtras[character]?.[0] ?? 63;
+        encoded += String.fromCharCode(byte);
+    }
+    return escapeString(encoded);
+}
+
+/**
+ * Escapes the content of a PDF string, writing bytes outside printable ASCII as octal codes.
+ *
+ * @private
+ * @param {string} text - The content, one character per byte.
+ * @returns {string} The escaped content.
+ */
+function escapeString(text) {
+    return text.replace(/[\\()]/g, "\\$&").replace(/[^\x20-\x7E]/g, character => "\\" + character.charCodeAt(0).toString(8).padStart(3, "0"));
+}
+
+/**
+ * Encodes text of the document information as a UTF-16 hex string.
+ *
+ * @private
+ * @param {string} text - The text.
+ * @returns {string} The PDF hex string.
+ */
+function encodeTextString(text) {
+    let hex = "FEFF";
+    for (let i = 0; i < text.length; i++) {
+        hex += text.charCodeAt(i).toString(16).padStart(4, "0").toUpperCase();
+    }
+    return `<${hex}>`;
+}
+
+/**
+ * Decodes a URL without failing on malformed escapes, so it can be encoded once.
+ *
+ * @private
+ * @param {string} url - The URL.
+ * @returns {string} The decoded URL, or the URL itself.
+ */
+function safeDecodeURI(url) {
+    try {
+        return decodeURI(url);
+    } catch {
+        return url;
+    }
+}
+
+/**
+ * Converts a string of characters from 0 to 255 to bytes.
+ *
+ * @private
+ * @param {string} text - The string.
+ * @returns {Uint8Array} The bytes.
+ */
+function toBytes(text) {
+    const bytes = new Uint8Array(text.length);
+    for (let i = 0; i < text.length; i++) bytes[i] = text.charCodeAt(i) & 0xFF;
+    return bytes;
+}
+
+/**
+ * Creates a stream object, compressed when the browser supports compression streams.
+ *
+ * @private
+ * @param {string} entries - The entries of the stream dictionary, besides its length and filter.
+ * @param {Uint8Array} data - The content of the stream.
+ * @returns {Promise<Uint8Array>} The stream object.
+ */
+async function createStream(entries, data) {
+    let filter = "";
+    if (typeof CompressionStream !== "undefined") {
+        const stream = new Blob([data]).stream().pipeThrough(new CompressionStream("deflate"));
+        data = new Uint8Array(await new Response(stream).arrayBuffer());
+        filter = " /Filter /FlateDecode";
+    }
+
+    const header = toBytes(`<< ${entries} /Length ${data.length}${filter} >>\nstream\n`);
+    const footer = toBytes("\nendstream");
+    const object = new Uint8Array(header.length + data.length + footer.length);
+    object.set(header, 0);
+    object.set(data, header.length);
+    object.set(footer, header.length + data.length);
+    return object;
+}
+
+// ####################################################
+// POSTER
+//
+
+/**
+ * Gets the coordinate of a page of a poster: the letter of its column followed by the number of its row, such as "B2".
+ * Columns after "Z" continue with "AA", "AB" and so on.
+ *
+ * @private
+ * @param {number} column - The column, from 0.
+ * @param {number} row - The row, from 0.
+ * @returns {string} The coordinate.
+ */
+function getPosterCoordinate(column, row) {
+    let letters = "";
+    for (let value = column + 1; value > 0; value = Math.floor((value - 1) / 26)) {
+        letters = String.fromCharCode(65 + (value - 1) % 26) + letters;
+    }
+    return `${letters}${row + 1}`;
+}
@@ -0,0 +1,626 @@
+import * as helpers from '../common.js?v=1.0.5';
+import * as config from '../config.js?v=1.0.5';
+
+/**
+ * Class representing a selection of multiple elements on a metro map.
+ * A selection can hold any mix of stations, line segments, images and text elements
+ * (title, subtitle and legend), and can be moved or removed as one unit.
+ */
+export default class metromapSelection {
+    metromap; // Reference to the map object
+
+    // Selected items
+    stations = []; // Selected station objects
+    segments = []; // Selected polyline elements
+    images = []; // Selected image elements
+    texts = []; // Selected text and other canvas elements (title, subtitle, legend)
+
+    // Visual feedback
+    overlayLayer = null; // Group element holding the marquee and selection outlines
+    marquee = null; // Rectangle element of the marquee while selecting
+    marqueeStart = null; // Start position of the marquee
+
+    // Moving working variables
+    moveStart = null; // Grid aligned position where the move started
+    moveDelta = { x: 0, y: 0 }; // Offset applied during the current move
+    moveOrigins = null; // Original positions of all selected items
+    vertexDrag = null; // Polyline and point index of the vertex being dragged
+
+    /**
+     * Constructor for metromapSelection.
+     * @param {Object} map - Reference to the metro map object.
+     */
+    constructor(map) {
+        this.metromap = map;
+    }
+
+    // SELECTING
+
+    /**
+     * Checks if nothing is selected.
+     * @returns {boolean} True if the selection is empty.
+     */
+    isEmpty() {
+        return this.stations.length === 0 && this.segments.length === 0 && this.images.length === 0 && this.texts.length === 0;
+    }
+
+    /**
+     * Checks if an editable canvas element is part of the selection.
+     * @param {SVGElement} element - Element as returned by `helpers.determineEditableElement`.
+     * @returns {boolean} True if the element is selected.
+     */
+    contains(element) {
+        return this.stations.some(station => station.refSvg === element) ||
+            this.segments.includes(element) ||
+            this.images.includes(element) ||
+            this.texts.includes(element);
+    }
+
+    /**
+     * Adds an editable canvas element to the selection.
+     * @param {SVGElement} element - Element as returned by `helpers.determineEditableElement`.
+     */
+    add(element) {
+        if (!element || this.contains(element)) return;
+
+        const tagName = element.tagName.toLowerCase();
+        if (element.getAttribute("class") === "stationGroup") {
+            const station = this.metromap.stations.find(station => station.refSvg === element);
+            if (station) {
+                station.select();
+                this.stations.push(station);
+            }
+        } else if (tagName === "polyline") {
+            this.segments.push(element);
+        } else if (tagName === "image" || element.id === "svgLogo") {
+            this.images.push(element);
+        } else {
+            this.texts.push(element);
+        }
+    }
+
+    /**
+     * Replaces the selection with the given elements, or adds them to it.
+     * @param {Array<SVGElement>} elements - Editable canvas elements to select.
+     * @param {boolean} [addToSelection=false] - Keep the current selection and add the elements to it.
+     */
+    select(elements, addToSelection = false) {
+        if (!addToSelection) this.clear(false);
+        elements.forEach(element => this.add(element));
+        this.selectionChanged();
+    }
+
+    /**
+     * Removes all elements from the selection.
+     * @param {boolean} [notify=true] - Run the `selectionChanged` hook.
+     */
+    clear(notify = true) {
+        if (this.isEmpty() && !this.overlayLayer) return;
+
+        this.stations.forEach(station => {
+            if (station.refSvg?.isConnected) station.unSelect();
+        });
+        this.stations = [];
+        this.segments = [];
+        this.images = [];
+        this.texts = [];
+        this.removeOverlay();
+
+        if (notify) this.selectionChanged();
+    }
+
+    /**
+     * Redraws the selection outlines and notifies the map that the selection changed.
+     */
+    selectionChanged() {
+        this.drawOverlay();
+        this.metromap.runHooks('selectionChanged', this);
+    }
+
+    /**
+     * Finds all editable canvas elements that lie completely inside the given area.
+     * Stations are selected by their position, other elements by their bounding box.
+     *
+     * @param {Object} area - Area in map coordinates with x, y, width and height.
+     * @returns {Array<SVGElement>} The elements inside the area.
+     */
+    getElementsInArea(area) {
+        const inside = (x, y) => x >= area.x && x <= area.x + area.width && y >= area.y && y <= area.y + area.height;
+        const boundsInside = (bounds) => inside(bounds.x, bounds.y) && inside(bounds.x + bounds.width, bounds.y + bounds.height);
+        const elements = [];
+
+        // Stations by their position
+        this.metromap.stations.forEach(station => {
+            if (inside(station.x, station.y)) elements.push(station.refSvg);
+        });
+
+        // Segments when all points are inside
+        this.metromap.lines.forEach(line => {
+            line.getLines().forEach(polyline => {
+                const points = this.parsePoints(polyline.getAttribute("points"));
+                if (points.length > 0 && points.every(point => inside(point.x, point.y))) elements.push(polyline);
+            });
+        });
+
+        // Images
+        this.metromap.overlayLayer.querySelectorAll("image").forEach(image => {
+            if (boundsInside(this.getElementBounds(image))) elements.push(image);
+        });
+
+        // Title, subtitle, legend and logo
+        config.applicationConfig.EDITABLE_ELEMENT_IDS.forEach(id => {
+            const element = this.metromap.svgMap.getElementById(id);
+            if (element && !elements.includes(element) && boundsInside(this.getElementBounds(element))) {
+                elements.push(element);
+            }
+        });
+
+        return elements;
+    }
+
+    // MARQUEE
+
+    /**
+     * Starts drawing a marquee at the given position.
+     * @param {Object} position - Mouse position with x and y.
+     */
+    startMarquee(position) {
+        this.marqueeStart = { x: position.x, y: position.y };
+        this.marquee = helpers.createSvgElement("rect", {
+            class: "selectionMarquee",
+            x: position.x,
+            y: position.y,
+            width: 0,
+            height: 0,
+            fill: "rgba(74, 158, 255, 0.1)",
+            stroke: "#4a9eff",
+            "stroke-width": 1,
+            "stroke-dasharray": "4 2",
+        });
+        this.getOverlayLayer().appendChild(this.marquee);
+    }
+
+    /**
+     * Resizes the marquee to the given position.
+     * @param {Object} position - Mouse position with x and y.
+     */
+    updateMarquee(position) {
+        if (!this.marquee) return;
+        const area = this.getMarqueeArea(position);
+        this.marquee.setAttribute("x", area.x);
+        this.marquee.setAttribute("y", area.y);
+        this.marquee.setAttribute("width", area.width);
+        this.marquee.setAttribute("height", area.height);
+    }
+
+    /**
+     * Finishes the marquee and selects the elements inside it.
+     * @param {Object} position - Mouse position with x and y.
+     * @param {boolean} [addToSelection=false] - Add the elements to the current selection.
+     */
+    endMarquee(position, addToSelection = false) {
+        if (!this.marquee) return;
+        const area = this.getMarqueeArea(position);
+        this.marquee.remove();
+        this.marquee = null;
+        this.marqueeStart = null;
+
+        this.select(this.getElementsInArea(area), addToSelection);
+    }
+
+    /**
+     * Stops drawing the marquee without changing the selection.
+     */
+    cancelMarquee() {
+        this.marquee?.remove();
+        this.marquee = null;
+        this.marqueeStart = null;
+    }
+
+    /**
+     * Calculates the marquee area between its start and the given position.
+     * @param {Object} position - Mouse position with x and y.
+     * @returns {Object} Area with x, y, width and height.
+     */
+    getMarqueeArea(position) {
+        return {
+            x: Math.min(this.marqueeStart.x, position.x),
+            y: Math.min(this.marqueeStart.y, position.y),
+            width: Math.abs(position.x - this.marqueeStart.x),
+            height: Math.abs(position.y - this.marqueeStart.y),
+        };
+    }
+
+    // MOVING
+
+    /**
+     * Prepares moving the selection by storing the original position of every item.
+     * @param {Object} position - Mouse position where the move starts.
+     */
+    prepareMove(position) {
+        this.moveStart = this.metromap.getGridAlignedPosition(position.x, position.y);
+        this.moveDelta = { x: 0, y: 0 };
+        this.moveOrigins = {
+            stations: this.stations.map(station => ({ station, x: station.x, y: station.y })),
+            segments: this.segments.map(polyline => ({ polyline, points: this.parsePoints(polyline.getAttribute("points")) })),
+            elements: [...this.images, ...this.texts].map(element => {
+                const [x, y] = helpers.getTranslate(element);
+                return { element, x, y };
+            }),
+        };
+    }
+
+    /**
+     * Moves the selection along with the mouse, snapped to the grid.
+     * @param {Object} position - Current mouse position.
+     */
+    move(position) {
+        if (!this.moveOrigins) return;
+
+        // Calculate the offset in whole grid cells
+        const aligned = this.metromap.getGridAlignedPosition(position.x, position.y);
+        const delta = { x: aligned.x - this.moveStart.x, y: aligned.y - this.moveStart.y };
+        if (delta.x === this.moveDelta.x && delta.y === this.moveDelta.y) return;
+        this.moveDelta = delta;
+
+        // Move all items relative to their original position
+        this.moveOrigins.stations.forEach(({ station, x, y }) => station.setPosition(x + delta.x, y + delta.y));
+        this.moveOrigins.segments.forEach(({ polyline, points }) => {
+            polyline.setAttribute("points", points.map(point => `${point.x + delta.x},${point.y + delta.y}`).join(" "));
+        });
+        this.moveOrigins.elements.forEach(({ element, x, y }) => helpers.updateTranslate(element, x + delta.x, y + delta.y));
+
+        // Let the outlines follow
+        this.overlayLayer?.setAttribute("transform", `translate(${delta.x},${delta.y})`);
+    }
+
+    /**
+     * Finishes moving the selection and reconnects the moved stations to the lines underneath.
+     */
+    endMove() {
+        if (!this.moveOrigins) return;
+        const moved = this.moveDelta.x !== 0 || this.moveDelta.y !== 0;
+        this.moveOrigins = null;
+        this.moveStart = null;
+        this.moveDelta = { x: 0, y: 0 };
+        if (!moved) return;
+
+        // Segments changed position
+        this.metromap.updateSpatialIndex('rebuild');
+
+        // Stations might be on other lines now
+        this.stations.forEach(station => this.metromap.updateStationMetrolineIds(station));
+        this.drawOverlay();
+    }
+
+    /**
+     * Stops moving the selection or one of its points without updating the map.
+     * Used when the move is taken back by the state manager.
+     */
+    cancelMove() {
+        this.vertexDrag = null;
+        this.moveOrigins = null;
+        this.moveStart = null;
+        this.moveDelta = { x: 0, y: 0 };
+        this.overlayLayer?.removeAttribute("transform");
+    }
+
+    /**
+     * Moves the selection by a number of grid cells.
+     * @param {number} columns - Grid cells to move horizontally, negative to move left.
+     * @param {number} rows - Grid cells to move vertically, negative to move up.
+     */
+    nudge(columns, rows) {
+        const gridSize = config.gridConfig.size;
+        this.prepareMove({ x: 0, y: 0 });
+        this.move({ x: columns * gridSize, y: rows * gridSize });
+        this.endMove();
+    }
+
+    // VERTICES
+
+    /**
+     * Gets the segment whose points can be edited, which is the case when a single segment and nothing else is selected.
+     * @returns {SVGPolylineElement|null} The segment, or null.
+     */
+    getEditedSegment() {
+        if (this.segments.length !== 1 || this.stations.length > 0 || this.images.length > 0 || this.texts.length > 0) return null;
+        return this.segments[0].isConnected ? this.segments[0] : null;
+    }
+
+    /**
+     * Checks if an element is a vertex or insert handle of the selection overlay.
+     * @param {Element} element - The element to check.
+     * @returns {boolean} True for a handle.
+     */
+    isVertexHandle(element) {
+        return !!element?.classList?.contains("vertexHandle") || !!element?.classList?.contains("vertexInsertHandle");
+    }
+
+    /**
+     * Starts dragging a point of the edited segment. Dragging an insert handle first adds a new point.
+     * @param {Element} handle - The vertex or insert handle.
+     * @returns {boolean} True if dragging started.
+     */
+    startVertexDrag(handle) {
+        const polyline = this.getEditedSegment();
+        const metroline = polyline && this.metromap.getMetrolineWithId(polyline.getAttribute("metrolineid"));
+        if (!metroline || !this.isVertexHandle(handle)) return false;
+
+        const index = Number(handle.getAttribute("vertexindex"));
+
+        // Add a point halfway the part, aligned to the grid
+        if (handle.classList.contains("vertexInsertHandle")) {
+            const points = metroline.getPoints(polyline);
+            const middle = this.metromap.getGridAlignedPosition(
+                (points[index - 1].x + points[index].x) / 2,
+                (points[index - 1].y + points[index].y) / 2
+            );
+            metroline.insertVertex(polyline, index, middle.x, middle.y);
+        }
+
+        this.vertexDrag = { polyline, metroline, index };
+        this.drawOverlay();
+        return true;
+    }
+
+    /**
+     * Moves the dragged point to the mouse position, aligned to the grid.
+     * @param {Object} position - Mouse position with x and y.
+     */
+    dragVertex(position) {
+        if (!this.vertexDrag) return;
+        const { polyline, metroline, index } = this.vertexDrag;
+
+        const aligned = this.metromap.getGridAlignedPosition(position.x, position.y);
+        metroline.moveVertex(polyline, index, aligned.x, aligned.y);
+        this.drawOverlay();
+    }
+
+    /**
+     * Finishes dragging a point and reconnects the stations to the reshaped segment.
+     */
+    endVertexDrag() {
+        if (!this.vertexDrag) return;
+        const { polyline, metroline } = this.vertexDrag;
+        this.vertexDrag = null;
+
+        // Points dragged onto each other are merged, a segment without length is removed
+        if (metroline.removeDuplicateVertices(polyline) < 2) {
+            this.clear();
+            this.metromap.removeLineSegment(polyline);
+            return;
+        }
+
+        this.metromap.updateSpatialIndex('rebuild');
+        this.metromap.updateAllStationMetrolineIds();
+        this.drawOverlay();
+    }
+
+    /**
+     * Removes the point of the edited segment belonging to a vertex handle.
+     * The first and last points can not be removed from a segment with two points.
+     * @param {Element} handle - The vertex handle.
+     * @returns {boolean} True if the point was removed.
+     */
+    removeVertex(handle) {
+        const polyline = this.getEditedSegment();
+        const metroline = polyline && this.metromap.getMetrolineWithId(polyline.getAttribute("metrolineid"));
+        if (!metroline || !handle?.classList?.contains("vertexHandle")) return false;
+
+        const removed = metroline.removeVertex(polyline, Number(handle.getAttribute("vertexindex")));
+        if (removed) {
+            this.metromap.updateSpatialIndex('rebuild');
+            this.metromap.updateAllStationMetrolineIds();
+            this.drawOverlay();
+        }
+        return removed;
+    }
+
+    // REMOVING
+
+    /**
+     * Removes all selected stations, segments and images from the map.
+     * Text elements are part of the map layout and are not removed.
+     */
+    remove() {
+        const stations = [...this.stations];
+        const segments = [...this.segments];
+        const images = [...this.images];
+        this.clear(false);
+
+        stations.forEach(station => this.metromap.removeStation(station));
+        segments.forEach(polyline => {
+            if (polyline.isConnected) this.metromap.removeLineSegment(polyline);
+        });
+        images.forEach(image => image.remove());
+
+        this.selectionChanged();
+    }
+
+    // CLIPBOARD
+
+    /**
+     * Generates a fragment of the metro map JSON with the selected stations and segments.
+     * The fragment uses the same structure as `metromap.toJSON()`, limited to the selected items,
+     * so it can be pasted into any map. Metrolines used by selected stations are included
+     * (without segments when none of them are selected) to keep their color and legend information.
+     *
+     * @returns {Object|null} The fragment, or null if no stations or segments are selected.
+     */
+    toJSON() {
+        if (this.stations.length === 0 && this.segments.length === 0) return null;
+
+        // Group the selected segments by metroline
+        const segmentsByLine = new Map();
+        this.segments.forEach(polyline => {
+            const metroline = this.metromap.getMetrolineWithId(polyline.getAttribute("metrolineid"));
+            if (!metroline) return;
+            if (!segmentsByLine.has(metroline)) segmentsByLine.set(metroline, []);
+            segmentsByLine.get(metroline).push(polyline);
+        });
+
+        // Metrolines of the selected stations, falling back to the primary metroline
+        const stations = this.stations.map(station => {
+            const stationData = { ...station.toJSON(), externalUniqueId: null };
+            if (stationData.metroLines.length === 0 && station.metrolineid) stationData.metroLines = [station.metrolineid];
+            stationData.metroLines.forEach(metrolineId => {
+                const metroline = this.metromap.getMetrolineWithId(metrolineId);
+                if (metroline && !segmentsByLine.has(metroline)) segmentsByLine.set(metroline, []);
+            });
+            return stationData;
+        });
+
+        // Merge metroline data with legend info, as in the map JSON
+        const metroLines = [...segmentsByLine].map(([metroline, polylines]) => ({
+            ...(this.metromap.legenda.toJSONLegendByMetroline(metroline) || {}),
+            ...metroline.toJSON(polylines),
+            externalUniqueId: null,
+        }));
+
+        return {
+            type: config.applicationConfig.CLIPBOARD_FRAGMENT_TYPE,
+            metroLines,
+            stations,
+        };
+    }
+
+    // VISUAL FEEDBACK
+
+    /**
+     * Gets the overlay layer, creating it on top of the map when needed.
+     * @returns {SVGGElement} The overlay layer.
+     */
+    getOverlayLayer() {
+        if (!this.overlayLayer) {
+            this.overlayLayer = helpers.createSvgElement("g", { id: "selectionLayer" });
+            this.metromap.svgMap.appendChild(this.overlayLayer);
+        }
+        return this.overlayLayer;
+    }
+
+    /**
+     * Draws a dashed outline around every selected segment, image and text element.
+     * Stations show their own selection state.
+     */
+    drawOverlay() {
+        this.removeOverlay();
+        const elements = [...this.segments, ...this.images, ...this.texts];
+        if (elements.length === 0) return;
+
+        const layer = this.getOverlayLayer();
+        elements.forEach(element => {
+            const bounds = this.getElementBounds(element);
+            layer.appendChild(helpers.createSvgElement("rect", {
+                class: "selectionOutline",
+                x: bounds.x - 4,
+                y: bounds.y - 4,
+                width: bounds.width + 8,
+                height: bounds.height + 8,
+                fill: "none",
+                stroke: "#4a9eff",
+                "stroke-width": 2,
+                "stroke-dasharray": "6 4",
+                "pointer-events": "none",
+            }));
+        });
+
+        // A single segment can be reshaped by its points
+        const segment = this.getEditedSegment();
+        if (segment) this.drawVertexHandles(layer, segment);
+    }
+
+    /**
+     * Draws a handle on every point of a polyline, and a smaller handle halfway each part to insert a new point.
+     * @param {SVGGElement} layer - The overlay layer.
+     * @param {SVGPolylineElement} polyline - The polyline to draw the handles for.
+     */
+    drawVertexHandles(layer, polyline) {
+        const points = this.parsePoints(polyline.getAttribute("points"));
+
+        points.forEach((point, index) => {
+            // Insert handle halfway the part before this point
+            if (index > 0) {
+                const previous = points[index - 1];
+                layer.appendChild(helpers.createSvgElement("rect", {
+                    class: "vertexInsertHandle",
+                    vertexindex: index,
+                    x: (previous.x + point.x) / 2 - 4,
+                    y: (previous.y + point.y) / 2 - 4,
+                    width: 8,
+                    height: 8,
+                    fill: "#ffffff",
+                    stroke: "#4a9eff",
+                    "stroke-width": 1.5,
+                    style: "cursor: copy",
+                }));
+            }
+
+            layer.appendChild(helpers.createSvgElement("circle", {
+                class: "vertexHandle",
+                vertexindex: index,
+                cx: point.x,
+                cy: point.y,
+                r: 6,
+                fill: "#4a9eff",
+                stroke: "#ffffff",
+                "stroke-width": 2,
+                style: "cursor: move",
+            }));
+        });
+    }
+
+    /**
+     * Removes the overlay layer with the outlines and the marquee.
+     */
+    removeOverlay() {
+        if (this.overlayLayer) {
+            this.overlayLayer.remove();
+            this.overlayLayer = null;
+            this.marquee = null;
+        }
+    }
+
+    // HELPERS
+
+    /**
+     * Calculates the bounding box of an element in map coordinates, including its transforms.
+     * @param {SVGGraphicsElement} element - The element to measure.
+     * @returns {Object} Bounds with x, y, width and height.
+     */
+    getElementBounds(element) {
+        const bbox = element.getBBox();
+        const elementMatrix = element.getScreenCTM();
+        const mapMatrix = this.metromap.svgMap.getScreenCTM();
+        if (!elementMatrix || !mapMatrix) return { x: bbox.x, y: bbox.y, width: bbox.width, height: bbox.height };
+
+        // Transform all corners to map coordinates
+        const matrix = mapMatrix.inverse().multiply(elementMatrix);
+        const corners = [
+            [bbox.x, bbox.y], [bbox.x + bbox.width, bbox.y],
+            [bbox.x, bbox.y + bbox.height], [bbox.x + bbox.width, bbox.y + bbox.height],
+        ].map(([x, y]) => new DOMPoint(x, y).matrixTransform(matrix));
+
+        const xs = corners.map(corner => corner.x);
+        const ys = corners.map(corner => corner.y);
+        return {
+            x: Math.min(...xs),
+            y: Math.min(...ys),
+            width: Math.max(...xs) - Math.min(...xs),
+            height: Math.max(...ys) - Math.min(...ys),
+        };
+    }
+
+    /**
+     * Parses a polyline points attribute.
+     * @param {string|null} points - The points attribute value.
+     * @returns {Array<Object>} Points with x and y.
+     */
+    parsePoints(points) {
+        if (!points) return [];
+        return points.trim().split(/\s+/).map(point => {
+            const [x, y] = point.split(",").map(Number);
+            return { x, y };
+        });
+    }
+}
@@ -0,0 +1,368 @@
+import * as helpers from '../common.js?v=1.0.5';
+import * as config from '../config.js?v=1.0.5';
+
+/**
+ * Class representing the spreadsheet view of a metro map: a table with a row for every station,
+ * exported and imported as CSV so stations can be maintained in a spreadsheet program.
+ *
+ * Importing a table is done in two steps. `planImport` compares the rows with the stations on the map
+ * and returns a plan with an entry for every row: a station to create, a station to update with its changes,
+ * a station that is unchanged or a row with an error. `applyImport` carries out the plan.
+ *
+ * Rows are matched to stations by their `id` (the external unique ID of a station) or else by name.
+ * The `line` and `targetGroup` columns choose the metroline of new stations, which are placed on the
+ * free part of their metroline when the row has no position. The metrolines of existing stations follow
+ * their position on the map and are not changed by an import.
+ */
+export default class metromapSpreadsheet {
+    metromap; // Reference to the map object
+
+    /**
+     * Constructor for metromapSpreadsheet.
+     * @param {Object} map - Reference to the metro map object.
+     */
+    constructor(map) {
+        this.metromap = map;
+    }
+
+    // EXPORT
+
+    /**
+     * Creates the rows of the table from the JSON representation of the map, one row per station.
+     * A station on more than one metroline lists the names and target groups of all its metrolines.
+     * @returns {Array<Object>} The rows, with a value for every column of `spreadsheetConfig.columns`.
+     */
+    toRows() {
+        const json = this.metromap.toJSON();
+        const metrolines = new Map(json.metroLines.map(metroline => [metroline.metroLineId, metroline]));
+
+        return json.stations.map(station => {
+            const stationLines = (station.metroLines || []).map(id => metrolines.get(id)).filter(Boolean);
+            return {
+                id: station.externalUniqueId ?? "",
+                name: station.name ?? "",
+                line: stationLines.map(metroline => metroline.name ?? "").join(config.spreadsheetConfig.listSeparator),
+                targetGroup: stationLines.map(metroline => metroline.targetGroup ?? "").join(config.spreadsheetConfig.listSeparator),
+                type: station.type ?? "",
+                date: station.date ?? "",
+                dateStart: station.dateStart ?? "",
+                dateEnd: station.dateEnd ?? "",
+                description: station.description ?? "",
+                link: station.link ?? "",
+                x: station.position?.x ?? "",
+                y: station.position?.y ?? "",
+            };
+        });
+    }
+
+    /**
+     * Writes the table of the map as CSV, with a header row and the delimiter of the configuration.
+     * @returns {string} The CSV text.
+     */
+    toCSV() {
+        const { columns, delimiter } = config.spreadsheetConfig;
+        const rows = [columns, ...this.toRows().map(row => columns.map(column => row[column]))];
+        return rows.map(values => values.map(value => quoteCSVValue(value, delimiter)).join(delimiter)).join("\r\n") + "\r\n";
+    }
+
+    // IMPORT
+
+    /**
+     * Compares the rows of a CSV text with the stations on the map, without changing the map.
+     * @param {string} text - The CSV text, with a header row naming the columns.
+     * @returns {Object} The plan: its `entries`, one for every row with a value, and the number of entries per `action`.
+     * @throws {Error} If the text has no header row with a name or id column.
+     */
+    planImport(text) {
+        const table = parseCSV(text);
+        const header = (table.shift() || []).map(name => name.trim());
+        const columns = new Map();
+        header.forEach((name, index) => {
+            const column = config.spreadsheetConfig.columns.find(known => known.toLowerCase() === name.toLowerCase());
+            if (column && !columns.has(column)) columns.set(column, index);
+        });
+        if (!columns.has("name") && !columns.has("id")) {
+            throw new Error("The table needs a header row with a 'name' or 'id' column.");
+        }
+
+        const matched = new Set();
+        const entries = [];
+        table.forEach((values, index) => {
+            if (values.every(value => value.trim() === "")) return;
+
+            const row = {};
+            columns.forEach((position, column) => {
+                // Formulas were escaped with a quote on export
+                row[column] = (values[position] ?? "").trim().replace(/^'(?=[=+\-@])/, "");
+            });
+            const entry = this.planRow(row, index + 2, matched);
+            if (entry.station) matched.add(entry.station);
+            entries.push(entry);
+        });
+
+        const counts = { create: 0, update: 0, unchanged: 0, error: 0 };
+        entries.forEach(entry => counts[entry.action]++);
+        return { entries, counts };
+    }
+
+    /**
+     * Plans the import of a single row.
+     * @param {Object} row - The values of the row by column, only for the columns in the table.
+     * @param {number} rowNumber - The number of the row in the table, the header being row 1.
+     * @param {Set<Object>} matched - The stations matched by earlier rows.
+     * @returns {Object} The entry: its `row` number, `action`, `name`, matched `station`, `metroline` for a new station,
+     * the `values` to set, the `changes` as { field, from, to } and the `error` as { rule, params }.
+     */
+    planRow(row, rowNumber, matched) {
+        const entry = { row: rowNumber, action: "error", name: row.name || row.id || "", station: null, metroline: null, values: {}, changes: [], error: null };
+        const fail = (rule, params = {}) => {
+            entry.action = "error";
+            entry.error = { rule, params: { name: entry.name, ...params } };
+            return entry;
+        };
+
+        // Find the station of the row
+        let station = row.id ? this.metromap.stations.find(candidate => candidate.externalUniqueID === row.id) : null;
+        if (!station && row.name) {
+            const sameName = this.metromap.stations.filter(candidate => (candidate.getName() || "").trim().toLowerCase() === row.name.toLowerCase());
+            if (sameName.length > 1) return fail("ambiguousName", { count: sameName.length });
+            station = sameName[0] ?? null;
+        }
+        if (station && matched.has(station)) return fail("duplicateRow");
+        if (!station && !row.name) return fail("missingName");
+
+        // Check the values
+        const values = {};
+        ["name", "type", "date", "description", "link"].forEach(field => {
+            if (row[field] !== undefined && (row[field] !== "" || field !== "name")) values[field] = row[field];
+        });
+        if (values.type !== undefined && values.type.length > 1) return fail("invalidType", { type: values.type });
+        if (values.link && !/^https?:\/\//i.test(values.link)) return fail("invalidLink", { link: values.link });
+
+        if (row.dateStart !== undefined || row.dateEnd !== undefined) {
+            const start = row.dateStart ?? (station?.getDateStart() || "");
+            const end = row.dateEnd ?? (station?.getDateEnd() || "");
+            if (!helpers.isValidStationDateRange(start, end)) return fail("invalidDate", { start, end });
+            values.dateStart = helpers.normalizeStationDate(start);
+            values.dateEnd = helpers.normalizeStationDate(end);
+        }
+
+        if (row.x || row.y) {
+            const x = Number((row.x ?? "").replace(",", "."));
+            const y = Number((row.y ?? "").replace(",", "."));
+            if (!row.x || !row.y || !Number.isFinite(x) || !Number.isFinite(y)) return fail("invalidPosition", { x: row.x, y: row.y });
+            values.x = x;
+            values.y = y;
+        }
+
+        // Update an existing station with the values that differ
+        if (station) {
+            entry.station = station;
+            entry.name = station.getName();
+            const current = {
+                name: station.getName(),
+                type: station.getType(),
+                date: station.getDate(),
+                dateStart: station.getDateStart(),
+                dateEnd: station.getDateEnd(),
+                description: station.getDescription(),
+                link: station.getLink(),
+                x: station.getPosition().x,
+                y: station.getPosition().y,
+            };
+            Object.entries(values).forEach(([field, value]) => {
+                if ((current[field] ?? "") !== value) {
+                    entry.changes.push({ field, from: current[field] ?? "", to: value });
+                    entry.values[field] = value;
+                }
+            });
+            entry.action = entry.changes.length > 0 ? "update" : "unchanged";
+            return entry;
+        }
+
+        // Create a new station on the metroline of the row
+        const metroline = this.findMetroline(row.line, row.targetGroup);
+        if (!metroline) return fail("unknownLine", { line: row.line || "" });
+
+        entry.metroline = metroline;
+        entry.values = { date: "", description: "", link: "", ...values, externalUniqueId: row.id || null };
+        entry.changes = Object.entries(values)
+            .filter(([, value]) => value !== "")
+            .map(([field, value]) => ({ field, from: "", to: value }));
+        entry.action = "create";
+        return entry;
+    }
+
+    /**
+     * Finds the drawn metroline with a name in the legend, or with an ID. A target group chooses between metrolines
+     * with the same name. Of a list of metrolines, as exported for stations on more than one metroline, the first is used.
+     * @param {string} [line=""] - The name or ID of the metroline.
+     * @param {string} [targetGroup=""] - The target group of the metroline.
+     * @returns {Object|null} The metroline, or null if no drawn metroline has this name or ID.
+     */
+    findMetroline(line = "", targetGroup = "") {
+        const separator = config.spreadsheetConfig.listSeparator.trim();
+        const name = line.split(separator)[0].trim().toLowerCase();
+        const group = targetGroup.split(separator)[0].trim().toLowerCase();
+        if (!name) return null;
+
+        const drawn = this.metromap.lines.filter(metroline => metroline.getLines().length > 0);
+        const byId = drawn.find(metroline => metroline.getId().toLowerCase() === name);
+        if (byId) return byId;
+
+        const byName = drawn.filter(metroline =>
+            (this.metromap.legenda?.toJSONLegendByMetroline(metroline)?.name || "").trim().toLowerCase() === name);
+        return byName.find(metroline =>
+            (this.metromap.legenda?.toJSONLegendByMetroline(metroline)?.targetGroup || "").trim().toLowerCase() === group)
+            ?? byName[0]
+            ?? null;
+    }
+
+    /**
+     * Carries out an import plan: updates the changed stations and creates the new ones. Rows with errors are skipped.
+     * @param {Object} plan - The plan as returned by `planImport`.
+     * @returns {Object} The `created` and `updated` stations.
+     */
+    applyImport(plan) {
+        const created = [];
+        const updated = [];
+        const placed = [];
+
+        plan.entries.forEach(entry => {
+            if (entry.action === "update" && entry.station?.refSvg?.isConnected) {
+                this.updateStation(entry.station, entry.values);
+                updated.push(entry.station);
+            } else if (entry.action === "create" && this.metromap.lines.includes(entry.metroline)) {
+                const { x, y, ...values } = entry.values;
+                const position = x !== undefined ? { x, y } : this.findPlaceOnMetroline(entry.metroline, placed);
+                if (!position) return;
+
+                placed.push(position);
+                created.push(this.metromap.addStationOnMetroline(entry.metroline, { ...values, ...position }));
+            }
+        });
+
+        return { created, updated };
+    }
+
+    /**
+     * Sets the imported values of an existing station.
+     * @param {Object} station - The station.
+     * @param {Object} values - The values to set by field.
+     */
+    updateStation(station, values) {
+        if (values.name !== undefined) station.setName(values.name);
+        if (values.type !== undefined) station.setType(values.type);
+        if (values.date !== undefined) station.setDate(values.date);
+        if (values.description !== undefined) station.setDescription(values.description);
+        if (values.link !== undefined) station.setLink(values.link);
+        if (values.dateStart !== undefined || values.dateEnd !== undefined) {
+            station.setDateRange(values.dateStart ?? station.getDateStart(), values.dateEnd ?? station.getDateEnd());
+        }
+        if (values.x !== undefined) {
+            station.setPosition(values.x, values.y);
+            this.metromap.updateStationMetrolineIds(station);
+        }
+    }
+
+    /**
+     * Finds the place on a metroline farthest from the stations, for a new station without a position.
+     * @param {Object} metroline - The metroline.
+     * @param {Array<Object>} [reserved=[]] - Positions taken by stations that are about to be created.
+     * @returns {Object|null} The position with `x` and `y`, or null if the metroline has no points.
+     */
+    findPlaceOnMetroline(metroline, reserved = []) {
+        const step = config.spreadsheetConfig.placementStep;
+        const taken = [...this.metromap.stations.map(station => station.getPosition()), ...reserved];
+        let best = null;
+
+        this.metromap.getTopology().chainPolylines(metroline).forEach(points => {
+            for (let i = 0; i < points.length - 1; i++) {
+                const start = points[i];
+                const end = points[i + 1];
+                const count = Math.max(1, Math.floor(Math.hypot(end.x - start.x, end.y - start.y) / step));
+
+                for (let j = 0; j <= count; j++) {
+                    const candidate = {
+                        x: Math.round(start.x + (end.x - start.x) * j / count),
+                        y: Math.round(start.y + (end.y - start.y) * j / count),
+                    };
+                    const distance = Math.min(Infinity, ...taken.map(position => Math.hypot(position.x - candidate.x, position.y - candidate.y)));
+                    if (!best || distance > best.distance) best = { ...candidate, distance };
+                }
+            }
+        });
+
+        return best ? { x: best.x, y: best.y } : null;
+    }
+}
+
+/**
+ * Reads the rows of a CSV text. The delimiter (comma, semicolon or tab) is taken from the first line,
+ * values can be quoted with double quotes, which also allows line breaks and delimiters in values.
+ *
+ * @private
+ * @param {string} text - The CSV text.
+ * @returns {Array<Array<string>>} The rows with their values.
+ */
+function parseCSV(text) {
+    const content = String(text ?? "").replace(/^\uFEFF/, "");
+    const firstLine = content.split(/\r?\n/, 1)[0].replace(/"[^"]*"/g, "");
+    const delimiter = [";", ",", "\t"]
+        .map(candidate => ({ candidate, count: firstLine.split(candidate).length }))
+        .sort((a, b) => b.count - a.count)[0].candidate;
+
+    const rows = [];
+    let row = [];
+    let value = "";
+    let quoted = false;
+
+    for (let i = 0; i < content.length; i++) {
+        const character = content[i];
+        if (quoted) {
+            if (character === '"' && content[i + 1] === '"') {
+                value += '"';
+                i++;
+            } else if (character === '"') {
+                quoted = false;
+            } else {
+                value += character;
+            }
+        } else if (character === '"') {
+            quoted = true;
+        } else if (character === delimiter) {
+            row.push(value);
+            value = "";
+        } else if (character === "\n" || character === "\r") {
+            if (character === "\r" && content[i + 1] === "\n") i++;
+            row.push(value);
+            rows.push(row);
+            row = [];
+            value = "";
+        } else {
+            value += character;
+        }
+    }
+    if (value !== "" || row.length > 0) {
+        row.push(value);
+        rows.push(row);
+    }
+
+    return rows;
+}
+
+/**
+ * Quotes a value for a CSV file when it contains the delimiter, a quote or a line break.
+ * Values starting with a formula character are prefixed with a quote, so spreadsheet programs do not run them.
+ *
+ * @private
+ * @param {*} value - The value.
+ * @param {string} delimiter - The delimiter of the file.
+ * @returns {string} The value as written in the file.
+ */
+function quoteCSVValue(value, delimiter) {
+    let text = String(value ?? "");
+    if (/^[=+\-@]/.test(text) && !/^-?\d+(\.\d+)?$/.test(text)) text = "'" + text;
+    if (text.includes(delimiter) || /["\r\n]/.test(text)) return `"${text.replace(/"/g, '""')}"`;
+    return text;
+}
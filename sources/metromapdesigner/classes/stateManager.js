@@ -1,7 +1,15 @@
+import * as config from '../config.js?v=1.0.5';
+
 /**
  * Class representing a state manager for managing undo/redo functionality
  * on a metromap application. This class handles saving, reverting, clearing,
  * and redoing states in a stack with support for hooks.
+ *
+ * Instead of storing a copy of the complete map for every state, each change is
+ * recorded as a patch that only holds the elements, attributes and texts that were
+ * added, removed or modified. A change is recorded from `saveState()` until
+ * `commitState()` (or the next `saveState()`), using a MutationObserver on the canvas.
+ * The history can be stored with `serializeStates()` and restored on the same map with `restoreStates()`.
  */
 export default class stateManager {
     /**
@@ -22,23 +30,35 @@ export default class stateManager {
     };
 
     /**
-     * Stack to store the states for undo functionality.
-     * @type {Array<string>}
+     * Stack to store the recorded changes for undo functionality.
+     * @type {Array<Object>}
      */
     stateStack = [];
 
     /**
-     * Stack to store states for redo functionality.
-     * @type {Array<string>}
+     * Stack to store undone changes for redo functionality.
+     * @type {Array<Object>}
      */
     redoStack = [];
 
     /**
-     * Maximum number of states the stack can hold.
+     * Maximum number of changes the stack can hold.
      * @type {number}
      */
     stackSize;
 
+    /**
+     * Observer recording the change in progress, null when nothing is being recorded.
+     * @type {MutationObserver|null}
+     */
+    observer = null;
+
+    /**
+     * Mutation records collected for the change in progress.
+     * @type {Array<MutationRecord>}
+     */
+    pendingRecords = [];
+
     /**
      * Constructs the stateManager instance.
      * @param {number} stateStackSize - Maximum size of the state stack. Default is 30.
@@ -74,12 +94,12 @@ export default class stateManager {
     }
 
     /**
-     * Saves the current state of the map object to the state stack.
-     * If the stack exceeds its maximum size, the oldest state is removed.
+     * Starts recording a change on the canvas of the map object. Call this before modifying the map.
+     * A change that is still being recorded is committed first.
      *
-     * @param {Object} mapObject - The map object whose state needs to be saved.
-     * @returns {boolean} - Returns true if the state was saved successfully, false otherwise.
-     * @throws {Error} - Throws an error if the state cannot be retrieved from the map object.
+     * @param {Object} mapObject - The map object that is about to be changed.
+     * @returns {boolean} - Returns true if recording started, false if state saving is disabled.
+     * @throws {Error} - Throws an error if the canvas cannot be retrieved from the map object.
      */
     saveState(mapObject) {
         if (!this.enableStateSaving) {
@@ -87,47 +107,252 @@ export default class stateManager {
             return false;
         }
 
+        // Get canvas to observe
+        const canvas = mapObject?.getCanvas();
+        if (!canvas) throw new Error('Statemanager: Canvas of metromap could not be retrieved');
+
+        // Close the previous change before starting a new one
+        this.commitState();
+
+        // Record all mutations on the canvas until the change is committed
+        const records = [];
+        this.pendingRecords = records;
+        this.observer = new MutationObserver((mutations) => records.push(...mutations));
+        this.observer.observe(canvas, {
+            subtree: true,
+            childList: true,
+            attributes: true,
+            attributeOldValue: true,
+            characterData: true,
+            characterDataOldValue: true,
+        });
+        return true;
+    }
+
+    /**
+     * Finishes the change in progress and adds it to the state stack.
+     * Changes without any effect on the map are discarded.
+     * If the stack exceeds its maximum size, the oldest change is removed.
+     *
+     * @returns {Object|null} - The recorded change, or null if nothing was recorded.
+     */
+    commitState() {
+        if (!this.observer) return null;
+
+        // Collect the records that were not delivered yet and stop recording
+        const records = [...this.pendingRecords, ...this.observer.takeRecords()];
+        this.observer.disconnect();
+        this.observer = null;
+        this.pendingRecords = [];
+
+        // Turn the records into a patch
+        const change = this.createChange(records);
+        if (!change) return null;
+
         // Check if the stack has reached its maximum size
         if (this.stateStack.length >= this.stackSize) {
             this.stateStack.shift();
         }
 
-        // Get state
-        const state = mapObject.getCanvasContent();
-
-        // Save the state
-        if (!state) throw new Error('Statemanager: State of metromap could not be retrieved');
-        this.stateStack.push(state);
+        // Save the change
+        this.stateStack.push(change);
         this.redoStack = []; // clear redo state
 
         // Run hooks for the 'save' event
-        this.runHooks('save', state);
-        return true;
+        this.runHooks('save', change);
+        return change;
+    }
+
+    /**
+     * Stops recording the change in progress and restores the canvas to the situation before it started.
+     * The change is not added to the state stack, so it can not be redone.
+     *
+     * @returns {Object|null} - The discarded change, or null if nothing was recorded.
+     */
+    discardState() {
+        if (!this.observer) return null;
+
+        // Collect the records that were not delivered yet and stop recording
+        const records = [...this.pendingRecords, ...this.observer.takeRecords()];
+        this.observer.disconnect();
+        this.observer = null;
+        this.pendingRecords = [];
+
+        // Take back whatever was changed
+        const change = this.createChange(records);
+        if (change) this.applyChange(change, true);
+        return change;
     }
 
     /**
-     * Reverts to the last saved state in the state stack.
-     * Removes the reverted state from the stack.
+     * Checks whether a node is an editor-only element (grid, handles, inline editors) that is not recorded.
      *
-     * @returns {string|boolean} - The previous state as a string if available, or false if no states exist or state saving is disabled.
+     * @param {Node} node - The node to check.
+     * @returns {boolean} - True if the node should be ignored.
      */
-    revertState(mapObject) {
+    isIgnoredNode(node) {
+        const element = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+        return !!element?.closest(config.applicationConfig.HISTORY_IGNORED_SELECTOR);
+    }
+
+    /**
+     * Converts mutation records into a change that can be undone and redone.
+     * Structural changes are kept in order, attribute and text changes only keep
+     * the value before the first and after the last mutation.
+     *
+     * @param {Array<MutationRecord>} records - The recorded mutations.
+     * @returns {Object|null} - The change, or null if the records did not change anything.
+     */
+    createChange(records) {
+        const structure = [];
+        const attributes = new Map();
+        const texts = new Map();
+
+        records.forEach((record) => {
+            if (this.isIgnoredNode(record.target)) return;
+
+            switch (record.type) {
+                case 'childList': {
+                    const added = [...record.addedNodes].filter((node) => !this.isIgnoredNode(node));
+                    const removed = [...record.removedNodes].filter((node) => !this.isIgnoredNode(node));
+                    if (added.length > 0 || removed.length > 0) {
+                        structure.push({ parent: record.target, added, removed, nextSibling: record.nextSibling });
+                    }
+                    break;
+                }
+                case 'attributes': {
+                    if (config.applicationConfig.HISTORY_IGNORED_ATTRIBUTES.has(record.attributeName)) return;
+                    const key = `${record.attributeNamespace ?? ''}|${record.attributeName}`;
+                    if (!attributes.has(record.target)) attributes.set(record.target, new Map());
+                    const elementAttributes = attributes.get(record.target);
+                    if (!elementAttributes.has(key)) {
+                        elementAttributes.set(key, {
+                            element: record.target,
+                            namespace: record.attributeNamespace,
+                            name: record.attributeName,
+                            before: record.oldValue,
+                        });
+                    }
+                    break;
+                }
+                case 'characterData':
+                    if (!texts.has(record.target)) texts.set(record.target, record.oldValue);
+                    break;
+            }
+        });
+
+        // Determine the values after the change and drop the ones that ended up unchanged
+        const attributeChanges = [];
+        attributes.forEach((elementAttributes) => {
+            elementAttributes.forEach((attribute) => {
+                attribute.after = this.getAttribute(attribute.element, attribute.namespace, attribute.name);
+                if (attribute.after !== attribute.before) attributeChanges.push(attribute);
+            });
+        });
+        const textChanges = [];
+        texts.forEach((before, node) => {
+            if (node.data !== before) textChanges.push({ node, before, after: node.data });
+        });
+
+        if (structure.length === 0 && attributeChanges.length === 0 && textChanges.length === 0) {
+            return null;
+        }
+
+        // Keep track of the elements involved, so the map can refresh them after undo or redo
+        const elements = this.getChangedElements(structure, attributeChanges, textChanges);
+
+        return { structure, attributes: attributeChanges, texts: textChanges, elements, timestamp: Date.now() };
+    }
+
+    /**
+     * Collects the nodes involved in a change.
+     *
+     * @param {Array<Object>} structure - The structural changes.
+     * @param {Array<Object>} attributes - The attribute changes.
+     * @param {Array<Object>} texts - The text changes.
+     * @returns {Set<Node>} - The parents, added and removed nodes, changed elements and text nodes.
+     */
+    getChangedElements(structure, attributes, texts) {
+        const elements = new Set();
+        structure.forEach(({ parent, added, removed }) => {
+            elements.add(parent);
+            added.forEach((node) => elements.add(node));
+            removed.forEach((node) => elements.add(node));
+        });
+        attributes.forEach(({ element }) => elements.add(element));
+        texts.forEach(({ node }) => elements.add(node));
+        return elements;
+    }
+
+    /**
+     * Reads an attribute value, using the namespace only when the attribute has one.
+     *
+     * @param {Element} element - The element to read from.
+     * @param {string|null} namespace - The attribute namespace.
+     * @param {string} name - The attribute name.
+     * @returns {string|null} - The attribute value or null if not present.
+     */
+    getAttribute(element, namespace, name) {
+        return namespace ? element.getAttributeNS(namespace, name) : element.getAttribute(name);
+    }
+
+    /**
+     * Applies a change to the canvas in either direction.
+     *
+     * @param {Object} change - The change as created by `createChange`.
+     * @param {boolean} undo - True to restore the situation before the change, false to reapply it.
+     */
+    applyChange(change, undo) {
+        // Replay structural changes, in reverse order when undoing
+        const structure = undo ? [...change.structure].reverse() : change.structure;
+        structure.forEach(({ parent, added, removed, nextSibling }) => {
+            const toRemove = undo ? added : removed;
+            const toInsert = undo ? removed : added;
+            toRemove.forEach((node) => node.remove());
+            const reference = nextSibling?.parentNode === parent ? nextSibling : null;
+            toInsert.forEach((node) => parent.insertBefore(node, reference));
+        });
+
+        // Restore attribute values
+        change.attributes.forEach(({ element, namespace, name, before, after }) => {
+            const value = undo ? before : after;
+            if (value === null) {
+                namespace ? element.removeAttributeNS(namespace, name) : element.removeAttribute(name);
+            } else {
+                namespace ? element.setAttributeNS(namespace, name, value) : element.setAttribute(name, value);
+            }
+        });
+
+        // Restore text content
+        change.texts.forEach(({ node, before, after }) => {
+            node.data = undo ? before : after;
+        });
+    }
+
+    /**
+     * Reverts the last change in the state stack and moves it to the redo stack.
+     * A change that is still being recorded is committed first, so it is the one reverted.
+     *
+     * @returns {Object|boolean} - The reverted change, or false if no changes exist or state saving is disabled.
+     */
+    revertState() {
         if (!this.enableStateSaving) {
             console.log("Statemanager: state saving is disabled");
             return false;
         }
+
+        // Finish the change in progress
+        this.commitState();
+
         if (this.stateStack.length > 0) {
-            // Get current state and add it to the redo state
-            const currentState = mapObject.getCanvasContent();
-            if (!currentState) {
-                throw new Error('Statemanager: Current state could not be retrieved for revert operation');
-            }
-            this.redoStack.push(currentState);
+            // Undo the last change and make it available for redo
+            const change = this.stateStack.pop();
+            this.applyChange(change, true);
+            this.redoStack.push(change);
 
-            // Retrieve last saved state and run hooks
-            const previousState = this.stateStack.pop();
-            this.runHooks('revert', previousState);
-            return previousState;
+            // Run hooks for the 'revert' event
+            this.runHooks('revert', change);
+            return change;
         } else {
             console.log('Statemanager: no previous state available');
             return false;
@@ -135,22 +360,27 @@ export default class stateManager {
     }
 
     /**
-     * Restores the most recently undone state from the redo stack.
+     * Reapplies the most recently undone change from the redo stack.
      *
-     * @returns {string|boolean} - The state as a string if redo is possible, or false otherwise.
+     * @returns {Object|boolean} - The reapplied change if redo is possible, or false otherwise.
      */
     redoState() {
         if (!this.enableStateSaving) {
             console.log("Statemanager: state saving is disabled");
             return false;
         }
+
+        // A new change replaces the redo history
+        this.commitState();
+
         if (this.redoStack.length > 0) {
-            const nextState = this.redoStack.pop();
-            this.stateStack.push(nextState);
+            const change = this.redoStack.pop();
+            this.applyChange(change, false);
+            this.stateStack.push(change);
 
             // Run hooks for the 'redo' event
-            this.runHooks('redo', nextState);
-            return nextState;
+            this.runHooks('redo', change);
+            return change;
         } else {
             console.log('Statemanager: no redo state available');
             return false;
@@ -158,13 +388,191 @@ export default class stateManager {
     }
 
     /**
-     * Clears all states from the state stack.
+     * Checks if there is a change that can be undone.
+     * @returns {boolean} - True if undo is possible.
+     */
+    canUndo() {
+        return this.stateStack.length > 0;
+    }
+
+    /**
+     * Checks if there is a change that can be redone.
+     * @returns {boolean} - True if redo is possible.
+     */
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    // SERIALIZATION
+
+    /**
+     * Converts the undo and redo history into plain data that can be stored, for example by the autosave.
+     * Changes refer to the nodes they touch, which are stored as references: the position of the node in the canvas or,
+     * for nodes not on the canvas (removed by a change, or added by a change that was undone), its position in a copy of
+     * the detached tree it is part of. Editor-only elements and whitespace between elements do not count for positions,
+     * since they are not restored exactly when the map is loaded again. Whitespace nodes are stored as new text.
+     *
+     * @param {Element} canvas - The SVG element of the map the history refers to.
+     * @param {number} [limit=Infinity] - Maximum number of changes kept of each stack, the most recent changes are kept.
+     * @returns {Object} - The history as { detached, undo, redo }, `detached` holding the markup or text of the detached trees.
+     * @throws {Error} - Throws an error if a change refers to a node outside the canvas that is still part of the document.
+     */
+    serializeStates(canvas, limit = Infinity) {
+        const detached = [];
+        const roots = new Map();
+        const trees = [];
+
+        const reference = (node) => {
+            if (!node) return null;
+            if (isWhitespaceText(node)) return { text: node.data };
+
+            // Find the tree the node is part of
+            let root = -1;
+            if (!canvas.contains(node)) {
+                let top = node;
+                while (top.parentNode) top = top.parentNode;
+                if (top.nodeType === Node.DOCUMENT_NODE || top.nodeType === Node.DOCUMENT_FRAGMENT_NODE) {
+                    throw new Error('Statemanager: history refers to a node outside the canvas');
+                }
+                if (!roots.has(top)) {
+                    roots.set(top, detached.length);
+                    trees.push(top);
+                    detached.push(top.nodeType === Node.ELEMENT_NODE ? { markup: top.outerHTML } : { text: top.data ?? "" });
+                }
+                root = roots.get(top);
+            }
+
+            // Position of the node within its tree
+            const top = root === -1 ? canvas : trees[root];
+            const path = [];
+            for (let current = node; current !== top; current = current.parentNode) {
+                path.unshift(this.getSignificantChildren(current.parentNode).indexOf(current));
+            }
+            return { root, path, name: node.nodeName };
+        };
+
+        // Nodes are inserted before the next sibling that will be restored
+        const siblingReference = (node) => {
+            while (node && (isWhitespaceText(node) || this.isIgnoredNode(node))) node = node.nextSibling;
+            return reference(node);
+        };
+
+        const serializeChange = (change) => ({
+            timestamp: change.timestamp,
+            structure: change.structure.map(({ parent, added, removed, nextSibling }) => ({
+                parent: reference(parent),
+                added: added.map(reference),
+                removed: removed.map(reference),
+                nextSibling: siblingReference(nextSibling),
+            })),
+            attributes: change.attributes.map(({ element, namespace, name, before, after }) => ({
+                element: reference(element), namespace, name, before, after,
+            })),
+            texts: change.texts.map(({ node, before, after }) => ({ node: reference(node), before, after })),
+        });
+
+        const undo = this.stateStack.slice(-limit).map(serializeChange);
+        const redo = this.redoStack.slice(-limit).map(serializeChange);
+        return { detached, undo, redo };
+    }
+
+    /**
+     * Replaces the history with one stored by `serializeStates`. The canvas must hold the map as it was when
+     * the history was stored, for example loaded from the SVG saved together with the history.
+     *
+     * @param {Element} canvas - The SVG element of the map the history refers to.
+     * @param {Object} history - The history as returned by `serializeStates`.
+     * @throws {Error} - Throws an error if the history does not match the canvas, the history is not changed then.
+     */
+    restoreStates(canvas, history) {
+        const ownerDocument = canvas.ownerDocument;
+        const roots = (history?.detached ?? []).map(({ markup, text }) => {
+            if (markup === undefined) return ownerDocument.createTextNode(text);
+
+            // Parsed like the canvas itself is loaded, within an SVG element
+            const container = ownerDocument.createElementNS(canvas.namespaceURI, 'svg');
+            container.innerHTML = markup;
+            const element = container.firstElementChild;
+            if (!element) throw new Error('Statemanager: detached element of the history could not be read');
+            element.remove();
+            return element;
+        });
+
+        const resolve = (reference) => {
+            if (!reference) return null;
+            if (reference.root === undefined) return ownerDocument.createTextNode(reference.text);
+
+            let node = reference.root === -1 ? canvas : roots[reference.root];
+            for (const index of reference.path) {
+                node = node ? this.getSignificantChildren(node)[index] : undefined;
+            }
+            if (!node || node.nodeName !== reference.name) {
+                throw new Error('Statemanager: history does not match the canvas');
+            }
+            return node;
+        };
+
+        const restoreChange = (change) => {
+            const structure = change.structure.map(({ parent, added, removed, nextSibling }) => ({
+                parent: resolve(parent),
+                added: added.map(resolve),
+                removed: removed.map(resolve),
+                nextSibling: resolve(nextSibling),
+            }));
+            const attributes = change.attributes.map((attribute) => ({ ...attribute, element: resolve(attribute.element) }));
+            const texts = change.texts.map((text) => ({ ...text, node: resolve(text.node) }));
+            const elements = this.getChangedElements(structure, attributes, texts);
+            return { structure, attributes, texts, elements, timestamp: change.timestamp };
+        };
+
+        // Resolve everything first, so a history that does not match leaves the current history in place
+        const stateStack = (history?.undo ?? []).map(restoreChange).slice(-this.stackSize);
+        const redoStack = (history?.redo ?? []).map(restoreChange);
+
+        this.commitState();
+        this.stateStack = stateStack;
+        this.redoStack = redoStack;
+    }
+
+    /**
+     * Gets the child nodes that count for the position of a node in a serialized history.
+     *
+     * @param {Node} parent - The parent node.
+     * @returns {Array<Node>} - The children that are not editor-only elements or whitespace.
+     */
+    getSignificantChildren(parent) {
+        return [...parent.childNodes].filter((node) => !isWhitespaceText(node) && !this.isIgnoredNode(node));
+    }
+
+    /**
+     * Clears all states from the state stack and stops recording the change in progress.
+     * Must be called when the canvas is replaced, since recorded changes refer to its elements.
      */
     clearStates() {
+        if (this.observer) {
+            this.observer.disconnect();
+            this.observer = null;
+        }
+        this.pendingRecords = [];
         this.stateStack = [];
         this.redoStack = [];
 
         // Run hooks for the 'clear' event
         this.runHooks('clear', null);
     }
-}
\ No newline at end of file
+}
+
+// ####################################################
+// HELPERS
+//
+
+/**
+ * Checks whether a node is a text node with only whitespace, such as the indentation between elements.
+ *
+ * @private
+ * @param {Node} node - The node to check.
+ * @returns {boolean} - True for whitespace text.
+ */
+function isWhitespaceText(node) {
+    return node.nodeType === Node.TEXT_NODE && node.data.trim() === "";
+}
@@ -1,6 +1,19 @@
 import * as helpers from '../common.js?v=1.0.5';
 import * as config from '../config.js?v=1.0.5';
 
+// The eight orientations a station can have. Orientations pointing to the left are drawn
+// with the rotation of the opposite orientation and the text placed on the other side (inverse).
+const stationOrientations = {
+    45: { finalAngle: 45, inverse: false },
+    315: { finalAngle: 315, inverse: false },
+    0: { finalAngle: 0, inverse: false },
+    270: { finalAngle: 270, inverse: false },
+    90: { finalAngle: 270, inverse: true },
+    135: { finalAngle: 315, inverse: true },
+    180: { finalAngle: 0, inverse: true },
+    225: { finalAngle: 45, inverse: true },
+};
+
 /**
  * Represents a station on a metro map. 
  * 
@@ -39,7 +52,9 @@ export default class metromapStation {
      * @param {Object} [configuration={}] - Custom configuration for the station. Overrides default values from `stationDefaultConfig`.
      * @param {string} configuration.name - Name of the station.
      * @param {string} configuration.type - Type of the station (e.g., "w", "x", "e", "o").
-     * @param {string} configuration.date - Date associated with the station (any format).
+     * @param {string} configuration.date - Date associated with the station (any format), shown when no structured date is set.
+     * @param {string} configuration.dateStart - Structured start of the station, "YYYY-MM-DD" or "YYYY-MM-DDTHH:mm".
+     * @param {string} configuration.dateEnd - Structured end of the station, in the same form as the start.
      * @param {string} configuration.description - Description of the station.
      * @param {string} configuration.link - URL link associated with the station.
      * @param {number} configuration.orientation - Station's orientation in degrees (0–315).
@@ -68,6 +83,8 @@ export default class metromapStation {
             this.name = stationValues.name;
             this.type = stationValues.type;
             this.date = stationValues.date;
+            this.dateStart = helpers.normalizeStationDate(stationValues.dateStart);
+            this.dateEnd = this.dateStart ? helpers.normalizeStationDate(stationValues.dateEnd) : "";
             this.description = stationValues.description;
             this.link = stationValues.link;
             this.orientation = stationValues.orientation;
@@ -124,7 +141,12 @@ export default class metromapStation {
         this.width = Number(this.refSvg.getAttribute("stationshapelinewidth"));
         this.description = this.refSvg.querySelector("title.stationDescription")?.textContent ?? "";
         this.type = this.refSvg.querySelector("text.stationType")?.textContent ?? "";
-        this.date = this.stationNameGroupLayer?.querySelector("tspan.stationDate")?.textContent ?? "";
+        this.dateStart = helpers.normalizeStationDate(this.refSvg.getAttribute("datestart"));
+        this.dateEnd = this.dateStart ? helpers.normalizeStationDate(this.refSvg.getAttribute("dateend")) : "";
+        // With a structured date the label shows the written date, the free text is kept in an attribute
+        this.date = this.dateStart
+            ? this.refSvg.getAttribute("datetext") ?? ""
+            : this.stationNameGroupLayer?.querySelector("tspan.stationDate")?.textContent ?? "";
         this.link = this.refSvg.querySelector("a.stationLink")?.getAttribute("xlink:href") ?? "";
         this.externalUniqueID = this.refSvg.getAttribute("externalUniqueID") ?? this.externalUniqueID ?? "";
 
@@ -197,6 +219,7 @@ export default class metromapStation {
         this.refSvg.setAttribute("stationshapeorientation", this.orientation || 0);
         this.refSvg.setAttribute("stationshapetype", this.shape || "");
         this.refSvg.setAttribute("externalUniqueID", this.externalUniqueID || "");
+        this.updateDateAttributes();
 
         // Update metroline and color of shape
         this.refSvg.setAttribute("metrolineid", this.metrolines.map((metroline) => metroline.getId()).join(","));
@@ -204,8 +227,8 @@ export default class metromapStation {
 
         // Update width and size of station
         this.refSvg.setAttribute("stationshapesize", this.size || 0);
-        if(this.refSvg.getAttribute("stationlinewidth") !== this.width) {
-            this.refSvg.setAttribute("stationlinewidth", this.width || 0);
+        if(Number(this.refSvg.getAttribute("stationshapelinewidth")) !== this.width) {
+            this.refSvg.setAttribute("stationshapelinewidth", this.width || 0);
             if(this.shape === "connection") {
                 let shapeRef = this.stationShapeGroupLayer.querySelector("rect");
                 shapeRef.setAttribute("width", this.size);
@@ -239,7 +262,7 @@ export default class metromapStation {
         // Update date
         const dateElement = this.stationNameGroupLayer.querySelector("tspan.stationDate");
         if (dateElement) {
-            dateElement.textContent = this.date || "";
+            dateElement.textContent = this.getDisplayDate();
         }
 
         // Update name
@@ -291,7 +314,7 @@ export default class metromapStation {
     }
 
     /**
-     * Gets the date associated with the station.
+     * Gets the free text date associated with the station.
      * @returns {string} The station's date.
      */
     getDate() {
@@ -299,7 +322,7 @@ export default class metromapStation {
     }
 
     /**
-     * Sets the date associated with the station.
+     * Sets the free text date associated with the station.
      * @param {string} value - The new date of the station.
      */
     setDate(value) {
@@ -308,6 +331,78 @@ export default class metromapStation {
         this.render(); // rerender the station
     }
 
+    /**
+     * Gets the structured start of the station.
+     * @returns {string} The start as "YYYY-MM-DD" or "YYYY-MM-DDTHH:mm", or an empty string.
+     */
+    getDateStart() {
+        return this.dateStart;
+    }
+
+    /**
+     * Gets the structured end of the station.
+     * @returns {string} The end as "YYYY-MM-DD" or "YYYY-MM-DDTHH:mm", or an empty string.
+     */
+    getDateEnd() {
+        return this.dateEnd;
+    }
+
+    /**
+     * Sets the structured date of the station: a single date or time, or a range from start to end.
+     * An empty start removes the structured date, the free text date is shown again.
+     * @param {string} start - The start as "YYYY-MM-DD" or "YYYY-MM-DDTHH:mm", or an empty string.
+     * @param {string} [end=""] - The end in the same form, or an empty string.
+     * @throws {Error} If a date is not valid or the end is before the start.
+     */
+    setDateRange(start, end = "") {
+        if (!helpers.isValidStationDateRange(start, end)) {
+            throw new Error(`setDateRange: Invalid date range "${start}" - "${end}".`);
+        }
+        this.dateStart = helpers.normalizeStationDate(start);
+        this.dateEnd = helpers.normalizeStationDate(end);
+        this.updateSVG();
+        this.render(); // rerender the station
+    }
+
+    /**
+     * Gets the date or date range of the station: the structured date, or else the date read from the free text date.
+     * @returns {Object|null} The `start` and `end` as "YYYY-MM-DD" or "YYYY-MM-DDTHH:mm" (the end can be empty),
+     * or null if the station has no structured date and no date is found in its free text.
+     * The placeholder date of new stations is not a date.
+     */
+    getDateRange() {
+        if (this.dateStart) return { start: this.dateStart, end: this.dateEnd };
+        if ((this.date ?? "").trim() === config.stationDefaultConfig.date) return null;
+        return helpers.parseStationDateText(this.date);
+    }
+
+    /**
+     * Gets the date shown on the map: the structured date written in the language of the interface,
+     * or the free text date when the station has no structured date.
+     * @returns {string} The date to show.
+     */
+    getDisplayDate() {
+        return helpers.formatStationDate(this.dateStart, this.dateEnd) || this.date || "";
+    }
+
+    /**
+     * Writes the structured date in the attributes of the station's SVG element,
+     * or removes them when the station has no structured date.
+     */
+    updateDateAttributes() {
+        if (this.dateStart) {
+            this.refSvg.setAttribute("datestart", this.dateStart);
+            this.refSvg.setAttribute("datetext", this.date || "");
+            if (this.dateEnd) {
+                this.refSvg.setAttribute("dateend", this.dateEnd);
+            } else {
+                this.refSvg.removeAttribute("dateend");
+            }
+        } else {
+            ["datestart", "dateend", "datetext"].forEach(attribute => this.refSvg.removeAttribute(attribute));
+        }
+    }
+
     /**
      * Gets the description of the station.
      * @returns {string} The station's description.
@@ -693,7 +788,7 @@ export default class metromapStation {
             y: 0,
             fill: config.stationVisualConfig.stationNameFontColor,
         });
-        stationTspanDate.textContent = this.date;
+        stationTspanDate.textContent = this.getDisplayDate();
 
         // Construct text element
         this.constructStationNameText(stationNaam, this.name, stationTspanDate);
@@ -713,6 +808,7 @@ export default class metromapStation {
         this.stationNameGroupLayer = stationNaamGroup;
         this.stationButtonLayer = stationLinkGroup;
         this.refSvg = stationGroup;
+        this.updateDateAttributes();
 
         // Add it to canvas
         this.stationLineLayer.appendChild(this.refSvg);
@@ -957,14 +1053,12 @@ export default class metromapStation {
     }
 
     /**
-     * Sets the rotation of the station's SVG representation.
-     * 
-     * This method rotates the station to the specified angle and adjusts the 
-     * alignment of associated text and shapes to maintain proper orientation.
-     * 
-     * @param {number} angle - The angle (in degrees) to rotate the station.
+     * Gets the offsets of the station name and the type box from the center of the station, for one side of the station.
+     *
+     * @param {boolean} inverse - True for the text on the left side of the station.
+     * @returns {Object} The `textOffset` and `typeOffset` along the x axis and the `yOffset` of the type box.
      */
-    setStationRotation(angle = 0, temp = false) {
+    getLabelOffsets(inverse) {
         // Helper function to determine the offset for text
         const getOffsetText = (shape, size, offsetConfig = {}, inverse) => {
             // Use defaults if offsetConfig is undefined or missing properties
@@ -1006,6 +1100,25 @@ export default class metromapStation {
             }
         };
     
+        const textOffsetConfig = config.stationVisualConfig.stationTextOffsetConfig || {};
+        const typeOffsetConfig = config.stationVisualConfig.stationTypeOffsetConfig || {};
+    
+        const textOffset = getOffsetText(this.shape, this.size, textOffsetConfig, inverse);
+        const typeOffset = getOffsetType(this.shape, this.size, typeOffsetConfig, inverse);
+        const yOffset = config.stationVisualConfig.stationTypeOffsetConfig?.yOffset || 10;
+
+        return { textOffset, typeOffset, yOffset };
+    }
+
+    /**
+     * Sets the rotation of the station's SVG representation.
+     * 
+     * This method rotates the station to the specified angle and adjusts the 
+     * alignment of associated text and shapes to maintain proper orientation.
+     * 
+     * @param {number} angle - The angle (in degrees) to rotate the station.
+     */
+    setStationRotation(angle = 0, temp = false) {
         // Helper function to adjust text position
         const adjustTextPosition = (textElement, xOffset, inverse) => {
             const alignment = inverse ? "start" : "end";
@@ -1018,26 +1131,10 @@ export default class metromapStation {
             });
         };
     
-        // Centralized angle mapping
-        const angleMap = {
-            45: { finalAngle: 45, inverse: false },
-            315: { finalAngle: 315, inverse: false },
-            0: { finalAngle: 0, inverse: false },
-            270: { finalAngle: 270, inverse: false },
-            90: { finalAngle: 270, inverse: true },
-            135: { finalAngle: 315, inverse: true },
-            180: { finalAngle: 0, inverse: true },
-            225: { finalAngle: 45, inverse: true },
-        };
-        const { finalAngle, inverse } = angleMap[angle] || { finalAngle: 0, inverse: false };
+        const { finalAngle, inverse } = stationOrientations[angle] || { finalAngle: 0, inverse: false };
     
         // Offsets based on configuration and shape
-        const textOffsetConfig = config.stationVisualConfig.stationTextOffsetConfig || {};
-        const typeOffsetConfig = config.stationVisualConfig.stationTypeOffsetConfig || {};
-    
-        const textOffset = getOffsetText(this.shape, this.size, textOffsetConfig, inverse);
-        const typeOffset = getOffsetType(this.shape, this.size, typeOffsetConfig, inverse);
-        const yOffset = config.stationVisualConfig.stationTypeOffsetConfig?.yOffset || 10;
+        const { textOffset, typeOffset, yOffset } = this.getLabelOffsets(inverse);
     
         // Adjust positioning based on inversion
         const stationNameText = this.stationNameGroupLayer.querySelector("text.stationName");
@@ -1063,6 +1160,57 @@ export default class metromapStation {
         }
     }
 
+    /**
+     * Measures the label of the station, the name and the type box, with the text on both sides of the station.
+     * The boxes are in the coordinates of the station before its rotation. Only the name is measured, the other
+     * side is calculated from the offsets, so the station is not changed.
+     *
+     * @returns {Object|null} The boxes (`x`, `y`, `width`, `height`) for the `normal` and the `inverse` side, or null if the label can not be measured.
+     */
+    measureLabel() {
+        if (!this.refSvg?.isConnected || typeof this.stationNameGroupLayer?.getBBox !== "function") return null;
+
+        const name = this.stationNameGroupLayer.getBBox();
+        const measure = (inverse) => {
+            // The name starts at the text offset on the right side and ends there on the left side
+            const { textOffset, typeOffset, yOffset } = this.getLabelOffsets(inverse);
+            const nameX = inverse ? -textOffset - name.width : textOffset;
+            const typeX = inverse ? -typeOffset : typeOffset;
+            const typeY = -yOffset;
+            const left = Math.min(nameX, typeX);
+            const top = Math.min(name.y, typeY);
+            const right = Math.max(nameX + name.width, typeX + config.stationVisualConfig.stationTypeBoxWidth);
+            const bottom = Math.max(name.y + name.height, typeY + config.stationVisualConfig.stationTypeBoxHeight);
+            return { x: left, y: top, width: right - left, height: bottom - top };
+        };
+
+        return { normal: measure(false), inverse: measure(true) };
+    }
+
+    /**
+     * Gets the outline of the label on the map for an orientation of the station.
+     *
+     * @param {number} [angle] - The orientation, defaults to the current orientation.
+     * @param {Object} [boxes] - The label boxes as returned by `measureLabel`, measured when not given.
+     * @returns {Array<Object>|null} The four corners of the label with a margin around it, or null if the label can not be measured.
+     */
+    getLabelOutline(angle = this.orientation, boxes = this.measureLabel()) {
+        if (!boxes) return null;
+
+        const { finalAngle, inverse } = stationOrientations[angle] || { finalAngle: 0, inverse: false };
+        const box = inverse ? boxes.inverse : boxes.normal;
+        const margin = config.labelPlacementConfig.margin;
+
+        return helpers.getRotatedRectangleVertices(
+            this.x + box.x - margin,
+            this.y + box.y - margin,
+            box.width + margin * 2,
+            box.height + margin * 2,
+            finalAngle,
+            { x: this.x, y: this.y }
+        );
+    }
+
     /**
      * Adjusts the size and position of the station's clickable button area.
      * 
@@ -1134,10 +1282,13 @@ export default class metromapStation {
         return {
             name: this.name,
             date: this.date,
+            dateStart: this.dateStart || null,
+            dateEnd: this.dateEnd || null,
             type: this.type,
             position: { x: this.x, y: this.y },
             orientation: Number(this.orientation),
             shape: this.shape,
+            size: Number(this.size),
             width: Number(this.width),
             description: this.description,
             link: this.link,
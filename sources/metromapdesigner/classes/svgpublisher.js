@@ -0,0 +1,329 @@
+import * as config from '../config.js?v=1.0.5';
+
+const svgNS = "http://www.w3.org/2000/svg";
+
+// Elements that hold text, their whitespace is part of the text
+const textElements = new Set(["text", "tspan", "textPath", "title", "desc", "style"]);
+
+// Keywords of font weights
+const fontWeights = { normal: 400, bold: 700, lighter: 300, bolder: 700 };
+
+/**
+ * Class turning the SVG of a metro map into an SVG for publishing on websites and in documents.
+ * The SVG for publishing renders the same on every machine and is smaller, but cannot be loaded in the designer again:
+ * - The characters used in web fonts (`publishConfig.webFonts`) are embedded as `@font-face` rules,
+ *   with fonts that only contain these characters.
+ * - Attributes, classes and IDs only used by the designer are removed, as are station buttons without a link
+ *   or description and the polylines of metrolines that are drawn as paths.
+ * - Path data, points and transforms are written with `publishConfig.precision` decimals and without extra spaces.
+ *
+ * When the fonts cannot be retrieved, for example offline, the SVG is published without embedded fonts.
+ */
+export default class metromapSvgPublisher {
+    warnings = []; // Problems found while publishing, such as fonts that could not be embedded
+
+    // PUBLISHING
+
+    /**
+     * Creates the SVG for publishing.
+     * @param {string} svgContent - The SVG of the map, as exported by `getSVG`.
+     * @returns {Promise<string>} The SVG for publishing.
+     * @throws {Error} If the SVG cannot be read.
+     */
+    async publish(svgContent) {
+        const svg = new DOMParser().parseFromString(svgContent, "image/svg+xml").documentElement;
+        if (!svg || svg.nodeName !== "svg") {
+            throw new Error("The map could not be read as SVG.");
+        }
+
+        this.warnings = [];
+        this.removeDesignerMarkup(svg);
+        this.minify(svg);
+        await this.embedFonts(svg);
+
+        // Scale with the page it is published on
+        const width = svg.getAttribute("width");
+        const height = svg.getAttribute("height");
+        if (!svg.hasAttribute("viewBox") && parseFloat(width) > 0 && parseFloat(height) > 0) {
+            svg.setAttribute("viewBox", `0 0 ${parseFloat(width)} ${parseFloat(height)}`);
+        }
+
+        return new XMLSerializer().serializeToString(svg);
+    }
+
+    /**
+     * Removes the markup that only the designer uses: its attributes, classes and IDs that nothing refers to,
+     * links without an address, invisible station buttons without a link or description, empty titles and empty groups.
+     * @param {SVGSVGElement} svg - The SVG of the map.
+     */
+    removeDesignerMarkup(svg) {
+        const designerAttributes = new Set(config.publishConfig.designerAttributes);
+
+        // Polylines drawn as paths only hold the points of their metroline
+        svg.querySelectorAll("polyline[data-curved], #metrolineCurveStyle").forEach(element => element.remove());
+
+        const content = new XMLSerializer().serializeToString(svg);
+        const referencedIds = new Set([...content.matchAll(/(?:url\(\s*['"]?#|href="#)([^'")\s]+)/g)].map(match => match[1]));
+
+        [svg, ...svg.querySelectorAll("*")].forEach(element => {
+            [...element.attributes].forEach(attribute => {
+                const name = attribute.name.toLowerCase();
+                if (designerAttributes.has(name) || name === "class" || (name === "id" && !referencedIds.has(attribute.value))) {
+                    element.removeAttribute(attribute.name);
+                }
+            });
+        });
+
+        // Links without an address only hold the invisible button of a station, which still shows its description on hover
+        svg.querySelectorAll("a").forEach(link => {
+            const href = link.getAttribute("href") || link.getAttributeNS("http://www.w3.org/1999/xlink", "href") || "";
+            if (href.trim()) return;
+            if (link.querySelector("title")?.textContent.trim()) {
+                link.replaceWith(...link.childNodes);
+            } else {
+                link.remove();
+            }
+        });
+
+        svg.querySelectorAll("title").forEach(title => {
+            if (!title.textContent.trim()) title.remove();
+        });
+        svg.querySelectorAll("foreignObject").forEach(element => element.remove());
+
+        // Whitespace between elements, and groups left empty
+        const walker = svg.ownerDocument.createTreeWalker(svg, 4 | 128); // Text and comments
+        const removable = [];
+        while (walker.nextNode()) {
+            const node = walker.currentNode;
+            if (node.nodeType === 8 || (!textElements.has(node.parentNode?.localName) && !node.data.trim())) removable.push(node);
+        }
+        removable.forEach(node => node.remove());
+
+        let emptyGroups;
+        do {
+            emptyGroups = [...svg.querySelectorAll("g")].filter(group => group.childNodes.length === 0);
+            emptyGroups.forEach(group => group.remove());
+        } while (emptyGroups.length > 0);
+    }
+
+    /**
+     * Writes path data, points and transforms with fewer decimals and spaces.
+     * @param {SVGSVGElement} svg - The SVG of the map.
+     */
+    minify(svg) {
+        const precision = config.publishConfig.precision;
+
+        svg.querySelectorAll("path[d]").forEach(path => {
+            path.setAttribute("d", minifyPathData(path.getAttribute("d"), precision));
+        });
+        svg.querySelectorAll("polyline[points], polygon[points]").forEach(element => {
+            const values = element.getAttribute("points").trim().split(/[\s,]+/).map(Number);
+            if (values.length % 2 !== 0 || !values.every(Number.isFinite)) return;
+            const points = [];
+            for (let i = 0; i < values.length; i += 2) {
+                points.push(`${formatNumber(values[i], precision)},${formatNumber(values[i + 1], precision)}`);
+            }
+            element.setAttribute("points", points.join(" "));
+        });
+        svg.querySelectorAll("[transform]").forEach(element => {
+            const transform = element.getAttribute("transform")
+                .replace(/[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/g, number => formatNumber(Number(number), precision))
+                .replace(/\s*,\s*/g, ",")
+                .replace(/\s+/g, " ")
+                .trim();
+            element.setAttribute("transform", transform);
+        });
+    }
+
+    // FONTS
+
+    /**
+     * Embeds the used characters of the web fonts in a style element, as fonts in data URLs.
+     * Fonts that cannot be retrieved are left out with a warning.
+     * @param {SVGSVGElement} svg - The SVG of the map.
+     */
+    async embedFonts(svg) {
+        const usage = getFontUsage(svg);
+        const rules = [];
+
+        for (const [family, { weights, characters }] of usage) {
+            try {
+                rules.push(await this.getFontFaces(family, [...weights].sort((a, b) => a - b), [...characters].sort().join("")));
+            } catch (error) {
+                console.warn(`SVG for publishing: font ${family} could not be embedded:`, error);
+                this.warnings.push({ rule: "fontNotEmbedded", params: { family } });
+            }
+        }
+        if (rules.length === 0) return;
+
+        const style = svg.ownerDocument.createElementNS(svgNS, "style");
+        style.textContent = rules.join("\n");
+        const defs = svg.ownerDocument.createElementNS(svgNS, "defs");
+        defs.appendChild(style);
+        svg.insertBefore(defs, svg.firstChild);
+    }
+
+    /**
+     * Retrieves the `@font-face` rules of a web font with only the given characters, with the fonts in data URLs.
+     * @param {string} family - The font family.
+     * @param {Array<number>} weights - The font weights used.
+     * @param {string} characters - The characters used.
+     * @returns {Promise<string>} The rules.
+     * @throws {Error} If the rules or a font cannot be retrieved.
+     */
+    async getFontFaces(family, weights, characters) {
+        const url = `${config.publishConfig.fontCssUrl}?family=${encodeURIComponent(family)}:wght@${weights.join(";")}` +
+            `&text=${encodeURIComponent(characters)}`;
+        const response = await fetch(url);
+        if (!response.ok) throw new Error(`${response.status} ${response.statusText} (${url})`);
+        const css = await response.text();
+
+        const fonts = new Map();
+        for (const [, fontUrl] of css.matchAll(/url\(\s*['"]?([^'")]+)['"]?\s*\)/g)) {
+            if (fonts.has(fontUrl)) continue;
+            const fontResponse = await fetch(fontUrl);
+            if (!fontResponse.ok) throw new Error(`${fontResponse.status} ${fontResponse.statusText} (${fontUrl})`);
+            const type = fontResponse.headers.get("Content-Type") || "font/woff2";
+            fonts.set(fontUrl, `data:${type.split(";")[0]};base64,${toBase64(new Uint8Array(await fontResponse.arrayBuffer()))}`);
+        }
+
+        return css
+            .replace(/\/\*[\s\S]*?\*\//g, "")
+            .replace(/url\(\s*['"]?([^'")]+)['"]?\s*\)/g, (match, fontUrl) => `url(${fonts.get(fontUrl)})`)
+            .replace(/\s+/g, " ")
+            .trim();
+    }
+}
+
+/**
+ * Collects the font families of the web fonts used by the text of the map, with their weights and characters.
+ *
+ * @private
+ * @param {SVGSVGElement} svg - The SVG of the map.
+ * @returns {Map<string, Object>} The `weights` and `characters` used by family.
+ */
+function getFontUsage(svg) {
+    const webFonts = new Map(config.publishConfig.webFonts.map(family => [family.toLowerCase(), family]));
+    const usage = new Map();
+
+    const walker = svg.ownerDocument.createTreeWalker(svg, 4); // Text
+    while (walker.nextNode()) {
+        const node = walker.currentNode;
+        if (!node.data.trim() || !["text", "tspan", "textPath"].includes(node.parentNode?.localName)) continue;
+
+        const families = (getInheritedStyle(node.parentNode, "font-family") || "").split(",").map(name => name.trim().replace(/^['"]|['"]$/g, ""));
+        const family = families.map(name => webFonts.get(name.toLowerCase())).find(Boolean);
+        if (!family) continue;
+
+        const weight = getInheritedStyle(node.parentNode, "font-weight") || "normal";
+        const numericWeight = fontWeights[weight] ?? Math.min(900, Math.max(100, Math.round((parseInt(weight, 10) || 400) / 100) * 100));
+
+        if (!usage.has(family)) usage.set(family, { weights: new Set(), characters: new Set() });
+        usage.get(family).weights.add(numericWeight);
+        for (const character of node.data) {
+            if (character.trim()) usage.get(family).characters.add(character);
+        }
+    }
+
+    return usage;
+}
+
+/**
+ * Gets a style property of an element from its style attribute or presentation attribute, or else from its ancestors.
+ *
+ * @private
+ * @param {Element} element - The element.
+ * @param {string} property - The name of the property.
+ * @returns {string|null} The value, or null if no element sets the property.
+ */
+function getInheritedStyle(element, property) {
+    for (let current = element; current?.nodeType === 1; current = current.parentNode) {
+        const declaration = (current.getAttribute("style") || "").split(";")
+            .map(part => part.split(":"))
+            .find(([name]) => name?.trim().toLowerCase() === property);
+        const value = declaration ? declaration.slice(1).join(":").trim() : current.getAttribute(property);
+        if (value && value !== "inherit") return value;
+    }
+    return null;
+}
+
+/**
+ * Writes path data with fewer decimals and only the spaces needed between numbers.
+ * Path data that cannot be read is kept as it is.
+ *
+ * @private
+ * @param {string} data - The path data.
+ * @param {number} precision - The number of decimals to keep.
+ * @returns {string} The minified path data.
+ */
+function minifyPathData(data, precision) {
+    const numberPattern = /[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/y;
+    let result = "";
+    let index = 0;
+    let command = null;
+    let parameter = 0;
+    let previousNumber = false;
+
+    while (true) {
+        while (index < data.length && /[\s,]/.test(data[index])) index++;
+        if (index >= data.length) return result;
+
+        const character = data[index];
+        if (/[a-zA-Z]/.test(character)) {
+            command = character;
+            parameter = 0;
+            previousNumber = false;
+            result += character;
+            index++;
+            continue;
+        }
+        if (!command) return data;
+
+        // The large arc and sweep flags of arcs are single digits, which may be written without spaces
+        let value;
+        if ("Aa".includes(command) && (parameter % 7 === 3 || parameter % 7 === 4)) {
+            if (character !== "0" && character !== "1") return data;
+            value = character;
+            index++;
+        } else {
+            numberPattern.lastIndex = index;
+            const match = numberPattern.exec(data);
+            if (!match) return data;
+            value = formatNumber(Number(match[0]), precision);
+            index = numberPattern.lastIndex;
+        }
+
+        result += previousNumber && !value.startsWith("-") ? " " + value : value;
+        previousNumber = true;
+        parameter++;
+    }
+}
+
+/**
+ * Formats a number with at most the given number of decimals, without a leading zero before the decimal point.
+ *
+ * @private
+ * @param {number} value - The number.
+ * @param {number} precision - The number of decimals.
+ * @returns {string} The formatted number.
+ */
+function formatNumber(value, precision) {
+    const rounded = Number(value.toFixed(precision));
+    if (Object.is(rounded, -0) || rounded === 0) return "0";
+    return String(rounded).replace(/^(-?)0\./, "$1.");
+}
+
+/**
+ * Encodes bytes as base64.
+ *
+ * @private
+ * @param {Uint8Array} bytes - The bytes.
+ * @returns {string} The base64 text.
+ */
+function toBase64(bytes) {
+    let binary = "";
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
@@ -0,0 +1,416 @@
+import * as helpers from '../common.js?v=1.0.5';
+import * as config from '../config.js?v=1.0.5';
+
+/**
+ * Class representing the topology of a metro map: the order of the stations along each metroline
+ * and the graph of stations connected by the metrolines.
+ *
+ * The polylines of a metroline are chained into branches by joining the ends that meet. Every branch is
+ * walked from its first to its last point and the stations of the metroline are ordered by their position
+ * along it. Consecutive stations on a branch are neighbours. A branch starting or ending on another branch
+ * of the same metroline is connected to the stations on both sides of that junction.
+ * A station on more than one metroline is a single node in the graph, shared by these metrolines.
+ */
+export default class metromapTopology {
+    metromap; // Reference to the map object
+
+    branches = new Map(); // Ordered stations per branch, per metroline
+    runs = new Map(); // Points of every run with the positions of its stations, per metroline
+    neighbours = new Map(); // Neighbouring stations per station, with the metrolines connecting them
+
+    /**
+     * Constructor for metromapTopology.
+     * @param {Object} map - Reference to the metro map object.
+     */
+    constructor(map) {
+        this.metromap = map;
+        this.build();
+    }
+
+    // BUILDING
+
+    /**
+     * Builds the station order of all metrolines and the graph of neighbouring stations.
+     */
+    build() {
+        this.branches.clear();
+        this.runs.clear();
+        this.neighbours.clear();
+        this.metromap.stations.forEach(station => this.neighbours.set(station, new Map()));
+
+        this.metromap.lines.forEach(metroline => {
+            const runs = this.chainPolylines(metroline);
+            const sequences = this.orderStations(metroline, runs);
+            this.branches.set(metroline, sequences.filter(sequence => sequence.length > 0).map(sequence => sequence.map(entry => entry.station)));
+            this.runs.set(metroline, runs.map((points, index) => ({ points, stations: sequences[index] })));
+
+            // Consecutive stations along a branch
+            sequences.forEach(sequence => {
+                for (let i = 0; i < sequence.length - 1; i++) {
+                    this.connect(sequence[i].station, sequence[i + 1].station, metroline);
+                }
+            });
+
+            // Branches starting or ending on another branch
+            runs.forEach((run, index) => {
+                if (sequences[index].length === 0) return;
+                const ends = [
+                    { point: run[0], station: sequences[index][0].station },
+                    { point: run[run.length - 1], station: sequences[index][sequences[index].length - 1].station }
+                ];
+
+                ends.forEach(({ point, station }) => {
+                    const junction = this.findJunction(point, runs, index);
+                    if (!junction) return;
+                    this.getStationsAround(sequences[junction.run], junction.position)
+                        .forEach(neighbour => this.connect(station, neighbour, metroline));
+                });
+            });
+        });
+    }
+
+    /**
+     * Chains the polylines of a metroline into runs of points, joining polylines whose ends meet.
+     * Runs start at an end no other polyline connects to where possible.
+     * @param {Object} metroline - The metroline.
+     * @returns {Array<Array<Object>>} The runs, each an array of points with x and y.
+     */
+    chainPolylines(metroline) {
+        const tolerance = config.applicationConfig.toleranceMetrolineDetection;
+        const meets = (a, b) => Math.hypot(a.x - b.x, a.y - b.y) < tolerance;
+
+        const pieces = metroline.getLines()
+            .filter(polyline => polyline.getAttribute("points")?.trim())
+            .map(polyline => metroline.getPoints(polyline))
+            .filter(points => points.length >= 2 && points.every(point => Number.isFinite(point.x) && Number.isFinite(point.y)));
+        const ends = pieces.flatMap(points => [points[0], points[points.length - 1]]);
+        const isLoose = point => ends.filter(end => meets(end, point)).length === 1;
+
+        const runs = [];
+        const unused = new Set(pieces);
+        while (unused.size > 0) {
+            // Prefer a piece with a loose end to start from
+            let start = [...unused].find(points => isLoose(points[0]) || isLoose(points[points.length - 1])) || unused.values().next().value;
+            unused.delete(start);
+            if (!isLoose(start[0]) && isLoose(start[start.length - 1])) start = [...start].reverse();
+
+            // Follow the pieces connected to the end of the run
+            const run = [...start];
+            let next;
+            do {
+                const end = run[run.length - 1];
+                next = [...unused].find(points => meets(points[0], end) || meets(points[points.length - 1], end));
+                if (next) {
+                    unused.delete(next);
+                    const points = meets(next[0], end) ? next : [...next].reverse();
+                    run.push(...points.slice(1));
+                }
+            } while (next);
+
+            runs.push(run);
+        }
+
+        return runs;
+    }
+
+    /**
+     * Orders the stations of a metroline along its runs. Each station is placed on the run it is closest to.
+     * @param {Object} metroline - The metroline.
+     * @param {Array<Array<Object>>} runs - The runs as returned by `chainPolylines`.
+     * @returns {Array<Array<Object>>} Per run the stations (`station`) ordered by their `position` along the run.
+     */
+    orderStations(metroline, runs) {
+        const sequences = runs.map(() => []);
+
+        this.metromap.stations
+            .filter(station => station.getMetrolines().includes(metroline))
+            .forEach(station => {
+                const position = station.getPosition();
+                let closest = null;
+                runs.forEach((run, index) => {
+                    const projection = helpers.projectPointOnPolyline(position, run);
+                    if (projection && (!closest || projection.distance < closest.distance)) {
+                        closest = { ...projection, run: index };
+                    }
+                });
+
+                if (closest && closest.distance <= this.getReach(station)) {
+                    sequences[closest.run].push({ station, position: closest.position });
+                }
+            });
+
+        sequences.forEach(sequence => sequence.sort((a, b) => a.position - b.position));
+        return sequences;
+    }
+
+    /**
+     * Gets the largest distance between a station and a metroline it serves.
+     * A connection station spans the metrolines drawn next to each other in a corridor.
+     * @param {Object} station - The station.
+     * @returns {number} The distance in pixels.
+     */
+    getReach(station) {
+        const tolerance = config.applicationConfig.toleranceMetrolineDetection;
+        if (station.getShape() !== "connection") return tolerance;
+        return tolerance + Math.max(Number(station.getWidth()) || 1, 1) * config.metrolineConfig.bundleSpacing;
+    }
+
+    /**
+     * Finds where the end of a run lies on another run of the same metroline.
+     * @param {Object} point - The end point of the run, with x and y.
+     * @param {Array<Array<Object>>} runs - All runs of the metroline.
+     * @param {number} runIndex - The index of the run the point belongs to.
+     * @returns {Object|null} The index of the other `run` and the `position` along it, or null if the end is loose.
+     */
+    findJunction(point, runs, runIndex) {
+        const tolerance = config.applicationConfig.toleranceMetrolineDetection;
+        for (let index = 0; index < runs.length; index++) {
+            if (index === runIndex) continue;
+            const projection = helpers.projectPointOnPolyline(point, runs[index]);
+            if (projection && projection.distance < tolerance) {
+                return { run: index, position: projection.position };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Gets the stations of a run on both sides of a position, or the station at the position itself.
+     * @param {Array<Object>} sequence - The ordered stations of the run.
+     * @param {number} position - The position along the run.
+     * @returns {Array<Object>} The stations next to the position.
+     */
+    getStationsAround(sequence, position) {
+        const tolerance = config.applicationConfig.toleranceMetrolineDetection;
+        const atPosition = sequence.find(entry => Math.abs(entry.position - position) < tolerance);
+        if (atPosition) return [atPosition.station];
+
+        const before = sequence.filter(entry => entry.position < position).pop();
+        const after = sequence.find(entry => entry.position > position);
+        return [before, after].filter(Boolean).map(entry => entry.station);
+    }
+
+    /**
+     * Connects two stations in the graph.
+     * @param {Object} stationA - The first station.
+     * @param {Object} stationB - The second station.
+     * @param {Object} metroline - The metroline connecting the stations.
+     */
+    connect(stationA, stationB, metroline) {
+        if (stationA === stationB) return;
+
+        [[stationA, stationB], [stationB, stationA]].forEach(([from, to]) => {
+            if (!this.neighbours.has(from)) this.neighbours.set(from, new Map());
+            const links = this.neighbours.get(from);
+            if (!links.has(to)) links.set(to, new Set());
+            links.get(to).add(metroline);
+        });
+    }
+
+    // QUERIES
+
+    /**
+     * Gets the stations of a metroline in the order they are passed along the line.
+     * The stations of a branching metroline are listed branch after branch.
+     * @param {Object} metroline - The metroline.
+     * @returns {Array<Object>} The ordered stations.
+     */
+    getSequence(metroline) {
+        return this.getBranches(metroline).flat();
+    }
+
+    /**
+     * Gets the stations of a metroline per branch, in the order they are passed along each branch.
+     * @param {Object} metroline - The metroline.
+     * @returns {Array<Array<Object>>} The ordered stations per branch.
+     */
+    getBranches(metroline) {
+        return this.branches.get(metroline) || [];
+    }
+
+    /**
+     * Gets the stations directly connected to a station.
+     * @param {Object} station - The station.
+     * @param {Object} [metroline=null] - Only follow this metroline, or all metrolines when null.
+     * @returns {Array<Object>} The neighbouring stations.
+     */
+    getNeighbours(station, metroline = null) {
+        const links = this.neighbours.get(station);
+        if (!links) return [];
+        return [...links.entries()]
+            .filter(([, metrolines]) => !metroline || metrolines.has(metroline))
+            .map(([neighbour]) => neighbour);
+    }
+
+    /**
+     * Gets the parts of a metroline that lead up to some of its stations: every run is followed from its start
+     * to the furthest of these stations on it. Runs without any of these stations are left out.
+     * @param {Object} metroline - The metroline.
+     * @param {Array<Object>} stations - The stations to draw the metroline up to.
+     * @returns {Array<Array<Object>>} The parts of the runs, each an array of points with x and y.
+     */
+    getRunsUpTo(metroline, stations) {
+        return (this.runs.get(metroline) || [])
+            .map(({ points, stations: entries }) => {
+                const reached = entries.filter(entry => stations.includes(entry.station));
+                if (reached.length === 0) return null;
+                return helpers.cutPolyline(points, Math.max(...reached.map(entry => entry.position)));
+            })
+            .filter(Boolean);
+    }
+
+    /**
+     * Gets the parts of a metroline between some of its stations: every run is followed from the first
+     * to the last of these stations on it. Runs with fewer than two of these stations are left out.
+     * @param {Object} metroline - The metroline.
+     * @param {Array<Object>} stations - The stations to draw the metroline between.
+     * @returns {Array<Array<Object>>} The parts of the runs, each an array of points with x and y.
+     */
+    getRunsBetween(metroline, stations) {
+        return (this.runs.get(metroline) || [])
+            .map(({ points, stations: entries }) => {
+                const positions = entries.filter(entry => stations.includes(entry.station)).map(entry => entry.position);
+                if (positions.length < 2) return null;
+
+                // Cut the run after the last station, then cut that part from its end back to the first station
+                const from = Math.min(...positions);
+                const to = Math.max(...positions);
+                const upTo = helpers.cutPolyline(points, to);
+                return helpers.cutPolyline([...upTo].reverse(), to - from).reverse();
+            })
+            .filter(Boolean);
+    }
+
+    /**
+     * Gets the metrolines of a station that take part in the graph.
+     * @param {Object} station - The station.
+     * @returns {Array<Object>} The metrolines passing the station.
+     */
+    getMetrolinesOfStation(station) {
+        return [...this.branches.entries()]
+            .filter(([, branches]) => branches.some(branch => branch.includes(station)))
+            .map(([metroline]) => metroline);
+    }
+
+    /**
+     * Checks if a station is shared by more than one metroline.
+     * @param {Object} station - The station.
+     * @returns {boolean} True for a transfer station.
+     */
+    isTransferStation(station) {
+        return this.getMetrolinesOfStation(station).length > 1;
+    }
+
+    // ROUTES
+
+    /**
+     * Finds the route between two stations with the fewest stops, or with the fewest transfers.
+     * Ties are broken by the other criterion: the fewest transfers among routes with as many stops, and the other way around.
+     * @param {Object} from - The station to start from.
+     * @param {Object} to - The station to travel to.
+     * @param {Object} [options] - Route options.
+     * @param {boolean} [options.minimiseTransfers=false] - Prefer routes with fewer transfers over routes with fewer stops.
+     * @returns {Object|null} The route, with the travelled `stations`, the `legs` ridden on one metroline each
+     *                        (`metroline` and `stations`) and the number of `transfers`. Null if the stations are not connected.
+     */
+    findRoute(from, to, { minimiseTransfers = false } = {}) {
+        if (!this.neighbours.has(from) || !this.neighbours.has(to)) return null;
+        if (from === to) return { stations: [from], legs: [], transfers: 0 };
+
+        // Costs are compared as [transfers, stops] or [stops, transfers]
+        const compare = (a, b) => minimiseTransfers
+            ? (a.transfers - b.transfers) || (a.stops - b.stops)
+            : (a.stops - b.stops) || (a.transfers - b.transfers);
+
+        // Search over states of a station reached on a metroline
+        const key = (station, metroline) => `${this.metromap.stations.indexOf(station)}|${metroline ? metroline.getId() : ""}`;
+        const start = { station: from, metroline: null, stops: 0, transfers: 0, previous: null };
+        const open = new Map([[key(from, null), start]]);
+        const done = new Set();
+        let arrival = null;
+
+        while (open.size > 0) {
+            // Continue from the cheapest state
+            const [currentKey, current] = [...open.entries()].reduce((best, entry) => compare(entry[1], best[1]) < 0 ? entry : best);
+            open.delete(currentKey);
+            done.add(currentKey);
+
+            if (current.station === to) {
+                arrival = current;
+                break;
+            }
+
+            this.neighbours.get(current.station).forEach((metrolines, neighbour) => {
+                metrolines.forEach(metroline => {
+                    const nextKey = key(neighbour, metroline);
+                    if (done.has(nextKey)) return;
+
+                    const next = {
+                        station: neighbour,
+                        metroline,
+                        stops: current.stops + 1,
+                        transfers: current.transfers + (current.metroline && current.metroline !== metroline ? 1 : 0),
+                        previous: current
+                    };
+                    const known = open.get(nextKey);
+                    if (!known || compare(next, known) < 0) open.set(nextKey, next);
+                });
+            });
+        }
+
+        if (!arrival) return null;
+
+        // Walk back and split the route into legs per metroline
+        const states = [];
+        for (let state = arrival; state; state = state.previous) states.unshift(state);
+
+        const legs = [];
+        states.slice(1).forEach((state, index) => {
+            const leg = legs[legs.length - 1];
+            if (leg && leg.metroline === state.metroline) {
+                leg.stations.push(state.station);
+            } else {
+                legs.push({ metroline: state.metroline, stations: [states[index].station, state.station] });
+            }
+        });
+
+        return {
+            stations: states.map(state => state.station),
+            legs,
+            transfers: arrival.transfers
+        };
+    }
+
+    // EXPORT
+
+    /**
+     * Generates a JSON object of the topology. Stations are referenced by their index in `stations`,
+     * the same order as the stations in `metromap.toJSON()`.
+     * @param {Array<Object>} [stations] - The stations of the map.
+     * @returns {Object} The ordered stations per branch of each metroline, the edges of the graph and the transfer stations.
+     */
+    toJSON(stations = this.metromap.stations) {
+        const indexOf = station => stations.indexOf(station);
+
+        const edges = [];
+        this.neighbours.forEach((links, station) => {
+            links.forEach((metrolines, neighbour) => {
+                if (indexOf(station) < indexOf(neighbour)) {
+                    edges.push({
+                        stations: [indexOf(station), indexOf(neighbour)],
+                        metroLines: [...metrolines].map(metroline => metroline.getId()),
+                    });
+                }
+            });
+        });
+
+        return {
+            metroLines: [...this.branches.entries()].map(([metroline, branches]) => ({
+                metroLineId: metroline.getId(),
+                branches: branches.map(branch => branch.map(indexOf)),
+            })),
+            edges,
+            transfers: stations.filter(station => this.isTransferStation(station)).map(indexOf),
+        };
+    }
+}
@@ -146,6 +146,8 @@ export function enableInlineTextEditing(textElement, options = {}) {
     } catch (error) {
       console.error("Error saving text changes:", error);
     } finally {
+      // Finish the undo step before the editor is removed
+      stateManager?.commitState();
       cleanup();
     }
   };
@@ -831,6 +833,22 @@ export function lineIntersectsLine(p1, p2, q1, q2) {
   return 0 <= lambda && lambda <= 1 && 0 <= gamma && gamma <= 1;
 }
 
+/**
+ * Determines if two polygons overlap, either because their edges cross or because one lies inside the other.
+ *
+ * @param {Array<Object>} a - The vertices of the first polygon, each with `x` and `y` properties.
+ * @param {Array<Object>} b - The vertices of the second polygon, each with `x` and `y` properties.
+ * @returns {boolean} - Returns `true` if the polygons overlap, otherwise `false`.
+ */
+export function polygonsIntersect(a, b) {
+  for (let i = 0; i < a.length; i++) {
+      for (let j = 0; j < b.length; j++) {
+          if (lineIntersectsLine(a[i], a[(i + 1) % a.length], b[j], b[(j + 1) % b.length])) return true;
+      }
+  }
+  return pointInPolygon(a[0], b) || pointInPolygon(b[0], a);
+}
+
 /**
  * Calculates the vertices of a rotated rectangle.
  *
@@ -886,6 +904,200 @@ export function samplePointsOnPolygonEdges(vertices, step) {
   return sampledPoints;
 }
 
+/**
+ * Builds the path data of a polyline with rounded corners.
+ * Each bend is replaced by a circular arc that touches both segments. The radius is reduced
+ * at bends where the segments are too short, so neighbouring arcs never overlap.
+ *
+ * @param {Array<Object>} points - The points of the polyline, each with `x` and `y` properties.
+ * @param {number} radius - The corner radius.
+ * @returns {string} - The value for the `d` attribute of a path element.
+ */
+export function roundedPolylinePath(points, radius) {
+  if (points.length === 0) return "";
+
+  const commands = [`M ${points[0].x} ${points[0].y}`];
+
+  for (let i = 1; i < points.length - 1; i++) {
+      const previous = points[i - 1];
+      const corner = points[i];
+      const next = points[i + 1];
+
+      // Unit vectors along both segments
+      const lengthIn = Math.hypot(corner.x - previous.x, corner.y - previous.y);
+      const lengthOut = Math.hypot(next.x - corner.x, next.y - corner.y);
+      if (lengthIn === 0 || lengthOut === 0) continue;
+      const inX = (corner.x - previous.x) / lengthIn;
+      const inY = (corner.y - previous.y) / lengthIn;
+      const outX = (next.x - corner.x) / lengthOut;
+      const outY = (next.y - corner.y) / lengthOut;
+
+      // Straight on, turning back or no radius, no arc possible
+      const cross = inX * outY - inY * outX;
+      const dot = inX * outX + inY * outY;
+      if (Math.abs(cross) < 1e-9 || radius <= 0) {
+          commands.push(`L ${corner.x} ${corner.y}`);
+          continue;
+      }
+
+      // Distance from the corner to where the arc touches the segments, at most half of each segment
+      const turn = Math.atan2(Math.abs(cross), dot);
+      const tangent = Math.min(radius * Math.tan(turn / 2), lengthIn / 2, lengthOut / 2);
+      const arcRadius = tangent / Math.tan(turn / 2);
+
+      const round = (value) => Math.round(value * 100) / 100;
+      commands.push(`L ${round(corner.x - inX * tangent)} ${round(corner.y - inY * tangent)}`);
+      commands.push(`A ${round(arcRadius)} ${round(arcRadius)} 0 0 ${cross > 0 ? 1 : 0} ${round(corner.x + outX * tangent)} ${round(corner.y + outY * tangent)}`);
+  }
+
+  if (points.length > 1) {
+      const last = points[points.length - 1];
+      commands.push(`L ${last.x} ${last.y}`);
+  }
+
+  return commands.join(" ");
+}
+
+/**
+ * Determines the side to which metrolines sharing a corridor are moved.
+ * The side only depends on the direction of the corridor, not on the direction a line was drawn in,
+ * and matches the direction in which connection stations are drawn: up for horizontal corridors,
+ * right for vertical corridors and up or down to the right for diagonal corridors.
+ *
+ * @param {Object} start - The start point of the corridor, with `x` and `y` properties.
+ * @param {Object} end - The end point of the corridor, with `x` and `y` properties.
+ * @returns {Object|null} - The unit vector perpendicular to the corridor, or null if start and end are equal.
+ */
+export function getCorridorNormal(start, end) {
+  const length = Math.hypot(end.x - start.x, end.y - start.y);
+  if (length === 0) return null;
+
+  let normal = { x: -(end.y - start.y) / length, y: (end.x - start.x) / length };
+  if (normal.x < -1e-9 || (Math.abs(normal.x) <= 1e-9 && normal.y > 0)) {
+      normal = { x: -normal.x, y: -normal.y };
+  }
+  return normal;
+}
+
+/**
+ * Calculates the points of a polyline whose edges are moved sideways.
+ * Where two moved edges meet at a bend the new corner is where both moved edges cross. Where a straight
+ * edge changes its offset, the line steps over to the new offset at an angle of 45 degrees.
+ *
+ * @param {Array<Object>} edges - Consecutive edges, each with `start`, `end` and `offset` points (`x` and `y` properties).
+ * @returns {Array<Object>} - The points of the moved polyline, each with `x` and `y` properties.
+ */
+export function offsetPolylinePoints(edges) {
+  if (edges.length === 0) return [];
+
+  const shift = (point, offset) => ({ x: point.x + offset.x, y: point.y + offset.y });
+  const points = [shift(edges[0].start, edges[0].offset)];
+
+  for (let i = 0; i < edges.length - 1; i++) {
+      const current = edges[i];
+      const next = edges[i + 1];
+      const currentStart = shift(current.start, current.offset);
+      const currentEnd = shift(current.end, current.offset);
+      const nextStart = shift(next.start, next.offset);
+      const nextEnd = shift(next.end, next.offset);
+
+      // Same offset on both sides of the vertex
+      if (Math.abs(currentEnd.x - nextStart.x) < 1e-9 && Math.abs(currentEnd.y - nextStart.y) < 1e-9) {
+          points.push(currentEnd);
+          continue;
+      }
+
+      // Bend, continue where the moved edges cross
+      const det = (currentEnd.x - currentStart.x) * (nextEnd.y - nextStart.y) - (currentEnd.y - currentStart.y) * (nextEnd.x - nextStart.x);
+      if (Math.abs(det) > 1e-9) {
+          const lambda = ((nextStart.x - currentStart.x) * (nextEnd.y - nextStart.y) - (nextStart.y - currentStart.y) * (nextEnd.x - nextStart.x)) / det;
+          points.push({
+              x: currentStart.x + lambda * (currentEnd.x - currentStart.x),
+              y: currentStart.y + lambda * (currentEnd.y - currentStart.y)
+          });
+          continue;
+      }
+
+      // Straight on with another offset, step over diagonally within the next edge
+      const length = Math.hypot(next.end.x - next.start.x, next.end.y - next.start.y);
+      const step = Math.min(Math.hypot(next.offset.x - current.offset.x, next.offset.y - current.offset.y), length / 2);
+      points.push(currentEnd, {
+          x: nextStart.x + (next.end.x - next.start.x) / length * step,
+          y: nextStart.y + (next.end.y - next.start.y) / length * step
+      });
+  }
+
+  const last = edges[edges.length - 1];
+  points.push(shift(last.end, last.offset));
+  return points;
+}
+
+
+/**
+ * Finds the point on a polyline closest to a given point.
+ *
+ * @param {Object} point - The point to project, with `x` and `y` properties.
+ * @param {Array<Object>} points - The points of the polyline, each with `x` and `y` properties.
+ * @returns {Object|null} - The closest point (`x`, `y`), its `distance` to the given point and its `position`,
+ *                          the distance measured along the polyline from its first point. Null for an empty polyline.
+ */
+export function projectPointOnPolyline(point, points) {
+  if (points.length === 0) return null;
+
+  let closest = { x: points[0].x, y: points[0].y, distance: Math.hypot(point.x - points[0].x, point.y - points[0].y), position: 0 };
+  let travelled = 0;
+
+  for (let i = 0; i < points.length - 1; i++) {
+      const start = points[i];
+      const end = points[i + 1];
+      const dx = end.x - start.x;
+      const dy = end.y - start.y;
+      const length = Math.hypot(dx, dy);
+      if (length === 0) continue;
+
+      const t = Math.max(0, Math.min(1, ((point.x - start.x) * dx + (point.y - start.y) * dy) / (length * length)));
+      const x = start.x + t * dx;
+      const y = start.y + t * dy;
+      const distance = Math.hypot(point.x - x, point.y - y);
+      if (distance < closest.distance) {
+          closest = { x, y, distance, position: travelled + t * length };
+      }
+      travelled += length;
+  }
+
+  return closest;
+}
+
+/**
+ * Cuts a polyline at a distance measured along it from its first point.
+ *
+ * @param {Array<Object>} points - The points of the polyline, each with `x` and `y` properties.
+ * @param {number} length - The distance along the polyline to cut at.
+ * @returns {Array<Object>} - The points of the polyline up to the cut, ending with the point at the cut.
+ */
+export function cutPolyline(points, length) {
+  if (points.length === 0) return [];
+
+  const cut = [{ x: points[0].x, y: points[0].y }];
+  let travelled = 0;
+
+  for (let i = 0; i < points.length - 1; i++) {
+      const start = points[i];
+      const end = points[i + 1];
+      const segmentLength = Math.hypot(end.x - start.x, end.y - start.y);
+
+      if (travelled + segmentLength >= length) {
+          const t = segmentLength === 0 ? 0 : (length - travelled) / segmentLength;
+          cut.push({ x: start.x + t * (end.x - start.x), y: start.y + t * (end.y - start.y) });
+          return cut;
+      }
+
+      cut.push({ x: end.x, y: end.y });
+      travelled += segmentLength;
+  }
+
+  return cut;
+}
 
 /**
  * Removes polyline elements without valid coordinates (points) from SVG content.
@@ -961,6 +1173,226 @@ export function sanitizeMapContent(content) {
     }
 }
 
+//############################################################################################
+// ## STATION DATES
+//
+
+/**
+ * Parses a structured station date: a day ("2025-03-14") or a day with a time ("2025-03-14T09:30").
+ * Seconds, as added by some date pickers, are ignored.
+ *
+ * @param {string} value - The date in ISO format.
+ * @returns {Object|null} - The parsed `date` and whether it `hasTime`, or `null` if the value is empty or not a valid date.
+ */
+export function parseStationDate(value) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})(?:T(\d{2}):(\d{2})(?::\d{2}(?:\.\d+)?)?)?$/.exec(String(value ?? "").trim());
+  if (!match) return null;
+
+  const [year, month, day, hours = 0, minutes = 0] = match.slice(1).map(part => part === undefined ? undefined : Number(part));
+  const date = new Date(2000, month - 1, day, hours, minutes);
+  date.setFullYear(year); // Also years before 100
+
+  // Reject days that do not exist, like the 31st of April
+  if (date.getMonth() !== month - 1 || date.getDate() !== day || hours > 23 || minutes > 59) return null;
+
+  return { date, hasTime: match[4] !== undefined };
+}
+
+/**
+ * Brings a structured station date in the form it is stored in: "YYYY-MM-DD" or "YYYY-MM-DDTHH:mm".
+ *
+ * @param {string} value - The date in ISO format.
+ * @returns {string} - The stored form of the date, or an empty string if the value is empty or not a valid date.
+ */
+export function normalizeStationDate(value) {
+  const parsed = parseStationDate(value);
+  if (!parsed) return "";
+  return String(value).trim().slice(0, parsed.hasTime ? 16 : 10);
+}
+
+/**
+ * Checks a structured date range of a station. The start can be left empty to clear the range,
+ * the end is optional but can not be before the start.
+ *
+ * @param {string} start - The start of the range in ISO format, or an empty string.
+ * @param {string} [end=""] - The end of the range in ISO format, or an empty string.
+ * @returns {boolean} - True if the range is valid.
+ */
+export function isValidStationDateRange(start, end = "") {
+  if (!start) return !end;
+
+  const from = parseStationDate(start);
+  if (!from) return false;
+  if (!end) return true;
+
+  const to = parseStationDate(end);
+  return !!to && to.date >= from.date;
+}
+
+/**
+ * Gets the locale station dates are written in: the language of the interface,
+ * or the default language when the interface is not translated (for example in an embedded map).
+ *
+ * @returns {string} - The locale.
+ */
+export function getStationDateLocale() {
+  return globalThis.i18next?.language || config.applicationConfig.defaultLanguage;
+}
+
+/**
+ * Writes a structured station date or date range in a locale, in the style of the free text dates
+ * of stations: "Monday 1 January 2000 | 09:00". A range on one day only adds its end time,
+ * a range of whole days is written as short as the locale allows.
+ *
+ * @param {string} start - The start in ISO format.
+ * @param {string} [end=""] - The end in ISO format, or an empty string for a single date.
+ * @param {string} [locale=getStationDateLocale()] - The locale to write the date in.
+ * @returns {string} - The written date, or an empty string if the start is not a valid date.
+ */
+export function formatStationDate(start, end = "", locale = getStationDateLocale()) {
+  const from = parseStationDate(start);
+  if (!from) return "";
+  const to = parseStationDate(end);
+
+  let formats;
+  try {
+    formats = createStationDateFormats(locale);
+  } catch (error) {
+    // Unknown locales fall back to the default language
+    formats = createStationDateFormats(config.applicationConfig.defaultLanguage);
+  }
+  const { day, time, range } = formats;
+  const write = ({ date, hasTime }) => hasTime ? `${day.format(date)} | ${time.format(date)}` : day.format(date);
+
+  let text;
+  if (!to || to.date.getTime() === from.date.getTime()) {
+    text = write(from);
+  } else if (from.date.toDateString() === to.date.toDateString()) {
+    text = from.hasTime && to.hasTime ? `${write(from)} – ${time.format(to.date)}` : write(from);
+  } else if (!from.hasTime && !to.hasTime && typeof range.formatRange === "function") {
+    text = range.formatRange(from.date, to.date);
+  } else {
+    text = `${write(from)} – ${write(to)}`;
+  }
+
+  return text.charAt(0).toLocaleUpperCase(day.resolvedOptions().locale) + text.slice(1);
+}
+
+// Month names of the interface languages, written out and shortened, for reading free text dates
+const stationDateMonths = (() => {
+  const names = [
+    ["januari", "februari", "maart", "april", "mei", "juni", "juli", "augustus", "september", "oktober", "november", "december"],
+    ["january", "february", "march", "april", "may", "june", "july", "august", "september", "october", "november", "december"],
+    ["januar", "februar", "märz", "april", "mai", "juni", "juli", "august", "september", "oktober", "november", "dezember"],
+    ["enero", "febrero", "marzo", "abril", "mayo", "junio", "julio", "agosto", "septiembre", "octubre", "noviembre", "diciembre"],
+    ["janvier", "février", "mars", "avril", "mai", "juin", "juillet", "août", "septembre", "octobre", "novembre", "décembre"],
+  ];
+  const months = new Map([["mrt", 3], ["sept", 9]]);
+  const ambiguous = new Set();
+  names.forEach(language => language.forEach((name, index) => {
+    months.set(name, index + 1);
+    const short = name.slice(0, 3);
+    if (months.has(short) && months.get(short) !== index + 1) ambiguous.add(short);
+    months.set(short, index + 1);
+  }));
+  ambiguous.forEach(short => months.delete(short));
+  return months;
+})();
+
+// Dates in free text: a range of days in one year ("1 - 3 mei 2025", "1 mei - 3 juni 2025"), ISO, numeric day-month-year,
+// day with month name and month name with day (English)
+const stationDateTextPattern = new RegExp([
+  "(?<rangeDay>\\d{1,2})\\.?(?:\\s+(?<rangeMonth>\\p{L}+)\\.?)?\\s*[-–]\\s*(?<rangeEndDay>\\d{1,2})\\.?\\s+(?<rangeEndMonth>\\p{L}+)\\.?,?\\s+(?<rangeYear>\\d{4})",
+  "(?<isoYear>\\d{4})-(?<isoMonth>\\d{1,2})-(?<isoDay>\\d{1,2})",
+  "(?<numericDay>\\d{1,2})[-/.](?<numericMonth>\\d{1,2})[-/.](?<numericYear>\\d{4})",
+  "(?<day>\\d{1,2})(?:st|nd|rd|th|er)?\\.?\\s+(?:de\\s+)?(?<monthName>\\p{L}+)\\.?,?\\s+(?:de\\s+)?(?<year>\\d{4})",
+  "(?<monthFirst>\\p{L}+)\\.?\\s+(?<dayAfter>\\d{1,2})(?:st|nd|rd|th)?,?\\s+(?<yearAfter>\\d{4})",
+].join("|"), "giu");
+
+/**
+ * Reads a date or date range from the free text date of a station, such as "Maandag 1 januari 2000 | 09:00 - 12:00",
+ * "3 March 2025", "1 - 3 mei 2025", "14-03-2025 10.00" or "2025-03-14". Month names are read in the languages of the interface.
+ * A second date in the text is the end of the range, times after the dates are the start and end times.
+ * A text with a day and month that is not part of a date read, such as a date without year, is not read at all,
+ * rather than leaving out part of the range.
+ *
+ * @param {string} text - The free text date.
+ * @returns {Object|null} - The `start` and `end` in the form of structured station dates (the end can be empty),
+ * or `null` if no date was found.
+ */
+export function parseStationDateText(text) {
+  const value = String(text ?? "");
+  const days = [];
+  let rest = value;
+
+  for (const match of value.matchAll(stationDateTextPattern)) {
+    const groups = match.groups;
+    const found = groups.rangeYear
+      ? [
+        toStationDay(groups.rangeYear, stationDateMonths.get((groups.rangeMonth ?? groups.rangeEndMonth).toLocaleLowerCase()), groups.rangeDay),
+        toStationDay(groups.rangeYear, stationDateMonths.get(groups.rangeEndMonth.toLocaleLowerCase()), groups.rangeEndDay),
+      ]
+      : [toStationDay(...(groups.isoYear
+        ? [groups.isoYear, groups.isoMonth, groups.isoDay]
+        : groups.numericYear
+          ? [groups.numericYear, groups.numericMonth, groups.numericDay]
+          : [groups.year ?? groups.yearAfter, stationDateMonths.get((groups.monthName ?? groups.monthFirst).toLocaleLowerCase()), groups.day ?? groups.dayAfter]))];
+    if (found.some(day => !day)) continue;
+
+    days.push(...found);
+    rest = rest.replace(match[0], " ");
+    if (days.length >= 2) break;
+  }
+  if (days.length === 0 || days.length > 2) return null;
+
+  // A day with a month name left in the text is a date that could not be read, such as one without year
+  const leftover = [...rest.matchAll(/(\d{1,2})\.?\s+(\p{L}+)|(\p{L}+)\.?\s+(\d{1,2})(?!\d)/gu)]
+    .some(([, , monthAfter, monthBefore]) => stationDateMonths.has((monthAfter ?? monthBefore).toLocaleLowerCase()));
+  if (leftover) return null;
+
+  // Times are read from the text without the dates, so the dots of a date are not taken for a time
+  const times = [...rest.matchAll(/(?<!\d)([01]?\d|2[0-3])[:.hH]([0-5]\d)(?!\d)/g)]
+    .map(([, hours, minutes]) => `${hours.padStart(2, "0")}:${minutes}`);
+
+  const start = times[0] ? `${days[0]}T${times[0]}` : days[0];
+  let end = days[1] ?? "";
+  if (times[0] && times[1]) end = `${end || days[0]}T${times[1]}`;
+  else if (times[0] && end) end = `${end}T${times[0]}`;
+
+  return { start, end: isValidStationDateRange(start, end) ? end : "" };
+}
+
+/**
+ * Writes a day found in free text as structured station date.
+ *
+ * @private
+ * @param {string} year - The year.
+ * @param {string|number|undefined} month - The month, undefined when its name is not known.
+ * @param {string} day - The day of the month.
+ * @returns {string|null} - The day as "YYYY-MM-DD", or null if it is not a valid date.
+ */
+function toStationDay(year, month, day) {
+  if (!month) return null;
+  const value = `${year}-${String(month).padStart(2, "0")}-${String(day).padStart(2, "0")}`;
+  return parseStationDate(value) ? value : null;
+}
+
+/**
+ * Creates the formatters used to write station dates in a locale.
+ *
+ * @private
+ * @param {string} locale - The locale.
+ * @returns {Object} - Formatters for the `day`, the `time` and a `range` of days.
+ * @throws {RangeError} - If the locale is not valid.
+ */
+function createStationDateFormats(locale) {
+  return {
+    day: new Intl.DateTimeFormat(locale, { weekday: "long", day: "numeric", month: "long", year: "numeric" }),
+    time: new Intl.DateTimeFormat(locale, { hour: "2-digit", minute: "2-digit" }),
+    range: new Intl.DateTimeFormat(locale, { day: "numeric", month: "long", year: "numeric" }),
+  };
+}
+
 //############################################################################################
 // ## SPATIAL INDEXING FOR PERFORMANCE OPTIMIZATION
 //
@@ -1082,6 +1514,17 @@ export class SpatialGrid {
         this.totalSegments++;
     }
 
+    /**
+     * Adds a single point to the spatial index, such as the position of a station.
+     * `query` returns it as a segment without length, with the item in `segment.item`.
+     * 
+     * @param {Object} point - The point {x, y}
+     * @param {Object} item - The object at the point
+     */
+    addPoint(point, item) {
+        this.addSegment({ start: { x: point.x, y: point.y }, end: { x: point.x, y: point.y }, item }, item);
+    }
+
     /**
      * Removes a segment from the spatial index.
      * 
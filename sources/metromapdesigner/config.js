@@ -29,8 +29,11 @@ export let applicationConfig = {
         eraserTool: { cursor: "eraser" },
         stationEditTool: { cursor: "move" },
         moveTool: { cursor: "move" },
+        selectTool: { cursor: "select" },
       },
-      maxStateStackSize : 30,
+      maxStateStackSize : 500, // History entries only hold the changed elements, so this can be large
+      CLIPBOARD_FRAGMENT_TYPE: "metromapdesigner/fragment", // Marks map fragments on the clipboard
+      pasteOffset : 2, // Number of grid cells a pasted or duplicated fragment is moved
       toleranceMetrolineDetection : 10,
       appName: "MetroMap design studio",
       appVersion: "release 2026.1.26.1",
@@ -57,7 +60,9 @@ export let applicationConfig = {
         "style", "text-anchor", "transform", "version", "viewBox", "width", "x", "x1", "x2", "xmlns",
         "y", "y1", "y2", "xlink:href", "xmlns:xlink", "stationshapesize", "stationshapeorientation",
         "stationshapetype", "metrolineid", "stationorientation", "position", "dominant-baseline",
-        "version", "encoding", "metromapversion", "stationshapeorientation", "stationshapelinewidth"
+        "version", "encoding", "metromapversion", "stationshapeorientation", "stationshapelinewidth",
+        "cornerradius", "pointer-events", "linestyle", "linethickness", "paint-order",
+        "datestart", "dateend", "datetext", "schemaversion"
       ],
       uploadLink: "https://tools.smartmakersacademy.nl/sma_backend/sma_backend.php/uploadMetroMap",
       downloadBaseLink: "https://tools.smartmakersacademy.nl/metromapdesigner/?mc=",
@@ -67,7 +72,10 @@ export let applicationConfig = {
       // Editable element lookups (Sets for O(1) performance)
       EDITABLE_ELEMENT_IDS: new Set(["academyName", "titleText", "legenda", "legendaStations", "svgLogo"]),
       EDITABLE_TEXT_IDS: new Set(["academyName", "titleText1", "titleText2"]),
-      EDITABLE_TEXT_CLASSES: new Set(["metroLineName", "metroLineTargetGroup", "legendaStationItemSymbol", "legendaStationItemName", "legendaText", "legendaLineText"])
+      EDITABLE_TEXT_CLASSES: new Set(["metroLineName", "metroLineTargetGroup", "legendaStationItemSymbol", "legendaStationItemName", "legendaText", "legendaLineText"]),
+      // Editor-only elements, elements rendered from other elements and attributes that are never recorded in the undo history
+      HISTORY_IGNORED_SELECTOR: "#gridLayer, #debugLayer, #selectionLayer, #routeLayer, #presentationLayer, .resize-handles, .metrolineCurve, #metrolineCurveStyle, foreignObject",
+      HISTORY_IGNORED_ATTRIBUTES: new Set(["data-editing", "data-curved"])
 }
 
 export const gridConfig = {
@@ -78,9 +86,55 @@ export const gridConfig = {
   lineChangeDirectionMargin: 25
 };
 
+// Keyboard shortcuts, key combinations per action. `mod` is Ctrl, or Cmd on a Mac.
+export const keymapConfig = {
+    storageKey: "metromapdesigner.keymap", // Local storage key for shortcuts changed by the user
+    bindings: {
+        undo: ["mod+z"],
+        redo: ["mod+shift+z", "mod+y"],
+        copySelection: ["mod+c"],
+        pasteClipboard: ["mod+v"],
+        duplicateSelection: ["mod+d"],
+        deleteSelection: ["delete", "backspace"],
+        cancel: ["escape"],
+        finishDrawing: ["enter"],
+        togglePolylineMode: ["p"],
+        nudgeLeft: ["arrowleft"],
+        nudgeRight: ["arrowright"],
+        nudgeUp: ["arrowup"],
+        nudgeDown: ["arrowdown"],
+        selectTool: ["v"],
+        moveTool: ["m"],
+        eraserTool: ["e"],
+        textEditTool: ["t"],
+        stationEditTool: ["i"],
+        normalStationTool: ["s"],
+        startStationTool: ["b"],
+        endStationTool: ["n"],
+        connectionStationTool: ["c"],
+        metrolineColor1: ["1"],
+        metrolineColor2: ["2"],
+        metrolineColor3: ["3"],
+        metrolineColor4: ["4"],
+        metrolineColor5: ["5"],
+        metrolineColor6: ["6"],
+        metrolineColor7: ["7"],
+        metrolineColor8: ["8"],
+        metrolineColor9: ["9"],
+        metrolineColor10: ["0"],
+        showKeyboardShortcuts: ["?"],
+    },
+};
+
 export const metrolineConfig = {
   thickness: 20,
-  defaultColor: "rgb(240, 137, 0)"
+  defaultColor: "rgb(240, 137, 0)",
+  cornerRadius: 0, // Default corner radius of bends, 0 keeps sharp corners
+  cornerRadii: { none: 0, small: 10, medium: 20, large: 40 }, // Corner radii that can be chosen in the menu
+  bundleSpacing: 30, // Distance between metrolines sharing a corridor, matches the width of a connection station per line
+  lineStyles: ["solid", "dashed", "dotted", "double"], // Stroke styles of metrolines
+  doubleLineCore: { color: "white", ratio: 1 / 3 }, // Core drawn on top of double lines, ratio of the line thickness
+  thicknesses: { thin: 10, normal: 20, thick: 30 } // Line thicknesses that can be chosen in the menu
 };
 
 export const legendaConfig = {
@@ -100,11 +154,143 @@ export const legendaConfig = {
   textOffset : metrolineConfig.thickness * 0.25
 };
 
+export const routeConfig = {
+  dimOpacity: "0.15" // Opacity of metrolines and stations that are not part of a highlighted route
+};
+
+export const viewerConfig = {
+  openSharedMaps: true, // Open maps from a share link in viewer mode
+  editParameter: "edit", // URL parameter that opens a shared map in edit mode instead, e.g. ?mc=CODE&edit
+  panThreshold: 4, // Distance in pixels the mouse has to move before a press pans the canvas instead of clicking
+};
+
+export const presentationConfig = {
+  zoom: 1.8, // Zoom scale used to show the current station of a presentation
+};
+
+export const spreadsheetConfig = {
+  // Columns of exported tables, imported tables can have any of these columns in any order
+  columns: ["id", "name", "line", "targetGroup", "type", "date", "dateStart", "dateEnd", "description", "link", "x", "y"],
+  delimiter: ";", // Delimiter of exported tables, spreadsheet programs with a Dutch locale expect a semicolon
+  listSeparator: "; ", // Separates the metrolines of stations on more than one metroline
+  placementStep: 10, // Distance in pixels between the places tried for new stations along their metroline
+};
+
+export const pngConfig = {
+  defaultScale: 2, // Pixels per unit of the map
+  scales: [1, 2, 4, 8], // Scales to choose from in the PNG export
+  dpiOptions: [150, 300, 600], // Resolutions to choose from when exporting for a paper size
+  cropMargin: 20, // Margin around cropped content in units of the map
+  maximumDimension: 16384, // Maximum width and height of the image in pixels, the limit of most browsers
+  maximumPixels: 16777216, // Maximum number of pixels of the image, the limit of Safari and about 64 MB of pixel data
+};
+
+export const pdfConfig = {
+  pageSizes: { // Paper sizes in points (1/72 inch), portrait
+    A4: { width: 595.28, height: 841.89 },
+    A3: { width: 841.89, height: 1190.55 },
+    A2: { width: 1190.55, height: 1683.78 },
+    A1: { width: 1683.78, height: 2383.94 },
+    A0: { width: 2383.94, height: 3370.39 },
+    letter: { width: 612, height: 792 },
+  },
+  defaultPageSize: "A4",
+  defaultOrientation: "landscape", // "portrait" or "landscape"
+  margin: 28, // Margin around the map in points (about 1 cm)
+  imageResolution: 200, // Resolution of images on the map in dots per inch
+  maximumImageSize: 4096, // Maximum width and height of an image in pixels
+  producer: "MetroMap design studio", // Producer in the document information of exported files
+};
+
+export const posterConfig = {
+  pageSizes: ["A4", "A3"], // Paper sizes in pdfConfig.pageSizes that posters can be printed on
+  defaultPageSize: "A4",
+  defaultOrientation: "portrait", // "portrait" or "landscape"
+  defaultWidth: 100, // Width of the poster in centimeters
+  overlap: 10, // Overlap of neighbouring pages in millimeters, printed on both pages to tape them together
+  cropMarkLength: 12, // Length of crop marks in points
+  labelFontSize: 9, // Font size of the page coordinates in points
+  maximumPages: 100, // Maximum number of pages of a poster
+};
+
+export const publishConfig = {
+  fontCssUrl: "https://fonts.googleapis.com/css2", // Google Fonts API, which returns fonts with only the requested characters
+  webFonts: ["Poppins"], // Font families embedded in SVGs for publishing, other fonts are expected on the system
+  precision: 2, // Decimals kept in path data, points and transforms
+  designerAttributes: [ // Attributes only used by the designer, removed from SVGs for publishing
+    "stationshapetype", "stationshapesize", "stationshapeorientation", "stationshapelinewidth", "stationlinewidth",
+    "stationorientation", "metrolineid", "position", "cornerradius", "linestyle", "linethickness", "metromapversion",
+    "encoding", "datestart", "dateend", "datetext", "externaluniqueid", "pointer-events", "schemaversion",
+  ],
+};
+
+export const jsonConfig = {
+  overlayAttributes: [ // Attributes saved in JSON for the position and styling of images, texts and legends
+    "transform", "x", "y", "dx", "dy", "width", "height", "preserveAspectRatio", "opacity",
+    "fill", "font-family", "font-size", "font-weight", "text-anchor", "style",
+  ],
+};
+
+export const schemaConfig = {
+  version: 4, // Schema version of saved maps, the version of the last migration in classes/migrations.js
+  schemaUrl: "https://tools.smartmakersacademy.nl/metromapdesigner/schemas/metromap.schema.json", // JSON Schema of maps saved as JSON
+};
+
+export const autosaveConfig = {
+  databaseName: "metromapdesigner", // IndexedDB database of the autosaved maps
+  storeName: "sessions", // Object store with one autosaved map per page session
+  delay: 2000, // Milliseconds after a change before the map is saved, so a series of changes is saved once
+  interval: 30000, // Milliseconds between saves while there are changes that are not saved yet
+  retentionDays: 7, // Autosaved maps are removed when they were not saved for this number of days
+  historySize: 100, // Number of undo and redo steps saved with the map
+};
+
+export const calendarConfig = {
+  productId: "-//Smart Makers Academy//MetroMap design studio//NL", // PRODID of exported calendars
+  uidDomain: "tools.smartmakersacademy.nl", // Domain part of the UIDs of calendar events
+  defaultDuration: "PT1H", // Duration of stations with a start time but no end time
+};
+
+export const embedConfig = {
+  tagName: "metro-map", // Name of the custom element for embedding maps in other pages
+  defaultMapUrl: new URL("../defaultCanvas.svg", import.meta.url).href, // Empty map that JSON maps are loaded into
+  minimumWidth: 600, // Maps are not drawn narrower than this width in pixels, narrow pages can pan the map instead
+  dompurifyUrl: "https://cdnjs.cloudflare.com/ajax/libs/dompurify/3.2.6/purify.min.js", // Loaded when the page does not include DOMPurify
+  dompurifyIntegrity: "sha384-JEyTNhjM6R1ElGoJns4U2Ln4ofPcqzSsynQkmEc/KGy6336qAZl70tDLufbkla+3",
+  fontUrl: "https://fonts.googleapis.com/css2?family=Poppins:wght@400;600;700&display=swap",
+  stationTypeNames: { w: "Workshop", x: "Experience", e: "E-learning", o: "Online", b: "In-house", "*": "Other" }, // Station types shown in the station details
+};
+
+export const labelPlacementConfig = {
+  orientations: [315, 45, 0, 270, 135, 225, 180, 90], // Station orientations tried by the automatic label placement, in order of preference
+  margin: metrolineConfig.thickness / 2, // Space kept free around a label, half a metroline keeps labels off the lines
+  searchDistance: 400, // Distance from a station within which its label is looked for, the length of a long label
+};
+
+export const lintConfig = {
+  // Severity of every lint rule: "error", "warning" or "off"
+  rules: {
+    stationOffLine: "error",
+    emptyPolyline: "error",
+    orphanedPolyline: "warning",
+    orphanedLegendItem: "warning",
+    duplicateStationName: "warning",
+    lineWithoutTerminus: "warning",
+    overlappingStations: "error",
+    labelCollision: "warning",
+  },
+  minimumStationDistance: 20, // Stations closer to each other than this distance overlap
+  blockExportOnErrors: false, // Refuse to share or export maps with errors, can be changed in the problems panel
+  storageKey: "metromapdesigner.lint", // Local storage key for the choice to block exports
+};
+
 // Default station configuration
 export let stationDefaultConfig = {
         name : "Stationsnaam",
         type : "w",
         date : "Maandag 1 januari 2000 | 00:00",
+        dateStart : "", // Structured start of the station, "YYYY-MM-DD" or "YYYY-MM-DDTHH:mm", shown instead of the free text date
+        dateEnd : "", // Structured end of the station, in the same form as the start
         description : "beschrijving",
         link : "",
         metrolineid : "metrolinergb2401370",
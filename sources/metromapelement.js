@@ -0,0 +1,306 @@
+import MetroMapDesigner from './metromapdesigner/MetroMapDesigner.js?v=1.0.5';
+import * as config from './metromapdesigner/config.js?v=1.0.5';
+
+// Styles of the element, the map and the station details
+const elementStyles = `
+    :host { display: block; position: relative; font-family: Poppins, sans-serif; }
+    :host([hidden]) { display: none; }
+    .viewport { position: relative; overflow: auto; width: 100%; }
+    .viewport svg { display: block; width: 100%; height: auto; min-width: ${config.embedConfig.minimumWidth}px; user-select: none; }
+    .details { position: absolute; z-index: 1; max-width: 280px; padding: 10px 12px; background: #fff; color: #212529;
+        border-radius: 8px; box-shadow: 0 4px 16px rgba(0, 0, 0, 0.2); font-size: 14px; line-height: 1.4; }
+    .details[hidden] { display: none; }
+    .details .name { font-weight: 600; margin-bottom: 4px; }
+    .details .type { color: #6c757d; }
+    .details .description { margin-top: 6px; white-space: pre-line; }
+    .details a { display: inline-block; margin-top: 6px; }
+    .message { padding: 16px; color: #6c757d; }
+`;
+
+/**
+ * Custom element showing a metro map read-only, for embedding maps in other pages such as a learning environment.
+ * The map is loaded from the `src` attribute (a JSON or SVG file) or the `share-code` attribute (a code of a shared map)
+ * and rendered with the `MetroMapDesigner` in viewer mode. The element fills the width of its parent.
+ *
+ * Clicking a station shows its details and fires a `stationclick` event with the station in `event.detail`.
+ * Calling `preventDefault()` on the event keeps the details closed. The element also fires `maploaded` and `maperror`.
+ *
+ * The element does not need the interface of the designer, it only loads DOMPurify when the page does not include it.
+ *
+ * @example
+ * <script type="module" src="https://tools.smartmakersacademy.nl/metromapdesigner/sources/metromapelement.js"></script>
+ * <metro-map share-code="ABC123"></metro-map>
+ */
+export default class MetroMapElement extends HTMLElement {
+    designer = null; // Designer showing the map
+    viewport; // Scrolling element containing the map
+    details; // Popover with the details of a station
+    loading = Promise.resolve(); // Map loads run one after another
+
+    static get observedAttributes() {
+        return ["src", "share-code"];
+    }
+
+    /**
+     * Constructor for MetroMapElement.
+     */
+    constructor() {
+        super();
+        const shadow = this.attachShadow({ mode: "open" });
+
+        const style = document.createElement("style");
+        style.textContent = elementStyles;
+        this.viewport = document.createElement("div");
+        this.viewport.className = "viewport";
+        this.details = document.createElement("div");
+        this.details.className = "details";
+        this.details.hidden = true;
+
+        shadow.append(style, this.viewport, this.details);
+    }
+
+    /**
+     * Loads the map when the element is added to the page.
+     */
+    connectedCallback() {
+        loadFont();
+        this.load();
+    }
+
+    /**
+     * Removes the designer and its event listeners when the element is taken off the page.
+     */
+    disconnectedCallback() {
+        this.designer?.destroy();
+        this.designer = null;
+    }
+
+    /**
+     * Loads the map again when its source changes.
+     */
+    attributeChangedCallback(name, oldValue, newValue) {
+        if (oldValue !== newValue && this.isConnected) this.load();
+    }
+
+    // LOADING
+
+    /**
+     * Loads the map from the `share-code` attribute, or else from the `src` attribute.
+     * @returns {Promise<void>} Resolves when the map is shown, or an error message is shown instead.
+     */
+    load() {
+        this.loading = this.loading.then(() => this.loadMap());
+        return this.loading;
+    }
+
+    /**
+     * Loads and shows the map.
+     * @returns {Promise<void>} Resolves when the map is shown, or an error message is shown instead.
+     */
+    async loadMap() {
+        const shareCode = this.getAttribute("share-code");
+        const src = this.getAttribute("src");
+        if (!shareCode && !src) return;
+
+        this.hideDetails();
+
+        try {
+            await loadDOMPurify();
+            const designer = await this.createDesigner();
+
+            if (shareCode) {
+                await designer.loadMapWithSvgCode(shareCode);
+            } else {
+                const content = await fetchText(new URL(src, document.baseURI).href);
+                if (content.trim().startsWith("{")) {
+                    designer.loadJSON(content);
+                } else {
+                    designer.loadMap(content);
+                }
+            }
+
+            if (!designer.map) throw new Error("The map could not be read.");
+            this.showMap();
+            this.dispatchEvent(new CustomEvent("maploaded", { bubbles: true, composed: true }));
+        } catch (error) {
+            console.error("metro-map: Failed to load the map:", error);
+            this.showMessage(`The metro map could not be loaded: ${error.message}`);
+            this.dispatchEvent(new CustomEvent("maperror", { bubbles: true, composed: true, detail: { error } }));
+        }
+    }
+
+    /**
+     * Creates the designer that shows the map, in viewer mode. The designer starts with the empty default map,
+     * which shared and JSON maps are loaded into.
+     * @returns {Promise<MetroMapDesigner>} The designer.
+     */
+    async createDesigner() {
+        if (this.designer) return this.designer;
+
+        const designer = new MetroMapDesigner(this.viewport);
+        // Maps that cannot be loaded are shown as message and maperror event, never as alert on the host page
+        designer.alertOnLoadError = false;
+        await designer.loadMapFromUrl(config.embedConfig.defaultMapUrl);
+        designer.scrollContainer = this.viewport;
+        designer.setViewerMode(true);
+        designer.addHook('stationInspected', (inspected) => this.stationClicked(inspected));
+
+        this.designer = designer;
+        return designer;
+    }
+
+    /**
+     * Prepares the loaded map for viewing: removes the grid and scales the map to the width of the element.
+     */
+    showMap() {
+        const designer = this.designer;
+        designer.map.gridRemove();
+
+        // The drawn size of the map follows the element, the size of the canvas is kept in the view box
+        const svg = designer.map.getCanvas();
+        svg.setAttribute("viewBox", `0 0 ${svg.getAttribute("width")} ${svg.getAttribute("height")}`);
+    }
+
+    /**
+     * Shows a message instead of the map.
+     * @param {string} text - The message.
+     */
+    showMessage(text) {
+        const message = document.createElement("div");
+        message.className = "message";
+        message.textContent = text;
+        this.viewport.replaceChildren(message);
+    }
+
+    // STATION DETAILS
+
+    /**
+     * Fires the `stationclick` event for a clicked station and shows its details, unless the event was cancelled.
+     * @param {Object|null} inspected - The station and its SVG group as given by the `stationInspected` hook, or null when no station was clicked.
+     */
+    stationClicked(inspected) {
+        this.hideDetails();
+        if (!inspected) return;
+
+        const { station, element } = inspected;
+        const event = new CustomEvent("stationclick", {
+            bubbles: true,
+            composed: true,
+            cancelable: true,
+            detail: {
+                name: station.getName(),
+                date: station.getDisplayDate(),
+                dateStart: station.getDateStart() || null,
+                dateEnd: station.getDateEnd() || null,
+                type: station.getType(),
+                description: station.getDescription(),
+                link: station.getLink(),
+            }
+        });
+
+        if (this.dispatchEvent(event)) this.showDetails(station, element);
+    }
+
+    /**
+     * Shows the details of a station next to it: its name, date, type, description and link.
+     * @param {Object} station - The station.
+     * @param {SVGGElement} element - The SVG group of the station.
+     */
+    showDetails(station, element) {
+        this.details.replaceChildren();
+
+        const addLine = (text, className) => {
+            if (!text) return;
+            const line = document.createElement("div");
+            line.className = className;
+            line.textContent = text;
+            this.details.appendChild(line);
+        };
+
+        addLine(station.getName(), "name");
+        addLine(station.getDisplayDate(), "date");
+        addLine(config.embedConfig.stationTypeNames[station.getType()] ?? station.getType(), "type");
+        addLine(station.getDescription(), "description");
+
+        const link = station.getLink();
+        if (link && /^https?:\/\//i.test(link)) {
+            const anchor = document.createElement("a");
+            anchor.href = link;
+            anchor.target = "_blank";
+            anchor.rel = "noopener noreferrer";
+            anchor.textContent = link;
+            this.details.appendChild(anchor);
+        }
+
+        // Place the details below the station, within the element
+        const hostBox = this.getBoundingClientRect();
+        const stationBox = element.querySelector(".stationShapeGroup")?.getBoundingClientRect() ?? element.getBoundingClientRect();
+        this.details.hidden = false;
+        const left = Math.min(stationBox.left - hostBox.left, hostBox.width - this.details.offsetWidth);
+        this.details.style.left = `${Math.max(0, left)}px`;
+        this.details.style.top = `${stationBox.bottom - hostBox.top + 8}px`;
+    }
+
+    /**
+     * Closes the details of a station.
+     */
+    hideDetails() {
+        this.details.hidden = true;
+    }
+}
+
+/**
+ * Fetches a file as text.
+ *
+ * @private
+ * @param {string} url - The URL of the file.
+ * @returns {Promise<string>} The content of the file.
+ * @throws {Error} If the file cannot be retrieved.
+ */
+async function fetchText(url) {
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`${response.status} ${response.statusText} (${url})`);
+    return response.text();
+}
+
+/**
+ * Loads DOMPurify, which the designer needs to sanitize maps, when the page does not include it.
+ *
+ * @private
+ * @returns {Promise<void>} Resolves when DOMPurify is available.
+ */
+function loadDOMPurify() {
+    if (typeof DOMPurify !== "undefined") return Promise.resolve();
+
+    loadDOMPurify.promise ??= new Promise((resolve, reject) => {
+        const script = document.createElement("script");
+        script.src = config.embedConfig.dompurifyUrl;
+        script.integrity = config.embedConfig.dompurifyIntegrity;
+        script.crossOrigin = "anonymous";
+        script.onload = () => resolve();
+        script.onerror = () => {
+            loadDOMPurify.promise = null;
+            reject(new Error("DOMPurify could not be loaded."));
+        };
+        document.head.appendChild(script);
+    });
+    return loadDOMPurify.promise;
+}
+
+/**
+ * Adds the font of the maps to the page. Fonts of an element's shadow root must be declared by the page.
+ *
+ * @private
+ */
+function loadFont() {
+    if (document.querySelector(`link[href="${config.embedConfig.fontUrl}"]`)) return;
+
+    const link = document.createElement("link");
+    link.rel = "stylesheet";
+    link.href = config.embedConfig.fontUrl;
+    document.head.appendChild(link);
+}
+
+if (!customElements.get(config.embedConfig.tagName)) {
+    customElements.define(config.embedConfig.tagName, MetroMapElement);
+}
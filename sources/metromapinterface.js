@@ -53,7 +53,7 @@ export async function loadInterface() {
     // If a 'jsonCode' parameter exists, attempt to load the shared map
     if (jsonCode) {
       try {
-        metromapdesignapplication.loadMapWithJsonCode(jsonCode);
+        await metromapdesignapplication.loadMapWithJsonCode(jsonCode);
       } catch (e) {
         console.warn(e);
         showAlert(`Fout bij het ophalen van de metrokaart: ${e}`, "danger");
@@ -400,15 +400,17 @@ export function metroMapShare() {
 export async function metroMapDownloadPNG() {
   try {
     // Call the function to get the PNG data
-    const pngDataUrl = await metromapdesignapplication.getCanvasContentPng();
+    const png = await metromapdesignapplication.getCanvasContentPng();
 
     // Create a download link and click it to trigger the download
+    const url = URL.createObjectURL(png);
     var downloadLink = document.createElement("a");
-    downloadLink.href = pngDataUrl;
+    downloadLink.href = url;
     downloadLink.download = metromapdesignapplication.getCanvasName() + ".png";
     document.body.appendChild(downloadLink);
     downloadLink.click();
     document.body.removeChild(downloadLink);
+    URL.revokeObjectURL(url);
   } catch (error) {
     showAlert("fout bij het downloaden van de metrokaart" + error, "danger");
   }